@@ -0,0 +1,75 @@
+/**
+ * Script to set `createdMonth` on policies saved before the creation-month GSI
+ * existed, so date-range listings, exports and campaign segments include them.
+ * The index itself is added to an existing table by `npm run create-table`.
+ * Safe to run more than once: policies that already have the attribute are skipped.
+ * Run with: node backfillCreatedMonth.js
+ */
+const { ScanCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const { ddbDocClient } = require('./models/dynamoClient');
+const { toCreatedMonth } = require('./models/Policy');
+
+const TABLE_NAME = process.env.DYNAMODB_TABLE_NAME;
+
+async function backfillPolicy(policy) {
+    try {
+        await ddbDocClient.send(new UpdateCommand({
+            TableName: TABLE_NAME,
+            Key: { policyId: policy.policyId },
+            UpdateExpression: 'SET createdMonth = :createdMonth',
+            ConditionExpression: 'attribute_exists(policyId) AND attribute_not_exists(createdMonth)',
+            ExpressionAttributeValues: {
+                ':createdMonth': toCreatedMonth(policy.timestamp)
+            }
+        }));
+        return true;
+    } catch (err) {
+        // Written with a creation month since the scan read it
+        if (err.name === 'ConditionalCheckFailedException') {
+            return false;
+        }
+        throw err;
+    }
+}
+
+async function backfillCreatedMonth() {
+    if (!TABLE_NAME) {
+        console.error('DYNAMODB_TABLE_NAME environment variable is not set');
+        process.exitCode = 1;
+        return;
+    }
+
+    let updated = 0;
+    let skipped = 0;
+    let lastEvaluatedKey;
+
+    do {
+        const result = await ddbDocClient.send(new ScanCommand({
+            TableName: TABLE_NAME,
+            FilterExpression: 'attribute_not_exists(createdMonth)',
+            ProjectionExpression: 'policyId, #timestamp',
+            ExpressionAttributeNames: { '#timestamp': 'timestamp' },
+            ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
+        }));
+
+        for (const policy of result.Items || []) {
+            if (typeof policy.timestamp !== 'string') {
+                console.warn('Skipping policy without a timestamp:', policy.policyId);
+                skipped++;
+                continue;
+            }
+            if (await backfillPolicy(policy)) {
+                updated++;
+            }
+        }
+
+        lastEvaluatedKey = result.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    console.log(`Backfill finished: ${updated} policies updated, ${skipped} skipped`);
+}
+
+backfillCreatedMonth().catch((err) => {
+    console.error('Error backfilling createdMonth:', err);
+    process.exitCode = 1;
+});
@@ -0,0 +1,188 @@
+/**
+ * Script to bring stored customer data in line with field encryption:
+ * - policies saved before encryption get their customer data encrypted and
+ *   the email/phone blind indexes used by lookups and coupon limits
+ * - data keys of encrypted items are re-wrapped under PII_ACTIVE_KEY_VERSION,
+ *   so an old master key can be retired after a rotation
+ * Safe to run more than once: items already in shape are skipped.
+ * Run with: node backfillEncryption.js
+ */
+const { ScanCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const { ddbDocClient } = require('./models/dynamoClient');
+const { toStoredPolicy } = require('./models/Policy');
+const { encryptFields, decryptFields, rewrapFields, rewrapEnvelope } = require('./utils/fieldEncryption');
+
+const ENVELOPE_ATTRIBUTE = '_encryption';
+
+// Update that replaces an envelope, unless the item changed since it was read
+function envelopeUpdate(path, envelope, previous, names = { '#envelope': ENVELOPE_ATTRIBUTE }) {
+    return {
+        UpdateExpression: `SET ${path} = :envelope`,
+        ConditionExpression: `${path}.wrappedKey = :previousWrappedKey`,
+        ExpressionAttributeNames: names,
+        ExpressionAttributeValues: { ':envelope': envelope, ':previousWrappedKey': previous.wrappedKey }
+    };
+}
+
+async function rewrapUserData(item) {
+    if (!item.userData || !item.userData[ENVELOPE_ATTRIBUTE]) {
+        return null;
+    }
+    const previous = item.userData[ENVELOPE_ATTRIBUTE];
+    const envelope = await rewrapEnvelope(previous);
+    return envelope === previous ? null : envelopeUpdate('userData.#envelope', envelope, previous);
+}
+
+async function rewrapRecord(item) {
+    const rewrapped = await rewrapFields(item);
+    return rewrapped === item ? null : envelopeUpdate('#envelope', rewrapped[ENVELOPE_ATTRIBUTE], item[ENVELOPE_ATTRIBUTE]);
+}
+
+// The policy document PDF in document storage has its envelope on the policy
+async function rewrapPolicyDocument(item) {
+    if (!item.document || !item.document.encryption) {
+        return null;
+    }
+    const previous = item.document.encryption;
+    const envelope = await rewrapEnvelope(previous);
+    return envelope === previous ? null : envelopeUpdate('#document.encryption', envelope, previous, { '#document': 'document' });
+}
+
+// Policies saved before encryption hold plaintext customer data and no blind indexes
+async function migratePolicy(item) {
+    if (!item.userData || item.userData[ENVELOPE_ATTRIBUTE]) {
+        return [await rewrapUserData(item), await rewrapPolicyDocument(item)];
+    }
+
+    const stored = await toStoredPolicy(item);
+    const set = ['userData = :userData'];
+    const values = { ':userData': stored.userData };
+    ['emailHash', 'phoneHash'].filter((field) => stored[field]).forEach((field) => {
+        set.push(`${field} = :${field}`);
+        values[`:${field}`] = stored[field];
+    });
+    const remove = ['email', 'phone'].filter((field) => item[field] !== undefined);
+
+    return {
+        UpdateExpression: `SET ${set.join(', ')}${remove.length ? ` REMOVE ${remove.join(', ')}` : ''}`,
+        ConditionExpression: 'attribute_exists(userData) AND attribute_not_exists(userData.#envelope)',
+        ExpressionAttributeNames: { '#envelope': ENVELOPE_ATTRIBUTE },
+        ExpressionAttributeValues: values
+    };
+}
+
+// Files in document storage (claim documents, email attachments) carry their own
+// envelopes inside an item's encrypted fields, so rotating them means re-encrypting those fields
+function rewrapWithFiles(getFiles, setFiles) {
+    return async (item) => {
+        if (!item[ENVELOPE_ATTRIBUTE]) {
+            return null;
+        }
+
+        const record = await decryptFields(item);
+        const files = getFiles(record);
+        const rewrapped = await Promise.all(files.map(async (file) => (
+            file.encryption ? { ...file, encryption: await rewrapEnvelope(file.encryption) } : file
+        )));
+
+        if (rewrapped.every((file, index) => file.encryption === files[index].encryption)) {
+            return rewrapRecord(item);
+        }
+
+        const { fields } = item[ENVELOPE_ATTRIBUTE];
+        const encrypted = await encryptFields(setFiles(record, rewrapped), fields);
+        const names = { '#envelope': ENVELOPE_ATTRIBUTE };
+        const values = { ':envelope': encrypted[ENVELOPE_ATTRIBUTE], ':previousWrappedKey': item[ENVELOPE_ATTRIBUTE].wrappedKey };
+        fields.forEach((field, index) => {
+            names[`#field${index}`] = field;
+            values[`:field${index}`] = encrypted[field];
+        });
+
+        return {
+            UpdateExpression: `SET ${fields.map((field, index) => `#field${index} = :field${index}`).join(', ')}, #envelope = :envelope`,
+            ConditionExpression: '#envelope.wrappedKey = :previousWrappedKey',
+            ExpressionAttributeNames: names,
+            ExpressionAttributeValues: values
+        };
+    };
+}
+
+const rewrapClaim = rewrapWithFiles(
+    (claim) => claim.documents || [],
+    (claim, documents) => ({ ...claim, documents })
+);
+
+const rewrapEmail = rewrapWithFiles(
+    (email) => email.message?.attachment || [],
+    (email, attachment) => ({ ...email, message: { ...email.message, attachment } })
+);
+
+// Tables holding encrypted items, their key attributes and where the envelope sits
+const TABLES = [
+    { tableName: process.env.DYNAMODB_TABLE_NAME, keys: ['policyId'], migrate: migratePolicy },
+    { tableName: process.env.DYNAMODB_ORDERS_TABLE_NAME, keys: ['orderId'], migrate: rewrapUserData },
+    { tableName: process.env.DYNAMODB_APPLICATIONS_TABLE_NAME, keys: ['applicationId'], migrate: rewrapUserData },
+    { tableName: process.env.DYNAMODB_GROUP_MEMBERS_TABLE_NAME, keys: ['groupId', 'rowNumber'], migrate: rewrapUserData },
+    { tableName: process.env.DYNAMODB_CLAIMS_TABLE_NAME, keys: ['claimId'], migrate: rewrapClaim },
+    { tableName: process.env.DYNAMODB_EMAIL_OUTBOX_TABLE_NAME, keys: ['emailId'], migrate: rewrapEmail }
+];
+
+async function applyUpdate(table, item, update) {
+    try {
+        await ddbDocClient.send(new UpdateCommand({
+            TableName: table.tableName,
+            Key: Object.fromEntries(table.keys.map((key) => [key, item[key]])),
+            ...update
+        }));
+        return true;
+    } catch (err) {
+        // Changed since the scan read it; the next run picks it up
+        if (err.name === 'ConditionalCheckFailedException') {
+            return false;
+        }
+        throw err;
+    }
+}
+
+async function backfillTable(table) {
+    let updated = 0;
+    let lastEvaluatedKey;
+
+    do {
+        const result = await ddbDocClient.send(new ScanCommand({
+            TableName: table.tableName,
+            ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
+        }));
+
+        for (const item of result.Items || []) {
+            // A migration gives one update, several, or null when the item is already in shape
+            const updates = [].concat(await table.migrate(item)).filter(Boolean);
+            let applied = false;
+            for (const update of updates) {
+                applied = await applyUpdate(table, item, update) || applied;
+            }
+            if (applied) {
+                updated++;
+            }
+        }
+
+        lastEvaluatedKey = result.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    console.log(`${table.tableName}: ${updated} items updated`);
+}
+
+async function backfillEncryption() {
+    for (const table of TABLES) {
+        if (!table.tableName) {
+            console.warn('Skipping table with no name configured:', table.keys[0]);
+            continue;
+        }
+        await backfillTable(table);
+    }
+}
+
+backfillEncryption().catch((err) => {
+    console.error('Error backfilling encryption:', err);
+    process.exitCode = 1;
+});
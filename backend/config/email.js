@@ -0,0 +1,35 @@
+/**
+ * Branding and contact details shared by every email template.
+ * Values can be overridden per environment without touching the templates.
+ */
+
+const SUPPORTED_LANGUAGES = ['en', 'hi'];
+const DEFAULT_LANGUAGE = 'en';
+
+const emailConfig = {
+    brand: {
+        name: process.env.EMAIL_BRAND_NAME || 'Student Shield',
+        partner: process.env.EMAIL_BRAND_PARTNER || 'MicroNsure',
+        primaryColor: process.env.EMAIL_BRAND_COLOR || '#DC2626',
+        websiteUrl: process.env.EMAIL_WEBSITE_URL || 'https://studentshield.in'
+    },
+    support: {
+        email: process.env.SUPPORT_EMAIL || 'support@studentshield.in',
+        phone: process.env.SUPPORT_PHONE || '1800-123-4567',
+        hours: {
+            en: process.env.SUPPORT_HOURS || 'Mon-Fri, 9 AM - 6 PM',
+            hi: process.env.SUPPORT_HOURS_HI || 'सोम-शुक्र, सुबह 9 बजे - शाम 6 बजे'
+        }
+    },
+    sender: {
+        customerName: process.env.EMAIL_SENDER_NAME || 'Student Shield',
+        systemName: process.env.EMAIL_SYSTEM_SENDER_NAME || 'Student Shield System',
+        teamName: process.env.EMAIL_TEAM_NAME || 'Student Shield Team'
+    }
+};
+
+module.exports = {
+    SUPPORTED_LANGUAGES,
+    DEFAULT_LANGUAGE,
+    emailConfig
+};
@@ -0,0 +1,63 @@
+/**
+ * GST details printed on tax invoices
+ */
+
+// State codes used in GSTINs and for place of supply
+const GST_STATE_CODES = {
+    'Jammu and Kashmir': '01',
+    'Himachal Pradesh': '02',
+    'Punjab': '03',
+    'Chandigarh': '04',
+    'Uttarakhand': '05',
+    'Haryana': '06',
+    'Delhi': '07',
+    'Rajasthan': '08',
+    'Uttar Pradesh': '09',
+    'Bihar': '10',
+    'Sikkim': '11',
+    'Arunachal Pradesh': '12',
+    'Nagaland': '13',
+    'Manipur': '14',
+    'Mizoram': '15',
+    'Tripura': '16',
+    'Meghalaya': '17',
+    'Assam': '18',
+    'West Bengal': '19',
+    'Jharkhand': '20',
+    'Odisha': '21',
+    'Chhattisgarh': '22',
+    'Madhya Pradesh': '23',
+    'Gujarat': '24',
+    'Dadra and Nagar Haveli and Daman and Diu': '26',
+    'Maharashtra': '27',
+    'Karnataka': '29',
+    'Goa': '30',
+    'Lakshadweep': '31',
+    'Kerala': '32',
+    'Tamil Nadu': '33',
+    'Puducherry': '34',
+    'Andaman and Nicobar Islands': '35',
+    'Telangana': '36',
+    'Andhra Pradesh': '37',
+    'Ladakh': '38'
+};
+
+const gstConfig = {
+    seller: {
+        name: process.env.COMPANY_LEGAL_NAME || 'Student Shield',
+        gstin: process.env.COMPANY_GSTIN || '',
+        address: process.env.COMPANY_ADDRESS || '',
+        // Supplies to customers in this state are intra-state (CGST + SGST)
+        state: process.env.COMPANY_STATE || 'Maharashtra'
+    },
+    // Accident and health insurance services
+    sacCode: process.env.GST_SAC_CODE || '997132',
+    gstRate: parseInt(process.env.GST_RATE, 10) || 18,
+    // Invoice numbers look like SS/26-27/000042 (at most 16 characters, as GST requires)
+    invoicePrefix: process.env.INVOICE_PREFIX || 'SS'
+};
+
+module.exports = {
+    GST_STATE_CODES,
+    gstConfig
+};
@@ -0,0 +1,103 @@
+/**
+ * Plan catalog. This is the only source of plan prices: orders are priced
+ * from here, never from what the client sends.
+ *
+ * Amounts (premium, sum insured) are in paise, like Razorpay amounts.
+ * `premium.total` is what the customer pays and must equal `base + gst`.
+ * Each coverage `benefit` is also the claim type used when claiming it.
+ * Plans are never deleted, only deactivated, so existing orders and
+ * policies keep resolving to a name and price.
+ */
+
+const PLANS = [
+    {
+        planId: 'student-shield',
+        name: 'Student Shield',
+        description: 'Accident and hospitalisation cover for students',
+        policyCode: 'ST',
+        premium: {
+            base: 84661,
+            gstRate: 18,
+            gst: 15239,
+            total: 99900
+        },
+        sumInsured: 10000000,
+        coverage: [
+            { benefit: 'accidental_death', name: 'Accidental death', sumInsured: 10000000 },
+            { benefit: 'permanent_disability', name: 'Permanent total disability', sumInsured: 10000000 },
+            { benefit: 'accidental_hospitalisation', name: 'Accidental hospitalisation', sumInsured: 2500000 }
+        ],
+        eligibility: { minAge: 16, maxAge: 35 },
+        validityMonths: 12,
+        active: true
+    },
+    {
+        planId: 'student-shield-plus',
+        name: 'Student Shield Plus',
+        description: 'Higher accident cover plus illness hospitalisation for students',
+        policyCode: 'SP',
+        premium: {
+            base: 169407,
+            gstRate: 18,
+            gst: 30493,
+            total: 199900
+        },
+        sumInsured: 20000000,
+        coverage: [
+            { benefit: 'accidental_death', name: 'Accidental death', sumInsured: 20000000 },
+            { benefit: 'permanent_disability', name: 'Permanent total disability', sumInsured: 20000000 },
+            { benefit: 'accidental_hospitalisation', name: 'Accidental hospitalisation', sumInsured: 5000000 },
+            { benefit: 'illness_hospitalisation', name: 'Illness hospitalisation', sumInsured: 5000000 }
+        ],
+        eligibility: { minAge: 16, maxAge: 35 },
+        validityMonths: 12,
+        active: true
+    }
+];
+
+// Catch pricing mistakes at startup rather than on a customer's order
+PLANS.forEach((plan) => {
+    const { base, gst, total } = plan.premium;
+    if (![base, gst, total].every(Number.isInteger) || base + gst !== total) {
+        throw new Error(`Plan ${plan.planId}: premium base + gst must equal total, in whole paise`);
+    }
+});
+
+const PLAN_LOOKUP = new Map(PLANS.map((plan) => [plan.planId, plan]));
+
+/**
+ * Get a plan by ID, active or not
+ * @param {string} planId
+ * @returns {Object|null}
+ */
+function getPlan(planId) {
+    return PLAN_LOOKUP.get(planId) || null;
+}
+
+/**
+ * Get a plan that can currently be bought
+ * @param {string} planId
+ * @returns {Object|null}
+ */
+function getActivePlan(planId) {
+    const plan = getPlan(planId);
+    return plan && plan.active ? plan : null;
+}
+
+/**
+ * @param {{ includeInactive?: boolean }} options
+ * @returns {Object[]}
+ */
+function listPlans({ includeInactive = false } = {}) {
+    return includeInactive ? PLANS : PLANS.filter((plan) => plan.active);
+}
+
+// Display name for a plan ID, falling back to the ID for unknown plans
+const getPlanName = (planId) => getPlan(planId)?.name || planId;
+
+module.exports = {
+    getPlan,
+    getActivePlan,
+    listPlans,
+    getPlanName
+};
@@ -1,30 +1,456 @@
 /**
- * Script to create DynamoDB table for policies
+ * Script to create the DynamoDB tables used by the backend. Tables that
+ * already exist get the global secondary indexes they are missing, so it is
+ * also the migration to run after an upgrade; safe to run more than once.
  * Run with: node createTable.js
  */
-const { DynamoDBClient, CreateTableCommand } = require('@aws-sdk/client-dynamodb');
+const {
+    DynamoDBClient,
+    CreateTableCommand,
+    DescribeTableCommand,
+    UpdateTableCommand,
+    UpdateTimeToLiveCommand,
+    waitUntilTableExists
+} = require('@aws-sdk/client-dynamodb');
 require('dotenv').config();
 
 const client = new DynamoDBClient({ region: process.env.AWS_REGION });
 
-async function createTable() {
-    const params = {
-        TableName: process.env.DYNAMODB_TABLE_NAME,
-        KeySchema: [
-            { AttributeName: 'policyId', KeyType: 'HASH' }
-        ],
-        AttributeDefinitions: [
-            { AttributeName: 'policyId', AttributeType: 'S' }
-        ],
-        BillingMode: 'PAY_PER_REQUEST'
-    };
+const tables = [
+    {
+        params: {
+            TableName: process.env.DYNAMODB_TABLE_NAME,
+            KeySchema: [
+                { AttributeName: 'policyId', KeyType: 'HASH' }
+            ],
+            AttributeDefinitions: [
+                { AttributeName: 'policyId', AttributeType: 'S' },
+                { AttributeName: 'emailHash', AttributeType: 'S' },
+                { AttributeName: 'phoneHash', AttributeType: 'S' },
+                { AttributeName: 'orderId', AttributeType: 'S' },
+                { AttributeName: 'timestamp', AttributeType: 'S' },
+                { AttributeName: 'createdMonth', AttributeType: 'S' },
+                { AttributeName: 'coverageEndDate', AttributeType: 'S' },
+                { AttributeName: 'partnerId', AttributeType: 'S' }
+            ],
+            // Lookups by blind indexes of customer contact details and by Razorpay order
+            GlobalSecondaryIndexes: [
+                {
+                    IndexName: 'emailHash-index',
+                    KeySchema: [
+                        { AttributeName: 'emailHash', KeyType: 'HASH' },
+                        { AttributeName: 'timestamp', KeyType: 'RANGE' }
+                    ],
+                    Projection: { ProjectionType: 'ALL' }
+                },
+                {
+                    IndexName: 'phoneHash-index',
+                    KeySchema: [
+                        { AttributeName: 'phoneHash', KeyType: 'HASH' },
+                        { AttributeName: 'timestamp', KeyType: 'RANGE' }
+                    ],
+                    Projection: { ProjectionType: 'ALL' }
+                },
+                {
+                    IndexName: 'orderId-index',
+                    KeySchema: [
+                        { AttributeName: 'orderId', KeyType: 'HASH' }
+                    ],
+                    Projection: { ProjectionType: 'ALL' }
+                },
+                {
+                    // Date-range listing, one partition per creation month (YYYY-MM)
+                    IndexName: 'createdMonth-timestamp-index',
+                    KeySchema: [
+                        { AttributeName: 'createdMonth', KeyType: 'HASH' },
+                        { AttributeName: 'timestamp', KeyType: 'RANGE' }
+                    ],
+                    Projection: { ProjectionType: 'ALL' }
+                },
+                {
+                    // Policies expiring on a day, for renewal reminders
+                    IndexName: 'coverageEndDate-index',
+                    KeySchema: [
+                        { AttributeName: 'coverageEndDate', KeyType: 'HASH' }
+                    ],
+                    Projection: { ProjectionType: 'ALL' }
+                },
+                {
+                    // Sales made through a partner's referral code
+                    IndexName: 'partnerId-timestamp-index',
+                    KeySchema: [
+                        { AttributeName: 'partnerId', KeyType: 'HASH' },
+                        { AttributeName: 'timestamp', KeyType: 'RANGE' }
+                    ],
+                    Projection: { ProjectionType: 'ALL' }
+                }
+            ],
+            BillingMode: 'PAY_PER_REQUEST'
+        }
+    },
+    {
+        params: {
+            TableName: process.env.DYNAMODB_ORDERS_TABLE_NAME,
+            KeySchema: [
+                { AttributeName: 'orderId', KeyType: 'HASH' }
+            ],
+            AttributeDefinitions: [
+                { AttributeName: 'orderId', AttributeType: 'S' }
+            ],
+            BillingMode: 'PAY_PER_REQUEST'
+        },
+        // Unpaid orders expire on their own
+        ttlAttribute: 'expiresAt'
+    },
+    {
+        // Payment/order lock items that make policy issuance idempotent
+        params: {
+            TableName: process.env.DYNAMODB_LOCKS_TABLE_NAME,
+            KeySchema: [
+                { AttributeName: 'lockId', KeyType: 'HASH' }
+            ],
+            AttributeDefinitions: [
+                { AttributeName: 'lockId', AttributeType: 'S' }
+            ],
+            BillingMode: 'PAY_PER_REQUEST'
+        }
+    },
+    {
+        // Atomic counters, e.g. policy number sequences
+        params: {
+            TableName: process.env.DYNAMODB_COUNTERS_TABLE_NAME,
+            KeySchema: [
+                { AttributeName: 'counterId', KeyType: 'HASH' }
+            ],
+            AttributeDefinitions: [
+                { AttributeName: 'counterId', AttributeType: 'S' }
+            ],
+            BillingMode: 'PAY_PER_REQUEST'
+        }
+    },
+    {
+        // Durable email outbox with retries and dead-lettering
+        params: {
+            TableName: process.env.DYNAMODB_EMAIL_OUTBOX_TABLE_NAME,
+            KeySchema: [
+                { AttributeName: 'emailId', KeyType: 'HASH' }
+            ],
+            AttributeDefinitions: [
+                { AttributeName: 'emailId', AttributeType: 'S' },
+                { AttributeName: 'status', AttributeType: 'S' },
+                { AttributeName: 'nextAttemptAt', AttributeType: 'S' }
+            ],
+            GlobalSecondaryIndexes: [
+                {
+                    IndexName: 'status-nextAttemptAt-index',
+                    KeySchema: [
+                        { AttributeName: 'status', KeyType: 'HASH' },
+                        { AttributeName: 'nextAttemptAt', KeyType: 'RANGE' }
+                    ],
+                    Projection: { ProjectionType: 'ALL' }
+                }
+            ],
+            BillingMode: 'PAY_PER_REQUEST'
+        }
+    },
+    {
+        // Security events (payment tampering, bad signatures) and alert grouping state
+        params: {
+            TableName: process.env.DYNAMODB_SECURITY_EVENTS_TABLE_NAME,
+            KeySchema: [
+                { AttributeName: 'eventId', KeyType: 'HASH' }
+            ],
+            AttributeDefinitions: [
+                { AttributeName: 'eventId', AttributeType: 'S' },
+                { AttributeName: 'ip', AttributeType: 'S' },
+                { AttributeName: 'timestamp', AttributeType: 'S' }
+            ],
+            GlobalSecondaryIndexes: [
+                {
+                    IndexName: 'ip-timestamp-index',
+                    KeySchema: [
+                        { AttributeName: 'ip', KeyType: 'HASH' },
+                        { AttributeName: 'timestamp', KeyType: 'RANGE' }
+                    ],
+                    Projection: { ProjectionType: 'ALL' }
+                }
+            ],
+            BillingMode: 'PAY_PER_REQUEST'
+        },
+        ttlAttribute: 'expiresAt'
+    },
+    {
+        // Coupon codes with their discount, limits and redemption count
+        params: {
+            TableName: process.env.DYNAMODB_COUPONS_TABLE_NAME,
+            KeySchema: [
+                { AttributeName: 'couponCode', KeyType: 'HASH' }
+            ],
+            AttributeDefinitions: [
+                { AttributeName: 'couponCode', AttributeType: 'S' }
+            ],
+            BillingMode: 'PAY_PER_REQUEST'
+        }
+    },
+    {
+        // One item per paid order that used a coupon, for per-customer limits
+        params: {
+            TableName: process.env.DYNAMODB_COUPON_REDEMPTIONS_TABLE_NAME,
+            KeySchema: [
+                { AttributeName: 'orderId', KeyType: 'HASH' }
+            ],
+            AttributeDefinitions: [
+                { AttributeName: 'orderId', AttributeType: 'S' },
+                { AttributeName: 'couponCustomer', AttributeType: 'S' }
+            ],
+            GlobalSecondaryIndexes: [
+                {
+                    IndexName: 'couponCustomer-index',
+                    KeySchema: [
+                        { AttributeName: 'couponCustomer', KeyType: 'HASH' }
+                    ],
+                    Projection: { ProjectionType: 'ALL' }
+                }
+            ],
+            BillingMode: 'PAY_PER_REQUEST'
+        }
+    },
+    {
+        // Claims against policies, listed per policy and per review status
+        params: {
+            TableName: process.env.DYNAMODB_CLAIMS_TABLE_NAME,
+            KeySchema: [
+                { AttributeName: 'claimId', KeyType: 'HASH' }
+            ],
+            AttributeDefinitions: [
+                { AttributeName: 'claimId', AttributeType: 'S' },
+                { AttributeName: 'policyId', AttributeType: 'S' },
+                { AttributeName: 'status', AttributeType: 'S' },
+                { AttributeName: 'submittedAt', AttributeType: 'S' }
+            ],
+            GlobalSecondaryIndexes: [
+                {
+                    IndexName: 'policyId-submittedAt-index',
+                    KeySchema: [
+                        { AttributeName: 'policyId', KeyType: 'HASH' },
+                        { AttributeName: 'submittedAt', KeyType: 'RANGE' }
+                    ],
+                    Projection: { ProjectionType: 'ALL' }
+                },
+                {
+                    IndexName: 'status-submittedAt-index',
+                    KeySchema: [
+                        { AttributeName: 'status', KeyType: 'HASH' },
+                        { AttributeName: 'submittedAt', KeyType: 'RANGE' }
+                    ],
+                    Projection: { ProjectionType: 'ALL' }
+                }
+            ],
+            BillingMode: 'PAY_PER_REQUEST'
+        }
+    },
+    {
+        // Assisted sales awaiting payment by payment link or UPI QR code
+        params: {
+            TableName: process.env.DYNAMODB_APPLICATIONS_TABLE_NAME,
+            KeySchema: [
+                { AttributeName: 'applicationId', KeyType: 'HASH' }
+            ],
+            AttributeDefinitions: [
+                { AttributeName: 'applicationId', AttributeType: 'S' },
+                { AttributeName: 'status', AttributeType: 'S' },
+                { AttributeName: 'createdAt', AttributeType: 'S' }
+            ],
+            GlobalSecondaryIndexes: [
+                {
+                    IndexName: 'status-createdAt-index',
+                    KeySchema: [
+                        { AttributeName: 'status', KeyType: 'HASH' },
+                        { AttributeName: 'createdAt', KeyType: 'RANGE' }
+                    ],
+                    Projection: { ProjectionType: 'ALL' }
+                }
+            ],
+            BillingMode: 'PAY_PER_REQUEST'
+        }
+    },
+    {
+        // Group enrollments paid with a single order
+        params: {
+            TableName: process.env.DYNAMODB_GROUP_ENROLLMENTS_TABLE_NAME,
+            KeySchema: [
+                { AttributeName: 'groupId', KeyType: 'HASH' }
+            ],
+            AttributeDefinitions: [
+                { AttributeName: 'groupId', AttributeType: 'S' },
+                { AttributeName: 'status', AttributeType: 'S' },
+                { AttributeName: 'createdAt', AttributeType: 'S' }
+            ],
+            GlobalSecondaryIndexes: [
+                {
+                    IndexName: 'status-createdAt-index',
+                    KeySchema: [
+                        { AttributeName: 'status', KeyType: 'HASH' },
+                        { AttributeName: 'createdAt', KeyType: 'RANGE' }
+                    ],
+                    Projection: { ProjectionType: 'ALL' }
+                }
+            ],
+            BillingMode: 'PAY_PER_REQUEST'
+        }
+    },
+    {
+        // Students of a group enrollment, one per CSV row
+        params: {
+            TableName: process.env.DYNAMODB_GROUP_MEMBERS_TABLE_NAME,
+            KeySchema: [
+                { AttributeName: 'groupId', KeyType: 'HASH' },
+                { AttributeName: 'rowNumber', KeyType: 'RANGE' }
+            ],
+            AttributeDefinitions: [
+                { AttributeName: 'groupId', AttributeType: 'S' },
+                { AttributeName: 'rowNumber', AttributeType: 'N' }
+            ],
+            BillingMode: 'PAY_PER_REQUEST'
+        }
+    },
+    {
+        // Partner institutions and distributors; referral codes are reserved in the locks table
+        params: {
+            TableName: process.env.DYNAMODB_PARTNERS_TABLE_NAME,
+            KeySchema: [
+                { AttributeName: 'partnerId', KeyType: 'HASH' }
+            ],
+            AttributeDefinitions: [
+                { AttributeName: 'partnerId', AttributeType: 'S' }
+            ],
+            BillingMode: 'PAY_PER_REQUEST'
+        }
+    },
+    {
+        // Marketing campaigns and their send results; scheduled ones are found by status
+        params: {
+            TableName: process.env.DYNAMODB_CAMPAIGNS_TABLE_NAME,
+            KeySchema: [
+                { AttributeName: 'campaignId', KeyType: 'HASH' }
+            ],
+            AttributeDefinitions: [
+                { AttributeName: 'campaignId', AttributeType: 'S' },
+                { AttributeName: 'status', AttributeType: 'S' },
+                { AttributeName: 'scheduledAt', AttributeType: 'S' }
+            ],
+            GlobalSecondaryIndexes: [
+                {
+                    IndexName: 'status-scheduledAt-index',
+                    KeySchema: [
+                        { AttributeName: 'status', KeyType: 'HASH' },
+                        { AttributeName: 'scheduledAt', KeyType: 'RANGE' }
+                    ],
+                    Projection: { ProjectionType: 'ALL' }
+                }
+            ],
+            BillingMode: 'PAY_PER_REQUEST'
+        }
+    },
+    {
+        // Marketing opt-outs, one item per customer email blind index
+        params: {
+            TableName: process.env.DYNAMODB_MARKETING_PREFERENCES_TABLE_NAME,
+            KeySchema: [
+                { AttributeName: 'emailHash', KeyType: 'HASH' }
+            ],
+            AttributeDefinitions: [
+                { AttributeName: 'emailHash', AttributeType: 'S' }
+            ],
+            BillingMode: 'PAY_PER_REQUEST'
+        }
+    }
+];
+
+// Index builds on a large table can take a while
+const INDEX_POLL_MS = 15 * 1000;
+const INDEX_MAX_WAIT_MS = 60 * 60 * 1000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// DynamoDB builds one new index at a time, so wait for the table and all its indexes to be active
+async function waitForIndexes(tableName) {
+    const deadline = Date.now() + INDEX_MAX_WAIT_MS;
+    while (Date.now() < deadline) {
+        const { Table } = await client.send(new DescribeTableCommand({ TableName: tableName }));
+        const pending = (Table.GlobalSecondaryIndexes || []).filter((index) => index.IndexStatus !== 'ACTIVE');
+        if (Table.TableStatus === 'ACTIVE' && pending.length === 0) {
+            return;
+        }
+        console.log('Waiting for indexes:', tableName, pending.map((index) => `${index.IndexName} (${index.IndexStatus})`).join(', '));
+        await sleep(INDEX_POLL_MS);
+    }
+    throw new Error(`Indexes on ${tableName} are still building; run the script again once they are active`);
+}
+
+// Add the indexes a table created by an older version of this script does not have yet
+async function addMissingIndexes(params) {
+    const { Table } = await client.send(new DescribeTableCommand({ TableName: params.TableName }));
+    const existing = new Set((Table.GlobalSecondaryIndexes || []).map((index) => index.IndexName));
+
+    for (const index of params.GlobalSecondaryIndexes || []) {
+        if (existing.has(index.IndexName)) {
+            continue;
+        }
+
+        await waitForIndexes(params.TableName);
+        const keyAttributes = index.KeySchema.map((key) => key.AttributeName);
+        await client.send(new UpdateTableCommand({
+            TableName: params.TableName,
+            AttributeDefinitions: params.AttributeDefinitions.filter((definition) => keyAttributes.includes(definition.AttributeName)),
+            GlobalSecondaryIndexUpdates: [{ Create: index }]
+        }));
+        console.log('Index creation started:', params.TableName, index.IndexName);
+    }
+
+    await waitForIndexes(params.TableName);
+}
+
+async function createTable({ params, ttlAttribute }) {
+    if (!params.TableName) {
+        console.warn('Skipping table with no name configured:', params.KeySchema[0].AttributeName);
+        return;
+    }
 
     try {
         const data = await client.send(new CreateTableCommand(params));
         console.log('Table created:', data);
     } catch (err) {
-        console.error('Error creating table:', err);
+        if (err.name === 'ResourceInUseException') {
+            console.log('Table exists, checking indexes:', params.TableName);
+            try {
+                await addMissingIndexes(params);
+            } catch (indexErr) {
+                console.error('Error adding indexes:', indexErr);
+            }
+        } else {
+            console.error('Error creating table:', err);
+        }
+    }
+
+    if (ttlAttribute) {
+        try {
+            await waitUntilTableExists({ client, maxWaitTime: 120 }, { TableName: params.TableName });
+            await client.send(new UpdateTimeToLiveCommand({
+                TableName: params.TableName,
+                TimeToLiveSpecification: { AttributeName: ttlAttribute, Enabled: true }
+            }));
+            console.log('TTL enabled:', params.TableName, ttlAttribute);
+        } catch (err) {
+            console.error('Error enabling TTL:', err);
+        }
+    }
+}
+
+async function createTables() {
+    for (const table of tables) {
+        await createTable(table);
     }
 }
 
-createTable();
+createTables();
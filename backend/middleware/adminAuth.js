@@ -0,0 +1,57 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const logger = require('../utils/logger');
+
+const apiKeys = (process.env.ADMIN_API_KEYS || '')
+    .split(',')
+    .map((key) => key.trim())
+    .filter(Boolean);
+
+// Constant-time comparison of the presented key against every configured key
+function matchesApiKey(presented) {
+    const presentedHash = crypto.createHash('sha256').update(presented).digest();
+    return apiKeys.some((key) => {
+        const keyHash = crypto.createHash('sha256').update(key).digest();
+        return crypto.timingSafeEqual(presentedHash, keyHash);
+    });
+}
+
+/**
+ * Protect admin routes with either an `X-API-Key` header (ADMIN_API_KEYS)
+ * or an HS256 `Authorization: Bearer <jwt>` signed with ADMIN_JWT_SECRET.
+ * On success `req.admin` holds the caller identity used as the audit actor.
+ */
+function adminAuth(req, res, next) {
+    const apiKey = req.get('X-API-Key');
+    const authorization = req.get('Authorization') || '';
+
+    if (apiKey) {
+        if (apiKeys.length > 0 && matchesApiKey(apiKey)) {
+            // Identify key holders by a short fingerprint, never the key itself
+            const fingerprint = crypto.createHash('sha256').update(apiKey).digest('hex').slice(0, 8);
+            req.admin = { id: `api-key:${fingerprint}`, method: 'api-key' };
+            return next();
+        }
+    } else if (authorization.startsWith('Bearer ') && process.env.ADMIN_JWT_SECRET) {
+        try {
+            const claims = jwt.verify(authorization.slice(7), process.env.ADMIN_JWT_SECRET, {
+                algorithms: ['HS256']
+            });
+            if (claims.role === 'admin') {
+                req.admin = { id: claims.sub || claims.email || 'unknown', method: 'jwt' };
+                return next();
+            }
+        } catch (error) {
+            logger.warn('Admin JWT rejected', { error: error.message, ip: req.ip });
+        }
+    }
+
+    logger.warn('Unauthorized admin request', {
+        method: req.method,
+        path: req.originalUrl,
+        ip: req.ip
+    });
+    return res.status(401).json({ success: false, message: 'Unauthorized' });
+}
+
+module.exports = { adminAuth };
@@ -0,0 +1,34 @@
+const { authenticatePartnerApiKey } = require('../services/partnerService');
+const logger = require('../utils/logger');
+
+/**
+ * Protect partner routes with an `X-Partner-Key` header holding the key issued
+ * when the partner was created or its key last rotated. Inactive partners are
+ * refused. On success `req.partner` holds the partner, whose data is all the
+ * routes may return.
+ */
+async function partnerAuth(req, res, next) {
+    const apiKey = req.get('X-Partner-Key');
+
+    if (apiKey) {
+        try {
+            const partner = await authenticatePartnerApiKey(apiKey);
+            if (partner) {
+                req.partner = partner;
+                return next();
+            }
+        } catch (error) {
+            logger.error('Partner authentication failed', { error: error.message, ip: req.ip });
+            return res.status(500).json({ success: false, message: 'Could not check partner key' });
+        }
+    }
+
+    logger.warn('Unauthorized partner request', {
+        method: req.method,
+        path: req.originalUrl,
+        ip: req.ip
+    });
+    return res.status(401).json({ success: false, message: 'Unauthorized' });
+}
+
+module.exports = { partnerAuth };
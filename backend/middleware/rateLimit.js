@@ -0,0 +1,49 @@
+const logger = require('../utils/logger');
+const logWarning = logger.warn;
+
+/**
+ * Create a basic in-memory, per-IP rate limiting middleware
+ * @param {Object} options
+ * @param {number} options.windowMs - Length of the window in milliseconds
+ * @param {number} options.maxRequests - Requests allowed per IP per window
+ * @param {string} [options.message] - Message returned with the 429 response
+ */
+function createRateLimiter({ windowMs, maxRequests, message = 'Too many requests, please try again later' }) {
+    const rateLimitMap = new Map();
+
+    return (req, res, next) => {
+        const clientIP = req.ip || req.connection.remoteAddress;
+        const now = Date.now();
+
+        if (!rateLimitMap.has(clientIP)) {
+            rateLimitMap.set(clientIP, { count: 1, resetTime: now + windowMs });
+            return next();
+        }
+
+        const clientData = rateLimitMap.get(clientIP);
+
+        if (now > clientData.resetTime) {
+            clientData.count = 1;
+            clientData.resetTime = now + windowMs;
+            return next();
+        }
+
+        if (clientData.count >= maxRequests) {
+            logWarning('Rate limit exceeded', {
+                ip: clientIP,
+                path: req.originalUrl,
+                count: clientData.count,
+                requestId: req.requestId
+            });
+            return res.status(429).json({
+                success: false,
+                message
+            });
+        }
+
+        clientData.count++;
+        next();
+    };
+}
+
+module.exports = { createRateLimiter };
@@ -0,0 +1,204 @@
+const { PutCommand, GetCommand, QueryCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const { ddbDocClient } = require('./dynamoClient');
+const { encryptFields, decryptFields } = require('../utils/fieldEncryption');
+
+const APPLICATIONS_TABLE_NAME = process.env.DYNAMODB_APPLICATIONS_TABLE_NAME;
+const STATUS_INDEX = 'status-createdAt-index';
+
+const APPLICATION_STATUS = {
+    PENDING: 'pending',
+    PAID: 'paid',
+    EXPIRED: 'expired',
+    CANCELLED: 'cancelled'
+};
+
+// How the customer pays an assisted sale
+const PAYMENT_CHANNEL = {
+    PAYMENT_LINK: 'payment_link',
+    UPI_QR: 'upi_qr'
+};
+
+function assertTableConfigured() {
+    if (!APPLICATIONS_TABLE_NAME) {
+        throw new Error('DYNAMODB_APPLICATIONS_TABLE_NAME environment variable is not set');
+    }
+}
+
+async function fromStoredApplication(item) {
+    if (!item || !item.userData) {
+        return item || null;
+    }
+    return { ...item, userData: await decryptFields(item.userData) };
+}
+
+/**
+ * Save a new pending application
+ * @param {{ applicationId: string, planType: string, amount: number, currency: string, userData: Object,
+ *   channel: string, razorpayId: string, paymentUrl: string, expiresAt: string, createdBy: string }} application
+ * @returns {Promise<Object>} The stored application
+ */
+async function createApplication(application) {
+    assertTableConfigured();
+
+    const item = {
+        ...application,
+        // Customer data is held until payment, so it is encrypted like on policies
+        userData: await encryptFields(application.userData),
+        status: APPLICATION_STATUS.PENDING,
+        createdAt: new Date().toISOString()
+    };
+
+    try {
+        await ddbDocClient.send(new PutCommand({
+            TableName: APPLICATIONS_TABLE_NAME,
+            Item: item,
+            ConditionExpression: 'attribute_not_exists(applicationId)'
+        }));
+        return { ...item, userData: application.userData };
+    } catch (error) {
+        error.tableName = APPLICATIONS_TABLE_NAME;
+        error.applicationId = application.applicationId;
+        throw error;
+    }
+}
+
+/**
+ * Get an application by ID
+ * @param {string} applicationId
+ * @returns {Promise<Object|null>}
+ */
+async function getApplication(applicationId) {
+    assertTableConfigured();
+
+    try {
+        const result = await ddbDocClient.send(new GetCommand({
+            TableName: APPLICATIONS_TABLE_NAME,
+            Key: { applicationId }
+        }));
+        return fromStoredApplication(result.Item);
+    } catch (error) {
+        error.tableName = APPLICATIONS_TABLE_NAME;
+        error.applicationId = applicationId;
+        throw error;
+    }
+}
+
+/**
+ * List applications in a status, oldest first. Customer data stays encrypted
+ * in the listing.
+ * @param {string} status
+ * @param {{ limit?: number, lastEvaluatedKey?: Object }} options
+ * @returns {Promise<{ items: Object[], lastEvaluatedKey?: Object }>}
+ */
+async function listApplicationsByStatus(status, { limit, lastEvaluatedKey } = {}) {
+    assertTableConfigured();
+
+    const params = {
+        TableName: APPLICATIONS_TABLE_NAME,
+        IndexName: STATUS_INDEX,
+        KeyConditionExpression: '#status = :status',
+        ExpressionAttributeNames: {
+            '#status': 'status'
+        },
+        ExpressionAttributeValues: {
+            ':status': status
+        },
+        ...(limit && { Limit: limit }),
+        ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
+    };
+
+    try {
+        const result = await ddbDocClient.send(new QueryCommand(params));
+        return {
+            items: (result.Items || []).map(({ userData, ...summary }) => summary),
+            lastEvaluatedKey: result.LastEvaluatedKey
+        };
+    } catch (error) {
+        error.tableName = APPLICATIONS_TABLE_NAME;
+        throw error;
+    }
+}
+
+/**
+ * Mark an application as paid and link it to its policy
+ * @param {string} applicationId
+ * @param {{ paymentId: string, policyId: string }} details
+ */
+async function markApplicationPaid(applicationId, { paymentId, policyId }) {
+    assertTableConfigured();
+
+    const params = {
+        TableName: APPLICATIONS_TABLE_NAME,
+        Key: { applicationId },
+        UpdateExpression: 'SET #status = :paid, paymentId = :paymentId, policyId = :policyId, paidAt = if_not_exists(paidAt, :now)',
+        ConditionExpression: 'attribute_exists(applicationId)',
+        ExpressionAttributeNames: {
+            '#status': 'status'
+        },
+        ExpressionAttributeValues: {
+            ':paid': APPLICATION_STATUS.PAID,
+            ':paymentId': paymentId,
+            ':policyId': policyId,
+            ':now': new Date().toISOString()
+        }
+    };
+
+    try {
+        await ddbDocClient.send(new UpdateCommand(params));
+    } catch (error) {
+        error.tableName = APPLICATIONS_TABLE_NAME;
+        error.applicationId = applicationId;
+        throw error;
+    }
+}
+
+/**
+ * Close a pending application that will not be paid
+ * @param {string} applicationId
+ * @param {string} status - APPLICATION_STATUS.EXPIRED or APPLICATION_STATUS.CANCELLED
+ * @param {{ actor: string, reason?: string }} details
+ * @returns {Promise<Object|null>} The closed application, or null if it was no longer pending
+ */
+async function closeApplication(applicationId, status, { actor, reason }) {
+    assertTableConfigured();
+
+    const params = {
+        TableName: APPLICATIONS_TABLE_NAME,
+        Key: { applicationId },
+        UpdateExpression: `SET #status = :status, closedAt = :now, closedBy = :actor${reason ? ', closeReason = :reason' : ''}`,
+        ConditionExpression: 'attribute_exists(applicationId) AND #status = :pending',
+        ExpressionAttributeNames: {
+            '#status': 'status'
+        },
+        ExpressionAttributeValues: {
+            ':status': status,
+            ':pending': APPLICATION_STATUS.PENDING,
+            ':now': new Date().toISOString(),
+            ':actor': actor,
+            ...(reason && { ':reason': reason })
+        },
+        ReturnValues: 'ALL_NEW'
+    };
+
+    try {
+        const result = await ddbDocClient.send(new UpdateCommand(params));
+        return fromStoredApplication(result.Attributes);
+    } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') {
+            return null;
+        }
+        error.tableName = APPLICATIONS_TABLE_NAME;
+        error.applicationId = applicationId;
+        throw error;
+    }
+}
+
+module.exports = {
+    APPLICATION_STATUS,
+    PAYMENT_CHANNEL,
+    createApplication,
+    getApplication,
+    listApplicationsByStatus,
+    markApplicationPaid,
+    closeApplication
+};
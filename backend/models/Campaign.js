@@ -0,0 +1,292 @@
+const crypto = require('crypto');
+const { PutCommand, GetCommand, QueryCommand, ScanCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const { ddbDocClient } = require('./dynamoClient');
+
+const CAMPAIGNS_TABLE_NAME = process.env.DYNAMODB_CAMPAIGNS_TABLE_NAME;
+const STATUS_INDEX = 'status-scheduledAt-index';
+
+const CAMPAIGN_STATUS = {
+    DRAFT: 'draft',
+    SCHEDULED: 'scheduled',
+    SENDING: 'sending',
+    SENT: 'sent',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled'
+};
+
+// Allowed transitions, from -> [to]. A failed send can be retried.
+const CAMPAIGN_STATUS_TRANSITIONS = {
+    [CAMPAIGN_STATUS.DRAFT]: [CAMPAIGN_STATUS.SCHEDULED, CAMPAIGN_STATUS.SENDING, CAMPAIGN_STATUS.CANCELLED],
+    [CAMPAIGN_STATUS.SCHEDULED]: [CAMPAIGN_STATUS.DRAFT, CAMPAIGN_STATUS.SENDING, CAMPAIGN_STATUS.CANCELLED],
+    [CAMPAIGN_STATUS.SENDING]: [CAMPAIGN_STATUS.SENT, CAMPAIGN_STATUS.FAILED],
+    [CAMPAIGN_STATUS.SENT]: [],
+    [CAMPAIGN_STATUS.FAILED]: [CAMPAIGN_STATUS.SENDING, CAMPAIGN_STATUS.CANCELLED],
+    [CAMPAIGN_STATUS.CANCELLED]: []
+};
+
+// Content and targeting can only change before sending starts
+const EDITABLE_STATUSES = [CAMPAIGN_STATUS.DRAFT, CAMPAIGN_STATUS.SCHEDULED];
+const UPDATABLE_FIELDS = ['name', 'subject', 'htmlContent', 'segment'];
+
+function assertTableConfigured() {
+    if (!CAMPAIGNS_TABLE_NAME) {
+        throw new Error('DYNAMODB_CAMPAIGNS_TABLE_NAME environment variable is not set');
+    }
+}
+
+/**
+ * Whether a campaign in `fromStatus` may move to `toStatus`
+ * @param {string} fromStatus
+ * @param {string} toStatus
+ */
+function canTransitionCampaign(fromStatus, toStatus) {
+    return (CAMPAIGN_STATUS_TRANSITIONS[fromStatus] || []).includes(toStatus);
+}
+
+/**
+ * Store a new draft campaign
+ * @param {{ name: string, subject: string, htmlContent: string, segment: Object }} campaign - Validated fields
+ * @param {string} actor - Who created it
+ * @returns {Promise<Object>} The stored campaign
+ */
+async function createCampaign(campaign, actor) {
+    assertTableConfigured();
+
+    const now = new Date().toISOString();
+    const item = {
+        ...campaign,
+        campaignId: crypto.randomUUID(),
+        status: CAMPAIGN_STATUS.DRAFT,
+        createdAt: now,
+        createdBy: actor,
+        statusUpdatedAt: now,
+        statusHistory: [{ from: null, to: CAMPAIGN_STATUS.DRAFT, actor, at: now }]
+    };
+
+    try {
+        await ddbDocClient.send(new PutCommand({
+            TableName: CAMPAIGNS_TABLE_NAME,
+            Item: item,
+            ConditionExpression: 'attribute_not_exists(campaignId)'
+        }));
+        return item;
+    } catch (error) {
+        error.tableName = CAMPAIGNS_TABLE_NAME;
+        error.campaignId = item.campaignId;
+        throw error;
+    }
+}
+
+/**
+ * Get a campaign by ID
+ * @param {string} campaignId
+ * @returns {Promise<Object|null>}
+ */
+async function getCampaign(campaignId) {
+    assertTableConfigured();
+
+    try {
+        const result = await ddbDocClient.send(new GetCommand({
+            TableName: CAMPAIGNS_TABLE_NAME,
+            Key: { campaignId }
+        }));
+        return result.Item || null;
+    } catch (error) {
+        error.tableName = CAMPAIGNS_TABLE_NAME;
+        error.campaignId = campaignId;
+        throw error;
+    }
+}
+
+/**
+ * List campaigns, one page at a time. The HTML body is left out of the listing.
+ * @param {{ limit?: number, lastEvaluatedKey?: Object }} options
+ */
+async function listCampaigns(options = {}) {
+    assertTableConfigured();
+
+    const params = {
+        TableName: CAMPAIGNS_TABLE_NAME,
+        ...(options.limit && { Limit: options.limit }),
+        ...(options.lastEvaluatedKey && { ExclusiveStartKey: options.lastEvaluatedKey })
+    };
+
+    try {
+        const result = await ddbDocClient.send(new ScanCommand(params));
+        return {
+            items: (result.Items || []).map(({ htmlContent, ...summary }) => summary),
+            lastEvaluatedKey: result.LastEvaluatedKey
+        };
+    } catch (error) {
+        error.tableName = CAMPAIGNS_TABLE_NAME;
+        throw error;
+    }
+}
+
+/**
+ * Change the content or segment of a campaign that has not started sending
+ * @param {string} campaignId
+ * @param {Object} changes - Subset of UPDATABLE_FIELDS
+ * @param {string} actor - Who made the change
+ * @returns {Promise<Object|null>} The updated campaign, or null if it does not
+ *   exist or is no longer editable
+ */
+async function updateCampaign(campaignId, changes, actor) {
+    assertTableConfigured();
+
+    const names = { '#status': 'status' };
+    const values = {
+        ':now': new Date().toISOString(),
+        ':actor': actor,
+        ':draft': CAMPAIGN_STATUS.DRAFT,
+        ':scheduled': CAMPAIGN_STATUS.SCHEDULED
+    };
+    const setClauses = ['updatedAt = :now', 'updatedBy = :actor'];
+
+    UPDATABLE_FIELDS.filter((field) => changes[field] !== undefined).forEach((field) => {
+        names[`#${field}`] = field;
+        values[`:${field}`] = changes[field];
+        setClauses.push(`#${field} = :${field}`);
+    });
+
+    const params = {
+        TableName: CAMPAIGNS_TABLE_NAME,
+        Key: { campaignId },
+        UpdateExpression: `SET ${setClauses.join(', ')}`,
+        ConditionExpression: 'attribute_exists(campaignId) AND #status IN (:draft, :scheduled)',
+        ExpressionAttributeNames: names,
+        ExpressionAttributeValues: values,
+        ReturnValues: 'ALL_NEW'
+    };
+
+    try {
+        const result = await ddbDocClient.send(new UpdateCommand(params));
+        return result.Attributes;
+    } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') {
+            return null;
+        }
+        error.tableName = CAMPAIGNS_TABLE_NAME;
+        error.campaignId = campaignId;
+        throw error;
+    }
+}
+
+/**
+ * Move a campaign to a new status, recording who did it in its history.
+ * Fails if the campaign is no longer in `fromStatus`, so only one caller can
+ * start a send.
+ * @param {string} campaignId
+ * @param {string} toStatus
+ * @param {{ fromStatus: string, actor: string, reason?: string, attributes?: Object }} options
+ * @returns {Promise<Object>} The updated campaign
+ */
+async function transitionCampaignStatus(campaignId, toStatus, { fromStatus, actor, reason, attributes = {} }) {
+    assertTableConfigured();
+
+    if (!canTransitionCampaign(fromStatus, toStatus)) {
+        const error = new Error(`Cannot move campaign from ${fromStatus} to ${toStatus}`);
+        error.code = 'INVALID_STATUS_TRANSITION';
+        error.campaignId = campaignId;
+        throw error;
+    }
+
+    const now = new Date().toISOString();
+    const historyEntry = {
+        from: fromStatus,
+        to: toStatus,
+        actor,
+        at: now,
+        ...(reason && { reason })
+    };
+
+    const names = { '#status': 'status' };
+    const values = {
+        ':to': toStatus,
+        ':from': fromStatus,
+        ':now': now,
+        ':entry': [historyEntry]
+    };
+    const setClauses = [
+        '#status = :to',
+        'statusUpdatedAt = :now',
+        'statusHistory = list_append(statusHistory, :entry)'
+    ];
+    const removeClauses = [];
+
+    Object.entries(attributes).forEach(([name, value], index) => {
+        names[`#attr${index}`] = name;
+        if (value === null) {
+            removeClauses.push(`#attr${index}`);
+        } else {
+            values[`:attr${index}`] = value;
+            setClauses.push(`#attr${index} = :attr${index}`);
+        }
+    });
+
+    const params = {
+        TableName: CAMPAIGNS_TABLE_NAME,
+        Key: { campaignId },
+        UpdateExpression: `SET ${setClauses.join(', ')}${removeClauses.length ? ` REMOVE ${removeClauses.join(', ')}` : ''}`,
+        ConditionExpression: 'attribute_exists(campaignId) AND #status = :from',
+        ExpressionAttributeNames: names,
+        ExpressionAttributeValues: values,
+        ReturnValues: 'ALL_NEW'
+    };
+
+    try {
+        const result = await ddbDocClient.send(new UpdateCommand(params));
+        return result.Attributes;
+    } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') {
+            error.code = 'STATUS_CONFLICT';
+            error.message = `Campaign ${campaignId} is no longer ${fromStatus}`;
+        }
+        error.tableName = CAMPAIGNS_TABLE_NAME;
+        error.campaignId = campaignId;
+        throw error;
+    }
+}
+
+/**
+ * Scheduled campaigns whose send time has come, earliest first
+ * @param {string} now - ISO timestamp
+ * @returns {Promise<Object[]>}
+ */
+async function getDueCampaigns(now) {
+    assertTableConfigured();
+
+    const params = {
+        TableName: CAMPAIGNS_TABLE_NAME,
+        IndexName: STATUS_INDEX,
+        KeyConditionExpression: '#status = :scheduled AND scheduledAt <= :now',
+        ExpressionAttributeNames: {
+            '#status': 'status'
+        },
+        ExpressionAttributeValues: {
+            ':scheduled': CAMPAIGN_STATUS.SCHEDULED,
+            ':now': now
+        }
+    };
+
+    try {
+        const result = await ddbDocClient.send(new QueryCommand(params));
+        return result.Items || [];
+    } catch (error) {
+        error.tableName = CAMPAIGNS_TABLE_NAME;
+        throw error;
+    }
+}
+
+module.exports = {
+    CAMPAIGN_STATUS,
+    EDITABLE_STATUSES,
+    UPDATABLE_FIELDS,
+    canTransitionCampaign,
+    createCampaign,
+    getCampaign,
+    listCampaigns,
+    updateCampaign,
+    transitionCampaignStatus,
+    getDueCampaigns
+};
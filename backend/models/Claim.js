@@ -0,0 +1,232 @@
+const { PutCommand, GetCommand, QueryCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const { ddbDocClient } = require('./dynamoClient');
+const { encryptFields, decryptFields } = require('../utils/fieldEncryption');
+
+const CLAIMS_TABLE_NAME = process.env.DYNAMODB_CLAIMS_TABLE_NAME;
+const POLICY_INDEX = 'policyId-submittedAt-index';
+const STATUS_INDEX = 'status-submittedAt-index';
+
+const CLAIM_STATUS = {
+    SUBMITTED: 'submitted',
+    UNDER_REVIEW: 'under_review',
+    APPROVED: 'approved',
+    REJECTED: 'rejected',
+    PAID: 'paid'
+};
+
+// Allowed review transitions, from -> [to]
+const CLAIM_STATUS_TRANSITIONS = {
+    [CLAIM_STATUS.SUBMITTED]: [CLAIM_STATUS.UNDER_REVIEW, CLAIM_STATUS.REJECTED],
+    [CLAIM_STATUS.UNDER_REVIEW]: [CLAIM_STATUS.APPROVED, CLAIM_STATUS.REJECTED],
+    [CLAIM_STATUS.APPROVED]: [CLAIM_STATUS.PAID],
+    [CLAIM_STATUS.REJECTED]: [],
+    [CLAIM_STATUS.PAID]: []
+};
+
+// The incident description is often medical and the document list carries
+// file names, so both are encrypted at rest
+const ENCRYPTED_FIELDS = ['description', 'documents'];
+
+function assertTableConfigured() {
+    if (!CLAIMS_TABLE_NAME) {
+        throw new Error('DYNAMODB_CLAIMS_TABLE_NAME environment variable is not set');
+    }
+}
+
+async function fromStoredClaim(item) {
+    return item ? decryptFields(item) : null;
+}
+
+/**
+ * Whether a claim in `fromStatus` may move to `toStatus`
+ * @param {string} fromStatus
+ * @param {string} toStatus
+ */
+function canTransitionClaim(fromStatus, toStatus) {
+    return (CLAIM_STATUS_TRANSITIONS[fromStatus] || []).includes(toStatus);
+}
+
+/**
+ * Store a new claim
+ * @param {Object} claim - Claim with claimId, policyId, status and submittedAt
+ * @returns {Promise<Object>} The stored claim
+ */
+async function createClaim(claim) {
+    assertTableConfigured();
+
+    try {
+        await ddbDocClient.send(new PutCommand({
+            TableName: CLAIMS_TABLE_NAME,
+            Item: await encryptFields(claim, ENCRYPTED_FIELDS),
+            ConditionExpression: 'attribute_not_exists(claimId)'
+        }));
+        return claim;
+    } catch (error) {
+        error.tableName = CLAIMS_TABLE_NAME;
+        error.claimId = claim.claimId;
+        throw error;
+    }
+}
+
+/**
+ * Get a claim by ID
+ * @param {string} claimId
+ * @returns {Promise<Object|null>}
+ */
+async function getClaim(claimId) {
+    assertTableConfigured();
+
+    try {
+        const result = await ddbDocClient.send(new GetCommand({
+            TableName: CLAIMS_TABLE_NAME,
+            Key: { claimId }
+        }));
+        return fromStoredClaim(result.Item);
+    } catch (error) {
+        error.tableName = CLAIMS_TABLE_NAME;
+        error.claimId = claimId;
+        throw error;
+    }
+}
+
+/**
+ * Claims against a policy, newest first
+ * @param {string} policyId
+ * @returns {Promise<Object[]>}
+ */
+async function getClaimsByPolicy(policyId) {
+    assertTableConfigured();
+
+    try {
+        const result = await ddbDocClient.send(new QueryCommand({
+            TableName: CLAIMS_TABLE_NAME,
+            IndexName: POLICY_INDEX,
+            KeyConditionExpression: 'policyId = :policyId',
+            ExpressionAttributeValues: {
+                ':policyId': policyId
+            },
+            ScanIndexForward: false
+        }));
+        return Promise.all((result.Items || []).map(fromStoredClaim));
+    } catch (error) {
+        error.tableName = CLAIMS_TABLE_NAME;
+        error.policyId = policyId;
+        throw error;
+    }
+}
+
+/**
+ * List claims in a status, oldest first, so the review queue is worked in order.
+ * Descriptions and documents stay encrypted in the listing.
+ * @param {string} status
+ * @param {{ limit?: number, lastEvaluatedKey?: Object }} options
+ * @returns {Promise<{ items: Object[], lastEvaluatedKey?: Object }>}
+ */
+async function listClaimsByStatus(status, { limit, lastEvaluatedKey } = {}) {
+    assertTableConfigured();
+
+    const params = {
+        TableName: CLAIMS_TABLE_NAME,
+        IndexName: STATUS_INDEX,
+        KeyConditionExpression: '#status = :status',
+        ExpressionAttributeNames: {
+            '#status': 'status'
+        },
+        ExpressionAttributeValues: {
+            ':status': status
+        },
+        ...(limit && { Limit: limit }),
+        ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
+    };
+
+    try {
+        const result = await ddbDocClient.send(new QueryCommand(params));
+        return {
+            items: (result.Items || []).map(({ description, documents, _encryption, ...summary }) => summary),
+            lastEvaluatedKey: result.LastEvaluatedKey
+        };
+    } catch (error) {
+        error.tableName = CLAIMS_TABLE_NAME;
+        throw error;
+    }
+}
+
+/**
+ * Move a claim to a new status, recording who did it in its history.
+ * Fails if the claim is no longer in `fromStatus`.
+ * @param {string} claimId
+ * @param {string} toStatus
+ * @param {{ fromStatus: string, actor: string, reason?: string, attributes?: Object }} options
+ * @returns {Promise<Object>} The updated claim
+ */
+async function transitionClaimStatus(claimId, toStatus, { fromStatus, actor, reason, attributes = {} }) {
+    assertTableConfigured();
+
+    if (!canTransitionClaim(fromStatus, toStatus)) {
+        const error = new Error(`Cannot move claim from ${fromStatus} to ${toStatus}`);
+        error.code = 'INVALID_STATUS_TRANSITION';
+        error.claimId = claimId;
+        throw error;
+    }
+
+    const now = new Date().toISOString();
+    const historyEntry = {
+        from: fromStatus,
+        to: toStatus,
+        actor,
+        at: now,
+        ...(reason && { reason })
+    };
+
+    const names = { '#status': 'status' };
+    const values = {
+        ':to': toStatus,
+        ':from': fromStatus,
+        ':now': now,
+        ':entry': [historyEntry]
+    };
+    const setClauses = [
+        '#status = :to',
+        'statusUpdatedAt = :now',
+        'statusHistory = list_append(statusHistory, :entry)'
+    ];
+
+    Object.entries(attributes).forEach(([name, value], index) => {
+        names[`#attr${index}`] = name;
+        values[`:attr${index}`] = value;
+        setClauses.push(`#attr${index} = :attr${index}`);
+    });
+
+    const params = {
+        TableName: CLAIMS_TABLE_NAME,
+        Key: { claimId },
+        UpdateExpression: `SET ${setClauses.join(', ')}`,
+        ConditionExpression: 'attribute_exists(claimId) AND #status = :from',
+        ExpressionAttributeNames: names,
+        ExpressionAttributeValues: values,
+        ReturnValues: 'ALL_NEW'
+    };
+
+    try {
+        const result = await ddbDocClient.send(new UpdateCommand(params));
+        return fromStoredClaim(result.Attributes);
+    } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') {
+            error.code = 'STATUS_CONFLICT';
+            error.message = `Claim ${claimId} is no longer ${fromStatus}`;
+        }
+        error.tableName = CLAIMS_TABLE_NAME;
+        error.claimId = claimId;
+        throw error;
+    }
+}
+
+module.exports = {
+    CLAIM_STATUS,
+    canTransitionClaim,
+    createClaim,
+    getClaim,
+    getClaimsByPolicy,
+    listClaimsByStatus,
+    transitionClaimStatus
+};
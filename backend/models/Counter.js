@@ -0,0 +1,41 @@
+const { UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const { ddbDocClient } = require('./dynamoClient');
+
+const COUNTERS_TABLE_NAME = process.env.DYNAMODB_COUNTERS_TABLE_NAME;
+
+/**
+ * Atomically increment a named counter and return its new value.
+ * The counter item is created on first use, starting at 1.
+ * @param {string} counterId - Counter name, e.g. `policy#ST#26`
+ * @returns {Promise<number>}
+ */
+async function nextCounterValue(counterId) {
+    if (!COUNTERS_TABLE_NAME) {
+        throw new Error('DYNAMODB_COUNTERS_TABLE_NAME environment variable is not set');
+    }
+
+    const params = {
+        TableName: COUNTERS_TABLE_NAME,
+        Key: { counterId },
+        UpdateExpression: 'ADD #value :one SET updatedAt = :now',
+        ExpressionAttributeNames: {
+            '#value': 'value'
+        },
+        ExpressionAttributeValues: {
+            ':one': 1,
+            ':now': new Date().toISOString()
+        },
+        ReturnValues: 'UPDATED_NEW'
+    };
+
+    try {
+        const result = await ddbDocClient.send(new UpdateCommand(params));
+        return result.Attributes.value;
+    } catch (error) {
+        error.tableName = COUNTERS_TABLE_NAME;
+        error.counterId = counterId;
+        throw error;
+    }
+}
+
+module.exports = { nextCounterValue };
@@ -0,0 +1,253 @@
+const { GetCommand, PutCommand, QueryCommand, ScanCommand, TransactWriteCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const { ddbDocClient } = require('./dynamoClient');
+
+const COUPONS_TABLE_NAME = process.env.DYNAMODB_COUPONS_TABLE_NAME;
+// One item per paid order that used a coupon
+const REDEMPTIONS_TABLE_NAME = process.env.DYNAMODB_COUPON_REDEMPTIONS_TABLE_NAME;
+const COUPON_CUSTOMER_INDEX = 'couponCustomer-index';
+
+const DISCOUNT_TYPE = {
+    PERCENTAGE: 'percentage',
+    FLAT: 'flat'
+};
+
+// Fields an admin may change after a coupon is created
+const UPDATABLE_FIELDS = [
+    'description',
+    'eligiblePlans',
+    'validFrom',
+    'validUntil',
+    'maxRedemptions',
+    'maxRedemptionsPerCustomer',
+    'maxDiscount',
+    'active'
+];
+
+function assertTablesConfigured() {
+    if (!COUPONS_TABLE_NAME) {
+        throw new Error('DYNAMODB_COUPONS_TABLE_NAME environment variable is not set');
+    }
+    if (!REDEMPTIONS_TABLE_NAME) {
+        throw new Error('DYNAMODB_COUPON_REDEMPTIONS_TABLE_NAME environment variable is not set');
+    }
+}
+
+// Partition key of the per-customer redemption index
+const couponCustomerKey = (code, customerHash) => `${code}#${customerHash}`;
+
+/**
+ * Create a coupon. Fails if the code is already taken.
+ * @param {Object} coupon - Validated coupon fields, with `couponCode` already normalized
+ * @returns {Promise<Object|null>} The stored coupon, or null if the code exists
+ */
+async function createCoupon(coupon) {
+    assertTablesConfigured();
+
+    const item = {
+        ...coupon,
+        redemptionCount: 0,
+        createdAt: new Date().toISOString()
+    };
+
+    try {
+        await ddbDocClient.send(new PutCommand({
+            TableName: COUPONS_TABLE_NAME,
+            Item: item,
+            ConditionExpression: 'attribute_not_exists(couponCode)'
+        }));
+        return item;
+    } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') {
+            return null;
+        }
+        error.tableName = COUPONS_TABLE_NAME;
+        error.couponCode = coupon.couponCode;
+        throw error;
+    }
+}
+
+/**
+ * Get a coupon by its (normalized) code
+ * @param {string} code
+ */
+async function getCoupon(code) {
+    assertTablesConfigured();
+
+    try {
+        const result = await ddbDocClient.send(new GetCommand({
+            TableName: COUPONS_TABLE_NAME,
+            Key: { couponCode: code }
+        }));
+        return result.Item || null;
+    } catch (error) {
+        error.tableName = COUPONS_TABLE_NAME;
+        error.couponCode = code;
+        throw error;
+    }
+}
+
+/**
+ * Update the mutable fields of a coupon. `null` values remove the field.
+ * @param {string} code
+ * @param {Object} changes - Subset of UPDATABLE_FIELDS
+ * @param {string} actor - Who made the change
+ * @returns {Promise<Object|null>} The updated coupon, or null if it does not exist
+ */
+async function updateCoupon(code, changes, actor) {
+    assertTablesConfigured();
+
+    const names = {};
+    const values = { ':now': new Date().toISOString(), ':actor': actor };
+    const setClauses = ['updatedAt = :now', 'updatedBy = :actor'];
+    const removeClauses = [];
+
+    UPDATABLE_FIELDS.filter((field) => changes[field] !== undefined).forEach((field) => {
+        names[`#${field}`] = field;
+        if (changes[field] === null) {
+            removeClauses.push(`#${field}`);
+        } else {
+            values[`:${field}`] = changes[field];
+            setClauses.push(`#${field} = :${field}`);
+        }
+    });
+
+    const params = {
+        TableName: COUPONS_TABLE_NAME,
+        Key: { couponCode: code },
+        UpdateExpression: `SET ${setClauses.join(', ')}${removeClauses.length ? ` REMOVE ${removeClauses.join(', ')}` : ''}`,
+        ConditionExpression: 'attribute_exists(couponCode)',
+        ...(Object.keys(names).length && { ExpressionAttributeNames: names }),
+        ExpressionAttributeValues: values,
+        ReturnValues: 'ALL_NEW'
+    };
+
+    try {
+        const result = await ddbDocClient.send(new UpdateCommand(params));
+        return result.Attributes;
+    } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') {
+            return null;
+        }
+        error.tableName = COUPONS_TABLE_NAME;
+        error.couponCode = code;
+        throw error;
+    }
+}
+
+/**
+ * List coupons, one page at a time
+ * @param {{ limit?: number, lastEvaluatedKey?: Object }} options
+ */
+async function listCoupons(options = {}) {
+    assertTablesConfigured();
+
+    const params = {
+        TableName: COUPONS_TABLE_NAME,
+        ...(options.limit && { Limit: options.limit }),
+        ...(options.lastEvaluatedKey && { ExclusiveStartKey: options.lastEvaluatedKey })
+    };
+
+    try {
+        const result = await ddbDocClient.send(new ScanCommand(params));
+        return { items: result.Items || [], lastEvaluatedKey: result.LastEvaluatedKey };
+    } catch (error) {
+        error.tableName = COUPONS_TABLE_NAME;
+        throw error;
+    }
+}
+
+/**
+ * Number of paid orders on which a customer has used a coupon
+ * @param {string} code
+ * @param {string} customerHash - Email blind index of the customer
+ * @returns {Promise<number>}
+ */
+async function countCustomerRedemptions(code, customerHash) {
+    assertTablesConfigured();
+
+    const params = {
+        TableName: REDEMPTIONS_TABLE_NAME,
+        IndexName: COUPON_CUSTOMER_INDEX,
+        KeyConditionExpression: 'couponCustomer = :key',
+        ExpressionAttributeValues: {
+            ':key': couponCustomerKey(code, customerHash)
+        },
+        Select: 'COUNT'
+    };
+
+    try {
+        const result = await ddbDocClient.send(new QueryCommand(params));
+        return result.Count || 0;
+    } catch (error) {
+        error.tableName = REDEMPTIONS_TABLE_NAME;
+        error.couponCode = code;
+        throw error;
+    }
+}
+
+/**
+ * Record that a paid order used a coupon and bump the coupon's redemption
+ * count, atomically. Recording the same order twice has no effect.
+ * @param {{ code: string, orderId: string, paymentId: string, customerHash?: string, discount: number }} redemption
+ * @returns {Promise<{ recorded: boolean }>} `recorded` is false if the order was already recorded
+ */
+async function recordRedemption({ code, orderId, paymentId, customerHash, discount }) {
+    assertTablesConfigured();
+
+    const params = {
+        TransactItems: [
+            {
+                Put: {
+                    TableName: REDEMPTIONS_TABLE_NAME,
+                    Item: {
+                        orderId,
+                        couponCode: code,
+                        paymentId,
+                        discount,
+                        ...(customerHash && { couponCustomer: couponCustomerKey(code, customerHash) }),
+                        redeemedAt: new Date().toISOString()
+                    },
+                    ConditionExpression: 'attribute_not_exists(orderId)'
+                }
+            },
+            {
+                Update: {
+                    TableName: COUPONS_TABLE_NAME,
+                    Key: { couponCode: code },
+                    UpdateExpression: 'ADD redemptionCount :one',
+                    ConditionExpression: 'attribute_exists(couponCode)',
+                    ExpressionAttributeValues: {
+                        ':one': 1
+                    }
+                }
+            }
+        ]
+    };
+
+    try {
+        await ddbDocClient.send(new TransactWriteCommand(params));
+        return { recorded: true };
+    } catch (error) {
+        if (error.name === 'TransactionCanceledException') {
+            const [redemptionReason] = error.CancellationReasons || [];
+            if (redemptionReason && redemptionReason.Code === 'ConditionalCheckFailed') {
+                return { recorded: false };
+            }
+        }
+        error.tableName = REDEMPTIONS_TABLE_NAME;
+        error.couponCode = code;
+        error.orderId = orderId;
+        throw error;
+    }
+}
+
+module.exports = {
+    DISCOUNT_TYPE,
+    UPDATABLE_FIELDS,
+    createCoupon,
+    getCoupon,
+    updateCoupon,
+    listCoupons,
+    countCustomerRedemptions,
+    recordRedemption
+};
@@ -0,0 +1,281 @@
+const crypto = require('crypto');
+const { PutCommand, GetCommand, QueryCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const { ddbDocClient } = require('./dynamoClient');
+const { encryptFields, decryptFields } = require('../utils/fieldEncryption');
+
+const OUTBOX_TABLE_NAME = process.env.DYNAMODB_EMAIL_OUTBOX_TABLE_NAME;
+const STATUS_INDEX = 'status-nextAttemptAt-index';
+
+const EMAIL_STATUS = {
+    PENDING: 'pending',
+    SENDING: 'sending',
+    SENT: 'sent',
+    DEAD: 'dead'
+};
+
+// Emails are encrypted at rest: they carry customer names and addresses. Attachments are
+// kept in document storage and only referenced here (see services/emailOutbox.js).
+const ENCRYPTED_FIELDS = ['message'];
+
+function assertTableConfigured() {
+    if (!OUTBOX_TABLE_NAME) {
+        throw new Error('DYNAMODB_EMAIL_OUTBOX_TABLE_NAME environment variable is not set');
+    }
+}
+
+async function fromStoredEmail(item) {
+    return item ? decryptFields(item) : null;
+}
+
+/**
+ * Add an email to the outbox, ready to send immediately
+ * @param {Object} message - Email in Brevo's format (sender, to, subject, htmlContent, textContent)
+ * @param {{ type: string, maxAttempts: number, template?: Object }} options
+ * @returns {Promise<Object>} The outbox item
+ */
+async function enqueueEmail(message, { type, maxAttempts, template }) {
+    assertTableConfigured();
+
+    const now = new Date().toISOString();
+    const item = {
+        emailId: crypto.randomUUID(),
+        type,
+        // Which template version and language produced the email
+        ...(template && { template }),
+        status: EMAIL_STATUS.PENDING,
+        attempts: 0,
+        maxAttempts,
+        nextAttemptAt: now,
+        createdAt: now,
+        // Recipients kept in clear only as a count, for listing
+        recipientCount: message.to.length,
+        subject: message.subject,
+        message
+    };
+
+    try {
+        await ddbDocClient.send(new PutCommand({
+            TableName: OUTBOX_TABLE_NAME,
+            Item: await encryptFields(item, ENCRYPTED_FIELDS),
+            ConditionExpression: 'attribute_not_exists(emailId)'
+        }));
+        return item;
+    } catch (error) {
+        error.tableName = OUTBOX_TABLE_NAME;
+        throw error;
+    }
+}
+
+/**
+ * Get an outbox email by ID
+ * @param {string} emailId
+ */
+async function getEmail(emailId) {
+    assertTableConfigured();
+
+    try {
+        const result = await ddbDocClient.send(new GetCommand({
+            TableName: OUTBOX_TABLE_NAME,
+            Key: { emailId }
+        }));
+        return fromStoredEmail(result.Item);
+    } catch (error) {
+        error.tableName = OUTBOX_TABLE_NAME;
+        error.emailId = emailId;
+        throw error;
+    }
+}
+
+/**
+ * Claim an email for sending. Only one worker can claim a due email; the
+ * claim is a lease, so an email whose sender crashed becomes due again.
+ * @param {string} emailId
+ * @param {number} leaseMs - How long the claim lasts
+ * @returns {Promise<Object|null>} The claimed email, or null if someone else has it
+ */
+async function claimEmail(emailId, leaseMs) {
+    assertTableConfigured();
+
+    const now = new Date();
+    const params = {
+        TableName: OUTBOX_TABLE_NAME,
+        Key: { emailId },
+        UpdateExpression: 'SET #status = :sending, nextAttemptAt = :leaseUntil, attempts = attempts + :one',
+        ConditionExpression: '(#status = :pending OR #status = :sending) AND nextAttemptAt <= :now',
+        ExpressionAttributeNames: {
+            '#status': 'status'
+        },
+        ExpressionAttributeValues: {
+            ':sending': EMAIL_STATUS.SENDING,
+            ':pending': EMAIL_STATUS.PENDING,
+            ':now': now.toISOString(),
+            ':leaseUntil': new Date(now.getTime() + leaseMs).toISOString(),
+            ':one': 1
+        },
+        ReturnValues: 'ALL_NEW'
+    };
+
+    try {
+        const result = await ddbDocClient.send(new UpdateCommand(params));
+        return fromStoredEmail(result.Attributes);
+    } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') {
+            return null;
+        }
+        error.tableName = OUTBOX_TABLE_NAME;
+        error.emailId = emailId;
+        throw error;
+    }
+}
+
+/**
+ * Record a successful send. The send time becomes the sort key, so sent
+ * emails stay listable through the status index.
+ * @param {string} emailId
+ * @param {{ messageId: string, transport: string }} result
+ */
+async function markEmailSent(emailId, { messageId, transport }) {
+    assertTableConfigured();
+
+    try {
+        await ddbDocClient.send(new UpdateCommand({
+            TableName: OUTBOX_TABLE_NAME,
+            Key: { emailId },
+            UpdateExpression: 'SET #status = :sent, sentAt = :now, nextAttemptAt = :now, messageId = :messageId, transport = :transport REMOVE lastError',
+            ExpressionAttributeNames: {
+                '#status': 'status'
+            },
+            ExpressionAttributeValues: {
+                ':sent': EMAIL_STATUS.SENT,
+                ':now': new Date().toISOString(),
+                ':messageId': messageId || null,
+                ':transport': transport
+            }
+        }));
+    } catch (error) {
+        error.tableName = OUTBOX_TABLE_NAME;
+        error.emailId = emailId;
+        throw error;
+    }
+}
+
+/**
+ * Record a failed send: schedule a retry, or dead-letter the email
+ * @param {string} emailId
+ * @param {{ error: string, nextAttemptAt: string|null }} failure - No next attempt means dead-letter
+ */
+async function markEmailFailed(emailId, { error: errorMessage, nextAttemptAt }) {
+    assertTableConfigured();
+
+    const dead = !nextAttemptAt;
+    const params = {
+        TableName: OUTBOX_TABLE_NAME,
+        Key: { emailId },
+        UpdateExpression: 'SET #status = :status, lastError = :error, lastAttemptAt = :now, nextAttemptAt = :next',
+        ExpressionAttributeNames: {
+            '#status': 'status'
+        },
+        ExpressionAttributeValues: {
+            ':status': dead ? EMAIL_STATUS.DEAD : EMAIL_STATUS.PENDING,
+            ':error': String(errorMessage).slice(0, 1000),
+            ':now': new Date().toISOString(),
+            // Dead emails keep a sort key so they can be listed through the status index
+            ':next': nextAttemptAt || new Date().toISOString()
+        }
+    };
+
+    try {
+        await ddbDocClient.send(new UpdateCommand(params));
+    } catch (error) {
+        error.tableName = OUTBOX_TABLE_NAME;
+        error.emailId = emailId;
+        throw error;
+    }
+}
+
+/**
+ * Put a dead-lettered (or pending) email back in the queue with fresh attempts
+ * @param {string} emailId
+ * @returns {Promise<boolean>} False if the email does not exist or was already sent
+ */
+async function requeueEmail(emailId) {
+    assertTableConfigured();
+
+    try {
+        await ddbDocClient.send(new UpdateCommand({
+            TableName: OUTBOX_TABLE_NAME,
+            Key: { emailId },
+            UpdateExpression: 'SET #status = :pending, attempts = :zero, nextAttemptAt = :now',
+            ConditionExpression: 'attribute_exists(emailId) AND (#status = :dead OR #status = :pending)',
+            ExpressionAttributeNames: {
+                '#status': 'status'
+            },
+            ExpressionAttributeValues: {
+                ':pending': EMAIL_STATUS.PENDING,
+                ':dead': EMAIL_STATUS.DEAD,
+                ':zero': 0,
+                ':now': new Date().toISOString()
+            }
+        }));
+        return true;
+    } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') {
+            return false;
+        }
+        error.tableName = OUTBOX_TABLE_NAME;
+        error.emailId = emailId;
+        throw error;
+    }
+}
+
+/**
+ * List outbox emails in a status, oldest first
+ * @param {string} status
+ * @param {{ before?: string, limit?: number, lastEvaluatedKey?: Object, includeMessage?: boolean }} options
+ *   `before` only returns emails whose nextAttemptAt is at or before this ISO time
+ */
+async function listEmailsByStatus(status, options = {}) {
+    assertTableConfigured();
+
+    const params = {
+        TableName: OUTBOX_TABLE_NAME,
+        IndexName: STATUS_INDEX,
+        KeyConditionExpression: options.before
+            ? '#status = :status AND nextAttemptAt <= :before'
+            : '#status = :status',
+        ExpressionAttributeNames: {
+            '#status': 'status'
+        },
+        ExpressionAttributeValues: {
+            ':status': status,
+            ...(options.before && { ':before': options.before })
+        },
+        ...(options.limit && { Limit: options.limit }),
+        ...(options.lastEvaluatedKey && { ExclusiveStartKey: options.lastEvaluatedKey })
+    };
+
+    try {
+        const result = await ddbDocClient.send(new QueryCommand(params));
+        const items = result.Items || [];
+        return {
+            items: options.includeMessage
+                ? await Promise.all(items.map(fromStoredEmail))
+                : items.map(({ message, _encryption, ...summary }) => summary),
+            lastEvaluatedKey: result.LastEvaluatedKey
+        };
+    } catch (error) {
+        error.tableName = OUTBOX_TABLE_NAME;
+        throw error;
+    }
+}
+
+module.exports = {
+    EMAIL_STATUS,
+    enqueueEmail,
+    getEmail,
+    claimEmail,
+    markEmailSent,
+    markEmailFailed,
+    requeueEmail,
+    listEmailsByStatus
+};
@@ -0,0 +1,323 @@
+const { BatchWriteCommand, GetCommand, PutCommand, QueryCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const { ddbDocClient } = require('./dynamoClient');
+const { encryptFields, decryptFields } = require('../utils/fieldEncryption');
+
+const GROUPS_TABLE_NAME = process.env.DYNAMODB_GROUP_ENROLLMENTS_TABLE_NAME;
+// One item per student, keyed by group and CSV row, so groups are not held to DynamoDB's item size limit
+const MEMBERS_TABLE_NAME = process.env.DYNAMODB_GROUP_MEMBERS_TABLE_NAME;
+const STATUS_INDEX = 'status-createdAt-index';
+// DynamoDB's limit on items per BatchWriteItem request
+const BATCH_WRITE_LIMIT = 25;
+const MAX_BATCH_ATTEMPTS = 5;
+
+const GROUP_STATUS = {
+    PENDING_PAYMENT: 'pending_payment',
+    ISSUING: 'issuing',
+    ISSUED: 'issued'
+};
+
+function assertTablesConfigured() {
+    if (!GROUPS_TABLE_NAME) {
+        throw new Error('DYNAMODB_GROUP_ENROLLMENTS_TABLE_NAME environment variable is not set');
+    }
+    if (!MEMBERS_TABLE_NAME) {
+        throw new Error('DYNAMODB_GROUP_MEMBERS_TABLE_NAME environment variable is not set');
+    }
+}
+
+// Write items in batches, asking again for any DynamoDB leaves unprocessed
+async function batchPut(tableName, items) {
+    for (let i = 0; i < items.length; i += BATCH_WRITE_LIMIT) {
+        let requests = items.slice(i, i + BATCH_WRITE_LIMIT).map((Item) => ({ PutRequest: { Item } }));
+
+        for (let attempt = 1; requests.length > 0; attempt++) {
+            if (attempt > MAX_BATCH_ATTEMPTS) {
+                throw new Error('Could not write all group members');
+            }
+            const result = await ddbDocClient.send(new BatchWriteCommand({
+                RequestItems: { [tableName]: requests }
+            }));
+            requests = result.UnprocessedItems?.[tableName] || [];
+        }
+    }
+}
+
+/**
+ * Save a group enrollment awaiting payment, with one member per student
+ * @param {{ groupId: string, institutionName: string, planType: string, orderId: string, amount: number,
+ *   memberAmount: number, currency: string, createdBy: string }} group - `amount` is the total for all members
+ * @param {Array<{ rowNumber: number, userData: Object }>} members - `rowNumber` is the student's row in the CSV
+ * @returns {Promise<Object>} The stored group
+ */
+async function createGroupEnrollment(group, members) {
+    assertTablesConfigured();
+
+    const createdAt = new Date().toISOString();
+    const item = {
+        ...group,
+        memberCount: members.length,
+        issuedCount: 0,
+        status: GROUP_STATUS.PENDING_PAYMENT,
+        createdAt
+    };
+
+    try {
+        // Members first, so a stored group always has all of them
+        const memberItems = await Promise.all(members.map(async ({ rowNumber, userData }) => ({
+            groupId: group.groupId,
+            rowNumber,
+            userData: await encryptFields(userData),
+            createdAt
+        })));
+        await batchPut(MEMBERS_TABLE_NAME, memberItems);
+    } catch (error) {
+        error.tableName = MEMBERS_TABLE_NAME;
+        error.groupId = group.groupId;
+        throw error;
+    }
+
+    try {
+        await ddbDocClient.send(new PutCommand({
+            TableName: GROUPS_TABLE_NAME,
+            Item: item,
+            ConditionExpression: 'attribute_not_exists(groupId)'
+        }));
+        return item;
+    } catch (error) {
+        error.tableName = GROUPS_TABLE_NAME;
+        error.groupId = group.groupId;
+        throw error;
+    }
+}
+
+/**
+ * Get a group enrollment by ID, without its members
+ * @param {string} groupId
+ * @returns {Promise<Object|null>}
+ */
+async function getGroupEnrollment(groupId) {
+    assertTablesConfigured();
+
+    try {
+        const result = await ddbDocClient.send(new GetCommand({
+            TableName: GROUPS_TABLE_NAME,
+            Key: { groupId }
+        }));
+        return result.Item || null;
+    } catch (error) {
+        error.tableName = GROUPS_TABLE_NAME;
+        error.groupId = groupId;
+        throw error;
+    }
+}
+
+/**
+ * All members of a group in CSV row order, with their customer data
+ * @param {string} groupId
+ * @returns {Promise<Object[]>}
+ */
+async function listGroupMembers(groupId) {
+    assertTablesConfigured();
+
+    const members = [];
+    let lastEvaluatedKey;
+
+    try {
+        do {
+            const result = await ddbDocClient.send(new QueryCommand({
+                TableName: MEMBERS_TABLE_NAME,
+                KeyConditionExpression: 'groupId = :groupId',
+                ExpressionAttributeValues: {
+                    ':groupId': groupId
+                },
+                ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
+            }));
+            members.push(...result.Items || []);
+            lastEvaluatedKey = result.LastEvaluatedKey;
+        } while (lastEvaluatedKey);
+    } catch (error) {
+        error.tableName = MEMBERS_TABLE_NAME;
+        error.groupId = groupId;
+        throw error;
+    }
+
+    return Promise.all(members.map(async (member) => ({
+        ...member,
+        userData: await decryptFields(member.userData)
+    })));
+}
+
+/**
+ * List group enrollments in a status, oldest first
+ * @param {string} status
+ * @param {{ limit?: number, lastEvaluatedKey?: Object }} options
+ * @returns {Promise<{ items: Object[], lastEvaluatedKey?: Object }>}
+ */
+async function listGroupEnrollmentsByStatus(status, { limit, lastEvaluatedKey } = {}) {
+    assertTablesConfigured();
+
+    const params = {
+        TableName: GROUPS_TABLE_NAME,
+        IndexName: STATUS_INDEX,
+        KeyConditionExpression: '#status = :status',
+        ExpressionAttributeNames: {
+            '#status': 'status'
+        },
+        ExpressionAttributeValues: {
+            ':status': status
+        },
+        ...(limit && { Limit: limit }),
+        ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
+    };
+
+    try {
+        const result = await ddbDocClient.send(new QueryCommand(params));
+        return { items: result.Items || [], lastEvaluatedKey: result.LastEvaluatedKey };
+    } catch (error) {
+        error.tableName = GROUPS_TABLE_NAME;
+        throw error;
+    }
+}
+
+/**
+ * Record the payment for a group and start issuing its policies
+ * @param {string} groupId
+ * @param {{ paymentId: string }} details
+ * @returns {Promise<Object|null>} The updated group, or null if it was already paid
+ */
+async function markGroupPaid(groupId, { paymentId }) {
+    assertTablesConfigured();
+
+    const params = {
+        TableName: GROUPS_TABLE_NAME,
+        Key: { groupId },
+        UpdateExpression: 'SET #status = :issuing, paymentId = :paymentId, paidAt = :now',
+        ConditionExpression: '#status = :pendingPayment',
+        ExpressionAttributeNames: {
+            '#status': 'status'
+        },
+        ExpressionAttributeValues: {
+            ':issuing': GROUP_STATUS.ISSUING,
+            ':pendingPayment': GROUP_STATUS.PENDING_PAYMENT,
+            ':paymentId': paymentId,
+            ':now': new Date().toISOString()
+        },
+        ReturnValues: 'ALL_NEW'
+    };
+
+    try {
+        const result = await ddbDocClient.send(new UpdateCommand(params));
+        return result.Attributes;
+    } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') {
+            return null;
+        }
+        error.tableName = GROUPS_TABLE_NAME;
+        error.groupId = groupId;
+        throw error;
+    }
+}
+
+/**
+ * Update one member of a group
+ * @param {string} groupId
+ * @param {number} rowNumber
+ * @param {{ policyId?: string, emailQueuedAt?: string }} changes
+ */
+async function updateGroupMember(groupId, rowNumber, changes) {
+    assertTablesConfigured();
+
+    const fields = Object.keys(changes);
+    const params = {
+        TableName: MEMBERS_TABLE_NAME,
+        Key: { groupId, rowNumber },
+        UpdateExpression: `SET ${fields.map((field) => `#${field} = :${field}`).join(', ')}`,
+        ConditionExpression: 'attribute_exists(groupId)',
+        ExpressionAttributeNames: Object.fromEntries(fields.map((field) => [`#${field}`, field])),
+        ExpressionAttributeValues: Object.fromEntries(fields.map((field) => [`:${field}`, changes[field]]))
+    };
+
+    try {
+        await ddbDocClient.send(new UpdateCommand(params));
+    } catch (error) {
+        error.tableName = MEMBERS_TABLE_NAME;
+        error.groupId = groupId;
+        throw error;
+    }
+}
+
+/**
+ * Mark a group as issued once every member has a policy and confirmation email
+ * @param {string} groupId
+ * @param {{ issuedCount: number }} details
+ */
+async function markGroupIssued(groupId, { issuedCount }) {
+    assertTablesConfigured();
+
+    const params = {
+        TableName: GROUPS_TABLE_NAME,
+        Key: { groupId },
+        UpdateExpression: 'SET #status = :issued, issuedCount = :issuedCount, issuedAt = :now',
+        ConditionExpression: '#status = :issuing',
+        ExpressionAttributeNames: {
+            '#status': 'status'
+        },
+        ExpressionAttributeValues: {
+            ':issued': GROUP_STATUS.ISSUED,
+            ':issuing': GROUP_STATUS.ISSUING,
+            ':issuedCount': issuedCount,
+            ':now': new Date().toISOString()
+        }
+    };
+
+    try {
+        await ddbDocClient.send(new UpdateCommand(params));
+    } catch (error) {
+        // Another run finished the group first
+        if (error.name === 'ConditionalCheckFailedException') {
+            return;
+        }
+        error.tableName = GROUPS_TABLE_NAME;
+        error.groupId = groupId;
+        throw error;
+    }
+}
+
+/**
+ * Record progress on a group that is still issuing
+ * @param {string} groupId
+ * @param {{ issuedCount: number, lastError?: string }} details
+ */
+async function setGroupProgress(groupId, { issuedCount, lastError }) {
+    assertTablesConfigured();
+
+    const params = {
+        TableName: GROUPS_TABLE_NAME,
+        Key: { groupId },
+        UpdateExpression: `SET issuedCount = :issuedCount${lastError ? ', lastError = :lastError' : ' REMOVE lastError'}`,
+        ExpressionAttributeValues: {
+            ':issuedCount': issuedCount,
+            ...(lastError && { ':lastError': lastError })
+        }
+    };
+
+    try {
+        await ddbDocClient.send(new UpdateCommand(params));
+    } catch (error) {
+        error.tableName = GROUPS_TABLE_NAME;
+        error.groupId = groupId;
+        throw error;
+    }
+}
+
+module.exports = {
+    GROUP_STATUS,
+    createGroupEnrollment,
+    getGroupEnrollment,
+    listGroupMembers,
+    listGroupEnrollmentsByStatus,
+    markGroupPaid,
+    updateGroupMember,
+    markGroupIssued,
+    setGroupProgress
+};
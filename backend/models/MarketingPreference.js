@@ -0,0 +1,85 @@
+const { BatchGetCommand, PutCommand } = require('@aws-sdk/lib-dynamodb');
+const { ddbDocClient } = require('./dynamoClient');
+
+const PREFERENCES_TABLE_NAME = process.env.DYNAMODB_MARKETING_PREFERENCES_TABLE_NAME;
+// DynamoDB's limit on keys per BatchGetItem request
+const BATCH_GET_LIMIT = 100;
+const MAX_BATCH_ATTEMPTS = 5;
+
+function assertTableConfigured() {
+    if (!PREFERENCES_TABLE_NAME) {
+        throw new Error('DYNAMODB_MARKETING_PREFERENCES_TABLE_NAME environment variable is not set');
+    }
+}
+
+/**
+ * Record that a customer does not want marketing email. Customers are keyed by
+ * the blind index of their email, so the opt-out covers all their policies,
+ * including ones bought later.
+ * @param {string} emailHash - Email blind index
+ * @param {{ source: string }} details - Where the opt-out came from, e.g. unsubscribe-link
+ */
+async function setMarketingOptOut(emailHash, { source }) {
+    assertTableConfigured();
+
+    const item = {
+        emailHash,
+        marketingOptOut: true,
+        source,
+        updatedAt: new Date().toISOString()
+    };
+
+    try {
+        await ddbDocClient.send(new PutCommand({
+            TableName: PREFERENCES_TABLE_NAME,
+            Item: item
+        }));
+        return item;
+    } catch (error) {
+        error.tableName = PREFERENCES_TABLE_NAME;
+        throw error;
+    }
+}
+
+/**
+ * Which of the given customers have opted out of marketing email
+ * @param {string[]} emailHashes - Email blind indexes
+ * @returns {Promise<Set<string>>} The opted-out email hashes
+ */
+async function getOptedOutEmailHashes(emailHashes) {
+    assertTableConfigured();
+
+    const optedOut = new Set();
+    const unique = Array.from(new Set(emailHashes));
+
+    try {
+        for (let i = 0; i < unique.length; i += BATCH_GET_LIMIT) {
+            let keys = unique.slice(i, i + BATCH_GET_LIMIT).map((emailHash) => ({ emailHash }));
+
+            // Throttled keys come back unprocessed and are asked for again
+            for (let attempt = 1; keys.length > 0; attempt++) {
+                if (attempt > MAX_BATCH_ATTEMPTS) {
+                    throw new Error('Could not read all marketing preferences');
+                }
+                const result = await ddbDocClient.send(new BatchGetCommand({
+                    RequestItems: {
+                        [PREFERENCES_TABLE_NAME]: { Keys: keys }
+                    }
+                }));
+                (result.Responses?.[PREFERENCES_TABLE_NAME] || [])
+                    .filter((item) => item.marketingOptOut)
+                    .forEach((item) => optedOut.add(item.emailHash));
+                keys = result.UnprocessedKeys?.[PREFERENCES_TABLE_NAME]?.Keys || [];
+            }
+        }
+        return optedOut;
+    } catch (error) {
+        error.tableName = PREFERENCES_TABLE_NAME;
+        throw error;
+    }
+}
+
+module.exports = {
+    setMarketingOptOut,
+    getOptedOutEmailHashes
+};
@@ -0,0 +1,186 @@
+const { PutCommand, GetCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const { ddbDocClient } = require('./dynamoClient');
+const { encryptFields, decryptFields } = require('../utils/fieldEncryption');
+
+const ORDERS_TABLE_NAME = process.env.DYNAMODB_ORDERS_TABLE_NAME;
+
+// Unpaid orders are removed by DynamoDB TTL after this many hours. Razorpay orders
+// themselves never expire: a payment on an expired order that still exists is honoured,
+// and one whose order is gone raises a security alert.
+const ORDER_TTL_HOURS = parseInt(process.env.ORDER_TTL_HOURS, 10) || 48;
+// Institutions often pay group enrollments days or weeks after the order is created
+const GROUP_ORDER_TTL_HOURS = parseInt(process.env.GROUP_ORDER_TTL_HOURS, 10) || 30 * 24;
+
+const ORDER_STATUS = {
+    CREATED: 'created',
+    PAID: 'paid',
+    FAILED: 'failed',
+    EXPIRED: 'expired'
+};
+
+function assertTableConfigured() {
+    if (!ORDERS_TABLE_NAME) {
+        throw new Error('DYNAMODB_ORDERS_TABLE_NAME environment variable is not set');
+    }
+}
+
+/**
+ * Save a newly created Razorpay order
+ * @param {{ orderId: string, planType: string, amount: number, currency: string, userData?: object,
+ *   baseAmount?: number, coupon?: object, renewalOf?: string, groupId?: string, partnerId?: string,
+ *   commissionRate?: number }} order - `amount` is what the customer pays, after any coupon; `renewalOf` is the
+ *   policy being renewed; `groupId` is the group enrollment the order pays for; `partnerId` is the partner whose
+ *   referral code was used, and `commissionRate` its commission when the order was created
+ */
+async function createOrder(order) {
+    assertTableConfigured();
+
+    const now = Date.now();
+    const ttlHours = order.groupId ? GROUP_ORDER_TTL_HOURS : ORDER_TTL_HOURS;
+    const item = {
+        ...order,
+        // Customer data is held until payment, so it is encrypted like on policies
+        ...(order.userData && { userData: await encryptFields(order.userData) }),
+        status: ORDER_STATUS.CREATED,
+        createdAt: new Date(now).toISOString(),
+        // DynamoDB TTL attribute (epoch seconds)
+        expiresAt: Math.floor(now / 1000) + ttlHours * 60 * 60
+    };
+
+    const params = {
+        TableName: ORDERS_TABLE_NAME,
+        Item: item,
+        ConditionExpression: 'attribute_not_exists(orderId)'
+    };
+
+    try {
+        await ddbDocClient.send(new PutCommand(params));
+        return { ...item, userData: order.userData };
+    } catch (error) {
+        error.tableName = ORDERS_TABLE_NAME;
+        error.orderId = order.orderId;
+        throw error;
+    }
+}
+
+/**
+ * Get an order by its Razorpay order ID.
+ * TTL deletion can lag by up to 48 hours, so unpaid orders past their
+ * expiry are reported as expired even while the item still exists.
+ * @param {string} orderId
+ * @returns {Promise<Object|null>}
+ */
+async function getOrder(orderId) {
+    assertTableConfigured();
+
+    try {
+        const result = await ddbDocClient.send(new GetCommand({
+            TableName: ORDERS_TABLE_NAME,
+            Key: { orderId }
+        }));
+
+        const order = result.Item;
+        if (!order) {
+            return null;
+        }
+
+        if (order.status !== ORDER_STATUS.PAID && order.expiresAt && order.expiresAt <= Math.floor(Date.now() / 1000)) {
+            order.status = ORDER_STATUS.EXPIRED;
+        }
+        if (order.userData) {
+            order.userData = await decryptFields(order.userData);
+        }
+
+        return order;
+    } catch (error) {
+        error.tableName = ORDERS_TABLE_NAME;
+        error.orderId = orderId;
+        throw error;
+    }
+}
+
+/**
+ * Mark an order as paid. Paid orders are kept permanently, so the TTL is removed.
+ * @param {string} orderId
+ * @param {{ paymentId: string, policyId?: string }} details
+ */
+async function markOrderPaid(orderId, { paymentId, policyId }) {
+    assertTableConfigured();
+
+    const params = {
+        TableName: ORDERS_TABLE_NAME,
+        Key: { orderId },
+        UpdateExpression: `SET #status = :paid, paymentId = :paymentId, paidAt = if_not_exists(paidAt, :now)${policyId ? ', policyId = :policyId' : ''} REMOVE expiresAt`,
+        ConditionExpression: 'attribute_exists(orderId)',
+        ExpressionAttributeNames: {
+            '#status': 'status'
+        },
+        ExpressionAttributeValues: {
+            ':paid': ORDER_STATUS.PAID,
+            ':paymentId': paymentId,
+            ':now': new Date().toISOString(),
+            ...(policyId && { ':policyId': policyId })
+        },
+        ReturnValues: 'ALL_NEW'
+    };
+
+    try {
+        const result = await ddbDocClient.send(new UpdateCommand(params));
+        const updated = result.Attributes;
+        if (updated.userData) {
+            updated.userData = await decryptFields(updated.userData);
+        }
+        return updated;
+    } catch (error) {
+        error.tableName = ORDERS_TABLE_NAME;
+        error.orderId = orderId;
+        throw error;
+    }
+}
+
+/**
+ * Record a failed payment attempt. Razorpay lets the customer retry on the
+ * same order, so a failed order can still become paid later.
+ * @param {string} orderId
+ * @param {{ paymentId: string, reason?: string }} details
+ */
+async function markOrderFailed(orderId, { paymentId, reason }) {
+    assertTableConfigured();
+
+    const params = {
+        TableName: ORDERS_TABLE_NAME,
+        Key: { orderId },
+        UpdateExpression: 'SET #status = :failed, lastFailedPaymentId = :paymentId, failureReason = :reason',
+        ConditionExpression: 'attribute_exists(orderId) AND #status <> :paid',
+        ExpressionAttributeNames: {
+            '#status': 'status'
+        },
+        ExpressionAttributeValues: {
+            ':failed': ORDER_STATUS.FAILED,
+            ':paid': ORDER_STATUS.PAID,
+            ':paymentId': paymentId,
+            ':reason': reason || null
+        }
+    };
+
+    try {
+        await ddbDocClient.send(new UpdateCommand(params));
+        return true;
+    } catch (error) {
+        // Unknown or already paid orders are left untouched
+        if (error.name === 'ConditionalCheckFailedException') {
+            return false;
+        }
+        error.tableName = ORDERS_TABLE_NAME;
+        error.orderId = orderId;
+        throw error;
+    }
+}
+
+module.exports = {
+    ORDER_STATUS,
+    createOrder,
+    getOrder,
+    markOrderPaid,
+    markOrderFailed
+};
@@ -0,0 +1,244 @@
+const { GetCommand, ScanCommand, TransactWriteCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const { ddbDocClient } = require('./dynamoClient');
+
+const PARTNERS_TABLE_NAME = process.env.DYNAMODB_PARTNERS_TABLE_NAME;
+// Referral codes are reserved as lock items, so two partners can never share one
+const LOCKS_TABLE_NAME = process.env.DYNAMODB_LOCKS_TABLE_NAME;
+
+const PARTNER_TYPE = {
+    COLLEGE: 'college',
+    DISTRIBUTOR: 'distributor'
+};
+
+// Fields an admin may change after creation; the partner ID and referral code are fixed
+const UPDATABLE_FIELDS = ['name', 'type', 'active', 'priceOverrides', 'commissionRate', 'branding', 'support'];
+
+function assertTablesConfigured() {
+    if (!PARTNERS_TABLE_NAME) {
+        throw new Error('DYNAMODB_PARTNERS_TABLE_NAME environment variable is not set');
+    }
+    if (!LOCKS_TABLE_NAME) {
+        throw new Error('DYNAMODB_LOCKS_TABLE_NAME environment variable is not set');
+    }
+}
+
+const referralLockId = (referralCode) => `referral#${referralCode}`;
+
+// Partners as returned to callers: the API key hash never leaves the model
+function withoutSecrets(partner) {
+    if (!partner) {
+        return null;
+    }
+    const { apiKeyHash, ...rest } = partner;
+    return rest;
+}
+
+/**
+ * Create a partner and reserve its referral code
+ * @param {Object} partner - Validated partner fields, with `partnerId` and `referralCode` normalized
+ * @param {{ apiKeyHash: string, actor: string }} details
+ * @returns {Promise<Object>} The stored partner
+ * @throws {Error} With code PARTNER_EXISTS or REFERRAL_CODE_TAKEN on a conflict
+ */
+async function createPartner(partner, { apiKeyHash, actor }) {
+    assertTablesConfigured();
+
+    const createdAt = new Date().toISOString();
+    const item = { ...partner, apiKeyHash, createdAt, createdBy: actor };
+
+    try {
+        await ddbDocClient.send(new TransactWriteCommand({
+            TransactItems: [
+                {
+                    Put: {
+                        TableName: PARTNERS_TABLE_NAME,
+                        Item: item,
+                        ConditionExpression: 'attribute_not_exists(partnerId)'
+                    }
+                },
+                {
+                    Put: {
+                        TableName: LOCKS_TABLE_NAME,
+                        Item: { lockId: referralLockId(partner.referralCode), partnerId: partner.partnerId, createdAt },
+                        ConditionExpression: 'attribute_not_exists(lockId)'
+                    }
+                }
+            ]
+        }));
+        return withoutSecrets(item);
+    } catch (error) {
+        if (error.name === 'TransactionCanceledException') {
+            const [partnerReason, referralReason] = error.CancellationReasons || [];
+            if (partnerReason?.Code === 'ConditionalCheckFailed' || referralReason?.Code === 'ConditionalCheckFailed') {
+                const conflict = new Error(partnerReason?.Code === 'ConditionalCheckFailed'
+                    ? `Partner ${partner.partnerId} already exists`
+                    : `Referral code ${partner.referralCode} is already taken`);
+                conflict.code = partnerReason?.Code === 'ConditionalCheckFailed' ? 'PARTNER_EXISTS' : 'REFERRAL_CODE_TAKEN';
+                throw conflict;
+            }
+        }
+        error.tableName = PARTNERS_TABLE_NAME;
+        error.partnerId = partner.partnerId;
+        throw error;
+    }
+}
+
+/**
+ * Get a partner by ID
+ * @param {string} partnerId
+ * @param {{ includeApiKeyHash?: boolean }} options - Only partner authentication needs the hash
+ * @returns {Promise<Object|null>}
+ */
+async function getPartner(partnerId, { includeApiKeyHash = false } = {}) {
+    assertTablesConfigured();
+
+    try {
+        const result = await ddbDocClient.send(new GetCommand({
+            TableName: PARTNERS_TABLE_NAME,
+            Key: { partnerId }
+        }));
+        return includeApiKeyHash ? result.Item || null : withoutSecrets(result.Item);
+    } catch (error) {
+        error.tableName = PARTNERS_TABLE_NAME;
+        error.partnerId = partnerId;
+        throw error;
+    }
+}
+
+/**
+ * Get the partner a (normalized) referral code belongs to
+ * @param {string} referralCode
+ * @returns {Promise<Object|null>}
+ */
+async function getPartnerByReferralCode(referralCode) {
+    assertTablesConfigured();
+
+    let lock;
+    try {
+        const result = await ddbDocClient.send(new GetCommand({
+            TableName: LOCKS_TABLE_NAME,
+            Key: { lockId: referralLockId(referralCode) }
+        }));
+        lock = result.Item;
+    } catch (error) {
+        error.tableName = LOCKS_TABLE_NAME;
+        throw error;
+    }
+
+    return lock ? getPartner(lock.partnerId) : null;
+}
+
+/**
+ * Update the mutable fields of a partner. `null` values remove the field.
+ * @param {string} partnerId
+ * @param {Object} changes - Subset of UPDATABLE_FIELDS
+ * @param {string} actor - Who made the change
+ * @returns {Promise<Object|null>} The updated partner, or null if it does not exist
+ */
+async function updatePartner(partnerId, changes, actor) {
+    assertTablesConfigured();
+
+    const names = {};
+    const values = { ':now': new Date().toISOString(), ':actor': actor };
+    const setClauses = ['updatedAt = :now', 'updatedBy = :actor'];
+    const removeClauses = [];
+
+    UPDATABLE_FIELDS.filter((field) => changes[field] !== undefined).forEach((field) => {
+        names[`#${field}`] = field;
+        if (changes[field] === null) {
+            removeClauses.push(`#${field}`);
+        } else {
+            values[`:${field}`] = changes[field];
+            setClauses.push(`#${field} = :${field}`);
+        }
+    });
+
+    const params = {
+        TableName: PARTNERS_TABLE_NAME,
+        Key: { partnerId },
+        UpdateExpression: `SET ${setClauses.join(', ')}${removeClauses.length ? ` REMOVE ${removeClauses.join(', ')}` : ''}`,
+        ConditionExpression: 'attribute_exists(partnerId)',
+        ...(Object.keys(names).length && { ExpressionAttributeNames: names }),
+        ExpressionAttributeValues: values,
+        ReturnValues: 'ALL_NEW'
+    };
+
+    try {
+        const result = await ddbDocClient.send(new UpdateCommand(params));
+        return withoutSecrets(result.Attributes);
+    } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') {
+            return null;
+        }
+        error.tableName = PARTNERS_TABLE_NAME;
+        error.partnerId = partnerId;
+        throw error;
+    }
+}
+
+/**
+ * Replace a partner's API key hash, which revokes the old key
+ * @param {string} partnerId
+ * @param {{ apiKeyHash: string, actor: string }} details
+ * @returns {Promise<boolean>} false if the partner does not exist
+ */
+async function setPartnerApiKeyHash(partnerId, { apiKeyHash, actor }) {
+    assertTablesConfigured();
+
+    const params = {
+        TableName: PARTNERS_TABLE_NAME,
+        Key: { partnerId },
+        UpdateExpression: 'SET apiKeyHash = :apiKeyHash, apiKeyRotatedAt = :now, updatedAt = :now, updatedBy = :actor',
+        ConditionExpression: 'attribute_exists(partnerId)',
+        ExpressionAttributeValues: {
+            ':apiKeyHash': apiKeyHash,
+            ':now': new Date().toISOString(),
+            ':actor': actor
+        }
+    };
+
+    try {
+        await ddbDocClient.send(new UpdateCommand(params));
+        return true;
+    } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') {
+            return false;
+        }
+        error.tableName = PARTNERS_TABLE_NAME;
+        error.partnerId = partnerId;
+        throw error;
+    }
+}
+
+/**
+ * List partners, one page at a time
+ * @param {{ limit?: number, lastEvaluatedKey?: Object }} options
+ */
+async function listPartners(options = {}) {
+    assertTablesConfigured();
+
+    const params = {
+        TableName: PARTNERS_TABLE_NAME,
+        ...(options.limit && { Limit: options.limit }),
+        ...(options.lastEvaluatedKey && { ExclusiveStartKey: options.lastEvaluatedKey })
+    };
+
+    try {
+        const result = await ddbDocClient.send(new ScanCommand(params));
+        return { items: (result.Items || []).map(withoutSecrets), lastEvaluatedKey: result.LastEvaluatedKey };
+    } catch (error) {
+        error.tableName = PARTNERS_TABLE_NAME;
+        throw error;
+    }
+}
+
+module.exports = {
+    PARTNER_TYPE,
+    UPDATABLE_FIELDS,
+    createPartner,
+    getPartner,
+    getPartnerByReferralCode,
+    updatePartner,
+    setPartnerApiKeyHash,
+    listPartners
+};
@@ -1,32 +1,139 @@
-// Initialize DynamoDB Document Client
-const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
-const { DynamoDBDocumentClient, PutCommand, ScanCommand } = require('@aws-sdk/lib-dynamodb');
-require('dotenv').config();
+const { GetCommand, QueryCommand, ScanCommand, TransactWriteCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const { ddbDocClient } = require('./dynamoClient');
+const { encryptFields, decryptFields, emailBlindIndex, phoneBlindIndex } = require('../utils/fieldEncryption');
 
-const client = new DynamoDBClient({ region: process.env.AWS_REGION });
-const ddbDocClient = DynamoDBDocumentClient.from(client);
 const TABLE_NAME = process.env.DYNAMODB_TABLE_NAME;
+// Payment/order lock items that make policy issuance idempotent
+const LOCKS_TABLE_NAME = process.env.DYNAMODB_LOCKS_TABLE_NAME;
+
+// Global secondary indexes on the policies table (see createTable.js)
+const EMAIL_INDEX = 'emailHash-index';
+const PHONE_INDEX = 'phoneHash-index';
+const ORDER_ID_INDEX = 'orderId-index';
+const CREATED_MONTH_INDEX = 'createdMonth-timestamp-index';
+const COVERAGE_END_INDEX = 'coverageEndDate-index';
+const PARTNER_INDEX = 'partnerId-timestamp-index';
+
+const POLICY_STATUS = {
+    PENDING_ISSUANCE: 'pending_issuance',
+    ISSUED: 'issued',
+    ACTIVE: 'active',
+    CANCELLED: 'cancelled',
+    REFUNDED: 'refunded',
+    EXPIRED: 'expired'
+};
+
+// Allowed lifecycle transitions, from -> [to]
+const STATUS_TRANSITIONS = {
+    [POLICY_STATUS.PENDING_ISSUANCE]: [POLICY_STATUS.ISSUED, POLICY_STATUS.CANCELLED],
+    [POLICY_STATUS.ISSUED]: [POLICY_STATUS.ACTIVE, POLICY_STATUS.CANCELLED],
+    [POLICY_STATUS.ACTIVE]: [POLICY_STATUS.CANCELLED, POLICY_STATUS.EXPIRED],
+    [POLICY_STATUS.CANCELLED]: [POLICY_STATUS.REFUNDED],
+    [POLICY_STATUS.REFUNDED]: [],
+    [POLICY_STATUS.EXPIRED]: []
+};
+
+/**
+ * Prepare a policy for storage: encrypt the sensitive customer fields and
+ * replace plaintext email/phone with blind indexes for the lookup GSIs
+ * @param {Object} policy
+ */
+async function toStoredPolicy(policy) {
+    const { email, phone, ...rest } = policy;
+    const userData = policy.userData || {};
+    const contactEmail = email || userData.email;
+    const contactPhone = phone || userData.phone;
+
+    return {
+        ...rest,
+        ...(contactEmail && { emailHash: emailBlindIndex(contactEmail) }),
+        ...(contactPhone && { phoneHash: phoneBlindIndex(contactPhone) }),
+        userData: await encryptFields(userData)
+    };
+}
 
 /**
- * Save a policy item to DynamoDB
+ * Decrypt a stored policy item for use by the application
+ * @param {Object} item
+ */
+async function fromStoredPolicy(item) {
+    if (!item || !item.userData) {
+        return item;
+    }
+    return { ...item, userData: await decryptFields(item.userData) };
+}
+
+const fromStoredPolicies = (items) => Promise.all(items.map(fromStoredPolicy));
+
+/**
+ * Save a policy item to DynamoDB.
+ * The policy is written in one transaction with lock items for its payment ID
+ * and order ID, so a payment can only ever produce a single policy. When a lock
+ * already exists, nothing is written and the existing policy ID is returned.
+ * A group enrollment pays for many policies with one payment, so its policies
+ * pass a `memberKey` and are locked per member instead.
  * @param {{ policyId: string, orderId: string, paymentId: string, userData: object, timestamp: string }} policy
+ * @param {{ memberKey?: string }} options - e.g. `<groupId>#<row>` for a group member
+ * @returns {Promise<{ created: boolean, policyId: string }>}
  */
-async function savePolicy(policy) {
+async function savePolicy(policy, { memberKey } = {}) {
     if (!TABLE_NAME) {
         throw new Error('DYNAMODB_TABLE_NAME environment variable is not set');
     }
+    if (!LOCKS_TABLE_NAME) {
+        throw new Error('DYNAMODB_LOCKS_TABLE_NAME environment variable is not set');
+    }
+
+    const lockItem = (lockId) => ({
+        Put: {
+            TableName: LOCKS_TABLE_NAME,
+            Item: {
+                lockId,
+                policyId: policy.policyId,
+                orderId: policy.orderId,
+                paymentId: policy.paymentId,
+                createdAt: policy.timestamp
+            },
+            ConditionExpression: 'attribute_not_exists(lockId)'
+        }
+    });
+
+    const lockIds = memberKey
+        ? [memberLockId(memberKey)]
+        : [paymentLockId(policy.paymentId), orderLockId(policy.orderId)];
 
     const params = {
-        TableName: TABLE_NAME,
-        Item: policy,
-        // Prevent overwriting existing policies
-        ConditionExpression: 'attribute_not_exists(policyId)'
+        TransactItems: [
+            {
+                Put: {
+                    TableName: TABLE_NAME,
+                    Item: await toStoredPolicy(policy),
+                    // Prevent overwriting existing policies
+                    ConditionExpression: 'attribute_not_exists(policyId)'
+                }
+            },
+            ...lockIds.map(lockItem)
+        ]
     };
 
     try {
-        const result = await ddbDocClient.send(new PutCommand(params));
-        return result;
+        await ddbDocClient.send(new TransactWriteCommand(params));
+        return { created: true, policyId: policy.policyId };
     } catch (error) {
+        if (error.name === 'TransactionCanceledException') {
+            const reasons = error.CancellationReasons || [];
+            const lockConflict = reasons.slice(1).some((reason) => reason.Code === 'ConditionalCheckFailed');
+
+            if (lockConflict) {
+                for (const lockId of lockIds) {
+                    const existingPolicyId = await getLockedPolicyId(lockId);
+                    if (existingPolicyId) {
+                        return { created: false, policyId: existingPolicyId };
+                    }
+                }
+            }
+        }
+
         // Add more context to the error
         error.tableName = TABLE_NAME;
         error.policyId = policy.policyId;
@@ -34,11 +141,506 @@ async function savePolicy(policy) {
     }
 }
 
+const paymentLockId = (paymentId) => `payment#${paymentId}`;
+const orderLockId = (orderId) => `order#${orderId}`;
+const memberLockId = (memberKey) => `member#${memberKey}`;
+
+async function getLockedPolicyId(lockId) {
+    try {
+        const result = await ddbDocClient.send(new GetCommand({
+            TableName: LOCKS_TABLE_NAME,
+            Key: { lockId },
+            ConsistentRead: true
+        }));
+        return result.Item ? result.Item.policyId : null;
+    } catch (error) {
+        error.tableName = LOCKS_TABLE_NAME;
+        throw error;
+    }
+}
+
+/**
+ * Get the ID of the policy issued for a Razorpay payment, if any
+ * @param {string} paymentId
+ * @returns {Promise<string|null>}
+ */
+async function getPolicyIdForPayment(paymentId) {
+    return getLockedPolicyId(paymentLockId(paymentId));
+}
+
+/**
+ * Get the ID of the policy issued for a Razorpay order, if any
+ * @param {string} orderId
+ * @returns {Promise<string|null>}
+ */
+async function getPolicyIdForOrder(orderId) {
+    return getLockedPolicyId(orderLockId(orderId));
+}
+
+/**
+ * Get the ID of the policy issued for a group enrollment member, if any
+ * @param {string} memberKey - `<groupId>#<row>`, as passed to savePolicy
+ * @returns {Promise<string|null>}
+ */
+async function getPolicyIdForMember(memberKey) {
+    return getLockedPolicyId(memberLockId(memberKey));
+}
+
+/**
+ * Get a single policy by its policy number
+ * @param {string} policyId
+ * @returns {Promise<Object|null>}
+ */
+async function getPolicyById(policyId) {
+    if (!TABLE_NAME) {
+        throw new Error('DYNAMODB_TABLE_NAME environment variable is not set');
+    }
+
+    try {
+        const result = await ddbDocClient.send(new GetCommand({
+            TableName: TABLE_NAME,
+            Key: { policyId }
+        }));
+        return result.Item ? await fromStoredPolicy(result.Item) : null;
+    } catch (error) {
+        error.tableName = TABLE_NAME;
+        error.policyId = policyId;
+        throw error;
+    }
+}
+
+/**
+ * Query the policies table through a GSI on a single key attribute
+ * @param {string} indexName
+ * @param {string} attribute
+ * @param {string} value
+ */
+async function queryPoliciesByIndex(indexName, attribute, value) {
+    if (!TABLE_NAME) {
+        throw new Error('DYNAMODB_TABLE_NAME environment variable is not set');
+    }
+
+    const params = {
+        TableName: TABLE_NAME,
+        IndexName: indexName,
+        KeyConditionExpression: '#key = :value',
+        ExpressionAttributeNames: {
+            '#key': attribute
+        },
+        ExpressionAttributeValues: {
+            ':value': value
+        }
+    };
+
+    try {
+        const items = [];
+        let lastEvaluatedKey;
+        do {
+            const result = await ddbDocClient.send(new QueryCommand({
+                ...params,
+                ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
+            }));
+            items.push(...(result.Items || []));
+            lastEvaluatedKey = result.LastEvaluatedKey;
+        } while (lastEvaluatedKey);
+        return await fromStoredPolicies(items);
+    } catch (error) {
+        error.tableName = TABLE_NAME;
+        error.indexName = indexName;
+        throw error;
+    }
+}
+
+/**
+ * Get all policies bought with an email address (looked up by blind index)
+ * @param {string} email
+ */
+async function getPoliciesByEmail(email) {
+    return queryPoliciesByIndex(EMAIL_INDEX, 'emailHash', emailBlindIndex(email));
+}
+
+/**
+ * Get all policies bought with a mobile number (looked up by blind index)
+ * @param {string} phone
+ */
+async function getPoliciesByPhone(phone) {
+    return queryPoliciesByIndex(PHONE_INDEX, 'phoneHash', phoneBlindIndex(phone));
+}
+
+/**
+ * Get the policy created for a Razorpay order
+ * @param {string} orderId
+ * @returns {Promise<Object|null>}
+ */
+async function getPolicyByOrderId(orderId) {
+    const items = await queryPoliciesByIndex(ORDER_ID_INDEX, 'orderId', orderId);
+    return items[0] || null;
+}
+
+/**
+ * Get all policies whose cover ends on a date (only activated policies have one)
+ * @param {string} date - YYYY-MM-DD
+ */
+async function getPoliciesExpiringOn(date) {
+    return queryPoliciesByIndex(COVERAGE_END_INDEX, 'coverageEndDate', date);
+}
+
+/**
+ * Policies sold through a partner, newest first, one page at a time
+ * @param {string} partnerId
+ * @param {{ startDate: string, endDate: string }} dateRange - ISO timestamps, inclusive
+ * @param {{ limit?: number, lastEvaluatedKey?: Object }} options
+ * @returns {Promise<{ items: Object[], lastEvaluatedKey?: Object }>}
+ */
+async function getPoliciesByPartner(partnerId, dateRange, options = {}) {
+    if (!TABLE_NAME) {
+        throw new Error('DYNAMODB_TABLE_NAME environment variable is not set');
+    }
+
+    const params = {
+        TableName: TABLE_NAME,
+        IndexName: PARTNER_INDEX,
+        KeyConditionExpression: 'partnerId = :partnerId AND #timestamp BETWEEN :startDate AND :endDate',
+        ExpressionAttributeNames: {
+            '#timestamp': 'timestamp'
+        },
+        ExpressionAttributeValues: {
+            ':partnerId': partnerId,
+            ':startDate': dateRange.startDate,
+            ':endDate': dateRange.endDate
+        },
+        ScanIndexForward: false,
+        ...(options.limit && { Limit: options.limit }),
+        ...(options.lastEvaluatedKey && { ExclusiveStartKey: options.lastEvaluatedKey })
+    };
+
+    try {
+        const result = await ddbDocClient.send(new QueryCommand(params));
+        return { items: await fromStoredPolicies(result.Items || []), lastEvaluatedKey: result.LastEvaluatedKey };
+    } catch (error) {
+        error.tableName = TABLE_NAME;
+        throw error;
+    }
+}
+
+/**
+ * Current status of a policy. Policies saved before the lifecycle existed
+ * have no status attribute and are treated as pending issuance.
+ * @param {Object} policy
+ */
+function getPolicyStatus(policy) {
+    return policy.status || POLICY_STATUS.PENDING_ISSUANCE;
+}
+
+/**
+ * Whether a policy may move from one status to another
+ * @param {string} fromStatus
+ * @param {string} toStatus
+ */
+function canTransition(fromStatus, toStatus) {
+    return (STATUS_TRANSITIONS[fromStatus] || []).includes(toStatus);
+}
+
+/**
+ * Move a policy to a new lifecycle status and append the change to its history.
+ * The update is conditional on the status the caller expects, so of two
+ * concurrent transitions from the same status only one can succeed.
+ * @param {string} policyId
+ * @param {string} toStatus
+ * @param {Object} options
+ * @param {string} options.fromStatus - Status the policy is expected to be in
+ * @param {string} options.actor - Who made the change (admin ID, `system`, `webhook`)
+ * @param {string} [options.reason] - Free-text reason recorded in the history
+ * @param {Object} [options.attributes] - Extra attributes to set in the same write
+ * @returns {Promise<Object>} The updated policy
+ */
+async function transitionPolicyStatus(policyId, toStatus, { fromStatus, actor, reason, attributes = {} }) {
+    if (!TABLE_NAME) {
+        throw new Error('DYNAMODB_TABLE_NAME environment variable is not set');
+    }
+
+    if (!canTransition(fromStatus, toStatus)) {
+        const error = new Error(`Cannot move policy from ${fromStatus} to ${toStatus}`);
+        error.code = 'INVALID_STATUS_TRANSITION';
+        error.policyId = policyId;
+        throw error;
+    }
+
+    const now = new Date().toISOString();
+    const historyEntry = {
+        from: fromStatus,
+        to: toStatus,
+        actor,
+        at: now,
+        ...(reason && { reason })
+    };
+
+    const names = { '#status': 'status' };
+    const values = {
+        ':to': toStatus,
+        ':from': fromStatus,
+        ':now': now,
+        ':entry': [historyEntry],
+        ':empty': []
+    };
+    const setClauses = [
+        '#status = :to',
+        'statusUpdatedAt = :now',
+        'statusHistory = list_append(if_not_exists(statusHistory, :empty), :entry)'
+    ];
+
+    Object.entries(attributes).forEach(([name, value], index) => {
+        names[`#attr${index}`] = name;
+        values[`:attr${index}`] = value;
+        setClauses.push(`#attr${index} = :attr${index}`);
+    });
+
+    // Legacy policies without a status count as pending issuance
+    const statusCondition = fromStatus === POLICY_STATUS.PENDING_ISSUANCE
+        ? '(#status = :from OR attribute_not_exists(#status))'
+        : '#status = :from';
+
+    const params = {
+        TableName: TABLE_NAME,
+        Key: { policyId },
+        UpdateExpression: `SET ${setClauses.join(', ')}`,
+        ConditionExpression: `attribute_exists(policyId) AND ${statusCondition}`,
+        ExpressionAttributeNames: names,
+        ExpressionAttributeValues: values,
+        ReturnValues: 'ALL_NEW'
+    };
+
+    try {
+        const result = await ddbDocClient.send(new UpdateCommand(params));
+        return await fromStoredPolicy(result.Attributes);
+    } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') {
+            error.code = 'STATUS_CONFLICT';
+            error.message = `Policy ${policyId} is no longer ${fromStatus}`;
+        }
+        error.tableName = TABLE_NAME;
+        error.policyId = policyId;
+        throw error;
+    }
+}
+
+/**
+ * Record (or replace) the refund details on a policy
+ * @param {string} policyId
+ * @param {{ refundId?: string, amount: number, status: string, mode: string }} refund
+ * @returns {Promise<Object>} The updated policy
+ */
+async function updatePolicyRefund(policyId, refund) {
+    if (!TABLE_NAME) {
+        throw new Error('DYNAMODB_TABLE_NAME environment variable is not set');
+    }
+
+    const params = {
+        TableName: TABLE_NAME,
+        Key: { policyId },
+        UpdateExpression: 'SET refund = :refund',
+        ConditionExpression: 'attribute_exists(policyId)',
+        ExpressionAttributeValues: {
+            ':refund': { ...refund, updatedAt: new Date().toISOString() }
+        },
+        ReturnValues: 'ALL_NEW'
+    };
+
+    try {
+        const result = await ddbDocClient.send(new UpdateCommand(params));
+        return await fromStoredPolicy(result.Attributes);
+    } catch (error) {
+        error.tableName = TABLE_NAME;
+        error.policyId = policyId;
+        throw error;
+    }
+}
+
+/**
+ * Attach a tax invoice to a policy. A policy only ever gets one invoice.
+ * @param {string} policyId
+ * @param {Object} invoice - Invoice details from the invoice service
+ * @returns {Promise<Object|null>} The updated policy, or null if it already has an invoice
+ */
+async function setPolicyInvoice(policyId, invoice) {
+    if (!TABLE_NAME) {
+        throw new Error('DYNAMODB_TABLE_NAME environment variable is not set');
+    }
+
+    const params = {
+        TableName: TABLE_NAME,
+        Key: { policyId },
+        UpdateExpression: 'SET invoice = :invoice',
+        ConditionExpression: 'attribute_exists(policyId) AND attribute_not_exists(invoice)',
+        ExpressionAttributeValues: {
+            ':invoice': invoice
+        },
+        ReturnValues: 'ALL_NEW'
+    };
+
+    try {
+        const result = await ddbDocClient.send(new UpdateCommand(params));
+        return await fromStoredPolicy(result.Attributes);
+    } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') {
+            return null;
+        }
+        error.tableName = TABLE_NAME;
+        error.policyId = policyId;
+        throw error;
+    }
+}
+
+/**
+ * Record where the latest policy document PDF is stored
+ * @param {string} policyId
+ * @param {{ storage: string, key: string, encryption: Object, generatedAt: string }} document
+ * @returns {Promise<Object>} The updated policy
+ */
+async function setPolicyDocument(policyId, document) {
+    if (!TABLE_NAME) {
+        throw new Error('DYNAMODB_TABLE_NAME environment variable is not set');
+    }
+
+    const params = {
+        TableName: TABLE_NAME,
+        Key: { policyId },
+        UpdateExpression: 'SET #document = :document',
+        ConditionExpression: 'attribute_exists(policyId)',
+        ExpressionAttributeNames: {
+            '#document': 'document'
+        },
+        ExpressionAttributeValues: {
+            ':document': document
+        },
+        ReturnValues: 'ALL_NEW'
+    };
+
+    try {
+        const result = await ddbDocClient.send(new UpdateCommand(params));
+        return await fromStoredPolicy(result.Attributes);
+    } catch (error) {
+        error.tableName = TABLE_NAME;
+        error.policyId = policyId;
+        throw error;
+    }
+}
+
+/**
+ * Mark a renewal reminder as sent, so each one goes out once even with
+ * several servers running the reminder job
+ * @param {string} policyId
+ * @param {number} daysBefore - Which reminder, e.g. 30
+ * @returns {Promise<boolean>} False if this reminder was already sent
+ */
+async function claimRenewalReminder(policyId, daysBefore) {
+    if (!TABLE_NAME) {
+        throw new Error('DYNAMODB_TABLE_NAME environment variable is not set');
+    }
+
+    const params = {
+        TableName: TABLE_NAME,
+        Key: { policyId },
+        UpdateExpression: 'SET renewalRemindersSent = list_append(if_not_exists(renewalRemindersSent, :empty), :reminders), lastRenewalReminderAt = :now',
+        ConditionExpression: 'attribute_exists(policyId) AND NOT contains(renewalRemindersSent, :reminder)',
+        ExpressionAttributeValues: {
+            ':reminders': [daysBefore],
+            ':reminder': daysBefore,
+            ':empty': [],
+            ':now': new Date().toISOString()
+        }
+    };
+
+    try {
+        await ddbDocClient.send(new UpdateCommand(params));
+        return true;
+    } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') {
+            return false;
+        }
+        error.tableName = TABLE_NAME;
+        error.policyId = policyId;
+        throw error;
+    }
+}
+
+/**
+ * Link a policy to the policy that renews it
+ * @param {string} policyId - The policy being renewed
+ * @param {string} renewalPolicyId - The new policy
+ * @returns {Promise<boolean>} False if the policy was already renewed by another policy
+ */
+async function setPolicyRenewedBy(policyId, renewalPolicyId) {
+    if (!TABLE_NAME) {
+        throw new Error('DYNAMODB_TABLE_NAME environment variable is not set');
+    }
+
+    const params = {
+        TableName: TABLE_NAME,
+        Key: { policyId },
+        UpdateExpression: 'SET renewedByPolicyId = :renewal, renewedAt = :now',
+        ConditionExpression: 'attribute_exists(policyId) AND (attribute_not_exists(renewedByPolicyId) OR renewedByPolicyId = :renewal)',
+        ExpressionAttributeValues: {
+            ':renewal': renewalPolicyId,
+            ':now': new Date().toISOString()
+        }
+    };
+
+    try {
+        await ddbDocClient.send(new UpdateCommand(params));
+        return true;
+    } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') {
+            return false;
+        }
+        error.tableName = TABLE_NAME;
+        error.policyId = policyId;
+        throw error;
+    }
+}
+
+/**
+ * Build a DynamoDB filter for the optional admin list filters
+ * @param {{ planType?: string, state?: string, status?: string }} filters
+ */
+function buildPolicyFilter(filters = {}) {
+    const conditions = [];
+    const names = {};
+    const values = {};
+
+    if (filters.planType) {
+        conditions.push('#planType = :planType');
+        names['#planType'] = 'planType';
+        values[':planType'] = filters.planType;
+    }
+    if (filters.state) {
+        conditions.push('#userData.#state = :state');
+        names['#userData'] = 'userData';
+        names['#state'] = 'state';
+        values[':state'] = filters.state;
+    }
+    if (filters.status) {
+        conditions.push('#status = :status');
+        names['#status'] = 'status';
+        values[':status'] = filters.status;
+    }
+
+    if (conditions.length === 0) {
+        return {};
+    }
+    return {
+        FilterExpression: conditions.join(' AND '),
+        ExpressionAttributeNames: names,
+        ExpressionAttributeValues: values
+    };
+}
+
 /**
  * Get all policies from DynamoDB
  * @param {Object} options - Query options
  * @param {number} options.limit - Maximum number of items to return
  * @param {string} options.lastEvaluatedKey - For pagination
+ * @param {{ planType?: string, state?: string, status?: string }} options.filters - Optional filters
  */
 async function getAllPolicies(options = {}) {
     if (!TABLE_NAME) {
@@ -47,6 +649,7 @@ async function getAllPolicies(options = {}) {
 
     const params = {
         TableName: TABLE_NAME,
+        ...buildPolicyFilter(options.filters),
         ...(options.limit && { Limit: options.limit }),
         ...(options.lastEvaluatedKey && { ExclusiveStartKey: options.lastEvaluatedKey })
     };
@@ -54,7 +657,7 @@ async function getAllPolicies(options = {}) {
     try {
         const result = await ddbDocClient.send(new ScanCommand(params));
         return {
-            items: result.Items || [],
+            items: await fromStoredPolicies(result.Items || []),
             lastEvaluatedKey: result.LastEvaluatedKey,
             count: result.Count,
             scannedCount: result.ScannedCount
@@ -66,34 +669,105 @@ async function getAllPolicies(options = {}) {
 }
 
 /**
- * Get policies with date range filter
+ * Creation-month partition key (YYYY-MM) stored on every policy
+ * @param {string} timestamp - ISO timestamp
+ */
+function toCreatedMonth(timestamp) {
+    return timestamp.slice(0, 7);
+}
+
+// Every YYYY-MM partition between two ISO dates, inclusive
+function monthsBetween(startDate, endDate) {
+    const months = [];
+    const cursor = new Date(`${toCreatedMonth(startDate)}-01T00:00:00Z`);
+    const last = toCreatedMonth(endDate);
+
+    while (toCreatedMonth(cursor.toISOString()) <= last) {
+        months.push(toCreatedMonth(cursor.toISOString()));
+        cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+    }
+    return months;
+}
+
+/**
+ * Get policies with date range filter.
+ * Queries the creation-month GSI once per month in the range instead of
+ * scanning the whole table. Policies saved before `createdMonth` existed are
+ * only found after running backfillCreatedMonth.js.
  * @param {Object} dateRange - Date range filter
  * @param {string} dateRange.startDate - Start date (ISO string)
  * @param {string} dateRange.endDate - End date (ISO string)
+ * @param {Object} options - Query options
+ * @param {number} options.limit - Maximum number of items to return
+ * @param {{ createdMonth: string, key?: object }} options.lastEvaluatedKey - For pagination
+ * @param {{ planType?: string, state?: string, status?: string }} options.filters - Optional filters
  */
-async function getPoliciesByDateRange(dateRange) {
+async function getPoliciesByDateRange(dateRange, options = {}) {
     if (!TABLE_NAME) {
         throw new Error('DYNAMODB_TABLE_NAME environment variable is not set');
     }
 
-    const params = {
-        TableName: TABLE_NAME,
-        FilterExpression: '#timestamp BETWEEN :startDate AND :endDate',
-        ExpressionAttributeNames: {
-            '#timestamp': 'timestamp'
-        },
-        ExpressionAttributeValues: {
-            ':startDate': dateRange.startDate,
-            ':endDate': dateRange.endDate
+    const months = monthsBetween(dateRange.startDate, dateRange.endDate);
+    const filter = buildPolicyFilter(options.filters);
+    const items = [];
+    let scannedCount = 0;
+
+    let startIndex = 0;
+    let exclusiveStartKey;
+    if (options.lastEvaluatedKey) {
+        startIndex = months.indexOf(options.lastEvaluatedKey.createdMonth);
+        exclusiveStartKey = options.lastEvaluatedKey.key;
+        if (startIndex === -1) {
+            startIndex = months.length;
         }
-    };
+    }
 
     try {
-        const result = await ddbDocClient.send(new ScanCommand(params));
+        for (let i = startIndex; i < months.length; i++) {
+            let key = i === startIndex ? exclusiveStartKey : undefined;
+
+            do {
+                const remaining = options.limit ? options.limit - items.length : undefined;
+                const result = await ddbDocClient.send(new QueryCommand({
+                    TableName: TABLE_NAME,
+                    IndexName: CREATED_MONTH_INDEX,
+                    KeyConditionExpression: '#createdMonth = :month AND #timestamp BETWEEN :startDate AND :endDate',
+                    ...filter,
+                    ExpressionAttributeNames: {
+                        '#createdMonth': 'createdMonth',
+                        '#timestamp': 'timestamp',
+                        ...filter.ExpressionAttributeNames
+                    },
+                    ExpressionAttributeValues: {
+                        ':month': months[i],
+                        ':startDate': dateRange.startDate,
+                        ':endDate': dateRange.endDate,
+                        ...filter.ExpressionAttributeValues
+                    },
+                    ...(remaining && { Limit: remaining }),
+                    ...(key && { ExclusiveStartKey: key })
+                }));
+
+                items.push(...await fromStoredPolicies(result.Items || []));
+                scannedCount += result.ScannedCount || 0;
+                key = result.LastEvaluatedKey;
+
+                if (options.limit && items.length >= options.limit) {
+                    let lastEvaluatedKey;
+                    if (key) {
+                        lastEvaluatedKey = { createdMonth: months[i], key };
+                    } else if (i + 1 < months.length) {
+                        lastEvaluatedKey = { createdMonth: months[i + 1] };
+                    }
+                    return { items, lastEvaluatedKey, count: items.length, scannedCount };
+                }
+            } while (key);
+        }
+
         return {
-            items: result.Items || [],
-            count: result.Count,
-            scannedCount: result.ScannedCount
+            items,
+            count: items.length,
+            scannedCount
         };
     } catch (error) {
         error.tableName = TABLE_NAME;
@@ -102,7 +776,28 @@ async function getPoliciesByDateRange(dateRange) {
 }
 
 module.exports = { 
+    POLICY_STATUS,
+    STATUS_TRANSITIONS,
     savePolicy, 
+    getPolicyIdForPayment,
+    getPolicyIdForOrder,
+    getPolicyIdForMember,
+    getPolicyById,
+    getPoliciesByEmail,
+    getPoliciesByPhone,
+    getPolicyByOrderId,
+    getPoliciesExpiringOn,
+    getPoliciesByPartner,
+    getPolicyStatus,
+    canTransition,
+    transitionPolicyStatus,
+    updatePolicyRefund,
+    setPolicyInvoice,
+    setPolicyDocument,
+    claimRenewalReminder,
+    setPolicyRenewedBy,
     getAllPolicies, 
-    getPoliciesByDateRange 
+    getPoliciesByDateRange,
+    toCreatedMonth,
+    toStoredPolicy
 };
\ No newline at end of file
@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+const { PutCommand, QueryCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const { ddbDocClient } = require('./dynamoClient');
+
+const SECURITY_EVENTS_TABLE_NAME = process.env.DYNAMODB_SECURITY_EVENTS_TABLE_NAME;
+const IP_INDEX = 'ip-timestamp-index';
+
+// Events are removed by DynamoDB TTL after this many days
+const RETENTION_DAYS = parseInt(process.env.SECURITY_EVENT_RETENTION_DAYS, 10) || 180;
+
+// Alert grouping state shares the table, under keys that never collide with event IDs
+const ALERT_GROUP_PREFIX = 'alert-group#';
+
+function assertTableConfigured() {
+    if (!SECURITY_EVENTS_TABLE_NAME) {
+        throw new Error('DYNAMODB_SECURITY_EVENTS_TABLE_NAME environment variable is not set');
+    }
+}
+
+const expiresAt = (now) => Math.floor(now / 1000) + RETENTION_DAYS * 24 * 60 * 60;
+
+/**
+ * Store a security event
+ * @param {{ type: string, severity: string, ip?: string, orderId?: string, paymentId?: string,
+ *   source?: string, userAgent?: string, details?: Object }} event
+ * @returns {Promise<Object>} The stored event
+ */
+async function saveSecurityEvent(event) {
+    assertTableConfigured();
+
+    const now = Date.now();
+    const item = {
+        eventId: crypto.randomUUID(),
+        ...event,
+        // The IP index needs a value; events without one are grouped together
+        ip: event.ip || 'unknown',
+        timestamp: new Date(now).toISOString(),
+        // DynamoDB TTL attribute (epoch seconds)
+        expiresAt: expiresAt(now)
+    };
+
+    try {
+        await ddbDocClient.send(new PutCommand({
+            TableName: SECURITY_EVENTS_TABLE_NAME,
+            Item: item
+        }));
+        return item;
+    } catch (error) {
+        error.tableName = SECURITY_EVENTS_TABLE_NAME;
+        throw error;
+    }
+}
+
+/**
+ * Count the events recorded for an IP since a given time
+ * @param {string} ip
+ * @param {string} since - ISO timestamp
+ * @param {string[]} [types] - Only count these event types
+ * @returns {Promise<number>}
+ */
+async function countSecurityEventsByIp(ip, since, types) {
+    assertTableConfigured();
+
+    const params = {
+        TableName: SECURITY_EVENTS_TABLE_NAME,
+        IndexName: IP_INDEX,
+        KeyConditionExpression: 'ip = :ip AND #timestamp >= :since',
+        ExpressionAttributeNames: {
+            '#timestamp': 'timestamp'
+        },
+        ExpressionAttributeValues: {
+            ':ip': ip,
+            ':since': since
+        },
+        Select: 'COUNT'
+    };
+
+    if (types && types.length > 0) {
+        const placeholders = types.map((type, i) => `:type${i}`);
+        params.FilterExpression = `#type IN (${placeholders.join(', ')})`;
+        params.ExpressionAttributeNames['#type'] = 'type';
+        types.forEach((type, i) => {
+            params.ExpressionAttributeValues[placeholders[i]] = type;
+        });
+    }
+
+    try {
+        let count = 0;
+        let lastEvaluatedKey;
+        do {
+            const result = await ddbDocClient.send(new QueryCommand({
+                ...params,
+                ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
+            }));
+            count += result.Count || 0;
+            lastEvaluatedKey = result.LastEvaluatedKey;
+        } while (lastEvaluatedKey);
+        return count;
+    } catch (error) {
+        error.tableName = SECURITY_EVENTS_TABLE_NAME;
+        error.ip = ip;
+        throw error;
+    }
+}
+
+/**
+ * Decide whether an alert may be sent for a group (e.g. one IP).
+ * Only the first event in each window claims the alert; later ones are
+ * counted and reported with the next alert that goes out.
+ * @param {string} groupKey
+ * @param {number} windowMs - Minimum time between alerts for the group
+ * @returns {Promise<{ claimed: boolean, groupedCount: number }>} `groupedCount` is the number of
+ *   events held back since the previous alert (only set when claimed)
+ */
+async function claimAlertGroup(groupKey, windowMs) {
+    assertTableConfigured();
+
+    const now = Date.now();
+    const key = { eventId: `${ALERT_GROUP_PREFIX}${groupKey}` };
+
+    try {
+        const result = await ddbDocClient.send(new UpdateCommand({
+            TableName: SECURITY_EVENTS_TABLE_NAME,
+            Key: key,
+            UpdateExpression: 'SET lastAlertAt = :now, groupedCount = :zero, expiresAt = :expiresAt',
+            ConditionExpression: 'attribute_not_exists(lastAlertAt) OR lastAlertAt <= :windowStart',
+            ExpressionAttributeValues: {
+                ':now': new Date(now).toISOString(),
+                ':windowStart': new Date(now - windowMs).toISOString(),
+                ':zero': 0,
+                ':expiresAt': expiresAt(now)
+            },
+            ReturnValues: 'ALL_OLD'
+        }));
+        return { claimed: true, groupedCount: result.Attributes?.groupedCount || 0 };
+    } catch (error) {
+        if (error.name !== 'ConditionalCheckFailedException') {
+            error.tableName = SECURITY_EVENTS_TABLE_NAME;
+            throw error;
+        }
+    }
+
+    try {
+        await ddbDocClient.send(new UpdateCommand({
+            TableName: SECURITY_EVENTS_TABLE_NAME,
+            Key: key,
+            UpdateExpression: 'ADD groupedCount :one',
+            ExpressionAttributeValues: {
+                ':one': 1
+            }
+        }));
+        return { claimed: false, groupedCount: 0 };
+    } catch (error) {
+        error.tableName = SECURITY_EVENTS_TABLE_NAME;
+        throw error;
+    }
+}
+
+module.exports = {
+    saveSecurityEvent,
+    countSecurityEventsByIp,
+    claimAlertGroup
+};
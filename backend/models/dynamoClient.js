@@ -0,0 +1,11 @@
+// Shared DynamoDB Document Client for all models
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient } = require('@aws-sdk/lib-dynamodb');
+require('dotenv').config();
+
+const client = new DynamoDBClient({ region: process.env.AWS_REGION });
+const ddbDocClient = DynamoDBDocumentClient.from(client, {
+    marshallOptions: { removeUndefinedValues: true }
+});
+
+module.exports = { ddbDocClient };
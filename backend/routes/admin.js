@@ -0,0 +1,429 @@
+const express = require('express');
+
+const { getAllPolicies, getPoliciesByDateRange, getPolicyById, getPolicyStatus, POLICY_STATUS } = require('../models/Policy');
+const { changePolicyStatus } = require('../services/policyService');
+const { cancelPolicy } = require('../services/cancellationService');
+const { getInvoicePdf } = require('../services/invoiceService');
+const { getPolicyDocumentPdf, issuePolicyDocument } = require('../services/policyDocumentService');
+const { parseDate } = require('../utils/validation');
+const { maskAadhaar } = require('../utils/redaction');
+const { normalizePolicyNumber } = require('../utils/policyNumber');
+const { encodeCursor, decodeCursor } = require('../utils/cursor');
+const { formatRupees } = require('../utils/money');
+const { getPlan } = require('../config/plans');
+const { renderEmail, listEmailTemplates, getSampleData } = require('../utils/emailTemplates');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const EXPORT_PAGE_SIZE = 500;
+
+// Columns of the CSV export, in order
+const EXPORT_COLUMNS = [
+    ['policyId', (p) => p.policyId],
+    ['createdAt', (p) => p.timestamp],
+    ['status', (p) => p.status],
+    ['planType', (p) => p.planType || p.userData?.planType],
+    ['amount', (p) => (p.amount !== undefined ? formatRupees(p.amount) : p.userData?.amount)],
+    ['orderId', (p) => p.orderId],
+    ['paymentId', (p) => p.paymentId],
+    ['name', (p) => p.userData?.name],
+    ['email', (p) => p.userData?.email],
+    ['phone', (p) => p.userData?.phone],
+    ['gender', (p) => p.userData?.gender],
+    ['dateOfBirth', (p) => p.userData?.dateOfBirth],
+    ['aadharNumber', (p) => maskAadhaar(p.userData?.aadharNumber)],
+    ['address', (p) => p.userData?.address],
+    ['city', (p) => p.userData?.city],
+    ['state', (p) => p.userData?.state],
+    ['pincode', (p) => p.userData?.pincode],
+    ['nomineeFullName', (p) => p.userData?.nomineeFullName],
+    ['nomineeRelationship', (p) => p.userData?.nomineeRelationship]
+];
+
+/**
+ * Parse list/export query parameters
+ * @returns {{ error?: string, filters: Object, dateRange: Object|null, limit: number, lastEvaluatedKey: Object }}
+ */
+function parseListQuery(query) {
+    const filters = {
+        planType: query.planType,
+        state: query.state,
+        status: query.status
+    };
+
+    let dateRange = null;
+    if (query.startDate || query.endDate) {
+        const startDate = parseDate(query.startDate);
+        const endDate = parseDate(query.endDate);
+        if (!startDate || !endDate || startDate > endDate) {
+            return { error: 'startDate and endDate must both be valid dates (YYYY-MM-DD), startDate first' };
+        }
+        // Timestamps are full ISO strings, so make the end date inclusive
+        dateRange = { startDate: `${startDate}T00:00:00.000Z`, endDate: `${endDate}T23:59:59.999Z` };
+    }
+
+    const limit = query.limit ? parseInt(query.limit, 10) : DEFAULT_PAGE_SIZE;
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+        return { error: `limit must be between 1 and ${MAX_PAGE_SIZE}` };
+    }
+
+    let lastEvaluatedKey;
+    if (query.cursor) {
+        lastEvaluatedKey = decodeCursor(query.cursor);
+        if (!lastEvaluatedKey) {
+            return { error: 'Invalid cursor' };
+        }
+    }
+
+    return { filters, dateRange, limit, lastEvaluatedKey };
+}
+
+// Fetch one page, through the creation-month GSI when a date range is given
+function fetchPolicyPage({ filters, dateRange }, limit, lastEvaluatedKey) {
+    return dateRange
+        ? getPoliciesByDateRange(dateRange, { filters, limit, lastEvaluatedKey })
+        : getAllPolicies({ filters, limit, lastEvaluatedKey });
+}
+
+function toCsvValue(value) {
+    if (value === undefined || value === null) {
+        return '';
+    }
+    let text = String(value);
+    // Stop spreadsheet apps from evaluating customer input as formulas
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const toCsvRow = (values) => values.map(toCsvValue).join(',') + '\n';
+
+// Policy as admin JSON responses return it: Aadhaar masked as in the CSV export,
+// and the blind indexes used for contact lookups left out
+function toAdminPolicy(policy) {
+    const { emailHash, phoneHash, ...rest } = policy;
+    if (!rest.userData) {
+        return rest;
+    }
+    return { ...rest, userData: { ...rest.userData, aadharNumber: maskAadhaar(rest.userData.aadharNumber) } };
+}
+
+// GET /api/admin/policies: list policies with filters and cursor pagination
+router.get('/policies', async (req, res) => {
+    const query = parseListQuery(req.query);
+    if (query.error) {
+        return res.status(400).json({ success: false, message: query.error });
+    }
+
+    try {
+        const page = await fetchPolicyPage(query, query.limit, query.lastEvaluatedKey);
+
+        res.json({
+            success: true,
+            policies: page.items.map(toAdminPolicy),
+            count: page.items.length,
+            nextCursor: encodeCursor(page.lastEvaluatedKey)
+        });
+    } catch (error) {
+        logger.error('Admin policy list failed', { error: error.message, admin: req.admin.id });
+        res.status(500).json({ success: false, message: 'Could not list policies' });
+    }
+});
+
+// GET /api/admin/policies/export: stream every matching policy as CSV or JSON
+router.get('/policies/export', async (req, res) => {
+    const query = parseListQuery(req.query);
+    if (query.error) {
+        return res.status(400).json({ success: false, message: query.error });
+    }
+
+    const format = req.query.format === 'json' ? 'json' : 'csv';
+    const filename = `policies-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    logger.info('Admin policy export started', { format, admin: req.admin.id, filters: query.filters, dateRange: query.dateRange });
+
+    res.setHeader('Content-Type', format === 'json' ? 'application/json' : 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    let exported = 0;
+    let lastEvaluatedKey = query.lastEvaluatedKey;
+
+    try {
+        res.write(format === 'json' ? '[' : toCsvRow(EXPORT_COLUMNS.map(([name]) => name)));
+
+        do {
+            const page = await fetchPolicyPage(query, EXPORT_PAGE_SIZE, lastEvaluatedKey);
+
+            for (const policy of page.items) {
+                if (format === 'json') {
+                    res.write((exported > 0 ? ',' : '') + JSON.stringify(toAdminPolicy(policy)));
+                } else {
+                    res.write(toCsvRow(EXPORT_COLUMNS.map(([, getValue]) => getValue(policy))));
+                }
+                exported++;
+            }
+
+            lastEvaluatedKey = page.lastEvaluatedKey;
+        } while (lastEvaluatedKey);
+
+        if (format === 'json') {
+            res.write(']');
+        }
+        res.end();
+
+        logger.info('Admin policy export finished', { format, exported, admin: req.admin.id });
+    } catch (error) {
+        // Headers are already sent, so abort the download rather than send a truncated file as complete
+        logger.error('Admin policy export failed', { error: error.message, exported, admin: req.admin.id });
+        res.destroy(error);
+    }
+});
+
+// GET /api/admin/policies/:policyId: full policy record, Aadhaar masked
+router.get('/policies/:policyId', async (req, res) => {
+    const policyId = normalizePolicyNumber(req.params.policyId);
+
+    try {
+        const policy = await getPolicyById(policyId);
+        if (!policy) {
+            return res.status(404).json({ success: false, message: 'Policy not found' });
+        }
+        res.json({ success: true, policy: toAdminPolicy(policy) });
+    } catch (error) {
+        logger.error('Admin policy fetch failed', { error: error.message, policyId, admin: req.admin.id });
+        res.status(500).json({ success: false, message: 'Could not retrieve policy' });
+    }
+});
+
+// GET /api/admin/policies/:policyId/invoice: download the GST tax invoice,
+// issuing it first for policies created before invoicing
+router.get('/policies/:policyId/invoice', async (req, res) => {
+    const policyId = normalizePolicyNumber(req.params.policyId);
+
+    try {
+        const policy = await getPolicyById(policyId);
+        if (!policy) {
+            return res.status(404).json({ success: false, message: 'Policy not found' });
+        }
+
+        const { invoice, pdf, filename } = await getInvoicePdf(policy);
+        logger.info('Admin invoice download', { policyId, invoiceNumber: invoice.invoiceNumber, admin: req.admin.id });
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.send(pdf);
+    } catch (error) {
+        logger.error('Admin invoice download failed', { error: error.message, policyId, admin: req.admin.id });
+        res.status(500).json({ success: false, message: 'Could not generate invoice' });
+    }
+});
+
+// GET /api/admin/policies/:policyId/document: download the policy document PDF
+router.get('/policies/:policyId/document', async (req, res) => {
+    const policyId = normalizePolicyNumber(req.params.policyId);
+
+    try {
+        const policy = await getPolicyById(policyId);
+        if (!policy) {
+            return res.status(404).json({ success: false, message: 'Policy not found' });
+        }
+
+        const { pdf, filename } = await getPolicyDocumentPdf(policy);
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.send(pdf);
+    } catch (error) {
+        logger.error('Admin policy document download failed', { error: error.message, policyId, admin: req.admin.id });
+        res.status(500).json({ success: false, message: 'Could not generate policy document' });
+    }
+});
+
+// POST /api/admin/policies/:policyId/document: regenerate the policy document
+// (e.g. after correcting details or activation) and email it to the customer again
+router.post('/policies/:policyId/document', async (req, res) => {
+    const policyId = normalizePolicyNumber(req.params.policyId);
+
+    try {
+        const policy = await getPolicyById(policyId);
+        if (!policy) {
+            return res.status(404).json({ success: false, message: 'Policy not found' });
+        }
+        if (![POLICY_STATUS.ISSUED, POLICY_STATUS.ACTIVE].includes(getPolicyStatus(policy))) {
+            return res.status(409).json({ success: false, message: 'Only issued or active policies have a policy document' });
+        }
+
+        if (!await issuePolicyDocument(policy)) {
+            return res.status(500).json({ success: false, message: 'Could not generate policy document' });
+        }
+
+        logger.info('Policy document reissued', { policyId, admin: req.admin.id });
+        res.json({ success: true, message: 'Policy document regenerated and emailed' });
+    } catch (error) {
+        logger.error('Admin policy document reissue failed', { error: error.message, policyId, admin: req.admin.id });
+        res.status(500).json({ success: false, message: 'Could not generate policy document' });
+    }
+});
+
+// Cover length for plans missing from the catalog
+const DEFAULT_COVERAGE_MONTHS = 12;
+
+// Extra attributes recorded with a status change, built from the request body.
+// A renewal's cover starts where the previous policy's ends, unless that has passed.
+function statusAttributes(status, body, { coverageMonths, continuityStartDate }) {
+    if (status === POLICY_STATUS.ISSUED) {
+        return body.insurerPolicyNumber ? { insurerPolicyNumber: String(body.insurerPolicyNumber).trim() } : {};
+    }
+
+    if (status === POLICY_STATUS.ACTIVE) {
+        const today = new Date().toISOString().slice(0, 10);
+        const defaultStartDate = continuityStartDate > today ? continuityStartDate : today;
+        const startDate = body.coverageStartDate ? parseDate(body.coverageStartDate) : defaultStartDate;
+        if (!startDate) {
+            return { error: 'coverageStartDate must be a valid date (YYYY-MM-DD)' };
+        }
+
+        let endDate;
+        if (body.coverageEndDate) {
+            endDate = parseDate(body.coverageEndDate);
+            if (!endDate || endDate <= startDate) {
+                return { error: 'coverageEndDate must be a valid date after coverageStartDate' };
+            }
+        } else {
+            const end = new Date(`${startDate}T00:00:00Z`);
+            end.setUTCMonth(end.getUTCMonth() + coverageMonths);
+            end.setUTCDate(end.getUTCDate() - 1);
+            endDate = end.toISOString().slice(0, 10);
+        }
+
+        return { coverageStartDate: startDate, coverageEndDate: endDate };
+    }
+
+    return {};
+}
+
+// POST /api/admin/policies/:policyId/status: move a policy through its lifecycle
+router.post('/policies/:policyId/status', async (req, res) => {
+    const policyId = normalizePolicyNumber(req.params.policyId);
+    const { status, reason } = req.body;
+
+    if (!Object.values(POLICY_STATUS).includes(status)) {
+        return res.status(400).json({
+            success: false,
+            message: `status must be one of: ${Object.values(POLICY_STATUS).join(', ')}`
+        });
+    }
+
+    try {
+        // The default coverage dates depend on the plan's validity and, for renewals,
+        // on when the previous policy's cover ends
+        let coverageMonths = DEFAULT_COVERAGE_MONTHS;
+        let continuityStartDate;
+        if (status === POLICY_STATUS.ACTIVE && (!req.body.coverageStartDate || !req.body.coverageEndDate)) {
+            const current = await getPolicyById(policyId);
+            coverageMonths = getPlan(current?.planType)?.validityMonths || DEFAULT_COVERAGE_MONTHS;
+            continuityStartDate = current?.continuityStartDate;
+        }
+
+        const attributes = statusAttributes(status, req.body, { coverageMonths, continuityStartDate });
+        if (attributes.error) {
+            return res.status(400).json({ success: false, message: attributes.error });
+        }
+
+        const policy = await changePolicyStatus(policyId, status, {
+            actor: req.admin.id,
+            reason,
+            attributes
+        });
+        if (!policy) {
+            return res.status(404).json({ success: false, message: 'Policy not found' });
+        }
+
+        res.json({ success: true, policy: toAdminPolicy(policy) });
+    } catch (error) {
+        if (error.code === 'INVALID_STATUS_TRANSITION' || error.code === 'STATUS_CONFLICT') {
+            return res.status(409).json({ success: false, message: error.message });
+        }
+        logger.error('Admin policy status change failed', { error: error.message, policyId, status, admin: req.admin.id });
+        res.status(500).json({ success: false, message: 'Could not update policy status' });
+    }
+});
+
+// Error codes from the cancellation service and the HTTP status they map to
+const CANCELLATION_ERROR_STATUS = {
+    INVALID_STATUS_TRANSITION: 409,
+    STATUS_CONFLICT: 409,
+    OUTSIDE_FREE_LOOK: 422,
+    REFUND_FAILED: 502,
+    PAYMENTS_UNAVAILABLE: 503
+};
+
+// POST /api/admin/policies/:policyId/cancel: cancel a policy and refund the customer
+router.post('/policies/:policyId/cancel', async (req, res) => {
+    const policyId = normalizePolicyNumber(req.params.policyId);
+    const { reason, allowProRata } = req.body;
+
+    try {
+        const policy = await cancelPolicy(policyId, {
+            actor: req.admin.id,
+            reason,
+            allowProRata: allowProRata === true
+        });
+        if (!policy) {
+            return res.status(404).json({ success: false, message: 'Policy not found' });
+        }
+
+        res.json({
+            success: true,
+            message: 'Policy cancelled',
+            status: policy.status,
+            refund: policy.refund
+        });
+    } catch (error) {
+        const status = CANCELLATION_ERROR_STATUS[error.code];
+        if (status) {
+            return res.status(status).json({ success: false, message: error.message, code: error.code });
+        }
+        logger.error('Admin policy cancellation failed', { error: error.message, policyId, admin: req.admin.id });
+        res.status(500).json({ success: false, message: 'Could not cancel policy' });
+    }
+});
+
+// GET /api/admin/email-preview: list the email templates that can be previewed
+router.get('/email-preview', (req, res) => {
+    res.json({ success: true, templates: listEmailTemplates() });
+});
+
+// GET /api/admin/email-preview/:template: render a template with sample data
+// Query: language (en|hi), format (html|text|json, default html)
+router.get('/email-preview/:template', (req, res) => {
+    const format = req.query.format || 'html';
+    if (!['html', 'text', 'json'].includes(format)) {
+        return res.status(400).json({ success: false, message: 'format must be html, text or json' });
+    }
+
+    try {
+        const email = renderEmail(req.params.template, getSampleData(req.params.template), {
+            language: req.query.language
+        });
+
+        if (format === 'html') {
+            return res.type('html').send(email.htmlContent);
+        }
+        if (format === 'text') {
+            return res.type('text').send(email.textContent);
+        }
+        res.json({ success: true, ...email });
+    } catch (error) {
+        if (error.code === 'UNKNOWN_TEMPLATE') {
+            return res.status(404).json({ success: false, message: error.message });
+        }
+        logger.error('Email preview failed', { error: error.message, template: req.params.template });
+        res.status(500).json({ success: false, message: 'Could not render email template' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,133 @@
+const express = require('express');
+
+const { APPLICATION_STATUS, getApplication, listApplicationsByStatus } = require('../models/Application');
+const { createAssistedSale, reconcileApplication, cancelApplication } = require('../services/assistedSaleService');
+const { encodeCursor, decodeCursor } = require('../utils/cursor');
+const { maskAadhaar } = require('../utils/redaction');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const MAX_PAGE_SIZE = 100;
+const APPLICATION_STATUSES = Object.values(APPLICATION_STATUS);
+
+// Error codes from the assisted sale service and the HTTP status they map to
+const APPLICATION_ERROR_STATUS = {
+    APPLICATION_INVALID_PLAN: 400,
+    APPLICATION_INVALID_CHANNEL: 400,
+    APPLICATION_INVALID_CUSTOMER: 400,
+    APPLICATION_NOT_PENDING: 409,
+    PAYMENT_REQUEST_FAILED: 502,
+    PAYMENTS_UNAVAILABLE: 503
+};
+
+function sendApplicationError(res, error, message, context) {
+    if (APPLICATION_ERROR_STATUS[error.code]) {
+        return res.status(APPLICATION_ERROR_STATUS[error.code]).json({
+            success: false,
+            message: error.message,
+            ...(error.errors && { errors: error.errors })
+        });
+    }
+    logger.error(`Admin ${message} failed`, { error: error.message, ...context });
+    res.status(500).json({ success: false, message: `Could not ${message}` });
+}
+
+// Admin view of an application, with the Aadhaar number masked
+function toAdminApplication(application) {
+    if (!application.userData) {
+        return application;
+    }
+    return {
+        ...application,
+        userData: { ...application.userData, aadharNumber: maskAadhaar(application.userData.aadharNumber) }
+    };
+}
+
+// GET /api/admin/applications?status=pending: assisted sales in a status, oldest first
+router.get('/', async (req, res) => {
+    const status = req.query.status || APPLICATION_STATUS.PENDING;
+    if (!APPLICATION_STATUSES.includes(status)) {
+        return res.status(400).json({ success: false, message: `status must be one of: ${APPLICATION_STATUSES.join(', ')}` });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, MAX_PAGE_SIZE);
+    const lastEvaluatedKey = req.query.cursor ? decodeCursor(req.query.cursor) : undefined;
+    if (req.query.cursor && !lastEvaluatedKey) {
+        return res.status(400).json({ success: false, message: 'Invalid cursor' });
+    }
+
+    try {
+        const page = await listApplicationsByStatus(status, { limit, lastEvaluatedKey });
+        res.json({
+            success: true,
+            applications: page.items,
+            count: page.items.length,
+            nextCursor: encodeCursor(page.lastEvaluatedKey)
+        });
+    } catch (error) {
+        logger.error('Admin application list failed', { error: error.message, admin: req.admin.id });
+        res.status(500).json({ success: false, message: 'Could not list applications' });
+    }
+});
+
+// GET /api/admin/applications/:applicationId: application with customer details
+router.get('/:applicationId', async (req, res) => {
+    try {
+        const application = await getApplication(req.params.applicationId);
+        if (!application) {
+            return res.status(404).json({ success: false, message: 'Application not found' });
+        }
+        res.json({ success: true, application: toAdminApplication(application) });
+    } catch (error) {
+        logger.error('Admin application fetch failed', { error: error.message, admin: req.admin.id });
+        res.status(500).json({ success: false, message: 'Could not fetch application' });
+    }
+});
+
+// POST /api/admin/applications: sell a plan over the phone or in person.
+// Body: { planType, user_data, channel: 'payment_link' | 'upi_qr' }. The customer
+// is emailed the payment link or QR code; the policy is issued once they pay.
+router.post('/', async (req, res) => {
+    const { planType, user_data, channel } = req.body || {};
+    try {
+        const application = await createAssistedSale({ planType, userData: user_data, channel }, req.admin.id);
+        res.status(201).json({ success: true, application: toAdminApplication(application) });
+    } catch (error) {
+        sendApplicationError(res, error, 'create application', { planType, channel, admin: req.admin.id });
+    }
+});
+
+// POST /api/admin/applications/:applicationId/reconcile: check Razorpay now
+// instead of waiting for the webhook or the reconciliation job
+router.post('/:applicationId/reconcile', async (req, res) => {
+    const { applicationId } = req.params;
+    try {
+        const application = await getApplication(applicationId);
+        if (!application) {
+            return res.status(404).json({ success: false, message: 'Application not found' });
+        }
+        const result = await reconcileApplication(application, req.admin.id);
+        logger.info('Application reconciled', { applicationId, ...result, admin: req.admin.id });
+        res.json({ success: true, ...result });
+    } catch (error) {
+        sendApplicationError(res, error, 'reconcile application', { applicationId, admin: req.admin.id });
+    }
+});
+
+// POST /api/admin/applications/:applicationId/cancel: withdraw an unpaid payment request
+router.post('/:applicationId/cancel', async (req, res) => {
+    const { applicationId } = req.params;
+    const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() : undefined;
+    try {
+        const application = await cancelApplication(applicationId, { actor: req.admin.id, reason });
+        if (!application) {
+            return res.status(404).json({ success: false, message: 'Application not found' });
+        }
+        res.json({ success: true, application: toAdminApplication(application) });
+    } catch (error) {
+        sendApplicationError(res, error, 'cancel application', { applicationId, admin: req.admin.id });
+    }
+});
+
+module.exports = router;
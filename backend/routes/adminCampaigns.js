@@ -0,0 +1,209 @@
+const express = require('express');
+
+const { CAMPAIGN_STATUS, createCampaign, getCampaign, listCampaigns, updateCampaign } = require('../models/Campaign');
+const {
+    validateCampaignInput,
+    validateSegment,
+    previewSegment,
+    startCampaignSend,
+    scheduleCampaign,
+    changeCampaignStatus,
+    failStalledCampaignSend
+} = require('../services/campaignService');
+const { encodeCursor, decodeCursor } = require('../utils/cursor');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const MAX_PAGE_SIZE = 100;
+
+// Error codes from the campaign service and the HTTP status they map to
+const CAMPAIGN_ERROR_STATUS = {
+    INVALID_STATUS_TRANSITION: 409,
+    STATUS_CONFLICT: 409,
+    CAMPAIGN_INVALID_SCHEDULE: 400,
+    CAMPAIGN_STILL_SENDING: 409
+};
+
+function sendCampaignError(res, error, message, context) {
+    if (CAMPAIGN_ERROR_STATUS[error.code]) {
+        return res.status(CAMPAIGN_ERROR_STATUS[error.code]).json({ success: false, message: error.message });
+    }
+    logger.error(`Admin ${message} failed`, { error: error.message, ...context });
+    res.status(500).json({ success: false, message: `Could not ${message}` });
+}
+
+// GET /api/admin/campaigns: list campaigns with their status and send results
+router.get('/', async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, MAX_PAGE_SIZE);
+    const lastEvaluatedKey = req.query.cursor ? decodeCursor(req.query.cursor) : undefined;
+    if (req.query.cursor && !lastEvaluatedKey) {
+        return res.status(400).json({ success: false, message: 'Invalid cursor' });
+    }
+
+    try {
+        const page = await listCampaigns({ limit, lastEvaluatedKey });
+        res.json({
+            success: true,
+            campaigns: page.items,
+            count: page.items.length,
+            nextCursor: encodeCursor(page.lastEvaluatedKey)
+        });
+    } catch (error) {
+        logger.error('Admin campaign list failed', { error: error.message, admin: req.admin.id });
+        res.status(500).json({ success: false, message: 'Could not list campaigns' });
+    }
+});
+
+// POST /api/admin/campaigns/segments/preview: how many customers a segment reaches.
+// Body: { planType?, state?, city?, purchasedFrom?, purchasedTo?, expiringWithinDays? }
+router.post('/segments/preview', async (req, res) => {
+    const { errors, value } = validateSegment(req.body || {});
+    if (errors.length) {
+        return res.status(400).json({ success: false, message: 'Invalid segment', errors });
+    }
+
+    try {
+        const preview = await previewSegment(value);
+        res.json({ success: true, segment: value, ...preview });
+    } catch (error) {
+        logger.error('Admin segment preview failed', { error: error.message, admin: req.admin.id });
+        res.status(500).json({ success: false, message: 'Could not preview segment' });
+    }
+});
+
+// GET /api/admin/campaigns/:campaignId: campaign with content, history and send results
+router.get('/:campaignId', async (req, res) => {
+    try {
+        const campaign = await getCampaign(req.params.campaignId);
+        if (!campaign) {
+            return res.status(404).json({ success: false, message: 'Campaign not found' });
+        }
+        res.json({ success: true, campaign });
+    } catch (error) {
+        logger.error('Admin campaign fetch failed', { error: error.message, admin: req.admin.id });
+        res.status(500).json({ success: false, message: 'Could not fetch campaign' });
+    }
+});
+
+// POST /api/admin/campaigns: create a draft. Body: { name, subject, htmlContent, segment }
+router.post('/', async (req, res) => {
+    const validation = validateCampaignInput(req.body);
+    if (!validation.valid) {
+        return res.status(400).json({ success: false, message: 'Invalid campaign', errors: validation.errors });
+    }
+
+    try {
+        const campaign = await createCampaign(validation.value, req.admin.id);
+        logger.info('Campaign created', { campaignId: campaign.campaignId, admin: req.admin.id });
+        res.status(201).json({ success: true, campaign });
+    } catch (error) {
+        logger.error('Admin campaign create failed', { error: error.message, admin: req.admin.id });
+        res.status(500).json({ success: false, message: 'Could not create campaign' });
+    }
+});
+
+// PATCH /api/admin/campaigns/:campaignId: change content or segment before sending starts
+router.patch('/:campaignId', async (req, res) => {
+    const validation = validateCampaignInput(req.body, { partial: true });
+    if (!validation.valid) {
+        return res.status(400).json({ success: false, message: 'Invalid campaign', errors: validation.errors });
+    }
+
+    const { campaignId } = req.params;
+    try {
+        const campaign = await updateCampaign(campaignId, validation.value, req.admin.id);
+        if (!campaign) {
+            const existing = await getCampaign(campaignId);
+            return existing
+                ? res.status(409).json({ success: false, message: `A ${existing.status} campaign cannot be changed` })
+                : res.status(404).json({ success: false, message: 'Campaign not found' });
+        }
+
+        logger.info('Campaign updated', { campaignId, fields: Object.keys(validation.value), admin: req.admin.id });
+        res.json({ success: true, campaign });
+    } catch (error) {
+        logger.error('Admin campaign update failed', { error: error.message, campaignId, admin: req.admin.id });
+        res.status(500).json({ success: false, message: 'Could not update campaign' });
+    }
+});
+
+// POST /api/admin/campaigns/:campaignId/schedule: send at a later time. Body: { scheduledAt }
+router.post('/:campaignId/schedule', async (req, res) => {
+    const { campaignId } = req.params;
+    try {
+        const campaign = await scheduleCampaign(campaignId, req.body?.scheduledAt, req.admin.id);
+        if (!campaign) {
+            return res.status(404).json({ success: false, message: 'Campaign not found' });
+        }
+        logger.info('Campaign scheduled', { campaignId, scheduledAt: campaign.scheduledAt, admin: req.admin.id });
+        res.json({ success: true, campaign });
+    } catch (error) {
+        sendCampaignError(res, error, 'schedule campaign', { campaignId, admin: req.admin.id });
+    }
+});
+
+// POST /api/admin/campaigns/:campaignId/unschedule: back to draft
+router.post('/:campaignId/unschedule', async (req, res) => {
+    const { campaignId } = req.params;
+    try {
+        const campaign = await changeCampaignStatus(campaignId, CAMPAIGN_STATUS.DRAFT, { actor: req.admin.id });
+        if (!campaign) {
+            return res.status(404).json({ success: false, message: 'Campaign not found' });
+        }
+        res.json({ success: true, campaign });
+    } catch (error) {
+        sendCampaignError(res, error, 'unschedule campaign', { campaignId, admin: req.admin.id });
+    }
+});
+
+// POST /api/admin/campaigns/:campaignId/send: send now (or retry a failed send).
+// Answers 202 once sending has started; poll the campaign for the results.
+router.post('/:campaignId/send', async (req, res) => {
+    const { campaignId } = req.params;
+    try {
+        const started = await startCampaignSend(campaignId, req.admin.id);
+        if (!started) {
+            return res.status(404).json({ success: false, message: 'Campaign not found' });
+        }
+        logger.info('Campaign send started', { campaignId, admin: req.admin.id });
+        res.status(202).json({ success: true, campaign: started.campaign });
+    } catch (error) {
+        sendCampaignError(res, error, 'send campaign', { campaignId, admin: req.admin.id });
+    }
+});
+
+// POST /api/admin/campaigns/:campaignId/mark-failed: release a send that never finished,
+// e.g. after a restart mid-send, so it can be retried or cancelled
+router.post('/:campaignId/mark-failed', async (req, res) => {
+    const { campaignId } = req.params;
+    const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() : undefined;
+    try {
+        const campaign = await failStalledCampaignSend(campaignId, { actor: req.admin.id, reason });
+        if (!campaign) {
+            return res.status(404).json({ success: false, message: 'Campaign not found' });
+        }
+        logger.warn('Stalled campaign send marked failed', { campaignId, admin: req.admin.id });
+        res.json({ success: true, campaign });
+    } catch (error) {
+        sendCampaignError(res, error, 'mark campaign failed', { campaignId, admin: req.admin.id });
+    }
+});
+
+// POST /api/admin/campaigns/:campaignId/cancel: cancel a campaign that has not been sent
+router.post('/:campaignId/cancel', async (req, res) => {
+    const { campaignId } = req.params;
+    const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() : undefined;
+    try {
+        const campaign = await changeCampaignStatus(campaignId, CAMPAIGN_STATUS.CANCELLED, { actor: req.admin.id, reason });
+        if (!campaign) {
+            return res.status(404).json({ success: false, message: 'Campaign not found' });
+        }
+        logger.info('Campaign cancelled', { campaignId, admin: req.admin.id });
+        res.json({ success: true, campaign });
+    } catch (error) {
+        sendCampaignError(res, error, 'cancel campaign', { campaignId, admin: req.admin.id });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,132 @@
+const express = require('express');
+
+const { CLAIM_STATUS, getClaim, getClaimsByPolicy, listClaimsByStatus } = require('../models/Claim');
+const { CLAIM_DOCUMENT_TYPES, changeClaimStatus, getClaimDocument } = require('../services/claimService');
+const { normalizePolicyNumber } = require('../utils/policyNumber');
+const { encodeCursor, decodeCursor } = require('../utils/cursor');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const MAX_PAGE_SIZE = 100;
+
+// GET /api/admin/claims: review queue by status (default submitted), or every claim on a policy
+router.get('/', async (req, res) => {
+    try {
+        if (req.query.policyId) {
+            const claims = await getClaimsByPolicy(normalizePolicyNumber(req.query.policyId));
+            return res.json({ success: true, claims, count: claims.length });
+        }
+
+        const status = req.query.status || CLAIM_STATUS.SUBMITTED;
+        if (!Object.values(CLAIM_STATUS).includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `status must be one of: ${Object.values(CLAIM_STATUS).join(', ')}`
+            });
+        }
+
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, MAX_PAGE_SIZE);
+        const lastEvaluatedKey = req.query.cursor ? decodeCursor(req.query.cursor) : undefined;
+        if (req.query.cursor && !lastEvaluatedKey) {
+            return res.status(400).json({ success: false, message: 'Invalid cursor' });
+        }
+
+        const page = await listClaimsByStatus(status, { limit, lastEvaluatedKey });
+        res.json({
+            success: true,
+            claims: page.items,
+            count: page.items.length,
+            nextCursor: encodeCursor(page.lastEvaluatedKey)
+        });
+    } catch (error) {
+        logger.error('Admin claim list failed', { error: error.message, admin: req.admin.id });
+        res.status(500).json({ success: false, message: 'Could not list claims' });
+    }
+});
+
+// GET /api/admin/claims/:claimId: full claim with description and document list
+router.get('/:claimId', async (req, res) => {
+    const { claimId } = req.params;
+
+    try {
+        const claim = await getClaim(claimId);
+        if (!claim) {
+            return res.status(404).json({ success: false, message: 'Claim not found' });
+        }
+        res.json({ success: true, claim });
+    } catch (error) {
+        logger.error('Admin claim fetch failed', { error: error.message, claimId, admin: req.admin.id });
+        res.status(500).json({ success: false, message: 'Could not retrieve claim' });
+    }
+});
+
+// GET /api/admin/claims/:claimId/documents/:documentId: download an uploaded document
+router.get('/:claimId/documents/:documentId', async (req, res) => {
+    const { claimId, documentId } = req.params;
+
+    try {
+        const claim = await getClaim(claimId);
+        const file = claim && await getClaimDocument(claim, documentId);
+        if (!file) {
+            return res.status(404).json({ success: false, message: 'Document not found' });
+        }
+
+        logger.info('Admin claim document download', { claimId, documentId, admin: req.admin.id });
+
+        // Name the download ourselves; the uploaded file name is not safe for a header
+        const extension = CLAIM_DOCUMENT_TYPES[file.document.contentType]?.extension || 'bin';
+        res.setHeader('Content-Type', file.document.contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${claimId}-${documentId}.${extension}"`);
+        res.setHeader('X-Content-Type-Options', 'nosniff');
+        res.send(file.content);
+    } catch (error) {
+        logger.error('Admin claim document download failed', { error: error.message, claimId, documentId, admin: req.admin.id });
+        res.status(500).json({ success: false, message: 'Could not retrieve document' });
+    }
+});
+
+// Error codes from the claim service and the HTTP status they map to
+const CLAIM_ERROR_STATUS = {
+    INVALID_STATUS_TRANSITION: 409,
+    STATUS_CONFLICT: 409,
+    CLAIM_REASON_REQUIRED: 400,
+    CLAIM_INVALID_AMOUNT: 400,
+    CLAIM_PAYMENT_REFERENCE_REQUIRED: 400
+};
+
+// POST /api/admin/claims/:claimId/status: move a claim through review.
+// Rejecting needs a reason, approving an approvedAmount (paise), paying a paymentReference.
+router.post('/:claimId/status', async (req, res) => {
+    const { claimId } = req.params;
+    const { status, reason, approvedAmount, paymentReference } = req.body;
+
+    if (!Object.values(CLAIM_STATUS).includes(status)) {
+        return res.status(400).json({
+            success: false,
+            message: `status must be one of: ${Object.values(CLAIM_STATUS).join(', ')}`
+        });
+    }
+
+    try {
+        const claim = await changeClaimStatus(claimId, status, {
+            actor: req.admin.id,
+            reason: typeof reason === 'string' ? reason.trim() : undefined,
+            approvedAmount,
+            paymentReference
+        });
+        if (!claim) {
+            return res.status(404).json({ success: false, message: 'Claim not found' });
+        }
+
+        res.json({ success: true, claim });
+    } catch (error) {
+        if (CLAIM_ERROR_STATUS[error.code]) {
+            return res.status(CLAIM_ERROR_STATUS[error.code]).json({ success: false, message: error.message });
+        }
+        logger.error('Admin claim status change failed', { error: error.message, claimId, status, admin: req.admin.id });
+        res.status(500).json({ success: false, message: 'Could not update claim status' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,92 @@
+const express = require('express');
+
+const { createCoupon, getCoupon, updateCoupon, listCoupons } = require('../models/Coupon');
+const { normalizeCouponCode, validateCouponInput } = require('../services/couponService');
+const { encodeCursor, decodeCursor } = require('../utils/cursor');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const MAX_PAGE_SIZE = 100;
+
+// GET /api/admin/coupons: list coupons with their redemption counts
+router.get('/', async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, MAX_PAGE_SIZE);
+    const lastEvaluatedKey = req.query.cursor ? decodeCursor(req.query.cursor) : undefined;
+    if (req.query.cursor && !lastEvaluatedKey) {
+        return res.status(400).json({ success: false, message: 'Invalid cursor' });
+    }
+
+    try {
+        const page = await listCoupons({ limit, lastEvaluatedKey });
+        res.json({
+            success: true,
+            coupons: page.items,
+            count: page.items.length,
+            nextCursor: encodeCursor(page.lastEvaluatedKey)
+        });
+    } catch (error) {
+        logger.error('Admin coupon list failed', { error: error.message, admin: req.admin.id });
+        res.status(500).json({ success: false, message: 'Could not list coupons' });
+    }
+});
+
+// GET /api/admin/coupons/:code
+router.get('/:code', async (req, res) => {
+    try {
+        const coupon = await getCoupon(normalizeCouponCode(req.params.code));
+        if (!coupon) {
+            return res.status(404).json({ success: false, message: 'Coupon not found' });
+        }
+        res.json({ success: true, coupon });
+    } catch (error) {
+        logger.error('Admin coupon fetch failed', { error: error.message, admin: req.admin.id });
+        res.status(500).json({ success: false, message: 'Could not fetch coupon' });
+    }
+});
+
+// POST /api/admin/coupons: create a coupon
+router.post('/', async (req, res) => {
+    const validation = validateCouponInput(req.body);
+    if (!validation.valid) {
+        return res.status(400).json({ success: false, message: 'Invalid coupon', errors: validation.errors });
+    }
+
+    try {
+        const coupon = await createCoupon({ ...validation.value, createdBy: req.admin.id });
+        if (!coupon) {
+            return res.status(409).json({ success: false, message: 'Coupon code already exists' });
+        }
+
+        logger.info('Coupon created', { couponCode: coupon.couponCode, admin: req.admin.id });
+        res.status(201).json({ success: true, coupon });
+    } catch (error) {
+        logger.error('Admin coupon create failed', { error: error.message, admin: req.admin.id });
+        res.status(500).json({ success: false, message: 'Could not create coupon' });
+    }
+});
+
+// PATCH /api/admin/coupons/:code: change limits, validity or deactivate.
+// The discount itself cannot change once orders may have been priced with it.
+router.patch('/:code', async (req, res) => {
+    const validation = validateCouponInput(req.body, { partial: true });
+    if (!validation.valid) {
+        return res.status(400).json({ success: false, message: 'Invalid coupon', errors: validation.errors });
+    }
+
+    const couponCode = normalizeCouponCode(req.params.code);
+    try {
+        const coupon = await updateCoupon(couponCode, validation.value, req.admin.id);
+        if (!coupon) {
+            return res.status(404).json({ success: false, message: 'Coupon not found' });
+        }
+
+        logger.info('Coupon updated', { couponCode, fields: Object.keys(validation.value), admin: req.admin.id });
+        res.json({ success: true, coupon });
+    } catch (error) {
+        logger.error('Admin coupon update failed', { error: error.message, couponCode, admin: req.admin.id });
+        res.status(500).json({ success: false, message: 'Could not update coupon' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,63 @@
+const express = require('express');
+
+const { EMAIL_STATUS, listEmailsByStatus } = require('../models/EmailOutbox');
+const { resendEmail } = require('../services/emailOutbox');
+const { encodeCursor, decodeCursor } = require('../utils/cursor');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const MAX_PAGE_SIZE = 100;
+
+// GET /api/admin/emails: list outbox emails, dead-lettered ones by default
+router.get('/', async (req, res) => {
+    const status = req.query.status || EMAIL_STATUS.DEAD;
+    if (!Object.values(EMAIL_STATUS).includes(status)) {
+        return res.status(400).json({
+            success: false,
+            message: `status must be one of: ${Object.values(EMAIL_STATUS).join(', ')}`
+        });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, MAX_PAGE_SIZE);
+    const lastEvaluatedKey = req.query.cursor ? decodeCursor(req.query.cursor) : undefined;
+    if (req.query.cursor && !lastEvaluatedKey) {
+        return res.status(400).json({ success: false, message: 'Invalid cursor' });
+    }
+
+    try {
+        const page = await listEmailsByStatus(status, { limit, lastEvaluatedKey });
+        res.json({
+            success: true,
+            emails: page.items,
+            count: page.items.length,
+            nextCursor: encodeCursor(page.lastEvaluatedKey)
+        });
+    } catch (error) {
+        logger.error('Admin email list failed', { error: error.message, admin: req.admin.id });
+        res.status(500).json({ success: false, message: 'Could not list emails' });
+    }
+});
+
+// POST /api/admin/emails/:emailId/resend: requeue a failed email and send it now
+router.post('/:emailId/resend', async (req, res) => {
+    const { emailId } = req.params;
+
+    try {
+        const result = await resendEmail(emailId);
+        if (!result) {
+            return res.status(409).json({
+                success: false,
+                message: 'Email not found, already sent, or currently being sent'
+            });
+        }
+
+        logger.info('Email resent by admin', { emailId, status: result.status, admin: req.admin.id });
+        res.json({ success: true, emailId, ...result });
+    } catch (error) {
+        logger.error('Admin email resend failed', { error: error.message, emailId, admin: req.admin.id });
+        res.status(500).json({ success: false, message: 'Could not resend email' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,133 @@
+const express = require('express');
+const multer = require('multer');
+
+const { GROUP_STATUS, getGroupEnrollment, listGroupMembers, listGroupEnrollmentsByStatus } = require('../models/GroupEnrollment');
+const { CSV_COLUMNS, validateGroupEnrollment, createGroupEnrollmentOrder } = require('../services/groupEnrollmentService');
+const { encodeCursor, decodeCursor } = require('../utils/cursor');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const MAX_PAGE_SIZE = 100;
+const MAX_CSV_BYTES = 2 * 1024 * 1024;
+const GROUP_STATUSES = Object.values(GROUP_STATUS);
+
+// The CSV is parsed from memory and never stored as a file
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_CSV_BYTES, files: 1, fields: 10 }
+}).single('students');
+
+// Run the upload and answer upload problems with a 400 instead of the generic error handler
+function uploadStudents(req, res, next) {
+    upload(req, res, (error) => {
+        if (!error) {
+            return next();
+        }
+        if (error instanceof multer.MulterError) {
+            const message = error.code === 'LIMIT_FILE_SIZE'
+                ? `The CSV must be at most ${MAX_CSV_BYTES / (1024 * 1024)} MB`
+                : 'Upload one CSV file in the "students" field';
+            return res.status(400).json({ success: false, message });
+        }
+        next(error);
+    });
+}
+
+// Error codes from the group enrollment service and the HTTP status they map to
+const GROUP_ERROR_STATUS = {
+    GROUP_INVALID_PLAN: 400,
+    GROUP_INVALID_INSTITUTION: 400,
+    GROUP_INVALID_CSV: 400,
+    GROUP_TOO_LARGE: 400,
+    GROUP_INVALID_ROWS: 422,
+    PAYMENTS_UNAVAILABLE: 503
+};
+
+// GET /api/admin/groups?status=issuing: group enrollments in a status, oldest first
+router.get('/', async (req, res) => {
+    const status = req.query.status || GROUP_STATUS.PENDING_PAYMENT;
+    if (!GROUP_STATUSES.includes(status)) {
+        return res.status(400).json({ success: false, message: `status must be one of: ${GROUP_STATUSES.join(', ')}` });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, MAX_PAGE_SIZE);
+    const lastEvaluatedKey = req.query.cursor ? decodeCursor(req.query.cursor) : undefined;
+    if (req.query.cursor && !lastEvaluatedKey) {
+        return res.status(400).json({ success: false, message: 'Invalid cursor' });
+    }
+
+    try {
+        const page = await listGroupEnrollmentsByStatus(status, { limit, lastEvaluatedKey });
+        res.json({
+            success: true,
+            groups: page.items,
+            count: page.items.length,
+            nextCursor: encodeCursor(page.lastEvaluatedKey)
+        });
+    } catch (error) {
+        logger.error('Admin group list failed', { error: error.message, admin: req.admin.id });
+        res.status(500).json({ success: false, message: 'Could not list groups' });
+    }
+});
+
+// GET /api/admin/groups/:groupId: group with each student's policy and email progress
+router.get('/:groupId', async (req, res) => {
+    const { groupId } = req.params;
+    try {
+        const group = await getGroupEnrollment(groupId);
+        if (!group) {
+            return res.status(404).json({ success: false, message: 'Group not found' });
+        }
+
+        const members = await listGroupMembers(groupId);
+        res.json({
+            success: true,
+            group,
+            members: members.map(({ rowNumber, userData, policyId, emailQueuedAt }) => ({
+                rowNumber,
+                name: userData.name,
+                email: userData.email,
+                policyId,
+                emailQueuedAt
+            }))
+        });
+    } catch (error) {
+        logger.error('Admin group fetch failed', { error: error.message, groupId, admin: req.admin.id });
+        res.status(500).json({ success: false, message: 'Could not fetch group' });
+    }
+});
+
+// POST /api/admin/groups: enroll a batch of students under one payment, as
+// multipart/form-data with `planType`, `institutionName` and the CSV in `students`.
+// The CSV has a header row with the user_data field names (see CSV_COLUMNS).
+// Invalid rows are reported per row and nothing is created; with
+// `validateOnly=true` only the report is returned. Otherwise the answer holds the
+// Razorpay order to pay; policies are issued once it is paid.
+router.post('/', uploadStudents, async (req, res) => {
+    const { planType, institutionName } = req.body || {};
+    const enrollment = { planType, institutionName, csv: req.file?.buffer.toString('utf8') };
+
+    try {
+        if (req.body?.validateOnly === 'true') {
+            const { members, errors } = validateGroupEnrollment(enrollment);
+            return res.json({ success: true, valid: errors.length === 0, validRows: members.length, errors });
+        }
+
+        const { group, order } = await createGroupEnrollmentOrder(enrollment, req.admin.id);
+        res.status(201).json({ success: true, group, order });
+    } catch (error) {
+        if (GROUP_ERROR_STATUS[error.code]) {
+            return res.status(GROUP_ERROR_STATUS[error.code]).json({
+                success: false,
+                message: error.message,
+                ...(error.code === 'GROUP_INVALID_CSV' && { columns: CSV_COLUMNS }),
+                ...(error.errors && { errors: error.errors })
+            });
+        }
+        logger.error('Admin group enrollment failed', { error: error.message, planType, admin: req.admin.id });
+        res.status(500).json({ success: false, message: 'Could not create group enrollment' });
+    }
+});
+
+module.exports = router;
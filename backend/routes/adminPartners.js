@@ -0,0 +1,160 @@
+const express = require('express');
+
+const { getPartner, updatePartner, listPartners } = require('../models/Partner');
+const {
+    validatePartnerInput,
+    createPartnerAccount,
+    rotatePartnerApiKey,
+    parseSalesDateRange,
+    listPartnerSales,
+    summarizePartnerSales
+} = require('../services/partnerService');
+const { encodeCursor, decodeCursor } = require('../utils/cursor');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const MAX_PAGE_SIZE = 100;
+
+// Error codes from partner creation and the HTTP status they map to
+const PARTNER_ERROR_STATUS = {
+    PARTNER_EXISTS: 409,
+    REFERRAL_CODE_TAKEN: 409
+};
+
+// GET /api/admin/partners: list partners
+router.get('/', async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, MAX_PAGE_SIZE);
+    const lastEvaluatedKey = req.query.cursor ? decodeCursor(req.query.cursor) : undefined;
+    if (req.query.cursor && !lastEvaluatedKey) {
+        return res.status(400).json({ success: false, message: 'Invalid cursor' });
+    }
+
+    try {
+        const page = await listPartners({ limit, lastEvaluatedKey });
+        res.json({
+            success: true,
+            partners: page.items,
+            count: page.items.length,
+            nextCursor: encodeCursor(page.lastEvaluatedKey)
+        });
+    } catch (error) {
+        logger.error('Admin partner list failed', { error: error.message, admin: req.admin.id });
+        res.status(500).json({ success: false, message: 'Could not list partners' });
+    }
+});
+
+// GET /api/admin/partners/:partnerId
+router.get('/:partnerId', async (req, res) => {
+    const { partnerId } = req.params;
+    try {
+        const partner = await getPartner(partnerId);
+        if (!partner) {
+            return res.status(404).json({ success: false, message: 'Partner not found' });
+        }
+        res.json({ success: true, partner });
+    } catch (error) {
+        logger.error('Admin partner fetch failed', { error: error.message, partnerId, admin: req.admin.id });
+        res.status(500).json({ success: false, message: 'Could not fetch partner' });
+    }
+});
+
+// POST /api/admin/partners: create a college or distributor. The answer holds
+// the partner's API key, which is not stored and cannot be shown again.
+router.post('/', async (req, res) => {
+    const validation = validatePartnerInput(req.body);
+    if (!validation.valid) {
+        return res.status(400).json({ success: false, message: 'Invalid partner', errors: validation.errors });
+    }
+
+    try {
+        const { partner, apiKey } = await createPartnerAccount(validation.value, req.admin.id);
+        res.status(201).json({ success: true, partner, apiKey });
+    } catch (error) {
+        if (PARTNER_ERROR_STATUS[error.code]) {
+            return res.status(PARTNER_ERROR_STATUS[error.code]).json({ success: false, message: error.message });
+        }
+        logger.error('Admin partner create failed', { error: error.message, admin: req.admin.id });
+        res.status(500).json({ success: false, message: 'Could not create partner' });
+    }
+});
+
+// PATCH /api/admin/partners/:partnerId: change pricing, commission, branding,
+// support contact or deactivate. Orders already created keep their price and rate.
+router.patch('/:partnerId', async (req, res) => {
+    const validation = validatePartnerInput(req.body, { partial: true });
+    if (!validation.valid) {
+        return res.status(400).json({ success: false, message: 'Invalid partner', errors: validation.errors });
+    }
+
+    const { partnerId } = req.params;
+    try {
+        const partner = await updatePartner(partnerId, validation.value, req.admin.id);
+        if (!partner) {
+            return res.status(404).json({ success: false, message: 'Partner not found' });
+        }
+
+        logger.info('Partner updated', { partnerId, fields: Object.keys(validation.value), admin: req.admin.id });
+        res.json({ success: true, partner });
+    } catch (error) {
+        logger.error('Admin partner update failed', { error: error.message, partnerId, admin: req.admin.id });
+        res.status(500).json({ success: false, message: 'Could not update partner' });
+    }
+});
+
+// POST /api/admin/partners/:partnerId/api-key: issue a new API key; the old one stops working
+router.post('/:partnerId/api-key', async (req, res) => {
+    const { partnerId } = req.params;
+    try {
+        const apiKey = await rotatePartnerApiKey(partnerId, req.admin.id);
+        if (!apiKey) {
+            return res.status(404).json({ success: false, message: 'Partner not found' });
+        }
+        res.json({ success: true, partnerId, apiKey });
+    } catch (error) {
+        logger.error('Admin partner key rotation failed', { error: error.message, partnerId, admin: req.admin.id });
+        res.status(500).json({ success: false, message: 'Could not rotate API key' });
+    }
+});
+
+// GET /api/admin/partners/:partnerId/sales?startDate=YYYY-MM-DD&endDate=YYYY-MM-DD:
+// the partner's sales as the partner sees them. The first page (no cursor) also
+// carries the summary, which reads the whole range; later pages do not repeat it.
+router.get('/:partnerId/sales', async (req, res) => {
+    const { error, dateRange } = parseSalesDateRange(req.query);
+    if (error) {
+        return res.status(400).json({ success: false, message: error });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, MAX_PAGE_SIZE);
+    const lastEvaluatedKey = req.query.cursor ? decodeCursor(req.query.cursor) : undefined;
+    if (req.query.cursor && !lastEvaluatedKey) {
+        return res.status(400).json({ success: false, message: 'Invalid cursor' });
+    }
+
+    const { partnerId } = req.params;
+    try {
+        const partner = await getPartner(partnerId);
+        if (!partner) {
+            return res.status(404).json({ success: false, message: 'Partner not found' });
+        }
+
+        const [page, summary] = await Promise.all([
+            listPartnerSales(partnerId, dateRange, { limit, lastEvaluatedKey }),
+            lastEvaluatedKey ? undefined : summarizePartnerSales(partnerId, dateRange)
+        ]);
+        res.json({
+            success: true,
+            ...dateRange,
+            ...(summary && { summary }),
+            sales: page.items,
+            count: page.items.length,
+            nextCursor: encodeCursor(page.lastEvaluatedKey)
+        });
+    } catch (err) {
+        logger.error('Admin partner sales failed', { error: err.message, partnerId, admin: req.admin.id });
+        res.status(500).json({ success: false, message: 'Could not fetch partner sales' });
+    }
+});
+
+module.exports = router;
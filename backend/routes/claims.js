@@ -0,0 +1,98 @@
+const express = require('express');
+const multer = require('multer');
+
+const {
+    CLAIM_DOCUMENT_TYPES,
+    MAX_DOCUMENT_BYTES,
+    MAX_DOCUMENTS,
+    validateClaimInput,
+    submitClaim
+} = require('../services/claimService');
+const { createRateLimiter } = require('../middleware/rateLimit');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Each claim stores uploads and sends emails, and the identity check can be guessed at
+const claimRateLimit = createRateLimiter({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    maxRequests: 10
+});
+
+// Documents are held in memory only until they are checked and stored
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_DOCUMENT_BYTES, files: MAX_DOCUMENTS, fields: 20 },
+    fileFilter: (req, file, callback) => {
+        if (CLAIM_DOCUMENT_TYPES[file.mimetype]) {
+            return callback(null, true);
+        }
+        const error = new Error(`${file.originalname}: only PDF, JPEG and PNG documents are accepted`);
+        error.code = 'CLAIM_INVALID_DOCUMENT';
+        callback(error);
+    }
+}).array('documents', MAX_DOCUMENTS);
+
+const UPLOAD_ERROR_MESSAGES = {
+    LIMIT_FILE_SIZE: `Each document must be at most ${MAX_DOCUMENT_BYTES / (1024 * 1024)} MB`,
+    LIMIT_FILE_COUNT: `At most ${MAX_DOCUMENTS} documents can be uploaded`,
+    LIMIT_UNEXPECTED_FILE: `Upload at most ${MAX_DOCUMENTS} documents in the "documents" field`
+};
+
+// Run the upload and answer upload problems with a 400 instead of the generic error handler
+function uploadDocuments(req, res, next) {
+    upload(req, res, (error) => {
+        if (!error) {
+            return next();
+        }
+        if (error instanceof multer.MulterError) {
+            return res.status(400).json({ success: false, message: UPLOAD_ERROR_MESSAGES[error.code] || error.message });
+        }
+        if (error.code === 'CLAIM_INVALID_DOCUMENT') {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        next(error);
+    });
+}
+
+// Error codes from the claim service and the HTTP status they map to
+const CLAIM_ERROR_STATUS = {
+    CLAIM_POLICY_NOT_FOUND: 404,
+    CLAIM_POLICY_NOT_ACTIVE: 422,
+    CLAIM_OUTSIDE_COVER: 422,
+    CLAIM_TYPE_NOT_COVERED: 422,
+    CLAIM_AMOUNT_TOO_LARGE: 422,
+    CLAIM_INVALID_DOCUMENT: 400
+};
+
+// POST /api/claims: file a claim, as multipart/form-data with the claim
+// fields and up to MAX_DOCUMENTS files in `documents`
+router.post('/', claimRateLimit, uploadDocuments, async (req, res) => {
+    const validation = validateClaimInput(req.body || {});
+    if (!validation.valid) {
+        return res.status(400).json({ success: false, message: 'Invalid claim', errors: validation.errors });
+    }
+
+    try {
+        const claim = await submitClaim(validation.value, req.files || []);
+        res.status(201).json({
+            success: true,
+            claim: {
+                claimId: claim.claimId,
+                policyId: claim.policyId,
+                status: claim.status,
+                submittedAt: claim.submittedAt,
+                documentCount: claim.documentCount
+            }
+        });
+    } catch (error) {
+        if (CLAIM_ERROR_STATUS[error.code]) {
+            logger.info('Claim rejected', { code: error.code, policyId: validation.value.policyId, ip: req.ip });
+            return res.status(CLAIM_ERROR_STATUS[error.code]).json({ success: false, message: error.message, code: error.code });
+        }
+        logger.error('Claim submission failed', { error: error.message, policyId: validation.value.policyId, ip: req.ip });
+        res.status(500).json({ success: false, message: 'Could not submit claim' });
+    }
+});
+
+module.exports = router;
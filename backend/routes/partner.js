@@ -0,0 +1,77 @@
+const express = require('express');
+
+const { partnerAuth } = require('../middleware/partnerAuth');
+const { createRateLimiter } = require('../middleware/rateLimit');
+const { parseSalesDateRange, listPartnerSales, summarizePartnerSales } = require('../services/partnerService');
+const { encodeCursor, decodeCursor } = require('../utils/cursor');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const MAX_PAGE_SIZE = 100;
+
+// Limit key guessing before the key is checked, then throttle reporting per IP
+const partnerRateLimit = createRateLimiter({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    maxRequests: 300
+});
+
+router.use(partnerRateLimit, partnerAuth);
+
+// GET /api/partner/me: the calling partner's own settings
+router.get('/me', (req, res) => {
+    const { partnerId, name, type, referralCode, priceOverrides, commissionRate, branding, support, active } = req.partner;
+    res.json({
+        success: true,
+        partner: { partnerId, name, type, referralCode, priceOverrides, commissionRate, branding, support, active }
+    });
+});
+
+// GET /api/partner/sales?startDate=YYYY-MM-DD&endDate=YYYY-MM-DD: policies sold
+// with the partner's referral code, newest first, with customer details masked
+router.get('/sales', async (req, res) => {
+    const { error, dateRange } = parseSalesDateRange(req.query);
+    if (error) {
+        return res.status(400).json({ success: false, message: error });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, MAX_PAGE_SIZE);
+    const lastEvaluatedKey = req.query.cursor ? decodeCursor(req.query.cursor) : undefined;
+    if (req.query.cursor && !lastEvaluatedKey) {
+        return res.status(400).json({ success: false, message: 'Invalid cursor' });
+    }
+
+    const { partnerId } = req.partner;
+    try {
+        const page = await listPartnerSales(partnerId, dateRange, { limit, lastEvaluatedKey });
+        res.json({
+            success: true,
+            sales: page.items,
+            count: page.items.length,
+            nextCursor: encodeCursor(page.lastEvaluatedKey)
+        });
+    } catch (err) {
+        logger.error('Partner sales list failed', { error: err.message, partnerId });
+        res.status(500).json({ success: false, message: 'Could not list sales' });
+    }
+});
+
+// GET /api/partner/sales/summary?startDate=YYYY-MM-DD&endDate=YYYY-MM-DD:
+// policy count, premium and commission for the range (amounts in paise)
+router.get('/sales/summary', async (req, res) => {
+    const { error, dateRange } = parseSalesDateRange(req.query);
+    if (error) {
+        return res.status(400).json({ success: false, message: error });
+    }
+
+    const { partnerId } = req.partner;
+    try {
+        const summary = await summarizePartnerSales(partnerId, dateRange);
+        res.json({ success: true, ...dateRange, summary });
+    } catch (err) {
+        logger.error('Partner sales summary failed', { error: err.message, partnerId });
+        res.status(500).json({ success: false, message: 'Could not summarize sales' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,63 @@
+const express = require('express');
+
+const { listPlans, getActivePlan } = require('../config/plans');
+const { resolveReferral, getPartnerPremium } = require('../services/partnerService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// What the frontend needs to show and sell a plan; internal fields stay out.
+// With a partner, the premium is the partner's price for the plan.
+function toPublicPlan(plan, partner = null) {
+    const premium = getPartnerPremium(partner, plan);
+    return {
+        planId: plan.planId,
+        name: plan.name,
+        description: plan.description,
+        currency: 'INR',
+        premium: {
+            base: premium.base,
+            gstRate: premium.gstRate,
+            gst: premium.gst,
+            total: premium.total
+        },
+        sumInsured: plan.sumInsured,
+        coverage: plan.coverage,
+        eligibility: plan.eligibility,
+        validityMonths: plan.validityMonths
+    };
+}
+
+// Resolve `?referralCode=` to its partner, answering unknown codes with a 400
+async function loadReferralPartner(req, res, next) {
+    if (!req.query.referralCode) {
+        return next();
+    }
+    try {
+        req.partner = await resolveReferral(req.query.referralCode);
+    } catch (error) {
+        if (error.code === 'PARTNER_INVALID_REFERRAL') {
+            return res.status(400).json({ success: false, message: error.message, code: error.code });
+        }
+        logger.error('Referral lookup failed', { error: error.message, ip: req.ip });
+        return res.status(500).json({ success: false, message: 'Could not apply referral code' });
+    }
+    next();
+}
+
+// GET /api/plans?referralCode=: plans currently on sale (amounts in paise),
+// at the partner's prices when a referral code is given
+router.get('/', loadReferralPartner, (req, res) => {
+    res.json({ success: true, plans: listPlans().map((plan) => toPublicPlan(plan, req.partner)) });
+});
+
+// GET /api/plans/:planId?referralCode=: a single plan on sale
+router.get('/:planId', loadReferralPartner, (req, res) => {
+    const plan = getActivePlan(req.params.planId);
+    if (!plan) {
+        return res.status(404).json({ success: false, message: 'Plan not found' });
+    }
+    res.json({ success: true, plan: toPublicPlan(plan, req.partner) });
+});
+
+module.exports = router;
@@ -0,0 +1,125 @@
+const express = require('express');
+
+const { getPolicyById, getPoliciesByEmail, getPoliciesByPhone, getPolicyStatus } = require('../models/Policy');
+const { toMaskedPolicy } = require('../services/policyService');
+const { isValidPolicyNumber, normalizePolicyNumber } = require('../utils/policyNumber');
+const { parseDate } = require('../utils/validation');
+const { createRateLimiter } = require('../middleware/rateLimit');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Lookups expose (masked) customer data, so keep enumeration slow
+const lookupRateLimit = createRateLimiter({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    maxRequests: 20
+});
+
+// Whether the caller knows the holder's date of birth and their email or phone
+function matchesHolder(policy, { email, phone, dob }) {
+    const userData = policy.userData || {};
+    if (parseDate(userData.dateOfBirth) !== dob) {
+        return false;
+    }
+    return email
+        ? String(userData.email || '').toLowerCase() === String(email).trim().toLowerCase()
+        : String(userData.phone || '').replace(/\D/g, '').slice(-10) === String(phone).replace(/\D/g, '').slice(-10);
+}
+
+// Reject mistyped numbers without touching the database
+function parsePolicyId(req, res) {
+    const policyId = normalizePolicyNumber(req.params.policyId);
+    if (!isValidPolicyNumber(policyId, { allowLegacy: true })) {
+        res.status(400).json({ success: false, message: 'Invalid policy number' });
+        return null;
+    }
+    return policyId;
+}
+
+// POST /api/policies/lookup: find policies by email or phone plus date of birth
+router.post('/lookup', lookupRateLimit, async (req, res) => {
+    const { email, phone, dateOfBirth } = req.body;
+    const dob = parseDate(dateOfBirth);
+
+    if ((!email && !phone) || !dob) {
+        return res.status(400).json({
+            success: false,
+            message: 'Email or phone, and date of birth, are required'
+        });
+    }
+
+    try {
+        const candidates = email
+            ? await getPoliciesByEmail(String(email).trim().toLowerCase())
+            : await getPoliciesByPhone(String(phone).replace(/\D/g, '').slice(-10));
+
+        // The date of birth must match, otherwise answer as if nothing was found
+        const policies = candidates.filter((policy) => parseDate(policy.userData?.dateOfBirth) === dob);
+
+        if (policies.length === 0) {
+            logger.info('Policy lookup found no match', { by: email ? 'email' : 'phone', ip: req.ip });
+            return res.status(404).json({ success: false, message: 'No matching policies found' });
+        }
+
+        res.json({ success: true, policies: policies.map(toMaskedPolicy) });
+    } catch (error) {
+        logger.error('Policy lookup failed', { error: error.message, ip: req.ip });
+        res.status(500).json({ success: false, message: 'Could not retrieve policies' });
+    }
+});
+
+// GET /api/policies/:policyId: status of a single policy. Policy numbers are
+// sequential, so nothing about the holder is returned without the checks below.
+router.get('/:policyId', lookupRateLimit, async (req, res) => {
+    const policyId = parsePolicyId(req, res);
+    if (!policyId) {
+        return;
+    }
+
+    try {
+        const policy = await getPolicyById(policyId);
+        if (!policy) {
+            return res.status(404).json({ success: false, message: 'Policy not found' });
+        }
+
+        res.json({ success: true, policy: { policyId: policy.policyId, status: getPolicyStatus(policy) } });
+    } catch (error) {
+        logger.error('Policy lookup failed', { error: error.message, policyId, ip: req.ip });
+        res.status(500).json({ success: false, message: 'Could not retrieve policy' });
+    }
+});
+
+// POST /api/policies/:policyId: plan and (masked) holder details of a single
+// policy, for callers who give the holder's email or phone plus date of birth
+router.post('/:policyId', lookupRateLimit, async (req, res) => {
+    const policyId = parsePolicyId(req, res);
+    if (!policyId) {
+        return;
+    }
+
+    const { email, phone, dateOfBirth } = req.body || {};
+    const dob = parseDate(dateOfBirth);
+    if ((!email && !phone) || !dob) {
+        return res.status(400).json({
+            success: false,
+            message: 'Email or phone, and date of birth, are required'
+        });
+    }
+
+    try {
+        const policy = await getPolicyById(policyId);
+
+        // A wrong email, phone or date of birth is answered as if the policy did not exist
+        if (!policy || !matchesHolder(policy, { email, phone, dob })) {
+            logger.info('Policy lookup found no match', { policyId, by: email ? 'email' : 'phone', ip: req.ip });
+            return res.status(404).json({ success: false, message: 'Policy not found' });
+        }
+
+        res.json({ success: true, policy: toMaskedPolicy(policy) });
+    } catch (error) {
+        logger.error('Policy lookup failed', { error: error.message, policyId, ip: req.ip });
+        res.status(500).json({ success: false, message: 'Could not retrieve policy' });
+    }
+});
+
+module.exports = router;
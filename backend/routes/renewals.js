@@ -0,0 +1,90 @@
+const express = require('express');
+
+const { getRenewalQuote, createRenewalOrder } = require('../services/renewalService');
+const { toMaskedPolicy } = require('../services/policyService');
+const { isValidPolicyNumber, normalizePolicyNumber } = require('../utils/policyNumber');
+const { formatRupees } = require('../utils/money');
+const { createRateLimiter } = require('../middleware/rateLimit');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Renewal links are signed, but guessing at them should still be slow
+const renewalRateLimit = createRateLimiter({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    maxRequests: 30
+});
+
+// Error codes from the renewal service and the HTTP status they map to
+const RENEWAL_ERROR_STATUS = {
+    RENEWAL_LINK_INVALID: 403,
+    RENEWAL_LINK_EXPIRED: 410,
+    RENEWAL_ALREADY_RENEWED: 409,
+    RENEWAL_NOT_ELIGIBLE: 422,
+    PAYMENTS_UNAVAILABLE: 503
+};
+
+function sendRenewalError(res, error, policyId, ip) {
+    if (RENEWAL_ERROR_STATUS[error.code]) {
+        logger.info('Renewal refused', { code: error.code, policyId, ip });
+        return res.status(RENEWAL_ERROR_STATUS[error.code]).json({ success: false, message: error.message, code: error.code });
+    }
+    logger.error('Renewal request failed', { error: error.message, policyId, ip });
+    res.status(500).json({ success: false, message: 'Could not process renewal' });
+}
+
+// Renewal links carry the policy number as typed in the email
+function parsePolicyId(req, res) {
+    const policyId = normalizePolicyNumber(req.params.policyId);
+    if (!isValidPolicyNumber(policyId, { allowLegacy: true })) {
+        res.status(403).json({ success: false, message: 'This renewal link is not valid', code: 'RENEWAL_LINK_INVALID' });
+        return null;
+    }
+    return policyId;
+}
+
+// GET /api/renewals/:policyId?expires=&token=: the policy being renewed (masked),
+// the renewal premium and when the new cover would start
+router.get('/:policyId', renewalRateLimit, async (req, res) => {
+    const policyId = parsePolicyId(req, res);
+    if (!policyId) {
+        return;
+    }
+
+    try {
+        const quote = await getRenewalQuote(policyId, { expires: req.query.expires, token: req.query.token });
+        res.json({
+            success: true,
+            policy: toMaskedPolicy(quote.policy),
+            renewal: {
+                planType: quote.planType,
+                planName: quote.planName,
+                amount: formatRupees(quote.amount),
+                currency: quote.currency,
+                coverageStartDate: quote.renewalStartDate
+            }
+        });
+    } catch (error) {
+        sendRenewalError(res, error, policyId, req.ip);
+    }
+});
+
+// POST /api/renewals/:policyId/order: create the Razorpay order for a renewal.
+// Body: { expires, token } from the renewal link. Pay it through the usual
+// checkout and /api/verify-payment; user_data is not needed there.
+router.post('/:policyId/order', renewalRateLimit, async (req, res) => {
+    const policyId = parsePolicyId(req, res);
+    if (!policyId) {
+        return;
+    }
+
+    try {
+        const { expires, token } = req.body || {};
+        const order = await createRenewalOrder(policyId, { expires, token });
+        res.json({ success: true, order });
+    } catch (error) {
+        sendRenewalError(res, error, policyId, req.ip);
+    }
+});
+
+module.exports = router;
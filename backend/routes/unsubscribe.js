@@ -0,0 +1,31 @@
+const express = require('express');
+
+const { unsubscribe } = require('../services/campaignService');
+const { createRateLimiter } = require('../middleware/rateLimit');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const unsubscribeRateLimit = createRateLimiter({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    maxRequests: 30
+});
+
+// POST /api/unsubscribe: opt out of marketing email. Body: { email, token }
+// from the link in a campaign email. Policy and claim emails still go out.
+router.post('/', unsubscribeRateLimit, async (req, res) => {
+    const { email, token } = req.body || {};
+
+    try {
+        if (!await unsubscribe(email, token)) {
+            logger.warn('Unsubscribe rejected', { ip: req.ip });
+            return res.status(403).json({ success: false, message: 'This unsubscribe link is not valid' });
+        }
+        res.json({ success: true, message: 'You have been unsubscribed from marketing email' });
+    } catch (error) {
+        logger.error('Unsubscribe failed', { error: error.message, ip: req.ip });
+        res.status(500).json({ success: false, message: 'Could not unsubscribe' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,70 @@
+const express = require('express');
+
+const { getPolicyById, getPolicyStatus, POLICY_STATUS } = require('../models/Policy');
+const { getPlanName } = require('../config/plans');
+const { isValidPolicyNumber, normalizePolicyNumber } = require('../utils/policyNumber');
+const { isValidVerificationToken } = require('../utils/verificationToken');
+const { createRateLimiter } = require('../middleware/rateLimit');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Colleges and hospitals may check many students, but not enumerate policies
+const verifyRateLimit = createRateLimiter({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    maxRequests: 60
+});
+
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+
+// Same answer for unknown policies and bad tokens, so neither can be probed
+const NOT_VERIFIED = { success: true, valid: false, message: 'This policy could not be verified' };
+
+// Whether the policy covers the given day (YYYY-MM-DD)
+function isCoveredOn(policy, day) {
+    return getPolicyStatus(policy) === POLICY_STATUS.ACTIVE
+        && Boolean(policy.coverageStartDate && policy.coverageEndDate)
+        && policy.coverageStartDate <= day
+        && day <= policy.coverageEndDate;
+}
+
+// GET /api/verify/:policyId/:token: check a policy from its document's QR code.
+// The answer carries no personal data.
+router.get('/:policyId/:token', verifyRateLimit, async (req, res) => {
+    const policyId = normalizePolicyNumber(req.params.policyId);
+
+    try {
+        if (!isValidPolicyNumber(policyId, { allowLegacy: true }) || !isValidVerificationToken(policyId, req.params.token)) {
+            logger.warn('Policy verification rejected', { policyId, ip: req.ip });
+            return res.json(NOT_VERIFIED);
+        }
+
+        const policy = await getPolicyById(policyId);
+        if (!policy) {
+            return res.json(NOT_VERIFIED);
+        }
+
+        // Coverage dates are Indian calendar days
+        const today = new Date(Date.now() + IST_OFFSET_MS).toISOString().slice(0, 10);
+        res.json({
+            success: true,
+            valid: true,
+            policy: {
+                policyId: policy.policyId,
+                plan: getPlanName(policy.planType),
+                status: getPolicyStatus(policy),
+                coverage: {
+                    startDate: policy.coverageStartDate || null,
+                    endDate: policy.coverageEndDate || null
+                },
+                coveredToday: isCoveredOn(policy, today)
+            },
+            verifiedAt: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Policy verification failed', { error: error.message, policyId, ip: req.ip });
+        res.status(500).json({ success: false, message: 'Could not verify policy' });
+    }
+});
+
+module.exports = router;
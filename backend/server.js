@@ -3,40 +3,50 @@ require('dotenv').config({ path: path.resolve(__dirname, '../.env') });
 const cors = require('cors');
 const express = require('express');
 const crypto = require('crypto');
-const Razorpay = require('razorpay');
 const fs = require('fs').promises;
 
-const { savePolicy } = require('./models/Policy');
-const { sendCustomerConfirmationEmail, sendCompanyAcknowledgmentEmail } = require('./utils/emailService');
-const logger = console;
+const { razorpay } = require('./utils/razorpayClient');
+const { createOrder, getOrder, markOrderPaid, markOrderFailed, ORDER_STATUS } = require('./models/Order');
+const { issuePolicy } = require('./services/policyService');
+const { recordRefundProcessed } = require('./services/cancellationService');
+const { applyCoupon, recordCouponRedemption } = require('./services/couponService');
+const { resolveReferral, getPartnerPrice } = require('./services/partnerService');
+const { validateCustomerData } = require('./utils/validation');
+const { getPlan, getActivePlan } = require('./config/plans');
+const { createRateLimiter } = require('./middleware/rateLimit');
+const { adminAuth } = require('./middleware/adminAuth');
+const policiesRouter = require('./routes/policies');
+const plansRouter = require('./routes/plans');
+const verifyRouter = require('./routes/verify');
+const claimsRouter = require('./routes/claims');
+const renewalsRouter = require('./routes/renewals');
+const unsubscribeRouter = require('./routes/unsubscribe');
+const adminRouter = require('./routes/admin');
+const adminEmailsRouter = require('./routes/adminEmails');
+const adminCouponsRouter = require('./routes/adminCoupons');
+const adminClaimsRouter = require('./routes/adminClaims');
+const adminCampaignsRouter = require('./routes/adminCampaigns');
+const adminApplicationsRouter = require('./routes/adminApplications');
+const adminGroupsRouter = require('./routes/adminGroups');
+const adminPartnersRouter = require('./routes/adminPartners');
+const partnerRouter = require('./routes/partner');
+const { startOutboxWorker } = require('./services/emailOutbox');
+const { startRenewalReminderJob } = require('./services/renewalService');
+const { startCampaignScheduler } = require('./services/campaignService');
+const { handleApplicationPayment, startApplicationReconciler } = require('./services/assistedSaleService');
+const { handleGroupPayment, startGroupIssuanceJob } = require('./services/groupEnrollmentService');
+const { SECURITY_EVENT, recordSecurityEvent } = require('./services/securityEvents');
+const { redact } = require('./utils/redaction');
+const logger = require('./utils/logger');
 const requestLogger = (req, res, next) => next();
-const logError = console.error.bind(console);
-const logWarning = console.warn.bind(console);
-const logInfo = console.info.bind(console);
-const logPerformance = (name, duration) => console.log(`${name}: ${duration}`);
+const logError = logger.error;
+const logWarning = logger.warn;
+const logInfo = logger.info;
+const logPerformance = (name, duration) => logger.log(`${name}: ${duration}`);
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
-// In-memory store for order amounts to prevent price tampering
-const orderStore = new Map();
-const planPrices = {
-  'student-shield': 99900,        // ₹999 * 100 paise
-  'student-shield-plus': 199900,   // ₹1999 * 100 paise
-};
-
-// Initialize Razorpay only if credentials are available
-let razorpay = null;
-if (process.env.RAZORPAY_KEY_ID && process.env.RAZORPAY_KEY_SECRET) {
-  razorpay = new Razorpay({
-    key_id: process.env.RAZORPAY_KEY_ID,
-    key_secret: process.env.RAZORPAY_KEY_SECRET
-  });
-  console.log('✅ Razorpay initialized successfully');
-} else {
-  console.warn('⚠️  Razorpay credentials not found - payment features will be disabled');
-}
-
 // Global error handlers for uncaught exceptions
 process.on('uncaughtException', (error) => {
     logger.error('Uncaught Exception', {
@@ -72,7 +82,13 @@ process.on('SIGINT', () => {
 });
 
 // Middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+    limit: '10mb',
+    // Keep the raw body around for webhook signature verification
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 app.use(cors({
     origin: process.env.ALLOWED_ORIGINS?.split(','),
     credentials: true
@@ -81,11 +97,11 @@ app.use(cors({
 
 // Request validation middleware
 const validatePaymentRequest = (req, res, next) => {
-    const { razorpay_order_id, razorpay_payment_id, razorpay_signature, user_data } = req.body;
+    const { razorpay_order_id, razorpay_payment_id, razorpay_signature } = req.body;
 
     if (!razorpay_order_id || !razorpay_payment_id || !razorpay_signature) {
         logger.error('Payment verification failed: Missing required payment fields', {
-            body: req.body,
+            body: redact(req.body),
             ip: req.ip,
             requestId: req.requestId
         });
@@ -95,57 +111,15 @@ const validatePaymentRequest = (req, res, next) => {
         });
     }
 
-    if (!user_data) {
-        logger.error('Payment verification failed: Missing user data', {
-            orderId: razorpay_order_id,
-            ip: req.ip,
-            requestId: req.requestId
-        });
-        return res.status(400).json({
-            success: false,
-            message: 'Missing user data'
-        });
-    }
-
+    // user_data is checked in the handler, against the plan of the stored order
     next();
 };
 
 // Rate limiting middleware (basic implementation)
-const rateLimitMap = new Map();
-const rateLimit = (req, res, next) => {
-    const clientIP = req.ip || req.connection.remoteAddress;
-    const now = Date.now();
-    const windowMs = 15 * 60 * 1000; // 15 minutes
-    const maxRequests = 100; // max 100 requests per window
-
-    if (!rateLimitMap.has(clientIP)) {
-        rateLimitMap.set(clientIP, { count: 1, resetTime: now + windowMs });
-        return next();
-    }
-
-    const clientData = rateLimitMap.get(clientIP);
-
-    if (now > clientData.resetTime) {
-        clientData.count = 1;
-        clientData.resetTime = now + windowMs;
-        return next();
-    }
-
-    if (clientData.count >= maxRequests) {
-        logWarning('Rate limit exceeded', {
-            ip: clientIP,
-            count: clientData.count,
-            requestId: req.requestId
-        });
-        return res.status(429).json({
-            success: false,
-            message: 'Too many requests, please try again later'
-        });
-    }
-
-    clientData.count++;
-    next();
-};
+const rateLimit = createRateLimiter({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    maxRequests: 100 // max 100 requests per window
+});
 
 // Health check endpoint
 app.get('/health', async (req, res) => {
@@ -262,7 +236,7 @@ app.use((error, req, res, next) => {
         url: req.url,
         method: req.method,
         ip: req.ip,
-        body: req.body
+        body: redact(req.body)
     });
 
     res.status(500).json({
@@ -272,6 +246,25 @@ app.use((error, req, res, next) => {
     });
 });
 
+// Who sent a request, for security events
+const securityContext = (req) => ({ ip: req.ip, userAgent: req.get('User-Agent'), source: req.path });
+
+// Razorpay checkout's signature over the order and payment ID
+function isValidPaymentSignature(orderId, paymentId, signature) {
+    if (!process.env.RAZORPAY_KEY_SECRET || !signature) {
+        return false;
+    }
+
+    const expectedSignature = crypto
+        .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
+        .update(`${orderId}|${paymentId}`)
+        .digest('hex');
+
+    const expected = Buffer.from(expectedSignature);
+    const received = Buffer.from(String(signature));
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
 // POST /api/verify-payment: verify payment signature and amount
 app.post('/api/verify-payment', validatePaymentRequest, async (req, res) => {
     const {
@@ -282,43 +275,88 @@ app.post('/api/verify-payment', validatePaymentRequest, async (req, res) => {
     } = req.body;
 
     // Verify order exists and expected amount
-    const expectedAmount = orderStore.get(razorpay_order_id);
-    if (!expectedAmount) {
+    let order;
+    try {
+        order = await getOrder(razorpay_order_id);
+    } catch (err) {
+        logger.error('Failed to load order', { error: err.message, orderId: razorpay_order_id });
+        return res.status(500).json({ success: false, message: 'Could not verify payment amount' });
+    }
+    if (!order) {
+        // A valid signature means the customer really paid, for an order whose record is gone
+        if (isValidPaymentSignature(razorpay_order_id, razorpay_payment_id, razorpay_signature)) {
+            logger.error('Payment verification failed: Paid order not found', { orderId: razorpay_order_id, paymentId: razorpay_payment_id });
+            await recordSecurityEvent(SECURITY_EVENT.PAID_ORDER_MISSING, {
+                ...securityContext(req),
+                orderId: razorpay_order_id,
+                paymentId: razorpay_payment_id
+            });
+            return res.status(400).json({
+                success: false,
+                message: 'Payment received but the order could not be found. Our team has been alerted; please contact support.'
+            });
+        }
+        await recordSecurityEvent(SECURITY_EVENT.VERIFICATION_FAILED, {
+            ...securityContext(req),
+            orderId: razorpay_order_id,
+            paymentId: razorpay_payment_id,
+            details: { reason: 'unknown_order' }
+        });
         return res.status(400).json({ success: false, message: 'Invalid order ID' });
     }
+    // Razorpay orders do not expire, so a payment on an expired order is still honoured while the order exists
+    if (order.status === ORDER_STATUS.EXPIRED) {
+        logger.warn('Payment received for expired order', { orderId: razorpay_order_id, paymentId: razorpay_payment_id, ip: req.ip });
+    }
+
+    // Customer data stored with the order was validated against its plan when the
+    // order was created (renewals reuse the previous policy's); the client's
+    // user_data is only used for orders created without it, and is checked here
+    // against the plan the policy will be issued for. A group enrollment has its
+    // students stored with the group.
+    let userData = order.userData;
+    if (!userData && !order.groupId && user_data) {
+        const validation = validateCustomerData(user_data, { eligibility: getPlan(order.planType)?.eligibility });
+        if (!validation.valid) {
+            logger.warn('Payment verification failed: Invalid user data', {
+                orderId: razorpay_order_id,
+                fields: validation.errors.map((e) => e.field),
+                ip: req.ip,
+                requestId: req.requestId
+            });
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid customer data',
+                errors: validation.errors
+            });
+        }
+        // Only validated, normalized values go on to storage and emails
+        userData = { ...validation.value, planType: order.planType };
+    }
+    if (!userData && !order.groupId) {
+        logger.error('Payment verification failed: Missing user data', {
+            orderId: razorpay_order_id,
+            ip: req.ip,
+            requestId: req.requestId
+        });
+        return res.status(400).json({
+            success: false,
+            message: 'Missing user data'
+        });
+    }
+
+    const expectedAmount = order.amount;
     try {
         // Fetch actual payment details
         const paymentDetails = await razorpay.payments.fetch(razorpay_payment_id);
         if (paymentDetails.amount !== expectedAmount) {
             logger.error('Payment verification failed: Amount mismatch', { orderId: razorpay_order_id, expectedAmount, actualAmount: paymentDetails.amount });
-            // Notify company about tampering attempt
-            const customerData = {
-                name: user_data.name,
-                email: user_data.email,
-                phone: user_data.phone,
-                gender: user_data.gender,
-                dateOfBirth: user_data.dateOfBirth,
-                aadharNumber: user_data.aadharNumber,
-                address: user_data.address,
-                city: user_data.city,
-                state: user_data.state,
-                pincode: user_data.pincode,
-                nomineeFullName: user_data.nomineeFullName,
-                nomineeRelationship: user_data.nomineeRelationship,
-                nomineeGender: user_data.nomineeGender,
-                nomineeDateOfBirth: user_data.nomineeDateOfBirth
-            };
-            const policyAlertData = {
-                policyNumber: 'N/A',
-                planName: user_data.planType,
-                amount: `Expected: ${expectedAmount}, Received: ${paymentDetails.amount}`,
-                paymentId: razorpay_payment_id
-            };
-            try {
-                await sendCompanyAcknowledgmentEmail(customerData, policyAlertData);
-            } catch (emailErr) {
-                logger.error('Failed to send tamper notification email', { error: emailErr.message });
-            }
+            await recordSecurityEvent(SECURITY_EVENT.PAYMENT_TAMPERED, {
+                ...securityContext(req),
+                orderId: razorpay_order_id,
+                paymentId: razorpay_payment_id,
+                details: { planType: order.planType, expectedAmount, actualAmount: paymentDetails.amount }
+            });
             return res.status(400).json({
                 success: false,
                 message: 'Policy creation failed: Trusted payment not received. Please contact support.'
@@ -369,78 +407,24 @@ app.post('/api/verify-payment', validatePaymentRequest, async (req, res) => {
                     paymentId: razorpay_payment_id
                 });
 
-                // 2) Generate unique policy number
-                const policyNumber = `SSST${Date.now().toString().slice(-8)}`;
-            
-                // 3) Prepare policy item for DynamoDB
-                const policyItem = {
-                    policyId: policyNumber,
-                    orderId: razorpay_order_id,
-                    paymentId: razorpay_payment_id,
-                    userData: user_data,
-                    timestamp: new Date().toISOString()
-                };
-            
                 try {
-                    await savePolicy(policyItem);
-            
-                    logger.info('Policy saved successfully', {
-                        policyNumber,
+                    if (order.groupId) {
+                        const { groupId } = await handleGroupPayment(order, { id: razorpay_payment_id }, 'verify-payment');
+                        return res.json({
+                            success: true,
+                            message: 'Payment captured; policies are being issued for the group',
+                            groupId
+                        });
+                    }
+
+                    const { policyNumber } = await issuePolicy({
+                        order,
                         orderId: razorpay_order_id,
                         paymentId: razorpay_payment_id,
-                        userEmail: user_data?.email || 'unknown'
+                        userData,
+                        source: 'verify-payment'
                     });
 
-                    // Send email notifications after successful policy creation
-                    try {
-                        // Prepare customer data for emails
-                        const customerData = {
-                            name: user_data.name,
-                            email: user_data.email,
-                            phone: user_data.phone,
-                            dateOfBirth: user_data.dateOfBirth,
-                            aadharNumber: user_data.aadharNumber,
-                            address: user_data.address,
-                            city: user_data.city,
-                            state: user_data.state,
-                            pincode: user_data.pincode,
-                            gender: user_data.gender,
-                            nomineeFullName: user_data.nomineeFullName,
-                            nomineeRelationship: user_data.nomineeRelationship,
-                            nomineeGender: user_data.nomineeGender,
-                            nomineeDateOfBirth: user_data.nomineeDateOfBirth
-                        };
-
-                        // Prepare policy data for emails - get amount from user_data
-                        const policyData = {
-                            policyNumber,
-                            planName: user_data.planType,
-                            amount: user_data.amount || 'N/A', // Get amount from user_data
-                            paymentId: razorpay_payment_id,
-                            timestamp: new Date().toLocaleString()
-                        };
-
-                        // Send customer confirmation email
-                        await sendCustomerConfirmationEmail(customerData, policyData);
-
-                        // Send company acknowledgment email
-                        await sendCompanyAcknowledgmentEmail(customerData, policyData);
-
-                        logger.info('Email notifications sent successfully', {
-                            policyNumber,
-                            customerEmail: customerData.email
-                        });
-
-                    } catch (emailError) {
-                        // Log email error but don't fail the entire request
-                        logger.error('Failed to send email notifications', {
-                            error: emailError.message,
-                            policyNumber,
-                            customerEmail: user_data?.email
-                        });
-                        // Continue execution - emails are not critical for policy creation
-                    }
-            
                     return res.json({
                         success: true,
                         message: 'Payment captured and policy created',
@@ -450,7 +434,7 @@ app.post('/api/verify-payment', validatePaymentRequest, async (req, res) => {
                     logger.error('Error saving policy to database', {
                         error: err.message,
                         stack: err.stack,
-                        policyNumber,
+                        policyNumber: err.policyId,
                         orderId: razorpay_order_id,
                         paymentId: razorpay_payment_id
                     });
@@ -468,6 +452,11 @@ app.post('/api/verify-payment', validatePaymentRequest, async (req, res) => {
                 expectedSignature: expectedSignature.substring(0, 10) + '...',
                 receivedSignature: razorpay_signature.substring(0, 10) + '...'
             });
+            await recordSecurityEvent(SECURITY_EVENT.INVALID_PAYMENT_SIGNATURE, {
+                ...securityContext(req),
+                orderId: razorpay_order_id,
+                paymentId: razorpay_payment_id
+            });
 
             res.status(400).json({
                 success: false,
@@ -492,19 +481,68 @@ app.post('/api/verify-payment', validatePaymentRequest, async (req, res) => {
 
 // POST /api/create-order: create Razorpay order and store amount
 app.post('/api/create-order', async (req, res) => {
-    const { planType } = req.body;
-    // Determine amount from trusted server-side mapping
-    const amount = planPrices[planType];
-    const currency = 'INR';
-    if (!amount) {
+    const { planType, user_data, couponCode, referralCode } = req.body;
+    // Determine amount from the trusted plan catalog
+    const plan = getActivePlan(planType);
+    if (!plan) {
         logger.error('Create order failed: Invalid plan type', { planType, ip: req.ip });
         return res.status(400).json({ error: 'Invalid plan type' });
     }
-    
+    const currency = 'INR';
+
+    // Sales through a partner are tagged with it and priced at its price for the plan
+    let partner = null;
+    if (referralCode) {
+        try {
+            partner = await resolveReferral(referralCode);
+        } catch (err) {
+            if (err.code === 'PARTNER_INVALID_REFERRAL') {
+                logger.warn('Create order failed: Referral rejected', { planType, ip: req.ip });
+                return res.status(400).json({ error: err.message, code: err.code });
+            }
+            logger.error('Create order failed: Referral lookup error', { error: err.message, ip: req.ip });
+            return res.status(500).json({ error: 'Could not apply referral code' });
+        }
+    }
+    let amount = getPartnerPrice(partner, plan);
+
+    let userData = null;
+    if (user_data) {
+        const validation = validateCustomerData(user_data, { eligibility: plan.eligibility });
+        if (!validation.valid) {
+            logger.warn('Create order failed: Invalid user data', {
+                planType,
+                fields: validation.errors.map((e) => e.field),
+                ip: req.ip
+            });
+            return res.status(400).json({
+                error: 'Invalid customer data',
+                errors: validation.errors
+            });
+        }
+        userData = { ...validation.value, planType };
+    }
+
+    // Discount is worked out here and stored with the order; the client only sends the code
+    let coupon = null;
+    if (couponCode) {
+        try {
+            coupon = await applyCoupon(couponCode, { plan, baseAmount: amount, customerEmail: userData?.email });
+            amount = coupon.amount;
+        } catch (err) {
+            if (err.code && err.code.startsWith('COUPON_')) {
+                logger.warn('Create order failed: Coupon rejected', { planType, reason: err.code, ip: req.ip });
+                return res.status(400).json({ error: err.message, code: err.code });
+            }
+            logger.error('Create order failed: Coupon lookup error', { error: err.message, ip: req.ip });
+            return res.status(500).json({ error: 'Could not apply coupon' });
+        }
+    }
+
     // Create order with trusted amount
     if (!razorpay) {
         logger.error('Create order failed: Razorpay not configured', { 
-          body: req.body, 
+          body: redact(req.body), 
           ip: req.ip 
         });
         return res.status(503).json({ 
@@ -514,17 +552,265 @@ app.post('/api/create-order', async (req, res) => {
     
     try {
         const order = await razorpay.orders.create({ amount, currency });
-        // Store the amount for later verification
-        orderStore.set(order.id, amount);
+        // Store the amount for later verification, and the customer data so the
+        // webhook can issue the policy if the browser never calls verify-payment
+        await createOrder({
+            orderId: order.id,
+            planType,
+            amount,
+            currency,
+            userData,
+            ...(partner && { partnerId: partner.partnerId, commissionRate: partner.commissionRate || 0 }),
+            ...(coupon && {
+                baseAmount: coupon.baseAmount,
+                coupon: {
+                    couponCode: coupon.couponCode,
+                    discountType: coupon.discountType,
+                    discountValue: coupon.discountValue,
+                    discount: coupon.discount
+                }
+            })
+        });
 
-        logger.info('Order created successfully', { orderId: order.id, amount, currency });
-        res.json({ id: order.id });
+        logger.info('Order created successfully', {
+            orderId: order.id,
+            amount,
+            currency,
+            couponCode: coupon?.couponCode,
+            partnerId: partner?.partnerId
+        });
+        res.json({
+            id: order.id,
+            amount,
+            currency,
+            ...(partner && { referralCode: partner.referralCode }),
+            ...(coupon && { couponCode: coupon.couponCode, discount: coupon.discount, baseAmount: coupon.baseAmount })
+        });
     } catch (err) {
         logger.error('Create order error', { error: err.message, stack: err.stack });
         res.status(500).json({ error: 'Could not create order' });
     }
 });
 
+// Plan catalog for the frontend
+app.use('/api/plans', plansRouter);
+
+// Policy lookup for customers and support
+app.use('/api/policies', policiesRouter);
+
+// Public policy verification from the signed link on policy documents
+app.use('/api/verify', verifyRouter);
+
+// Claims against issued policies, with document uploads
+app.use('/api/claims', claimsRouter);
+
+// Renewal checkout from the signed link in renewal reminders
+app.use('/api/renewals', renewalsRouter);
+
+// Marketing opt-out from the link in campaign emails
+app.use('/api/unsubscribe', unsubscribeRouter);
+
+// Sales reporting for partners (X-Partner-Key)
+app.use('/api/partner', partnerRouter);
+
+// Admin API (API key or JWT)
+app.use('/api/admin/emails', adminAuth, adminEmailsRouter);
+app.use('/api/admin/coupons', adminAuth, adminCouponsRouter);
+app.use('/api/admin/claims', adminAuth, adminClaimsRouter);
+app.use('/api/admin/campaigns', adminAuth, adminCampaignsRouter);
+app.use('/api/admin/applications', adminAuth, adminApplicationsRouter);
+app.use('/api/admin/groups', adminAuth, adminGroupsRouter);
+app.use('/api/admin/partners', adminAuth, adminPartnersRouter);
+app.use('/api/admin', adminAuth, adminRouter);
+
+// Verify the X-Razorpay-Signature header against the raw request body
+function verifyWebhookSignature(rawBody, signature) {
+    if (!rawBody || !signature) {
+        return false;
+    }
+
+    const expectedSignature = crypto
+        .createHmac('sha256', process.env.RAZORPAY_WEBHOOK_SECRET)
+        .update(rawBody)
+        .digest('hex');
+
+    const expected = Buffer.from(expectedSignature);
+    const received = Buffer.from(String(signature));
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+// Issue the policy for a captured payment unless verify-payment already did.
+// Orders past their expiry are honoured like verify-payment does.
+async function handleCapturedPayment(payment, event) {
+    // UPI QR code payments have no order; qr_code.credited handles those
+    if (!payment.order_id) {
+        return { status: 'no_order' };
+    }
+
+    const order = await getOrder(payment.order_id);
+    if (!order) {
+        // The customer was charged and there is nothing to issue a policy from: alert staff to follow up
+        logger.error('Webhook payment for unknown order', {
+            event,
+            orderId: payment.order_id,
+            paymentId: payment.id
+        });
+        await recordSecurityEvent(SECURITY_EVENT.PAID_ORDER_MISSING, {
+            source: `webhook:${event}`,
+            orderId: payment.order_id,
+            paymentId: payment.id,
+            details: { amount: payment.amount }
+        });
+        return { status: 'unknown_order' };
+    }
+    if (order.status === ORDER_STATUS.EXPIRED) {
+        logger.warn('Payment received for expired order', { event, orderId: payment.order_id, paymentId: payment.id });
+    }
+
+    if (payment.amount !== order.amount) {
+        logger.error('Webhook payment amount mismatch', {
+            event,
+            orderId: payment.order_id,
+            paymentId: payment.id,
+            expectedAmount: order.amount,
+            actualAmount: payment.amount
+        });
+        await recordSecurityEvent(SECURITY_EVENT.PAYMENT_TAMPERED, {
+            source: `webhook:${event}`,
+            orderId: payment.order_id,
+            paymentId: payment.id,
+            details: { planType: order.planType, expectedAmount: order.amount, actualAmount: payment.amount }
+        });
+        return { status: 'amount_mismatch' };
+    }
+
+    if (order.groupId) {
+        return handleGroupPayment(order, payment, `webhook:${event}`);
+    }
+
+    if (!order.userData) {
+        await markOrderPaid(payment.order_id, { paymentId: payment.id });
+        await recordCouponRedemption(order, payment.id);
+        logger.warn('Webhook cannot issue policy: no customer data stored with order', {
+            event,
+            orderId: payment.order_id,
+            paymentId: payment.id
+        });
+        return { status: 'missing_user_data' };
+    }
+
+    const { policyNumber, created } = await issuePolicy({
+        order,
+        orderId: payment.order_id,
+        paymentId: payment.id,
+        userData: order.userData,
+        source: `webhook:${event}`
+    });
+
+    return { status: created ? 'policy_created' : 'already_processed', policyNumber };
+}
+
+// POST /api/webhooks/razorpay: server-to-server payment events from Razorpay
+app.post('/api/webhooks/razorpay', async (req, res) => {
+    if (!process.env.RAZORPAY_WEBHOOK_SECRET) {
+        logger.error('Webhook rejected: RAZORPAY_WEBHOOK_SECRET not configured', { ip: req.ip });
+        return res.status(503).json({ success: false, message: 'Webhook not configured' });
+    }
+
+    if (!verifyWebhookSignature(req.rawBody, req.get('X-Razorpay-Signature'))) {
+        logger.warn('Webhook rejected: Invalid signature', {
+            ip: req.ip,
+            eventId: req.get('X-Razorpay-Event-Id')
+        });
+        await recordSecurityEvent(SECURITY_EVENT.INVALID_WEBHOOK_SIGNATURE, {
+            ...securityContext(req),
+            source: 'razorpay-webhook',
+            details: { eventId: req.get('X-Razorpay-Event-Id') }
+        });
+        return res.status(400).json({ success: false, message: 'Invalid signature' });
+    }
+
+    const { event, payload } = req.body;
+    const eventId = req.get('X-Razorpay-Event-Id');
+
+    logger.info('Webhook received', { event, eventId });
+
+    try {
+        let result;
+
+        switch (event) {
+            case 'payment.captured':
+            case 'order.paid':
+                result = await handleCapturedPayment(payload.payment.entity, event);
+                break;
+
+            // Assisted sales, paid through a payment link or UPI QR code
+            case 'payment_link.paid': {
+                const paymentLink = payload.payment_link.entity;
+                result = await handleApplicationPayment(
+                    paymentLink.notes?.applicationId || paymentLink.reference_id,
+                    payload.payment.entity,
+                    `webhook:${event}`
+                );
+                break;
+            }
+
+            case 'qr_code.credited':
+                result = await handleApplicationPayment(
+                    payload.qr_code.entity.notes?.applicationId,
+                    payload.payment.entity,
+                    `webhook:${event}`
+                );
+                break;
+
+            case 'payment.failed': {
+                const payment = payload.payment.entity;
+                if (payment.order_id) {
+                    await markOrderFailed(payment.order_id, {
+                        paymentId: payment.id,
+                        reason: payment.error_description
+                    });
+                }
+                logger.warn('Payment failed', {
+                    orderId: payment.order_id,
+                    paymentId: payment.id,
+                    errorCode: payment.error_code,
+                    errorDescription: payment.error_description
+                });
+                result = { status: 'recorded' };
+                break;
+            }
+
+            case 'refund.processed': {
+                const refund = payload.refund.entity;
+                logger.info('Refund processed', {
+                    refundId: refund.id,
+                    paymentId: refund.payment_id,
+                    amount: refund.amount
+                });
+                result = await recordRefundProcessed(refund);
+                break;
+            }
+
+            default:
+                logger.info('Webhook event ignored', { event, eventId });
+                result = { status: 'ignored' };
+        }
+
+        logger.info('Webhook processed', { event, eventId, ...result });
+        res.json({ success: true, ...result });
+    } catch (error) {
+        // A non-2xx response makes Razorpay retry the delivery later
+        logger.error('Webhook processing failed', {
+            error: error.message,
+            stack: error.stack,
+            event,
+            eventId
+        });
+        res.status(500).json({ success: false, message: 'Webhook processing failed' });
+    }
+});
+
 app.listen(PORT, () => {
     logger.info('Server started successfully', {
         port: PORT,
@@ -532,4 +818,19 @@ app.listen(PORT, () => {
         timestamp: new Date().toISOString()
     });
     console.log(`🚀 ST Shield Backend running on port ${PORT}`);
+
+    // Retry queued emails in the background
+    startOutboxWorker();
+
+    // Email renewal reminders for policies about to expire
+    startRenewalReminderJob();
+
+    // Send marketing campaigns when their scheduled time comes
+    startCampaignScheduler();
+
+    // Issue policies for assisted sales paid without a webhook, expire unpaid ones
+    startApplicationReconciler();
+
+    // Finish issuing policies for paid group enrollments
+    startGroupIssuanceJob();
 });
\ No newline at end of file
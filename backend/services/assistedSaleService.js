@@ -0,0 +1,381 @@
+const { randomUUID } = require('crypto');
+
+const {
+    APPLICATION_STATUS,
+    PAYMENT_CHANNEL,
+    createApplication,
+    getApplication,
+    listApplicationsByStatus,
+    closeApplication
+} = require('../models/Application');
+const { getActivePlan, getPlanName } = require('../config/plans');
+const { issuePolicy, toCustomerData } = require('./policyService');
+const { SECURITY_EVENT, recordSecurityEvent } = require('./securityEvents');
+const { razorpay } = require('../utils/razorpayClient');
+const { validateCustomerData } = require('../utils/validation');
+const { sendPaymentRequestEmail } = require('../utils/emailService');
+const { formatRupees } = require('../utils/money');
+const logger = require('../utils/logger');
+
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+
+// How long the customer has to pay before the link or QR code stops working
+const EXPIRY_HOURS = parseInt(process.env.APPLICATION_LINK_EXPIRY_HOURS, 10) || 72;
+const RECONCILE_INTERVAL_MS = parseInt(process.env.APPLICATION_RECONCILE_INTERVAL_MS, 10) || 5 * 60 * 1000;
+
+const PAYMENT_CHANNELS = Object.values(PAYMENT_CHANNEL);
+
+function applicationError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+// Razorpay SDK errors carry the reason in error.description
+const razorpayErrorMessage = (error) => error.error?.description || error.message;
+
+const toIndianDate = (iso) => new Date(Date.parse(iso) + IST_OFFSET_MS).toISOString().slice(0, 10);
+
+// Create the Razorpay payment link or UPI QR code the customer pays through
+async function createRazorpayRequest({ applicationId, channel, plan, userData, amount, expiresAt }) {
+    const closeBy = Math.floor(Date.parse(expiresAt) / 1000);
+    const description = `${plan.name} premium`;
+    const notes = { applicationId, planType: plan.planId };
+
+    if (channel === PAYMENT_CHANNEL.UPI_QR) {
+        const qrCode = await razorpay.qrCode.create({
+            type: 'upi_qr',
+            name: plan.name,
+            usage: 'single_use',
+            fixed_amount: true,
+            payment_amount: amount,
+            description,
+            close_by: closeBy,
+            notes
+        });
+        return { razorpayId: qrCode.id, qrImageUrl: qrCode.image_url };
+    }
+
+    const paymentLink = await razorpay.paymentLink.create({
+        amount,
+        currency: 'INR',
+        description,
+        reference_id: applicationId,
+        customer: { name: userData.name, email: userData.email, contact: userData.phone },
+        // The customer hears from us, in their language, not from Razorpay
+        notify: { sms: false, email: false },
+        expire_by: closeBy,
+        notes
+    });
+    return { razorpayId: paymentLink.id, paymentUrl: paymentLink.short_url };
+}
+
+/**
+ * Start an assisted sale: validate the customer's details for the plan, create
+ * a Razorpay payment link or UPI QR code for the premium, store a pending
+ * application and email the customer where to pay. The policy is issued when
+ * the payment arrives, by webhook or by the reconciliation job.
+ * @param {{ planType: string, userData: Object, channel: string }} sale
+ * @param {string} actor - Admin or agent making the sale
+ * @returns {Promise<Object>} The pending application
+ * @throws {Error} With a `code` such as APPLICATION_INVALID_CUSTOMER; that one also carries `errors`
+ */
+async function createAssistedSale({ planType, userData, channel = PAYMENT_CHANNEL.PAYMENT_LINK }, actor) {
+    const plan = getActivePlan(planType);
+    if (!plan) {
+        throw applicationError('APPLICATION_INVALID_PLAN', 'Invalid plan type');
+    }
+    if (!PAYMENT_CHANNELS.includes(channel)) {
+        throw applicationError('APPLICATION_INVALID_CHANNEL', `channel must be one of: ${PAYMENT_CHANNELS.join(', ')}`);
+    }
+
+    const validation = validateCustomerData(userData, { eligibility: plan.eligibility });
+    if (!validation.valid) {
+        const error = applicationError('APPLICATION_INVALID_CUSTOMER', 'Invalid customer data');
+        error.errors = validation.errors;
+        throw error;
+    }
+
+    if (!razorpay) {
+        throw applicationError('PAYMENTS_UNAVAILABLE', 'Payment service not available - Razorpay not configured');
+    }
+
+    const applicationId = randomUUID();
+    const amount = plan.premium.total;
+    const customer = { ...validation.value, planType: plan.planId };
+    const expiresAt = new Date(Date.now() + EXPIRY_HOURS * 60 * 60 * 1000).toISOString();
+
+    let paymentRequest;
+    try {
+        paymentRequest = await createRazorpayRequest({ applicationId, channel, plan, userData: customer, amount, expiresAt });
+    } catch (error) {
+        throw applicationError('PAYMENT_REQUEST_FAILED', `Could not create payment request: ${razorpayErrorMessage(error)}`);
+    }
+
+    const application = await createApplication({
+        applicationId,
+        planType: plan.planId,
+        amount,
+        currency: 'INR',
+        userData: customer,
+        channel,
+        ...paymentRequest,
+        expiresAt,
+        createdBy: actor
+    });
+
+    logger.info('Assisted sale created', { applicationId, planType: plan.planId, channel, amount, actor });
+
+    try {
+        await sendPaymentRequestEmail(toCustomerData(customer), {
+            applicationId,
+            planName: getPlanName(plan.planId),
+            amount: formatRupees(amount),
+            expiresOn: toIndianDate(expiresAt),
+            paymentUrl: paymentRequest.paymentUrl,
+            qrImageUrl: paymentRequest.qrImageUrl
+        });
+    } catch (error) {
+        // The agent still has the link or QR code to hand over
+        logger.error('Failed to send payment request email', { error: error.message, applicationId });
+    }
+
+    return application;
+}
+
+/**
+ * Issue the policy for a payment against an application. Called from the
+ * Razorpay webhook and the reconciliation job; safe to call more than once.
+ * @param {string} applicationId
+ * @param {{ id: string, amount: number }} payment - Captured Razorpay payment
+ * @param {string} source - e.g. webhook:payment_link.paid
+ * @returns {Promise<{ status: string, policyNumber?: string }>}
+ */
+async function handleApplicationPayment(applicationId, payment, source) {
+    const application = await getApplication(applicationId);
+    if (!application) {
+        logger.warn('Payment for unknown application', { applicationId, paymentId: payment.id, source });
+        return { status: 'unknown_application' };
+    }
+
+    if (payment.amount !== application.amount) {
+        logger.error('Application payment amount mismatch', {
+            applicationId,
+            paymentId: payment.id,
+            expectedAmount: application.amount,
+            actualAmount: payment.amount,
+            source
+        });
+        await recordSecurityEvent(SECURITY_EVENT.PAYMENT_TAMPERED, {
+            source,
+            orderId: applicationId,
+            paymentId: payment.id,
+            details: { planType: application.planType, expectedAmount: application.amount, actualAmount: payment.amount }
+        });
+        return { status: 'amount_mismatch' };
+    }
+
+    if (application.status !== APPLICATION_STATUS.PENDING && application.status !== APPLICATION_STATUS.PAID) {
+        // The customer's money was taken, so they get their policy anyway
+        logger.warn('Payment received for closed application', {
+            applicationId,
+            paymentId: payment.id,
+            applicationStatus: application.status,
+            source
+        });
+    }
+
+    const { policyNumber, created } = await issuePolicy({
+        order: application,
+        orderId: applicationId,
+        paymentId: payment.id,
+        userData: application.userData,
+        source
+    });
+
+    return { status: created ? 'policy_created' : 'already_processed', policyNumber };
+}
+
+// The captured payment for an application according to Razorpay, if there is one
+async function fetchCapturedPayment(application) {
+    if (application.channel === PAYMENT_CHANNEL.UPI_QR) {
+        const payments = await razorpay.qrCode.fetchAllPayments(application.razorpayId);
+        const payment = (payments.items || []).find((item) => item.status === 'captured');
+        return { payment: payment && { id: payment.id, amount: payment.amount } };
+    }
+
+    const paymentLink = await razorpay.paymentLink.fetch(application.razorpayId);
+    const payment = (paymentLink.payments || []).find((item) => item.status === 'captured');
+    return {
+        payment: payment && { id: payment.payment_id, amount: payment.amount },
+        closed: ['expired', 'cancelled'].includes(paymentLink.status)
+    };
+}
+
+/**
+ * Check Razorpay for a payment the webhook may have missed: issue the policy
+ * if the customer has paid, or expire the application once it can no longer
+ * be paid.
+ * @param {Object} application - Application with its customer data
+ * @param {string} actor - e.g. reconciliation-job
+ * @returns {Promise<{ status: string, policyNumber?: string }>}
+ */
+async function reconcileApplication(application, actor) {
+    if (application.status !== APPLICATION_STATUS.PENDING) {
+        return { status: application.status, policyNumber: application.policyId };
+    }
+    if (!razorpay) {
+        throw applicationError('PAYMENTS_UNAVAILABLE', 'Payment service not available - Razorpay not configured');
+    }
+
+    const { payment, closed } = await fetchCapturedPayment(application);
+    if (payment) {
+        return handleApplicationPayment(application.applicationId, payment, `reconcile:${actor}`);
+    }
+
+    if (!closed && Date.parse(application.expiresAt) > Date.now()) {
+        return { status: APPLICATION_STATUS.PENDING };
+    }
+
+    if (application.channel === PAYMENT_CHANNEL.UPI_QR) {
+        try {
+            await razorpay.qrCode.close(application.razorpayId);
+        } catch (error) {
+            // Usually already closed by its close_by time
+            logger.info('Could not close expired QR code', {
+                error: razorpayErrorMessage(error),
+                applicationId: application.applicationId
+            });
+        }
+    }
+
+    const expired = await closeApplication(application.applicationId, APPLICATION_STATUS.EXPIRED, {
+        actor,
+        reason: 'Not paid before the payment request expired'
+    });
+    if (expired) {
+        logger.info('Application expired unpaid', { applicationId: application.applicationId });
+    }
+    return { status: expired ? APPLICATION_STATUS.EXPIRED : application.status };
+}
+
+/**
+ * Cancel a pending application and its payment link or QR code, e.g. when the
+ * customer changes their mind. Razorpay is checked first, so an application
+ * paid in the meantime is issued instead of cancelled.
+ * @param {string} applicationId
+ * @param {{ actor: string, reason?: string }} options
+ * @returns {Promise<Object|null>} The cancelled application, or null if it does not exist
+ * @throws {Error} With code APPLICATION_NOT_PENDING if it is already paid or closed
+ */
+async function cancelApplication(applicationId, { actor, reason }) {
+    const application = await getApplication(applicationId);
+    if (!application) {
+        return null;
+    }
+
+    const reconciled = await reconcileApplication(application, actor);
+    if (reconciled.status !== APPLICATION_STATUS.PENDING) {
+        throw applicationError('APPLICATION_NOT_PENDING', 'This application has already been paid or closed');
+    }
+
+    try {
+        if (application.channel === PAYMENT_CHANNEL.UPI_QR) {
+            await razorpay.qrCode.close(application.razorpayId);
+        } else {
+            await razorpay.paymentLink.cancel(application.razorpayId);
+        }
+    } catch (error) {
+        throw applicationError('PAYMENT_REQUEST_FAILED', `Could not cancel payment request: ${razorpayErrorMessage(error)}`);
+    }
+
+    const cancelled = await closeApplication(applicationId, APPLICATION_STATUS.CANCELLED, { actor, reason });
+    if (!cancelled) {
+        throw applicationError('APPLICATION_NOT_PENDING', 'This application is no longer pending');
+    }
+
+    logger.info('Application cancelled', { applicationId, actor });
+    return cancelled;
+}
+
+/**
+ * Reconcile every pending application against Razorpay
+ * @returns {Promise<{ checked: number, issued: number, expired: number }>}
+ */
+async function reconcilePendingApplications() {
+    const summary = { checked: 0, issued: 0, expired: 0 };
+    let lastEvaluatedKey;
+
+    do {
+        const page = await listApplicationsByStatus(APPLICATION_STATUS.PENDING, { lastEvaluatedKey });
+        lastEvaluatedKey = page.lastEvaluatedKey;
+
+        for (const { applicationId } of page.items) {
+            try {
+                // The listing leaves customer data encrypted, so load each one in full
+                const application = await getApplication(applicationId);
+                const { status } = await reconcileApplication(application, 'reconciliation-job');
+                summary.checked += 1;
+                if (status === 'policy_created') {
+                    summary.issued += 1;
+                } else if (status === APPLICATION_STATUS.EXPIRED) {
+                    summary.expired += 1;
+                }
+            } catch (error) {
+                logger.error('Failed to reconcile application', {
+                    error: razorpayErrorMessage(error),
+                    applicationId
+                });
+            }
+        }
+    } while (lastEvaluatedKey);
+
+    return summary;
+}
+
+let reconcileTimer = null;
+let reconcileRunning = false;
+
+/**
+ * Poll Razorpay for pending applications in the background
+ */
+function startApplicationReconciler() {
+    if (reconcileTimer || !razorpay) {
+        return;
+    }
+
+    reconcileTimer = setInterval(async () => {
+        if (reconcileRunning) {
+            return;
+        }
+        reconcileRunning = true;
+        try {
+            const summary = await reconcilePendingApplications();
+            if (summary.issued > 0 || summary.expired > 0) {
+                logger.info('Applications reconciled', summary);
+            }
+        } catch (error) {
+            logger.error('Application reconciliation run failed', { error: error.message });
+        } finally {
+            reconcileRunning = false;
+        }
+    }, RECONCILE_INTERVAL_MS);
+
+    // Do not keep the process alive just for the job
+    reconcileTimer.unref();
+}
+
+function stopApplicationReconciler() {
+    clearInterval(reconcileTimer);
+    reconcileTimer = null;
+}
+
+module.exports = {
+    createAssistedSale,
+    handleApplicationPayment,
+    reconcileApplication,
+    cancelApplication,
+    reconcilePendingApplications,
+    startApplicationReconciler,
+    stopApplicationReconciler
+};
@@ -0,0 +1,567 @@
+const {
+    CAMPAIGN_STATUS,
+    UPDATABLE_FIELDS,
+    getCampaign,
+    transitionCampaignStatus,
+    getDueCampaigns
+} = require('../models/Campaign');
+const { setMarketingOptOut, getOptedOutEmailHashes } = require('../models/MarketingPreference');
+const {
+    getAllPolicies,
+    getPoliciesByDateRange,
+    getPoliciesExpiringOn,
+    getPolicyStatus,
+    POLICY_STATUS
+} = require('../models/Policy');
+const { getPlan } = require('../config/plans');
+const { emailConfig } = require('../config/email');
+const { emailBlindIndex } = require('../utils/fieldEncryption');
+const { INDIAN_STATES_AND_UTS, parseDate } = require('../utils/validation');
+const { createUnsubscribeToken, isValidUnsubscribeToken } = require('../utils/verificationToken');
+const { createContactList, upsertContact, blocklistContact, sendCampaignNow } = require('../utils/brevoApi');
+const { sendEmailCampaign } = require('../utils/emailService');
+const logger = require('../utils/logger');
+
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MAX_EXPIRING_WITHIN_DAYS = 90;
+const SCHEDULER_INTERVAL_MS = parseInt(process.env.CAMPAIGN_SCHEDULER_INTERVAL_MS, 10) || 60 * 1000;
+// A send still running after this long is taken to have died with its server
+const SEND_TIMEOUT_MINUTES = parseInt(process.env.CAMPAIGN_SEND_TIMEOUT_MINUTES, 10) || 60;
+const UNSUBSCRIBE_BASE_URL = process.env.UNSUBSCRIBE_BASE_URL || `${emailConfig.brand.websiteUrl}/unsubscribe`;
+
+// Cancelled and refunded customers are not marketed to
+const EXCLUDED_POLICY_STATUSES = [POLICY_STATUS.CANCELLED, POLICY_STATUS.REFUNDED];
+const SEGMENT_FIELDS = ['planType', 'state', 'city', 'purchasedFrom', 'purchasedTo', 'expiringWithinDays'];
+
+function campaignError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+const todayInIndia = () => new Date(Date.now() + IST_OFFSET_MS).toISOString().slice(0, 10);
+const addDays = (date, days) => new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+const isNonEmptyString = (value, maxLength) => typeof value === 'string' && value.trim().length > 0 && value.length <= maxLength;
+
+/**
+ * Validate a campaign segment. Every field is optional; an empty segment is
+ * every customer.
+ * @param {Object} segment
+ * @returns {{ errors: Array<{ field: string, message: string }>, value: Object }}
+ */
+function validateSegment(segment) {
+    const errors = [];
+    const value = {};
+    const addError = (field, message) => errors.push({ field: `segment.${field}`, message });
+
+    if (!segment || typeof segment !== 'object' || Array.isArray(segment)) {
+        return { errors: [{ field: 'segment', message: 'Segment must be an object' }], value };
+    }
+
+    Object.keys(segment).filter((field) => !SEGMENT_FIELDS.includes(field)).forEach((field) => {
+        addError(field, `Unknown segment field; use ${SEGMENT_FIELDS.join(', ')}`);
+    });
+
+    if (segment.planType !== undefined) {
+        if (!getPlan(segment.planType)) {
+            addError('planType', 'planType must be a plan ID from the catalog');
+        } else {
+            value.planType = segment.planType;
+        }
+    }
+
+    if (segment.state !== undefined) {
+        const state = INDIAN_STATES_AND_UTS.find((name) => name.toLowerCase() === String(segment.state).trim().toLowerCase());
+        if (!state) {
+            addError('state', 'State must be an Indian state or union territory');
+        } else {
+            value.state = state;
+        }
+    }
+
+    if (segment.city !== undefined) {
+        if (!isNonEmptyString(segment.city, 100)) {
+            addError('city', 'City must be 1-100 characters');
+        } else {
+            value.city = segment.city.trim();
+        }
+    }
+
+    if (segment.purchasedFrom !== undefined || segment.purchasedTo !== undefined) {
+        const purchasedFrom = parseDate(segment.purchasedFrom);
+        const purchasedTo = parseDate(segment.purchasedTo);
+        if (!purchasedFrom || !purchasedTo || purchasedFrom > purchasedTo) {
+            addError('purchasedFrom', 'purchasedFrom and purchasedTo must both be valid dates (YYYY-MM-DD), purchasedFrom first');
+        } else {
+            value.purchasedFrom = purchasedFrom;
+            value.purchasedTo = purchasedTo;
+        }
+    }
+
+    if (segment.expiringWithinDays !== undefined) {
+        const days = segment.expiringWithinDays;
+        if (!Number.isInteger(days) || days < 0 || days > MAX_EXPIRING_WITHIN_DAYS) {
+            addError('expiringWithinDays', `expiringWithinDays must be a whole number from 0 to ${MAX_EXPIRING_WITHIN_DAYS}`);
+        } else {
+            value.expiringWithinDays = days;
+        }
+    }
+
+    return { errors, value };
+}
+
+/**
+ * Validate campaign fields from an admin request
+ * @param {Object} body
+ * @param {{ partial?: boolean }} options - `partial` validates an update: only
+ *   UPDATABLE_FIELDS are accepted and none are required
+ * @returns {{ valid: boolean, errors: Array<{ field: string, message: string }>, value: Object }}
+ */
+function validateCampaignInput(body, { partial = false } = {}) {
+    const errors = [];
+    const value = {};
+    const addError = (field, message) => errors.push({ field, message });
+    const check = (field) => body[field] !== undefined || !partial;
+
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { valid: false, errors: [{ field: 'body', message: 'Campaign must be an object' }], value };
+    }
+
+    Object.keys(body).filter((field) => !UPDATABLE_FIELDS.includes(field)).forEach((field) => {
+        addError(field, `${field} cannot be set here`);
+    });
+
+    if (check('name')) {
+        if (!isNonEmptyString(body.name, 100)) {
+            addError('name', 'Name must be 1-100 characters');
+        } else {
+            value.name = body.name.trim();
+        }
+    }
+
+    if (check('subject')) {
+        if (!isNonEmptyString(body.subject, 200)) {
+            addError('subject', 'Subject must be 1-200 characters');
+        } else {
+            value.subject = body.subject.trim();
+        }
+    }
+
+    // Stored on the campaign item, which DynamoDB caps at 400 KB
+    if (check('htmlContent')) {
+        if (!isNonEmptyString(body.htmlContent, 100000)) {
+            addError('htmlContent', 'htmlContent must be 1-100000 characters of HTML');
+        } else {
+            value.htmlContent = body.htmlContent;
+        }
+    }
+
+    if (body.segment !== undefined || !partial) {
+        const segment = validateSegment(body.segment === undefined ? {} : body.segment);
+        errors.push(...segment.errors);
+        value.segment = segment.value;
+    }
+
+    return { valid: errors.length === 0, errors, value };
+}
+
+/**
+ * Validate a send time for scheduling
+ * @param {string} scheduledAt - ISO date-time
+ * @returns {string} Normalized ISO timestamp
+ * @throws {Error} CAMPAIGN_INVALID_SCHEDULE if it is not a future date-time
+ */
+function parseScheduledAt(scheduledAt) {
+    const time = Date.parse(scheduledAt);
+    if (typeof scheduledAt !== 'string' || Number.isNaN(time)) {
+        throw campaignError('CAMPAIGN_INVALID_SCHEDULE', 'scheduledAt must be an ISO date-time');
+    }
+    if (time <= Date.now()) {
+        throw campaignError('CAMPAIGN_INVALID_SCHEDULE', 'scheduledAt must be in the future');
+    }
+    return new Date(time).toISOString();
+}
+
+// Fetch every page of a paginated policy query
+async function fetchAllPages(fetchPage) {
+    const policies = [];
+    let lastEvaluatedKey;
+    do {
+        const page = await fetchPage(lastEvaluatedKey);
+        policies.push(...page.items);
+        lastEvaluatedKey = page.lastEvaluatedKey;
+    } while (lastEvaluatedKey);
+    return policies;
+}
+
+function matchesSegment(policy, segment) {
+    const status = getPolicyStatus(policy);
+    const userData = policy.userData || {};
+    const purchasedOn = (policy.timestamp || '').slice(0, 10);
+
+    return !EXCLUDED_POLICY_STATUSES.includes(status)
+        && (segment.expiringWithinDays === undefined || status === POLICY_STATUS.ACTIVE)
+        && (!segment.planType || policy.planType === segment.planType)
+        && (!segment.state || userData.state === segment.state)
+        && (!segment.city || String(userData.city || '').trim().toLowerCase() === segment.city.toLowerCase())
+        && (!segment.purchasedFrom || (purchasedOn >= segment.purchasedFrom && purchasedOn <= segment.purchasedTo));
+}
+
+/**
+ * Policies in a segment, read through the narrowest index available:
+ * coverage end date for "expiring soon", creation month for a purchase date
+ * range, otherwise a filtered scan
+ * @param {Object} segment - Validated segment
+ */
+async function findSegmentPolicies(segment) {
+    const filters = { planType: segment.planType, state: segment.state };
+    let policies;
+
+    if (segment.expiringWithinDays !== undefined) {
+        const today = todayInIndia();
+        policies = [];
+        for (let days = 0; days <= segment.expiringWithinDays; days++) {
+            policies.push(...await getPoliciesExpiringOn(addDays(today, days)));
+        }
+    } else if (segment.purchasedFrom) {
+        const dateRange = { startDate: `${segment.purchasedFrom}T00:00:00.000Z`, endDate: `${segment.purchasedTo}T23:59:59.999Z` };
+        policies = await fetchAllPages((lastEvaluatedKey) => getPoliciesByDateRange(dateRange, { filters, lastEvaluatedKey }));
+    } else {
+        policies = await fetchAllPages((lastEvaluatedKey) => getAllPolicies({ filters, lastEvaluatedKey }));
+    }
+
+    return policies.filter((policy) => matchesSegment(policy, segment));
+}
+
+/**
+ * The customers a segment would email: one recipient per email address,
+ * taken from their latest policy, leaving out customers who opted out
+ * @param {Object} segment - Validated segment
+ * @returns {Promise<{ recipients: Array<{ email: string, name: string, planType: string }>, policyCount: number, optedOutCount: number }>}
+ */
+async function buildSegmentRecipients(segment) {
+    const policies = await findSegmentPolicies(segment);
+
+    const latestByEmail = new Map();
+    policies
+        .filter((policy) => policy.userData?.email)
+        .forEach((policy) => {
+            const email = policy.userData.email.trim().toLowerCase();
+            const current = latestByEmail.get(email);
+            if (!current || policy.timestamp > current.timestamp) {
+                latestByEmail.set(email, policy);
+            }
+        });
+
+    const emailHashes = new Map(Array.from(latestByEmail.keys(), (email) => [email, emailBlindIndex(email)]));
+    const optedOut = await getOptedOutEmailHashes(Array.from(emailHashes.values()));
+    const recipients = Array.from(emailHashes.keys())
+        .filter((email) => !optedOut.has(emailHashes.get(email)))
+        .map((email) => {
+            const policy = latestByEmail.get(email);
+            return { email, name: policy.userData.name, planType: policy.planType };
+        });
+
+    return { recipients, policyCount: policies.length, optedOutCount: emailHashes.size - recipients.length };
+}
+
+/**
+ * How many customers a segment reaches, without sending anything
+ * @param {Object} segment - Validated segment
+ */
+async function previewSegment(segment) {
+    const { recipients, policyCount, optedOutCount } = await buildSegmentRecipients(segment);
+    return { policyCount, recipientCount: recipients.length, optedOutCount };
+}
+
+/**
+ * Link for a marketing email recipient to opt out. The page at
+ * UNSUBSCRIBE_BASE_URL posts `email` and `token` to /api/unsubscribe.
+ * @param {string} email - Lowercased email address
+ */
+function getUnsubscribeUrl(email) {
+    const token = createUnsubscribeToken(email);
+    return `${UNSUBSCRIBE_BASE_URL}?email=${encodeURIComponent(email)}&token=${encodeURIComponent(token)}`;
+}
+
+// Brevo fills in each contact's own unsubscribe link from the synced attribute
+const UNSUBSCRIBE_FOOTER = '<p style="font-size:12px;color:#666;text-align:center;">'
+    + 'Don\'t want these emails? <a href="{{ contact.UNSUBSCRIBE_URL }}">Unsubscribe</a></p>';
+
+/**
+ * Sync the segment to a new Brevo list, then create and send the Brevo
+ * campaign. Never throws: failures are recorded on the campaign.
+ * @returns {Promise<Object>} The campaign in its final status
+ */
+async function deliverCampaign(campaign, actor) {
+    const results = {};
+
+    try {
+        const { recipients, policyCount, optedOutCount } = await buildSegmentRecipients(campaign.segment || {});
+        Object.assign(results, { policyCount, recipientCount: recipients.length, optedOutCount });
+        if (recipients.length === 0) {
+            throw campaignError('CAMPAIGN_NO_RECIPIENTS', 'No customers in the segment can be emailed');
+        }
+
+        results.brevoListId = await createContactList(`${campaign.name} (${campaign.campaignId})`);
+        results.syncedContacts = 0;
+        results.failedContacts = 0;
+        for (const recipient of recipients) {
+            try {
+                await upsertContact(recipient.email, {
+                    attributes: {
+                        FIRSTNAME: (recipient.name || '').split(' ')[0],
+                        UNSUBSCRIBE_URL: getUnsubscribeUrl(recipient.email)
+                    },
+                    listIds: [results.brevoListId]
+                });
+                results.syncedContacts += 1;
+            } catch (error) {
+                results.failedContacts += 1;
+                logger.warn('Campaign contact sync failed', { campaignId: campaign.campaignId, error: error.message });
+            }
+        }
+        if (results.syncedContacts === 0) {
+            throw campaignError('CAMPAIGN_SYNC_FAILED', 'No contacts could be synced to Brevo');
+        }
+
+        const brevoCampaign = await sendEmailCampaign({
+            name: `${campaign.name} (${campaign.campaignId})`,
+            subject: campaign.subject,
+            sender: {
+                name: emailConfig.sender.customerName,
+                email: process.env.SENDER_EMAIL
+            },
+            htmlContent: `${campaign.htmlContent}${UNSUBSCRIBE_FOOTER}`,
+            recipients: { listIds: [results.brevoListId] }
+        });
+        results.brevoCampaignId = brevoCampaign.id;
+        await sendCampaignNow(brevoCampaign.id);
+        results.sentAt = new Date().toISOString();
+
+        logger.info('Campaign sent', { campaignId: campaign.campaignId, ...results });
+        return await transitionCampaignStatus(campaign.campaignId, CAMPAIGN_STATUS.SENT, {
+            fromStatus: CAMPAIGN_STATUS.SENDING,
+            actor,
+            attributes: { results, lastError: null }
+        });
+    } catch (error) {
+        logger.error('Campaign send failed', { campaignId: campaign.campaignId, error: error.message, ...results });
+        try {
+            return await transitionCampaignStatus(campaign.campaignId, CAMPAIGN_STATUS.FAILED, {
+                fromStatus: CAMPAIGN_STATUS.SENDING,
+                actor,
+                reason: error.message,
+                attributes: { results, lastError: error.message }
+            });
+        } catch (recordError) {
+            logger.error('Could not record campaign failure', { campaignId: campaign.campaignId, error: recordError.message });
+            return campaign;
+        }
+    }
+}
+
+/**
+ * Start sending a campaign. The campaign is moved to sending straight away,
+ * so a second send fails with STATUS_CONFLICT; delivery carries on in the
+ * background and can take a while for large segments.
+ * @param {string} campaignId
+ * @param {string} actor
+ * @returns {Promise<{ campaign: Object, delivery: Promise<Object> }|null>} null if the campaign does not exist
+ */
+async function startCampaignSend(campaignId, actor) {
+    const campaign = await getCampaign(campaignId);
+    if (!campaign) {
+        return null;
+    }
+
+    const sending = await transitionCampaignStatus(campaignId, CAMPAIGN_STATUS.SENDING, {
+        fromStatus: campaign.status,
+        actor
+    });
+    return { campaign: sending, delivery: deliverCampaign(sending, actor) };
+}
+
+/**
+ * Mark a send that never finished as failed, e.g. when the server restarted
+ * mid-send, so the campaign can be retried or cancelled. Only a campaign that
+ * has been sending for CAMPAIGN_SEND_TIMEOUT_MINUTES qualifies, so a send
+ * still in progress is not cut short.
+ * @param {string} campaignId
+ * @param {{ actor: string, reason?: string }} options
+ * @returns {Promise<Object|null>} The failed campaign, or null if it does not exist
+ */
+async function failStalledCampaignSend(campaignId, { actor, reason }) {
+    const campaign = await getCampaign(campaignId);
+    if (!campaign) {
+        return null;
+    }
+
+    if (campaign.status !== CAMPAIGN_STATUS.SENDING) {
+        throw campaignError('INVALID_STATUS_TRANSITION', `Only a sending campaign can be marked failed, not a ${campaign.status} one`);
+    }
+    const sendingMinutes = (Date.now() - Date.parse(campaign.statusUpdatedAt)) / 60000;
+    if (sendingMinutes < SEND_TIMEOUT_MINUTES) {
+        throw campaignError(
+            'CAMPAIGN_STILL_SENDING',
+            `Campaign has been sending for ${Math.floor(sendingMinutes)} minutes; it can be marked failed after ${SEND_TIMEOUT_MINUTES}`
+        );
+    }
+
+    const lastError = reason || 'Send did not finish';
+    return transitionCampaignStatus(campaignId, CAMPAIGN_STATUS.FAILED, {
+        fromStatus: CAMPAIGN_STATUS.SENDING,
+        actor,
+        reason: lastError,
+        attributes: { lastError }
+    });
+}
+
+/**
+ * Schedule a draft campaign to be sent by the scheduler
+ * @param {string} campaignId
+ * @param {string} scheduledAt - ISO date-time in the future
+ * @param {string} actor
+ * @returns {Promise<Object|null>} The scheduled campaign, or null if it does not exist
+ */
+async function scheduleCampaign(campaignId, scheduledAt, actor) {
+    const sendAt = parseScheduledAt(scheduledAt);
+    const campaign = await getCampaign(campaignId);
+    if (!campaign) {
+        return null;
+    }
+
+    return transitionCampaignStatus(campaignId, CAMPAIGN_STATUS.SCHEDULED, {
+        fromStatus: campaign.status,
+        actor,
+        attributes: { scheduledAt: sendAt }
+    });
+}
+
+/**
+ * Move a campaign to another status that needs no extra work: back to draft
+ * (unschedule) or cancelled
+ * @param {string} campaignId
+ * @param {string} toStatus - CAMPAIGN_STATUS.DRAFT or CAMPAIGN_STATUS.CANCELLED
+ * @param {{ actor: string, reason?: string }} options
+ * @returns {Promise<Object|null>} The updated campaign, or null if it does not exist
+ */
+async function changeCampaignStatus(campaignId, toStatus, { actor, reason }) {
+    const campaign = await getCampaign(campaignId);
+    if (!campaign) {
+        return null;
+    }
+
+    return transitionCampaignStatus(campaignId, toStatus, {
+        fromStatus: campaign.status,
+        actor,
+        reason,
+        // A campaign back in draft is no longer due
+        attributes: toStatus === CAMPAIGN_STATUS.DRAFT ? { scheduledAt: null } : {}
+    });
+}
+
+/**
+ * Send every scheduled campaign whose time has come, one after another
+ * @returns {Promise<number>} Number of campaigns sent or attempted
+ */
+async function sendDueCampaigns() {
+    const due = await getDueCampaigns(new Date().toISOString());
+    let attempted = 0;
+
+    for (const campaign of due) {
+        try {
+            const started = await startCampaignSend(campaign.campaignId, 'scheduler');
+            if (started) {
+                await started.delivery;
+                attempted += 1;
+            }
+        } catch (error) {
+            // Another server started it first, or it was unscheduled meanwhile
+            if (error.code !== 'STATUS_CONFLICT') {
+                logger.error('Scheduled campaign could not start', { campaignId: campaign.campaignId, error: error.message });
+            }
+        }
+    }
+
+    return attempted;
+}
+
+/**
+ * Record a marketing opt-out from an unsubscribe link, and block the contact
+ * in Brevo as well so campaigns created there skip them too
+ * @param {string} email
+ * @param {string} token - From the unsubscribe link
+ * @returns {Promise<boolean>} False if the link is not valid
+ */
+async function unsubscribe(email, token) {
+    const normalized = typeof email === 'string' ? email.trim().toLowerCase() : '';
+    if (!normalized || !isValidUnsubscribeToken(normalized, token)) {
+        return false;
+    }
+
+    await setMarketingOptOut(emailBlindIndex(normalized), { source: 'unsubscribe-link' });
+    logger.info('Marketing opt-out recorded', { source: 'unsubscribe-link' });
+
+    try {
+        await blocklistContact(normalized);
+    } catch (error) {
+        // Our own flag is what segments check, so this is not fatal
+        logger.error('Failed to block unsubscribed contact in Brevo', { error: error.message });
+    }
+    return true;
+}
+
+let schedulerTimer = null;
+let schedulerRunning = false;
+
+/**
+ * Send scheduled campaigns in the background when they fall due
+ */
+function startCampaignScheduler() {
+    if (schedulerTimer) {
+        return;
+    }
+
+    schedulerTimer = setInterval(async () => {
+        if (schedulerRunning) {
+            return;
+        }
+        schedulerRunning = true;
+        try {
+            const attempted = await sendDueCampaigns();
+            if (attempted > 0) {
+                logger.info('Scheduled campaigns processed', { attempted });
+            }
+        } catch (error) {
+            logger.error('Campaign scheduler run failed', { error: error.message });
+        } finally {
+            schedulerRunning = false;
+        }
+    }, SCHEDULER_INTERVAL_MS);
+
+    // Do not keep the process alive just for the scheduler
+    schedulerTimer.unref();
+}
+
+function stopCampaignScheduler() {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+}
+
+module.exports = {
+    validateCampaignInput,
+    validateSegment,
+    previewSegment,
+    getUnsubscribeUrl,
+    startCampaignSend,
+    failStalledCampaignSend,
+    scheduleCampaign,
+    changeCampaignStatus,
+    sendDueCampaigns,
+    unsubscribe,
+    startCampaignScheduler,
+    stopCampaignScheduler
+};
@@ -0,0 +1,251 @@
+const {
+    getPolicyById,
+    getPolicyIdForPayment,
+    getPolicyStatus,
+    canTransition,
+    transitionPolicyStatus,
+    updatePolicyRefund,
+    POLICY_STATUS
+} = require('../models/Policy');
+const { toCustomerData } = require('./policyService');
+const { withPartnerBranding } = require('./partnerService');
+const { razorpay } = require('../utils/razorpayClient');
+const { sendCustomerCancellationEmail, sendCompanyCancellationEmail } = require('../utils/emailService');
+const { getPlanName } = require('../config/plans');
+const { formatRupees } = require('../utils/money');
+const logger = require('../utils/logger');
+
+// Days after the start of cover in which a policy can be returned for a full refund
+const FREE_LOOK_DAYS = parseInt(process.env.FREE_LOOK_DAYS, 10) || 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDate = (isoDate) => new Date(`${isoDate.slice(0, 10)}T00:00:00Z`);
+
+function cancellationError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Work out how much of the paid premium to refund.
+ * Within the free-look window the full premium is returned; after it, only
+ * the unused part of the cover period.
+ * @param {Object} policy - Policy item
+ * @param {number} paidAmount - Refundable amount in paise
+ * @param {Date} now
+ * @returns {{ mode: string, amount: number, withinFreeLook: boolean }}
+ */
+function calculateRefund(policy, paidAmount, now = new Date()) {
+    const freeLookStart = toDate(policy.coverageStartDate || policy.timestamp);
+    const daysSinceStart = Math.floor((now - freeLookStart) / DAY_MS);
+
+    if (daysSinceStart <= FREE_LOOK_DAYS) {
+        return { mode: 'full', amount: paidAmount, withinFreeLook: true };
+    }
+
+    // Cover that never started has not been used at all
+    if (!policy.coverageStartDate || !policy.coverageEndDate) {
+        return { mode: 'pro_rata', amount: paidAmount, withinFreeLook: false };
+    }
+
+    const start = toDate(policy.coverageStartDate);
+    const end = toDate(policy.coverageEndDate);
+    const totalDays = Math.round((end - start) / DAY_MS) + 1;
+    const remainingDays = Math.max(0, Math.round((end - toDate(now.toISOString())) / DAY_MS));
+
+    return {
+        mode: 'pro_rata',
+        amount: Math.floor(paidAmount * Math.min(remainingDays, totalDays) / totalDays),
+        withinFreeLook: false
+    };
+}
+
+async function sendCancellationEmails(policy) {
+    try {
+        const customerData = await withPartnerBranding(toCustomerData(policy.userData || {}), policy.partnerId);
+        const cancellationData = {
+            policyNumber: policy.policyId,
+            planName: getPlanName(policy.planType || policy.userData?.planType),
+            paymentId: policy.paymentId,
+            reason: policy.cancellation?.reason,
+            cancelledAt: new Date(policy.cancellation?.cancelledAt || Date.now()).toLocaleString(),
+            cancelledBy: policy.cancellation?.cancelledBy,
+            refundMode: policy.refund?.mode === 'full' ? 'Full refund (free-look)' : 'Pro-rata refund',
+            refundAmount: formatRupees(policy.refund?.amount || 0),
+            refundId: policy.refund?.refundId
+        };
+
+        await sendCustomerCancellationEmail(customerData, cancellationData);
+        await sendCompanyCancellationEmail(customerData, cancellationData);
+    } catch (emailError) {
+        logger.error('Failed to send cancellation emails', {
+            error: emailError.message,
+            policyId: policy.policyId
+        });
+    }
+}
+
+// Ask Razorpay for the refund recorded on the policy and store the outcome
+async function executeRefund(policy, actor) {
+    const { amount, mode } = policy.refund;
+
+    if (amount <= 0) {
+        return updatePolicyRefund(policy.policyId, { amount: 0, mode, status: 'not_applicable' });
+    }
+
+    try {
+        const refund = await razorpay.payments.refund(policy.paymentId, {
+            amount,
+            speed: 'normal',
+            receipt: policy.policyId,
+            notes: {
+                policyId: policy.policyId,
+                reason: (policy.cancellation?.reason || 'Policy cancelled').slice(0, 250)
+            }
+        });
+
+        logger.info('Refund requested', {
+            policyId: policy.policyId,
+            refundId: refund.id,
+            amount,
+            status: refund.status,
+            actor
+        });
+
+        return updatePolicyRefund(policy.policyId, {
+            refundId: refund.id,
+            amount,
+            mode,
+            status: refund.status
+        });
+    } catch (error) {
+        const message = error.error?.description || error.message;
+        logger.error('Refund request failed', { error: message, policyId: policy.policyId, amount, actor });
+
+        await updatePolicyRefund(policy.policyId, { amount, mode, status: 'failed', error: message });
+        throw cancellationError('REFUND_FAILED', `Policy cancelled but refund failed: ${message}`);
+    }
+}
+
+/**
+ * Cancel a policy and refund the customer through Razorpay.
+ * Calling this again on a cancelled policy whose refund failed retries the refund.
+ * @param {string} policyId
+ * @param {{ actor: string, reason?: string, allowProRata?: boolean }} options
+ * @returns {Promise<Object|null>} The updated policy, or null if it does not exist
+ */
+async function cancelPolicy(policyId, { actor, reason, allowProRata = false }) {
+    if (!razorpay) {
+        throw cancellationError('PAYMENTS_UNAVAILABLE', 'Payment service not available - Razorpay not configured');
+    }
+
+    let policy = await getPolicyById(policyId);
+    if (!policy) {
+        return null;
+    }
+
+    const status = getPolicyStatus(policy);
+
+    if (status === POLICY_STATUS.CANCELLED && policy.refund?.status === 'failed') {
+        logger.info('Retrying failed refund', { policyId, actor });
+        policy = await executeRefund(policy, actor);
+        await sendCancellationEmails(policy);
+        return policy;
+    }
+
+    if (!canTransition(status, POLICY_STATUS.CANCELLED)) {
+        throw cancellationError('INVALID_STATUS_TRANSITION', `Cannot cancel a policy that is ${status}`);
+    }
+
+    const payment = await razorpay.payments.fetch(policy.paymentId);
+    // Group enrollment policies share one payment, so never refund more than this policy's own premium.
+    // Policies issued before amounts were stored fall back to what is left of the payment.
+    const remaining = payment.amount - (payment.amount_refunded || 0);
+    const refundable = policy.amount !== undefined ? Math.min(policy.amount, remaining) : remaining;
+    const refund = calculateRefund(policy, refundable);
+
+    if (!refund.withinFreeLook && !allowProRata) {
+        throw cancellationError(
+            'OUTSIDE_FREE_LOOK',
+            `Free-look period of ${FREE_LOOK_DAYS} days has ended; pass allowProRata to refund ₹${formatRupees(refund.amount)}`
+        );
+    }
+
+    // The conditional status change decides which of two concurrent cancellations proceeds to refund
+    policy = await transitionPolicyStatus(policyId, POLICY_STATUS.CANCELLED, {
+        fromStatus: status,
+        actor,
+        reason,
+        attributes: {
+            cancellation: {
+                reason: reason || null,
+                cancelledAt: new Date().toISOString(),
+                cancelledBy: actor,
+                withinFreeLook: refund.withinFreeLook
+            },
+            refund: {
+                amount: refund.amount,
+                mode: refund.mode,
+                status: 'initiating'
+            }
+        }
+    });
+
+    policy = await executeRefund(policy, actor);
+    await sendCancellationEmails(policy);
+    return policy;
+}
+
+/**
+ * Handle Razorpay's `refund.processed` event: mark the refund processed and
+ * move the cancelled policy to refunded
+ * @param {Object} refundEntity - `payload.refund.entity` from the webhook
+ * @returns {Promise<{ status: string, policyId?: string }>}
+ */
+async function recordRefundProcessed(refundEntity) {
+    // Group enrollment policies share a payment, so they are found by the policy ID in the refund notes
+    const policyId = await getPolicyIdForPayment(refundEntity.payment_id) || refundEntity.notes?.policyId;
+    const policy = policyId && await getPolicyById(policyId);
+    if (!policy) {
+        logger.warn('Refund processed for payment without policy', {
+            refundId: refundEntity.id,
+            paymentId: refundEntity.payment_id
+        });
+        return { status: 'unknown_payment' };
+    }
+
+    await updatePolicyRefund(policyId, {
+        ...policy.refund,
+        refundId: refundEntity.id,
+        amount: refundEntity.amount,
+        status: 'processed',
+        processedAt: new Date().toISOString()
+    });
+
+    if (getPolicyStatus(policy) !== POLICY_STATUS.CANCELLED) {
+        return { status: 'recorded', policyId };
+    }
+
+    try {
+        await transitionPolicyStatus(policyId, POLICY_STATUS.REFUNDED, {
+            fromStatus: POLICY_STATUS.CANCELLED,
+            actor: 'razorpay-webhook',
+            reason: `Refund ${refundEntity.id} processed`
+        });
+    } catch (error) {
+        // A redelivered event finds the policy already refunded
+        if (error.code !== 'STATUS_CONFLICT') {
+            throw error;
+        }
+    }
+
+    return { status: 'policy_refunded', policyId };
+}
+
+module.exports = {
+    FREE_LOOK_DAYS,
+    calculateRefund,
+    cancelPolicy,
+    recordRefundProcessed
+};
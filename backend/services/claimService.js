@@ -0,0 +1,355 @@
+const {
+    CLAIM_STATUS,
+    createClaim,
+    getClaim,
+    transitionClaimStatus
+} = require('../models/Claim');
+const { getPolicyById, getPolicyStatus, POLICY_STATUS } = require('../models/Policy');
+const { nextCounterValue } = require('../models/Counter');
+const { getPlan } = require('../config/plans');
+const { toCustomerData } = require('./policyService');
+const { withPartnerBranding } = require('./partnerService');
+const { getDocumentStorage } = require('../utils/documentStorage');
+const { encryptBuffer, decryptBuffer } = require('../utils/fieldEncryption');
+const { isValidPolicyNumber, normalizePolicyNumber } = require('../utils/policyNumber');
+const { parseDate } = require('../utils/validation');
+const { formatRupees } = require('../utils/money');
+const {
+    sendCustomerClaimSubmittedEmail,
+    sendCompanyClaimSubmittedEmail,
+    sendCustomerClaimStatusEmail
+} = require('../utils/emailService');
+const logger = require('../utils/logger');
+
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+
+// Document uploads: type, the bytes every such file starts with, and limits
+const CLAIM_DOCUMENT_TYPES = {
+    'application/pdf': { extension: 'pdf', signature: Buffer.from('%PDF-') },
+    'image/jpeg': { extension: 'jpg', signature: Buffer.from([0xff, 0xd8, 0xff]) },
+    'image/png': { extension: 'png', signature: Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) }
+};
+const MAX_DOCUMENT_BYTES = (parseInt(process.env.CLAIM_MAX_DOCUMENT_MB, 10) || 5) * 1024 * 1024;
+const MAX_DOCUMENTS = parseInt(process.env.CLAIM_MAX_DOCUMENTS, 10) || 5;
+
+const DESCRIPTION_MIN_LENGTH = 20;
+const DESCRIPTION_MAX_LENGTH = 2000;
+const CLAIM_SEQUENCE_DIGITS = 6;
+
+// Claims can be made on lapsed policies for incidents during cover
+const CLAIMABLE_POLICY_STATUSES = [POLICY_STATUS.ACTIVE, POLICY_STATUS.EXPIRED];
+
+function claimError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Validate the fields of a claim submission. Multipart forms send every
+ * field as a string, so the amount is parsed here.
+ * @param {Object} body
+ * @returns {{ valid: boolean, errors: Array<{ field: string, message: string }>, value: Object }}
+ */
+function validateClaimInput(body) {
+    const errors = [];
+    const value = {};
+    const addError = (field, message) => errors.push({ field, message });
+
+    const policyId = normalizePolicyNumber(body.policyId || '');
+    if (!isValidPolicyNumber(policyId, { allowLegacy: true })) {
+        addError('policyId', 'Invalid policy number');
+    } else {
+        value.policyId = policyId;
+    }
+
+    value.dateOfBirth = parseDate(body.dateOfBirth);
+    if (!value.dateOfBirth) {
+        addError('dateOfBirth', 'Date of birth of the insured is required');
+    }
+
+    if (body.email) {
+        value.email = String(body.email).trim().toLowerCase();
+    } else if (body.phone) {
+        value.phone = String(body.phone).replace(/\D/g, '').slice(-10);
+    } else {
+        addError('email', 'Email or phone of the insured is required');
+    }
+
+    if (typeof body.claimType !== 'string' || !body.claimType.trim()) {
+        addError('claimType', 'Claim type is required');
+    } else {
+        value.claimType = body.claimType.trim();
+    }
+
+    value.incidentDate = parseDate(body.incidentDate);
+    const today = new Date(Date.now() + IST_OFFSET_MS).toISOString().slice(0, 10);
+    if (!value.incidentDate) {
+        addError('incidentDate', 'Incident date must be a valid date (YYYY-MM-DD)');
+    } else if (value.incidentDate > today) {
+        addError('incidentDate', 'Incident date cannot be in the future');
+    }
+
+    const description = typeof body.description === 'string' ? body.description.trim() : '';
+    if (description.length < DESCRIPTION_MIN_LENGTH || description.length > DESCRIPTION_MAX_LENGTH) {
+        addError('description', `Description must be ${DESCRIPTION_MIN_LENGTH}-${DESCRIPTION_MAX_LENGTH} characters`);
+    } else {
+        value.description = description;
+    }
+
+    const claimAmount = Number(body.claimAmount);
+    if (!Number.isInteger(claimAmount) || claimAmount <= 0) {
+        addError('claimAmount', 'Claim amount must be a positive amount in paise');
+    } else {
+        value.claimAmount = claimAmount;
+    }
+
+    return { valid: errors.length === 0, errors, value };
+}
+
+// The claimant must know the insured's date of birth and email or phone
+function matchesPolicyHolder(policy, input) {
+    const userData = policy.userData || {};
+    if (parseDate(userData.dateOfBirth) !== input.dateOfBirth) {
+        return false;
+    }
+    return input.email
+        ? String(userData.email || '').trim().toLowerCase() === input.email
+        : String(userData.phone || '').replace(/\D/g, '').slice(-10) === input.phone;
+}
+
+/**
+ * Check that an uploaded file really is of the type it claims to be
+ * @param {{ mimetype: string, buffer: Buffer }} file
+ */
+function isAllowedDocument(file) {
+    const type = CLAIM_DOCUMENT_TYPES[file.mimetype];
+    return Boolean(type) && file.buffer.subarray(0, type.signature.length).equals(type.signature);
+}
+
+async function generateClaimId(date = new Date()) {
+    const year = String(date.getUTCFullYear()).slice(-2);
+    const sequence = await nextCounterValue(`claim#${year}`);
+    return `CLM${year}${String(sequence).padStart(CLAIM_SEQUENCE_DIGITS, '0')}`;
+}
+
+// Store uploads under keys we generate; the client's file name is kept only as metadata.
+// Documents are medical and identity records, so they are encrypted with the PII keys before storage.
+async function storeClaimDocuments(claimId, files) {
+    const storage = getDocumentStorage();
+    const uploadedAt = new Date().toISOString();
+
+    return Promise.all(files.map(async (file, index) => {
+        const documentId = String(index + 1);
+        const key = `claims/${claimId}/${documentId}.${CLAIM_DOCUMENT_TYPES[file.mimetype].extension}`;
+        const { body, envelope } = await encryptBuffer(file.buffer, key);
+        await storage.put(key, body, { contentType: 'application/octet-stream' });
+        return {
+            documentId,
+            name: String(file.originalname || `document-${documentId}`).slice(0, 200),
+            contentType: file.mimetype,
+            size: file.size,
+            storage: storage.name,
+            key,
+            encryption: envelope,
+            uploadedAt
+        };
+    }));
+}
+
+const getBenefit = (planType, claimType) => (getPlan(planType)?.coverage || []).find((item) => item.benefit === claimType);
+
+// Fields used by the claim email templates
+function toClaimEmailData(claim) {
+    return {
+        claimId: claim.claimId,
+        policyNumber: claim.policyId,
+        claimType: getBenefit(claim.planType, claim.claimType)?.name || claim.claimType,
+        incidentDate: claim.incidentDate,
+        description: claim.description,
+        claimAmount: formatRupees(claim.claimAmount),
+        documentCount: claim.documentCount,
+        submittedAt: new Date(claim.submittedAt).toLocaleString(),
+        status: claim.status,
+        reason: claim.rejectionReason,
+        approvedAmount: claim.approvedAmount !== undefined ? formatRupees(claim.approvedAmount) : undefined,
+        paymentReference: claim.paymentReference
+    };
+}
+
+async function sendClaimSubmittedEmails(claim, policy) {
+    try {
+        const customerData = await withPartnerBranding(toCustomerData(policy.userData || {}), policy.partnerId);
+        const claimData = toClaimEmailData(claim);
+
+        await sendCustomerClaimSubmittedEmail(customerData, claimData);
+        await sendCompanyClaimSubmittedEmail(customerData, claimData);
+    } catch (emailError) {
+        logger.error('Failed to send claim submitted emails', {
+            error: emailError.message,
+            claimId: claim.claimId
+        });
+    }
+}
+
+/**
+ * File a claim against a policy. The claimant proves they hold the policy
+ * with the insured's date of birth and email or phone.
+ * @param {Object} input - Validated fields from validateClaimInput
+ * @param {Array<{ originalname: string, mimetype: string, size: number, buffer: Buffer }>} files - Uploaded documents
+ * @returns {Promise<Object>} The new claim
+ * @throws {Error} With a `code` such as CLAIM_OUTSIDE_COVER when the claim cannot be accepted
+ */
+async function submitClaim(input, files = []) {
+    const policy = await getPolicyById(input.policyId);
+    // Same answer for a wrong policy number and wrong personal details
+    if (!policy || !matchesPolicyHolder(policy, input)) {
+        throw claimError('CLAIM_POLICY_NOT_FOUND', 'No matching policy found');
+    }
+
+    if (!CLAIMABLE_POLICY_STATUSES.includes(getPolicyStatus(policy))) {
+        throw claimError('CLAIM_POLICY_NOT_ACTIVE', 'Claims can only be made on active policies');
+    }
+    if (!policy.coverageStartDate || input.incidentDate < policy.coverageStartDate || input.incidentDate > policy.coverageEndDate) {
+        throw claimError('CLAIM_OUTSIDE_COVER', 'The incident date is outside the policy period');
+    }
+
+    const benefit = getBenefit(policy.planType, input.claimType);
+    if (!benefit) {
+        throw claimError('CLAIM_TYPE_NOT_COVERED', 'Your plan does not cover this type of claim');
+    }
+    if (input.claimAmount > benefit.sumInsured) {
+        throw claimError('CLAIM_AMOUNT_TOO_LARGE', `Claim amount cannot exceed the sum insured of ₹${formatRupees(benefit.sumInsured)}`);
+    }
+
+    const invalid = files.find((file) => !isAllowedDocument(file));
+    if (invalid) {
+        throw claimError('CLAIM_INVALID_DOCUMENT', `${invalid.originalname} is not a valid PDF, JPEG or PNG file`);
+    }
+
+    const claimId = await generateClaimId();
+    const documents = await storeClaimDocuments(claimId, files);
+
+    const now = new Date().toISOString();
+    const claim = {
+        claimId,
+        policyId: policy.policyId,
+        planType: policy.planType,
+        claimType: input.claimType,
+        incidentDate: input.incidentDate,
+        description: input.description,
+        claimAmount: input.claimAmount,
+        documents,
+        documentCount: documents.length,
+        status: CLAIM_STATUS.SUBMITTED,
+        submittedAt: now,
+        statusUpdatedAt: now,
+        statusHistory: [{ from: null, to: CLAIM_STATUS.SUBMITTED, actor: 'customer', at: now }]
+    };
+
+    await createClaim(claim);
+    logger.info('Claim submitted', {
+        claimId,
+        policyId: policy.policyId,
+        claimType: input.claimType,
+        claimAmount: input.claimAmount,
+        documentCount: documents.length
+    });
+
+    await sendClaimSubmittedEmails(claim, policy);
+    return claim;
+}
+
+// Extra attributes a review decision must record, built from the request body
+function decisionAttributes(claim, toStatus, { reason, approvedAmount, paymentReference }) {
+    const now = new Date().toISOString();
+
+    if (toStatus === CLAIM_STATUS.REJECTED) {
+        if (!reason) {
+            throw claimError('CLAIM_REASON_REQUIRED', 'A reason is required to reject a claim');
+        }
+        return { rejectionReason: reason, decidedAt: now };
+    }
+
+    if (toStatus === CLAIM_STATUS.APPROVED) {
+        if (!Number.isInteger(approvedAmount) || approvedAmount <= 0 || approvedAmount > claim.claimAmount) {
+            throw claimError('CLAIM_INVALID_AMOUNT', 'approvedAmount must be a positive amount in paise, at most the claimed amount');
+        }
+        return { approvedAmount, decidedAt: now };
+    }
+
+    if (toStatus === CLAIM_STATUS.PAID) {
+        if (!paymentReference) {
+            throw claimError('CLAIM_PAYMENT_REFERENCE_REQUIRED', 'paymentReference is required to mark a claim paid');
+        }
+        return { paymentReference: String(paymentReference).trim(), paidAt: now };
+    }
+
+    return {};
+}
+
+/**
+ * Move a claim through review and tell the customer
+ * @param {string} claimId
+ * @param {string} toStatus
+ * @param {{ actor: string, reason?: string, approvedAmount?: number, paymentReference?: string }} options
+ * @returns {Promise<Object|null>} The updated claim, or null if it does not exist
+ */
+async function changeClaimStatus(claimId, toStatus, { actor, reason, approvedAmount, paymentReference }) {
+    const claim = await getClaim(claimId);
+    if (!claim) {
+        return null;
+    }
+
+    const attributes = decisionAttributes(claim, toStatus, { reason, approvedAmount, paymentReference });
+    const updated = await transitionClaimStatus(claimId, toStatus, {
+        fromStatus: claim.status,
+        actor,
+        reason,
+        attributes
+    });
+
+    logger.info('Claim status changed', { claimId, from: claim.status, to: toStatus, actor });
+
+    try {
+        const policy = await getPolicyById(updated.policyId);
+        const customerData = await withPartnerBranding(toCustomerData(policy?.userData || {}), policy?.partnerId);
+        await sendCustomerClaimStatusEmail(customerData, toClaimEmailData(updated));
+    } catch (emailError) {
+        logger.error('Failed to send claim status email', { error: emailError.message, claimId });
+    }
+
+    return updated;
+}
+
+/**
+ * Read an uploaded claim document from storage
+ * @param {Object} claim
+ * @param {string} documentId
+ * @returns {Promise<{ document: Object, content: Buffer }|null>} Null if there is no such document
+ */
+async function getClaimDocument(claim, documentId) {
+    const document = (claim.documents || []).find((item) => item.documentId === documentId);
+    if (!document) {
+        return null;
+    }
+
+    const stored = await getDocumentStorage().get(document.key);
+    if (!stored) {
+        return null;
+    }
+
+    // Documents uploaded before encryption was introduced have no envelope
+    const content = document.encryption ? await decryptBuffer(stored, document.encryption, document.key) : stored;
+    return { document, content };
+}
+
+module.exports = {
+    CLAIM_DOCUMENT_TYPES,
+    MAX_DOCUMENT_BYTES,
+    MAX_DOCUMENTS,
+    validateClaimInput,
+    submitClaim,
+    changeClaimStatus,
+    getClaimDocument
+};
@@ -0,0 +1,246 @@
+const {
+    DISCOUNT_TYPE,
+    UPDATABLE_FIELDS,
+    getCoupon,
+    countCustomerRedemptions,
+    recordRedemption
+} = require('../models/Coupon');
+const { getPlan } = require('../config/plans');
+const { emailBlindIndex } = require('../utils/fieldEncryption');
+const { formatRupees } = require('../utils/money');
+const logger = require('../utils/logger');
+
+// Razorpay does not accept orders below ₹1
+const MIN_ORDER_AMOUNT = 100;
+const COUPON_CODE_PATTERN = /^[A-Z0-9_-]{3,32}$/;
+
+function couponError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Uppercase and strip spaces, so `campus 10` and `CAMPUS10` are the same code
+ * @param {string} code
+ */
+const normalizeCouponCode = (code) => String(code || '').toUpperCase().replace(/\s/g, '');
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+/**
+ * Validate coupon fields from an admin request
+ * @param {Object} body
+ * @param {{ partial?: boolean }} options - `partial` validates an update: only
+ *   UPDATABLE_FIELDS are accepted and none are required
+ * @returns {{ valid: boolean, errors: Array<{ field: string, message: string }>, value: Object }}
+ */
+function validateCouponInput(body, { partial = false } = {}) {
+    const errors = [];
+    const value = {};
+    const addError = (field, message) => errors.push({ field, message });
+    const has = (field) => body[field] !== undefined;
+
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { valid: false, errors: [{ field: 'body', message: 'Coupon must be an object' }], value };
+    }
+
+    if (partial) {
+        Object.keys(body).filter((field) => !UPDATABLE_FIELDS.includes(field)).forEach((field) => {
+            addError(field, `${field} cannot be changed`);
+        });
+    } else {
+        const code = normalizeCouponCode(body.couponCode);
+        if (!COUPON_CODE_PATTERN.test(code)) {
+            addError('couponCode', 'Coupon code must be 3-32 letters, digits, - or _');
+        } else {
+            value.couponCode = code;
+        }
+
+        if (!Object.values(DISCOUNT_TYPE).includes(body.discountType)) {
+            addError('discountType', `discountType must be one of: ${Object.values(DISCOUNT_TYPE).join(', ')}`);
+        } else {
+            value.discountType = body.discountType;
+        }
+
+        if (body.discountType === DISCOUNT_TYPE.PERCENTAGE) {
+            if (!isPositiveInteger(body.discountValue) || body.discountValue > 100) {
+                addError('discountValue', 'Percentage discount must be a whole number from 1 to 100');
+            } else {
+                value.discountValue = body.discountValue;
+            }
+        } else if (!isPositiveInteger(body.discountValue)) {
+            addError('discountValue', 'Flat discount must be a positive amount in paise');
+        } else {
+            value.discountValue = body.discountValue;
+        }
+    }
+
+    if (has('description')) {
+        if (body.description !== null && (typeof body.description !== 'string' || body.description.length > 200)) {
+            addError('description', 'Description must be at most 200 characters');
+        } else {
+            value.description = body.description && body.description.trim();
+        }
+    }
+
+    if (has('eligiblePlans')) {
+        const plans = body.eligiblePlans;
+        if (plans !== null && (!Array.isArray(plans) || plans.some((planId) => !getPlan(planId)))) {
+            addError('eligiblePlans', 'eligiblePlans must be a list of plan IDs from the catalog');
+        } else {
+            // An empty list or null means every plan
+            value.eligiblePlans = plans && plans.length ? Array.from(new Set(plans)) : null;
+        }
+    }
+
+    ['validFrom', 'validUntil'].filter(has).forEach((field) => {
+        if (body[field] !== null && Number.isNaN(Date.parse(body[field]))) {
+            addError(field, `${field} must be an ISO date or date-time`);
+        } else {
+            value[field] = body[field] && new Date(body[field]).toISOString();
+        }
+    });
+    if (value.validFrom && value.validUntil && value.validUntil <= value.validFrom) {
+        addError('validUntil', 'validUntil must be after validFrom');
+    }
+
+    ['maxRedemptions', 'maxRedemptionsPerCustomer', 'maxDiscount'].filter(has).forEach((field) => {
+        if (body[field] !== null && !isPositiveInteger(body[field])) {
+            addError(field, `${field} must be a positive whole number`);
+        } else {
+            value[field] = body[field];
+        }
+    });
+
+    if (has('active')) {
+        if (typeof body.active !== 'boolean') {
+            addError('active', 'active must be true or false');
+        } else {
+            value.active = body.active;
+        }
+    } else if (!partial) {
+        value.active = true;
+    }
+
+    // Nulls mean "not set" on create; on update they remove the field
+    if (!partial) {
+        Object.keys(value).filter((field) => value[field] === null).forEach((field) => delete value[field]);
+    }
+
+    return { valid: errors.length === 0, errors, value };
+}
+
+/**
+ * Discount a coupon gives on an amount, never more than the amount itself
+ * @param {Object} coupon
+ * @param {number} amount - In paise
+ * @returns {number} Discount in paise
+ */
+function calculateDiscount(coupon, amount) {
+    let discount = coupon.discountType === DISCOUNT_TYPE.PERCENTAGE
+        ? Math.floor(amount * coupon.discountValue / 100)
+        : coupon.discountValue;
+
+    if (coupon.maxDiscount) {
+        discount = Math.min(discount, coupon.maxDiscount);
+    }
+    return Math.min(discount, amount);
+}
+
+/**
+ * Check a coupon against a plan and customer and price the order with it.
+ * Caps are checked against paid orders only, so several unpaid orders can
+ * hold the same last use; whichever is paid first takes it.
+ * @param {string} code - Coupon code as entered
+ * @param {{ plan: Object, baseAmount?: number, customerEmail?: string, now?: Date }} options - `baseAmount`
+ *   is the price before the discount, the plan's catalog price unless a partner has its own price for it
+ * @returns {Promise<{ couponCode: string, discountType: string, discountValue: number, baseAmount: number, discount: number, amount: number }>}
+ * @throws {Error} With a `code` such as COUPON_EXPIRED when the coupon cannot be used
+ */
+async function applyCoupon(code, { plan, baseAmount = plan.premium.total, customerEmail, now = new Date() }) {
+    const couponCode = normalizeCouponCode(code);
+    const coupon = COUPON_CODE_PATTERN.test(couponCode) ? await getCoupon(couponCode) : null;
+
+    if (!coupon || !coupon.active) {
+        throw couponError('COUPON_NOT_FOUND', 'Coupon code is not valid');
+    }
+    if (coupon.validFrom && now < new Date(coupon.validFrom)) {
+        throw couponError('COUPON_NOT_STARTED', 'Coupon is not valid yet');
+    }
+    if (coupon.validUntil && now > new Date(coupon.validUntil)) {
+        throw couponError('COUPON_EXPIRED', 'Coupon has expired');
+    }
+    if (coupon.eligiblePlans && !coupon.eligiblePlans.includes(plan.planId)) {
+        throw couponError('COUPON_NOT_ELIGIBLE', `Coupon cannot be used for ${plan.name}`);
+    }
+    if (coupon.maxRedemptions && coupon.redemptionCount >= coupon.maxRedemptions) {
+        throw couponError('COUPON_EXHAUSTED', 'Coupon has been fully redeemed');
+    }
+
+    if (coupon.maxRedemptionsPerCustomer) {
+        if (!customerEmail) {
+            throw couponError('COUPON_CUSTOMER_REQUIRED', 'Customer details are required to use this coupon');
+        }
+        const used = await countCustomerRedemptions(couponCode, emailBlindIndex(customerEmail));
+        if (used >= coupon.maxRedemptionsPerCustomer) {
+            throw couponError('COUPON_CUSTOMER_LIMIT', 'You have already used this coupon');
+        }
+    }
+
+    const discount = calculateDiscount(coupon, baseAmount);
+    const amount = baseAmount - discount;
+    if (amount < MIN_ORDER_AMOUNT) {
+        throw couponError('COUPON_DISCOUNT_TOO_LARGE', `Discounted price must be at least ₹${formatRupees(MIN_ORDER_AMOUNT)}`);
+    }
+
+    return {
+        couponCode,
+        discountType: coupon.discountType,
+        discountValue: coupon.discountValue,
+        baseAmount,
+        discount,
+        amount
+    };
+}
+
+/**
+ * Count the coupon on a paid order as redeemed. Safe to call more than once
+ * per order. Never throws: the payment has gone through either way.
+ * @param {Object} order - Order with a `coupon`, as stored by create-order
+ * @param {string} paymentId
+ */
+async function recordCouponRedemption(order, paymentId) {
+    if (!order.coupon) {
+        return;
+    }
+
+    const { couponCode, discount } = order.coupon;
+    try {
+        const { recorded } = await recordRedemption({
+            code: couponCode,
+            orderId: order.orderId,
+            paymentId,
+            customerHash: order.userData?.email ? emailBlindIndex(order.userData.email) : undefined,
+            discount
+        });
+        if (recorded) {
+            logger.info('Coupon redeemed', { couponCode, orderId: order.orderId, paymentId, discount });
+        }
+    } catch (error) {
+        logger.error('Failed to record coupon redemption', {
+            error: error.message,
+            couponCode,
+            orderId: order.orderId,
+            paymentId
+        });
+    }
+}
+
+module.exports = {
+    normalizeCouponCode,
+    validateCouponInput,
+    calculateDiscount,
+    applyCoupon,
+    recordCouponRedemption
+};
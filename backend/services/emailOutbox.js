@@ -0,0 +1,228 @@
+const crypto = require('crypto');
+
+const {
+    EMAIL_STATUS,
+    enqueueEmail,
+    claimEmail,
+    markEmailSent,
+    markEmailFailed,
+    requeueEmail,
+    listEmailsByStatus
+} = require('../models/EmailOutbox');
+const { getEmailTransport } = require('../utils/emailTransports');
+const { getDocumentStorage } = require('../utils/documentStorage');
+const { encryptBuffer, decryptBuffer } = require('../utils/fieldEncryption');
+const logger = require('../utils/logger');
+
+const MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS, 10) || 8;
+const BASE_RETRY_DELAY_MS = 60 * 1000; // 1 minute, doubled on every failure
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000; // 6 hours
+const SEND_LEASE_MS = 2 * 60 * 1000;
+const POLL_INTERVAL_MS = parseInt(process.env.EMAIL_OUTBOX_POLL_MS, 10) || 60 * 1000;
+const BATCH_SIZE = 25;
+
+/**
+ * Exponential backoff with a little jitter, so retries of a burst spread out
+ * @param {number} attempts - Attempts made so far
+ */
+function retryDelay(attempts) {
+    const delay = Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+    return delay + Math.floor(Math.random() * delay * 0.1);
+}
+
+/**
+ * Move a message's attachments (invoices, policy schedules) to document storage,
+ * encrypted like claim documents, and keep only references in the message.
+ * Inline they would push the outbox item towards DynamoDB's 400 KB item limit.
+ * @param {Object} message - Email in Brevo's format, attachments as `{ name, content }` in base64
+ * @returns {Promise<Object>} The message with attachments as `{ name, key, encryption }`
+ */
+async function storeAttachments(message) {
+    if (!message.attachment || message.attachment.length === 0) {
+        return message;
+    }
+
+    const storage = getDocumentStorage();
+    const prefix = `email-attachments/${crypto.randomUUID()}`;
+    const attachment = await Promise.all(message.attachment.map(async (file, index) => {
+        const key = `${prefix}/${index + 1}`;
+        const { body, envelope } = await encryptBuffer(Buffer.from(file.content, 'base64'), key);
+        await storage.put(key, body, { contentType: 'application/octet-stream' });
+        return { name: file.name, key, encryption: envelope };
+    }));
+
+    return { ...message, attachment };
+}
+
+// Read stored attachments back into the base64 content the transports expect
+async function loadAttachments(message) {
+    if (!message.attachment || !message.attachment.some((file) => file.key)) {
+        return message;
+    }
+
+    const storage = getDocumentStorage();
+    const attachment = await Promise.all(message.attachment.map(async (file) => {
+        if (!file.key) {
+            return file;
+        }
+        const stored = await storage.get(file.key);
+        if (!stored) {
+            throw new Error(`Email attachment ${file.key} is missing from document storage`);
+        }
+        const content = await decryptBuffer(stored, file.encryption, file.key);
+        return { name: file.name, content: content.toString('base64') };
+    }));
+
+    return { ...message, attachment };
+}
+
+/**
+ * Try to send one outbox email through the configured transport
+ * @param {string} emailId
+ * @returns {Promise<{ status: string, messageId?: string }|null>} null if another worker holds the email
+ */
+async function deliver(emailId) {
+    const email = await claimEmail(emailId, SEND_LEASE_MS);
+    if (!email) {
+        return null;
+    }
+
+    const transport = getEmailTransport();
+
+    try {
+        const { messageId } = await transport.send(await loadAttachments(email.message));
+        await markEmailSent(emailId, { messageId, transport: transport.name });
+
+        logger.info('Email sent', { emailId, type: email.type, transport: transport.name, attempts: email.attempts });
+        return { status: EMAIL_STATUS.SENT, messageId };
+    } catch (error) {
+        const dead = email.attempts >= email.maxAttempts;
+        const nextAttemptAt = dead ? null : new Date(Date.now() + retryDelay(email.attempts)).toISOString();
+
+        await markEmailFailed(emailId, { error: error.message, nextAttemptAt });
+
+        if (dead) {
+            logger.error('Email dead-lettered after final attempt', {
+                emailId,
+                type: email.type,
+                attempts: email.attempts,
+                error: error.message
+            });
+            return { status: EMAIL_STATUS.DEAD };
+        }
+
+        logger.warn('Email send failed, will retry', {
+            emailId,
+            type: email.type,
+            attempts: email.attempts,
+            nextAttemptAt,
+            error: error.message
+        });
+        return { status: EMAIL_STATUS.PENDING };
+    }
+}
+
+/**
+ * Store an email in the outbox and make the first delivery attempt right away.
+ * A failed attempt does not throw: the outbox worker keeps retrying.
+ * @param {Object} message - Email in Brevo's format (sender, to, subject, htmlContent, textContent)
+ * @param {{ type: string, template?: Object }} options - `type` labels the email for listing, e.g.
+ *   `customer-confirmation`; `template` is the rendered template's `{ name, version, language }`
+ * @returns {Promise<{ emailId: string, status: string, messageId?: string }>}
+ */
+async function sendEmail(message, { type, template }) {
+    const email = await enqueueEmail(await storeAttachments(message), { type, template, maxAttempts: MAX_ATTEMPTS });
+
+    let result = null;
+    try {
+        result = await deliver(email.emailId);
+    } catch (error) {
+        // The email is safely queued; the worker will pick it up
+        logger.error('Immediate email delivery failed', { emailId: email.emailId, type, error: error.message });
+    }
+
+    return { emailId: email.emailId, status: result ? result.status : EMAIL_STATUS.PENDING, ...(result && result.messageId && { messageId: result.messageId }) };
+}
+
+/**
+ * Send every outbox email that is due, including ones whose sender crashed mid-send
+ * @returns {Promise<number>} Number of emails attempted
+ */
+async function processOutbox() {
+    const now = new Date().toISOString();
+    let attempted = 0;
+
+    for (const status of [EMAIL_STATUS.PENDING, EMAIL_STATUS.SENDING]) {
+        const { items } = await listEmailsByStatus(status, { before: now, limit: BATCH_SIZE });
+
+        for (const email of items) {
+            try {
+                if (await deliver(email.emailId)) {
+                    attempted++;
+                }
+            } catch (error) {
+                logger.error('Outbox delivery failed', { emailId: email.emailId, error: error.message });
+            }
+        }
+    }
+
+    return attempted;
+}
+
+/**
+ * Put a dead-lettered email back in the queue and try it again now
+ * @param {string} emailId
+ * @returns {Promise<{ status: string, messageId?: string }|null>} null if the email cannot be resent
+ */
+async function resendEmail(emailId) {
+    const requeued = await requeueEmail(emailId);
+    if (!requeued) {
+        return null;
+    }
+    return (await deliver(emailId)) || { status: EMAIL_STATUS.PENDING };
+}
+
+let workerTimer = null;
+let workerRunning = false;
+
+/**
+ * Poll the outbox in the background and send due emails
+ */
+function startOutboxWorker() {
+    if (workerTimer) {
+        return;
+    }
+
+    workerTimer = setInterval(async () => {
+        if (workerRunning) {
+            return;
+        }
+        workerRunning = true;
+        try {
+            const attempted = await processOutbox();
+            if (attempted > 0) {
+                logger.info('Outbox processed', { attempted });
+            }
+        } catch (error) {
+            logger.error('Outbox worker run failed', { error: error.message });
+        } finally {
+            workerRunning = false;
+        }
+    }, POLL_INTERVAL_MS);
+
+    // Do not keep the process alive just for the worker
+    workerTimer.unref();
+}
+
+function stopOutboxWorker() {
+    clearInterval(workerTimer);
+    workerTimer = null;
+}
+
+module.exports = {
+    sendEmail,
+    resendEmail,
+    processOutbox,
+    startOutboxWorker,
+    stopOutboxWorker
+};
@@ -0,0 +1,410 @@
+const { randomUUID } = require('crypto');
+
+const {
+    GROUP_STATUS,
+    createGroupEnrollment,
+    getGroupEnrollment,
+    listGroupMembers,
+    listGroupEnrollmentsByStatus,
+    markGroupPaid,
+    updateGroupMember,
+    markGroupIssued,
+    setGroupProgress
+} = require('../models/GroupEnrollment');
+const { savePolicy, getPolicyIdForMember, toCreatedMonth, POLICY_STATUS } = require('../models/Policy');
+const { createOrder, markOrderPaid } = require('../models/Order');
+const { getActivePlan, getPlanName } = require('../config/plans');
+const { toCustomerData } = require('./policyService');
+const { razorpay } = require('../utils/razorpayClient');
+const { parseCsv } = require('../utils/csv');
+const { validateCustomerData } = require('../utils/validation');
+const { generatePolicyNumber } = require('../utils/policyNumber');
+const { sendCustomerConfirmationEmail } = require('../utils/emailService');
+const { formatRupees } = require('../utils/money');
+const logger = require('../utils/logger');
+
+const MAX_MEMBERS = parseInt(process.env.GROUP_MAX_MEMBERS, 10) || 500;
+// Confirmation emails go out this many at a time, with a pause in between, to stay under Brevo's rate limit
+const EMAIL_BATCH_SIZE = parseInt(process.env.GROUP_EMAIL_BATCH_SIZE, 10) || 20;
+const EMAIL_BATCH_DELAY_MS = parseInt(process.env.GROUP_EMAIL_BATCH_DELAY_MS, 10) || 2000;
+const ISSUANCE_INTERVAL_MS = parseInt(process.env.GROUP_ISSUANCE_INTERVAL_MS, 10) || 5 * 60 * 1000;
+
+// CSV columns, named like the `user_data` fields of a single purchase
+const CSV_COLUMNS = [
+    'name',
+    'email',
+    'phone',
+    'gender',
+    'dateOfBirth',
+    'aadharNumber',
+    'address',
+    'city',
+    'state',
+    'pincode',
+    'nomineeFullName',
+    'nomineeRelationship',
+    'nomineeGender',
+    'nomineeDateOfBirth',
+    'preferredLanguage'
+];
+const OPTIONAL_COLUMNS = ['preferredLanguage'];
+
+// Spreadsheet headers like "Date of Birth" or "date_of_birth" match dateOfBirth
+const toColumnKey = (header) => header.toLowerCase().replace(/[^a-z]/g, '');
+const COLUMN_LOOKUP = new Map(CSV_COLUMNS.map((column) => [toColumnKey(column), column]));
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function groupError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Read students from the CSV and validate each row with the same rules as a
+ * single purchase, including the plan's age limits
+ * @param {string} csv - Header row, then one student per row
+ * @param {Object} plan - Plan from the catalog
+ * @returns {{ members: Array<{ rowNumber: number, userData: Object }>, errors: Array<{ row: number, line: number, field: string, message: string }> }}
+ * @throws {Error} With code GROUP_INVALID_CSV or GROUP_TOO_LARGE when the file as a whole cannot be used
+ */
+function parseStudentCsv(csv, plan) {
+    const { rows, error } = parseCsv(csv);
+    if (error) {
+        throw groupError('GROUP_INVALID_CSV', error);
+    }
+    if (rows.length < 2) {
+        throw groupError('GROUP_INVALID_CSV', 'The CSV needs a header row and at least one student');
+    }
+
+    const [header, ...students] = rows;
+    const columns = header.values.map((value) => COLUMN_LOOKUP.get(toColumnKey(value)));
+    const missing = CSV_COLUMNS.filter((column) => !OPTIONAL_COLUMNS.includes(column) && !columns.includes(column));
+    if (missing.length) {
+        throw groupError('GROUP_INVALID_CSV', `The CSV is missing these columns: ${missing.join(', ')}`);
+    }
+    if (students.length > MAX_MEMBERS) {
+        throw groupError('GROUP_TOO_LARGE', `A group can have at most ${MAX_MEMBERS} students; split the CSV into smaller groups`);
+    }
+
+    const members = [];
+    const errors = [];
+    const rowsByAadhaar = new Map();
+
+    students.forEach(({ line, values }, index) => {
+        const rowNumber = index + 1;
+        const data = {};
+        columns.forEach((column, position) => {
+            if (column) {
+                data[column] = values[position] ?? '';
+            }
+        });
+
+        const validation = validateCustomerData(data, { eligibility: plan.eligibility });
+        validation.errors.forEach(({ field, message }) => errors.push({ row: rowNumber, line, field, message }));
+
+        const { aadharNumber } = validation.value;
+        if (aadharNumber && rowsByAadhaar.has(aadharNumber)) {
+            errors.push({
+                row: rowNumber,
+                line,
+                field: 'aadharNumber',
+                message: `Same Aadhaar number as row ${rowsByAadhaar.get(aadharNumber)}`
+            });
+        } else if (aadharNumber) {
+            rowsByAadhaar.set(aadharNumber, rowNumber);
+        }
+
+        if (validation.valid) {
+            members.push({ rowNumber, userData: { ...validation.value, planType: plan.planId } });
+        }
+    });
+
+    return { members, errors };
+}
+
+/**
+ * Check a group enrollment before any order is created
+ * @param {{ planType: string, institutionName: string, csv: string }} enrollment
+ * @returns {{ plan: Object, institutionName: string, members: Object[], errors: Object[] }} `errors` is the per-row report
+ * @throws {Error} With a `code` such as GROUP_INVALID_PLAN when the upload as a whole is unusable
+ */
+function validateGroupEnrollment({ planType, institutionName, csv }) {
+    const plan = getActivePlan(planType);
+    if (!plan) {
+        throw groupError('GROUP_INVALID_PLAN', 'Invalid plan type');
+    }
+
+    const institution = typeof institutionName === 'string' ? institutionName.trim().replace(/\s+/g, ' ') : '';
+    if (institution.length < 2 || institution.length > 200) {
+        throw groupError('GROUP_INVALID_INSTITUTION', 'institutionName must be 2-200 characters');
+    }
+    if (typeof csv !== 'string' || !csv.trim()) {
+        throw groupError('GROUP_INVALID_CSV', 'Upload the students as a CSV file');
+    }
+
+    return { plan, institutionName: institution, ...parseStudentCsv(csv, plan) };
+}
+
+/**
+ * Create a group enrollment and a single Razorpay order for the premium of
+ * every student. Nothing is created unless every row is valid.
+ * @param {{ planType: string, institutionName: string, csv: string }} enrollment
+ * @param {string} actor - Admin or institution uploading the CSV
+ * @returns {Promise<{ group: Object, order: { id: string, amount: number, currency: string } }>}
+ * @throws {Error} With code GROUP_INVALID_ROWS and the per-row report in `errors` when rows are invalid
+ */
+async function createGroupEnrollmentOrder(enrollment, actor) {
+    const { plan, institutionName, members, errors } = validateGroupEnrollment(enrollment);
+    if (errors.length) {
+        const error = groupError('GROUP_INVALID_ROWS', `${new Set(errors.map(({ row }) => row)).size} row(s) have errors`);
+        error.errors = errors;
+        throw error;
+    }
+
+    if (!razorpay) {
+        throw groupError('PAYMENTS_UNAVAILABLE', 'Payment service not available - Razorpay not configured');
+    }
+
+    const groupId = randomUUID();
+    const memberAmount = plan.premium.total;
+    const amount = memberAmount * members.length;
+    const currency = 'INR';
+
+    const order = await razorpay.orders.create({ amount, currency, notes: { groupId } });
+    await createOrder({ orderId: order.id, planType: plan.planId, amount, currency, groupId });
+
+    const group = await createGroupEnrollment({
+        groupId,
+        institutionName,
+        planType: plan.planId,
+        orderId: order.id,
+        amount,
+        memberAmount,
+        currency,
+        createdBy: actor
+    }, members);
+
+    logger.info('Group enrollment created', { groupId, orderId: order.id, members: members.length, amount, actor });
+    return { group, order: { id: order.id, amount, currency } };
+}
+
+// Email one student their policy confirmation and note it on the member
+async function sendMemberConfirmation(group, member) {
+    try {
+        await sendCustomerConfirmationEmail(toCustomerData(member.userData), {
+            policyNumber: member.policyId,
+            planName: getPlanName(group.planType),
+            amount: formatRupees(group.memberAmount),
+            paymentId: group.paymentId,
+            timestamp: new Date().toLocaleString()
+        });
+        member.emailQueuedAt = new Date().toISOString();
+        await updateGroupMember(group.groupId, member.rowNumber, { emailQueuedAt: member.emailQueuedAt });
+    } catch (error) {
+        logger.error('Failed to send group member confirmation', {
+            error: error.message,
+            groupId: group.groupId,
+            rowNumber: member.rowNumber,
+            policyNumber: member.policyId
+        });
+    }
+}
+
+const issuingGroups = new Set();
+
+// Draw a policy number and save the member's policy, locked per member
+async function saveMemberPolicy(group, member, memberKey, source) {
+    const policyNumber = await generatePolicyNumber(group.planType);
+    const timestamp = new Date().toISOString();
+    return savePolicy({
+        policyId: policyNumber,
+        orderId: group.orderId,
+        paymentId: group.paymentId,
+        planType: group.planType,
+        amount: group.memberAmount,
+        currency: group.currency,
+        groupId: group.groupId,
+        institutionName: group.institutionName,
+        userData: member.userData,
+        timestamp,
+        createdMonth: toCreatedMonth(timestamp),
+        status: POLICY_STATUS.PENDING_ISSUANCE,
+        statusUpdatedAt: timestamp,
+        statusHistory: [{ from: null, to: POLICY_STATUS.PENDING_ISSUANCE, actor: source, at: timestamp }]
+    }, { memberKey });
+}
+
+/**
+ * Issue a policy for every student in a paid group, then email each their
+ * confirmation in batches. Members who already have a policy or email are
+ * skipped, so a run that stopped part way is finished by running it again.
+ * @param {string} groupId
+ * @param {string} source - e.g. webhook:payment.captured
+ * @returns {Promise<{ issued: number, emailed: number, failed: number }|null>} null if the group is not issuing
+ */
+async function issueGroupPolicies(groupId, source) {
+    // Policies are locked per member anyway; this just avoids two runs racing for policy numbers
+    if (issuingGroups.has(groupId)) {
+        return null;
+    }
+    issuingGroups.add(groupId);
+
+    try {
+        const group = await getGroupEnrollment(groupId);
+        if (!group || group.status !== GROUP_STATUS.ISSUING) {
+            return null;
+        }
+
+        const members = await listGroupMembers(groupId);
+        const summary = { issued: 0, emailed: 0, failed: 0 };
+        let lastError;
+
+        for (const member of members.filter(({ policyId }) => !policyId)) {
+            try {
+                const memberKey = `${groupId}#${member.rowNumber}`;
+                // A member whose policy was saved before a failed run only needs the link, not a new number
+                const existingPolicyId = await getPolicyIdForMember(memberKey);
+                const { policyId } = existingPolicyId
+                    ? { policyId: existingPolicyId }
+                    : await saveMemberPolicy(group, member, memberKey, source);
+
+                await updateGroupMember(groupId, member.rowNumber, { policyId });
+                member.policyId = policyId;
+                summary.issued += 1;
+            } catch (error) {
+                lastError = `Row ${member.rowNumber}: ${error.message}`;
+                summary.failed += 1;
+                logger.error('Failed to issue group member policy', {
+                    error: error.message,
+                    groupId,
+                    rowNumber: member.rowNumber
+                });
+            }
+        }
+
+        const unemailed = members.filter(({ policyId, emailQueuedAt }) => policyId && !emailQueuedAt);
+        for (let i = 0; i < unemailed.length; i += EMAIL_BATCH_SIZE) {
+            if (i > 0) {
+                await sleep(EMAIL_BATCH_DELAY_MS);
+            }
+            await Promise.all(unemailed.slice(i, i + EMAIL_BATCH_SIZE).map((member) => sendMemberConfirmation(group, member)));
+        }
+        summary.emailed = unemailed.filter(({ emailQueuedAt }) => emailQueuedAt).length;
+
+        const issuedCount = members.filter(({ policyId }) => policyId).length;
+        const complete = members.every(({ policyId, emailQueuedAt }) => policyId && emailQueuedAt);
+        if (complete) {
+            await markGroupIssued(groupId, { issuedCount });
+            logger.info('Group enrollment issued', { groupId, issuedCount, source });
+        } else {
+            await setGroupProgress(groupId, { issuedCount, lastError: lastError || 'Some confirmation emails could not be sent' });
+        }
+
+        return summary;
+    } finally {
+        issuingGroups.delete(groupId);
+    }
+}
+
+/**
+ * Record the payment for a group order and start issuing its policies. Called
+ * from verify-payment and the Razorpay webhook; safe to call more than once.
+ * Policies are issued in the background, as a large group takes a while.
+ * @param {Object} order - Stored order with a `groupId`
+ * @param {{ id: string }} payment - Captured Razorpay payment, amount already checked
+ * @param {string} source - e.g. verify-payment
+ * @returns {Promise<{ status: string, groupId: string }>}
+ */
+async function handleGroupPayment(order, payment, source) {
+    const group = await markGroupPaid(order.groupId, { paymentId: payment.id });
+    await markOrderPaid(order.orderId, { paymentId: payment.id });
+
+    if (!group) {
+        return { status: 'already_processed', groupId: order.groupId };
+    }
+
+    logger.info('Group enrollment paid', { groupId: group.groupId, paymentId: payment.id, members: group.memberCount, source });
+
+    issueGroupPolicies(group.groupId, source).catch((error) => {
+        // The issuance job picks the group up again
+        logger.error('Group policy issuance failed', { error: error.message, groupId: group.groupId });
+    });
+
+    return { status: 'group_paid', groupId: group.groupId };
+}
+
+/**
+ * Finish issuing every paid group, e.g. after a restart part way through
+ * @returns {Promise<number>} Number of groups worked on
+ */
+async function issuePendingGroups() {
+    let processed = 0;
+    let lastEvaluatedKey;
+
+    do {
+        const page = await listGroupEnrollmentsByStatus(GROUP_STATUS.ISSUING, { lastEvaluatedKey });
+        lastEvaluatedKey = page.lastEvaluatedKey;
+
+        for (const { groupId } of page.items) {
+            try {
+                if (await issueGroupPolicies(groupId, 'group-issuance-job')) {
+                    processed += 1;
+                }
+            } catch (error) {
+                logger.error('Group policy issuance failed', { error: error.message, groupId });
+            }
+        }
+    } while (lastEvaluatedKey);
+
+    return processed;
+}
+
+let issuanceTimer = null;
+let issuanceRunning = false;
+
+/**
+ * Retry unfinished group issuance in the background
+ */
+function startGroupIssuanceJob() {
+    if (issuanceTimer) {
+        return;
+    }
+
+    issuanceTimer = setInterval(async () => {
+        if (issuanceRunning) {
+            return;
+        }
+        issuanceRunning = true;
+        try {
+            const processed = await issuePendingGroups();
+            if (processed > 0) {
+                logger.info('Group issuance run finished', { processed });
+            }
+        } catch (error) {
+            logger.error('Group issuance run failed', { error: error.message });
+        } finally {
+            issuanceRunning = false;
+        }
+    }, ISSUANCE_INTERVAL_MS);
+
+    // Do not keep the process alive just for the job
+    issuanceTimer.unref();
+}
+
+function stopGroupIssuanceJob() {
+    clearInterval(issuanceTimer);
+    issuanceTimer = null;
+}
+
+module.exports = {
+    CSV_COLUMNS,
+    validateGroupEnrollment,
+    createGroupEnrollmentOrder,
+    handleGroupPayment,
+    issueGroupPolicies,
+    issuePendingGroups,
+    startGroupIssuanceJob,
+    stopGroupIssuanceJob
+};
@@ -0,0 +1,115 @@
+const { getPolicyById, setPolicyInvoice } = require('../models/Policy');
+const { nextCounterValue } = require('../models/Counter');
+const { GST_STATE_CODES, gstConfig } = require('../config/gst');
+const { getPlanName } = require('../config/plans');
+const { renderInvoicePdf } = require('../utils/invoicePdf');
+const logger = require('../utils/logger');
+
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+const INVOICE_SEQUENCE_DIGITS = 6;
+
+/**
+ * Indian financial year (April to March) of a date, e.g. `26-27`
+ * @param {Date} date
+ */
+function financialYear(date) {
+    const ist = new Date(date.getTime() + IST_OFFSET_MS);
+    const startYear = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+    return `${String(startYear).slice(-2)}-${String(startYear + 1).slice(-2)}`;
+}
+
+/**
+ * Split a GST-inclusive amount into taxable value and tax.
+ * Supplies within the seller's state carry CGST + SGST, others IGST.
+ * @param {number} amount - Amount paid in paise, GST included
+ * @param {string} customerState - Customer's state, the place of supply
+ * @returns {{ taxableValue: number, gstRate: number, cgst: number, sgst: number, igst: number, total: number, intraState: boolean }}
+ */
+function calculateGst(amount, customerState) {
+    const { gstRate } = gstConfig;
+    const taxableValue = Math.round(amount * 100 / (100 + gstRate));
+    const tax = amount - taxableValue;
+    const intraState = customerState === gstConfig.seller.state;
+
+    // Odd paise go to SGST so the halves always add up to the tax
+    const cgst = intraState ? Math.floor(tax / 2) : 0;
+    const sgst = intraState ? tax - cgst : 0;
+    const igst = intraState ? 0 : tax;
+
+    return { taxableValue, gstRate, cgst, sgst, igst, total: amount, intraState };
+}
+
+async function nextInvoiceNumber(date) {
+    const year = financialYear(date);
+    const sequence = await nextCounterValue(`invoice#${year}`);
+    return `${gstConfig.invoicePrefix}/${year}/${String(sequence).padStart(INVOICE_SEQUENCE_DIGITS, '0')}`;
+}
+
+/**
+ * Issue the tax invoice for a policy: allocate the next invoice number and
+ * store the invoice on the policy. Returns the existing invoice if there is one.
+ * @param {Object} policy - Stored policy (amount, userData.state, paymentId)
+ * @returns {Promise<Object>} The invoice
+ */
+async function createInvoiceForPolicy(policy) {
+    if (policy.invoice) {
+        return policy.invoice;
+    }
+    if (policy.amount === undefined) {
+        throw new Error(`Policy ${policy.policyId} has no stored amount to invoice`);
+    }
+
+    const now = new Date();
+    const customerState = policy.userData?.state;
+    const invoice = {
+        invoiceNumber: await nextInvoiceNumber(now),
+        invoiceDate: now.toISOString(),
+        seller: {
+            ...gstConfig.seller,
+            stateCode: GST_STATE_CODES[gstConfig.seller.state]
+        },
+        placeOfSupply: {
+            state: customerState || gstConfig.seller.state,
+            stateCode: GST_STATE_CODES[customerState] || GST_STATE_CODES[gstConfig.seller.state]
+        },
+        sacCode: gstConfig.sacCode,
+        description: `${getPlanName(policy.planType)} - policy ${policy.policyId}`,
+        ...calculateGst(policy.amount, customerState || gstConfig.seller.state),
+        currency: policy.currency || 'INR',
+        paymentId: policy.paymentId,
+        orderId: policy.orderId
+    };
+
+    const updated = await setPolicyInvoice(policy.policyId, invoice);
+    if (!updated) {
+        // Another request invoiced the policy first; its number wins and ours is skipped
+        const current = await getPolicyById(policy.policyId);
+        logger.warn('Policy already invoiced, discarding invoice number', {
+            policyId: policy.policyId,
+            discarded: invoice.invoiceNumber,
+            invoiceNumber: current?.invoice?.invoiceNumber
+        });
+        return current.invoice;
+    }
+
+    logger.info('Invoice issued', { policyId: policy.policyId, invoiceNumber: invoice.invoiceNumber });
+    return invoice;
+}
+
+/**
+ * Render the invoice PDF for a policy, issuing the invoice first if needed
+ * @param {Object} policy - Stored policy with decrypted userData
+ * @returns {Promise<{ invoice: Object, pdf: Buffer, filename: string }>}
+ */
+async function getInvoicePdf(policy) {
+    const invoice = await createInvoiceForPolicy(policy);
+    const pdf = await renderInvoicePdf(invoice, policy.userData || {});
+    return { invoice, pdf, filename: `invoice-${invoice.invoiceNumber.replace(/\//g, '-')}.pdf` };
+}
+
+module.exports = {
+    financialYear,
+    calculateGst,
+    createInvoiceForPolicy,
+    getInvoicePdf
+};
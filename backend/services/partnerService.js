@@ -0,0 +1,482 @@
+const crypto = require('crypto');
+
+const {
+    PARTNER_TYPE,
+    UPDATABLE_FIELDS,
+    createPartner,
+    getPartner,
+    getPartnerByReferralCode,
+    setPartnerApiKeyHash
+} = require('../models/Partner');
+const { getPoliciesByPartner, getPolicyStatus, POLICY_STATUS } = require('../models/Policy');
+const { getPlan, getPlanName } = require('../config/plans');
+const { calculateGst } = require('./invoiceService');
+const { parseDate } = require('../utils/validation');
+const { maskName } = require('../utils/redaction');
+const logger = require('../utils/logger');
+
+const PARTNER_ID_PATTERN = /^[a-z0-9-]{3,40}$/;
+const REFERRAL_CODE_PATTERN = /^[A-Z0-9_-]{3,32}$/;
+const COLOR_PATTERN = /^#[0-9A-Fa-f]{6}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// Razorpay does not accept orders below ₹1
+const MIN_PRICE = 100;
+const MAX_COMMISSION_RATE = 50;
+// Sales summaries read every policy in the range, a page at a time
+const SUMMARY_PAGE_SIZE = 500;
+
+const BRANDING_TEXT_FIELDS = { displayName: 100, senderName: 100 };
+const SUPPORT_TEXT_FIELDS = { phone: 30, hours: 100 };
+
+function partnerError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Uppercase and strip spaces, so `abc college` and `ABCCOLLEGE` are the same code
+ * @param {string} code
+ */
+const normalizeReferralCode = (code) => String(code || '').toUpperCase().replace(/\s/g, '');
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Keep only the fields that are set, so stored settings never blank out the defaults
+const compact = (object) => Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined && value !== ''));
+
+function validateBranding(branding, addError) {
+    if (!isPlainObject(branding)) {
+        addError('branding', 'branding must be an object');
+        return undefined;
+    }
+
+    const value = {};
+    Object.entries(BRANDING_TEXT_FIELDS).forEach(([field, maxLength]) => {
+        const text = branding[field];
+        if (text === undefined) {
+            return;
+        }
+        if (typeof text !== 'string' || !text.trim() || text.length > maxLength) {
+            addError(`branding.${field}`, `${field} must be at most ${maxLength} characters`);
+        } else {
+            value[field] = text.trim();
+        }
+    });
+
+    if (branding.logoUrl !== undefined) {
+        let url = null;
+        try {
+            url = new URL(branding.logoUrl);
+        } catch (error) {
+            // Reported below
+        }
+        if (!url || url.protocol !== 'https:') {
+            addError('branding.logoUrl', 'logoUrl must be an https URL');
+        } else {
+            value.logoUrl = url.toString();
+        }
+    }
+
+    ['primaryColor', 'accentColor'].filter((field) => branding[field] !== undefined).forEach((field) => {
+        if (!COLOR_PATTERN.test(branding[field])) {
+            addError(`branding.${field}`, `${field} must be a colour like #1D4ED8`);
+        } else {
+            value[field] = branding[field].toUpperCase();
+        }
+    });
+
+    return value;
+}
+
+function validateSupport(support, addError) {
+    if (!isPlainObject(support)) {
+        addError('support', 'support must be an object');
+        return undefined;
+    }
+
+    const value = {};
+    if (support.email !== undefined) {
+        if (typeof support.email !== 'string' || !EMAIL_PATTERN.test(support.email.trim())) {
+            addError('support.email', 'support email must be a valid email address');
+        } else {
+            value.email = support.email.trim().toLowerCase();
+        }
+    }
+
+    Object.entries(SUPPORT_TEXT_FIELDS).forEach(([field, maxLength]) => {
+        const text = support[field];
+        if (text === undefined) {
+            return;
+        }
+        if (typeof text !== 'string' || !text.trim() || text.length > maxLength) {
+            addError(`support.${field}`, `${field} must be at most ${maxLength} characters`);
+        } else {
+            value[field] = text.trim();
+        }
+    });
+
+    return value;
+}
+
+/**
+ * Validate partner fields from an admin request
+ * @param {Object} body
+ * @param {{ partial?: boolean }} options - `partial` validates an update: only
+ *   UPDATABLE_FIELDS are accepted and none are required
+ * @returns {{ valid: boolean, errors: Array<{ field: string, message: string }>, value: Object }}
+ */
+function validatePartnerInput(body, { partial = false } = {}) {
+    const errors = [];
+    const value = {};
+    const addError = (field, message) => errors.push({ field, message });
+    const has = (field) => body[field] !== undefined;
+
+    if (!isPlainObject(body)) {
+        return { valid: false, errors: [{ field: 'body', message: 'Partner must be an object' }], value };
+    }
+
+    if (partial) {
+        Object.keys(body).filter((field) => !UPDATABLE_FIELDS.includes(field)).forEach((field) => {
+            addError(field, `${field} cannot be changed`);
+        });
+    } else {
+        const partnerId = String(body.partnerId || '').trim().toLowerCase();
+        if (!PARTNER_ID_PATTERN.test(partnerId)) {
+            addError('partnerId', 'Partner ID must be 3-40 lowercase letters, digits or -');
+        } else {
+            value.partnerId = partnerId;
+        }
+
+        const referralCode = normalizeReferralCode(body.referralCode);
+        if (!REFERRAL_CODE_PATTERN.test(referralCode)) {
+            addError('referralCode', 'Referral code must be 3-32 letters, digits, - or _');
+        } else {
+            value.referralCode = referralCode;
+        }
+    }
+
+    if (has('name') || !partial) {
+        if (typeof body.name !== 'string' || !body.name.trim() || body.name.length > 150) {
+            addError('name', 'Name is required and must be at most 150 characters');
+        } else {
+            value.name = body.name.trim();
+        }
+    }
+
+    if (has('type') || !partial) {
+        if (!Object.values(PARTNER_TYPE).includes(body.type)) {
+            addError('type', `type must be one of: ${Object.values(PARTNER_TYPE).join(', ')}`);
+        } else {
+            value.type = body.type;
+        }
+    }
+
+    if (has('priceOverrides')) {
+        const overrides = body.priceOverrides;
+        if (overrides !== null && !isPlainObject(overrides)) {
+            addError('priceOverrides', 'priceOverrides must map plan IDs to prices in paise');
+        } else if (overrides) {
+            Object.entries(overrides).forEach(([planId, price]) => {
+                if (!getPlan(planId)) {
+                    addError(`priceOverrides.${planId}`, `${planId} is not a plan in the catalog`);
+                } else if (!Number.isInteger(price) || price < MIN_PRICE) {
+                    addError(`priceOverrides.${planId}`, `Price must be a whole number of paise, at least ${MIN_PRICE}`);
+                }
+            });
+            // An empty map means catalog prices
+            value.priceOverrides = Object.keys(overrides).length ? overrides : null;
+        } else {
+            value.priceOverrides = null;
+        }
+    }
+
+    if (has('commissionRate')) {
+        const rate = body.commissionRate;
+        if (rate !== null && (typeof rate !== 'number' || !Number.isFinite(rate) || rate < 0 || rate > MAX_COMMISSION_RATE)) {
+            addError('commissionRate', `commissionRate must be a percentage from 0 to ${MAX_COMMISSION_RATE}`);
+        } else {
+            value.commissionRate = rate;
+        }
+    }
+
+    if (has('branding')) {
+        value.branding = body.branding === null ? null : validateBranding(body.branding, addError);
+    }
+
+    if (has('support')) {
+        value.support = body.support === null ? null : validateSupport(body.support, addError);
+    }
+
+    if (has('active')) {
+        if (typeof body.active !== 'boolean') {
+            addError('active', 'active must be true or false');
+        } else {
+            value.active = body.active;
+        }
+    } else if (!partial) {
+        value.active = true;
+    }
+
+    // Nulls mean "not set" on create; on update they remove the field
+    if (!partial) {
+        Object.keys(value).filter((field) => value[field] === null).forEach((field) => delete value[field]);
+    }
+
+    return { valid: errors.length === 0, errors, value };
+}
+
+const hashApiKey = (apiKey) => crypto.createHash('sha256').update(apiKey).digest('hex');
+
+// Keys look like `<partnerId>.<secret>`, so the partner can be found without a scan
+function generateApiKey(partnerId) {
+    const apiKey = `${partnerId}.${crypto.randomBytes(24).toString('base64url')}`;
+    return { apiKey, apiKeyHash: hashApiKey(apiKey) };
+}
+
+/**
+ * Create a partner with a new API key
+ * @param {Object} partner - Validated partner fields
+ * @param {string} actor - Admin creating the partner
+ * @returns {Promise<{ partner: Object, apiKey: string }>} The key is only ever returned here and on rotation
+ * @throws {Error} With code PARTNER_EXISTS or REFERRAL_CODE_TAKEN on a conflict
+ */
+async function createPartnerAccount(partner, actor) {
+    const { apiKey, apiKeyHash } = generateApiKey(partner.partnerId);
+    const created = await createPartner(partner, { apiKeyHash, actor });
+    logger.info('Partner created', { partnerId: created.partnerId, referralCode: created.referralCode, actor });
+    return { partner: created, apiKey };
+}
+
+/**
+ * Issue a new API key for a partner, revoking the old one
+ * @param {string} partnerId
+ * @param {string} actor
+ * @returns {Promise<string|null>} The new key, or null if the partner does not exist
+ */
+async function rotatePartnerApiKey(partnerId, actor) {
+    const { apiKey, apiKeyHash } = generateApiKey(partnerId);
+    if (!await setPartnerApiKeyHash(partnerId, { apiKeyHash, actor })) {
+        return null;
+    }
+    logger.info('Partner API key rotated', { partnerId, actor });
+    return apiKey;
+}
+
+/**
+ * Find the active partner an API key belongs to
+ * @param {string} apiKey - As presented in the `X-Partner-Key` header
+ * @returns {Promise<Object|null>} The partner, without its key hash
+ */
+async function authenticatePartnerApiKey(apiKey) {
+    const partnerId = String(apiKey).split('.')[0];
+    if (!PARTNER_ID_PATTERN.test(partnerId)) {
+        return null;
+    }
+
+    const partner = await getPartner(partnerId, { includeApiKeyHash: true });
+    if (!partner?.apiKeyHash || !partner.active) {
+        return null;
+    }
+
+    const presented = Buffer.from(hashApiKey(apiKey), 'hex');
+    const stored = Buffer.from(partner.apiKeyHash, 'hex');
+    if (presented.length !== stored.length || !crypto.timingSafeEqual(presented, stored)) {
+        return null;
+    }
+
+    const { apiKeyHash, ...rest } = partner;
+    return rest;
+}
+
+/**
+ * Look up the partner behind a referral code entered at checkout
+ * @param {string} code - Referral code as entered
+ * @returns {Promise<Object>} The partner
+ * @throws {Error} With code PARTNER_INVALID_REFERRAL when the code is unknown or the partner inactive
+ */
+async function resolveReferral(code) {
+    const referralCode = normalizeReferralCode(code);
+    const partner = REFERRAL_CODE_PATTERN.test(referralCode) ? await getPartnerByReferralCode(referralCode) : null;
+    if (!partner || !partner.active) {
+        throw partnerError('PARTNER_INVALID_REFERRAL', 'Referral code is not valid');
+    }
+    return partner;
+}
+
+/**
+ * What a plan costs through a partner: its price override, or the catalog price
+ * @param {Object|null} partner
+ * @param {Object} plan
+ * @returns {number} GST-inclusive price in paise
+ */
+function getPartnerPrice(partner, plan) {
+    return partner?.priceOverrides?.[plan.planId] ?? plan.premium.total;
+}
+
+/**
+ * A plan's premium at a partner's price, split into base and GST at the plan's rate
+ * @param {Object|null} partner
+ * @param {Object} plan
+ * @returns {{ base: number, gstRate: number, gst: number, total: number }}
+ */
+function getPartnerPremium(partner, plan) {
+    const total = getPartnerPrice(partner, plan);
+    if (total === plan.premium.total) {
+        return plan.premium;
+    }
+    const base = Math.round(total * 100 / (100 + plan.premium.gstRate));
+    return { base, gstRate: plan.premium.gstRate, gst: total - base, total };
+}
+
+/**
+ * Partner fields for a policy issued from an order. Commission is paid on the
+ * premium the customer paid, before GST, at the rate when the order was created.
+ * @param {Object} order - Order with `partnerId` and `commissionRate`, as stored by create-order
+ * @returns {{ partnerId: string, commission: { rate: number, amount: number } }}
+ */
+function partnerPolicyAttributes(order) {
+    const rate = order.commissionRate || 0;
+    const { taxableValue } = calculateGst(order.amount);
+    return {
+        partnerId: order.partnerId,
+        commission: { rate, amount: Math.round(taxableValue * rate / 100) }
+    };
+}
+
+/**
+ * Email branding for a partner, in the shape `renderEmail` and the email service take
+ * @param {Object} partner
+ * @returns {{ senderName?: string, brand: Object, support: Object }}
+ */
+function toEmailBranding(partner) {
+    const branding = partner.branding || {};
+    return compact({
+        senderName: branding.senderName,
+        brand: compact({
+            name: branding.displayName,
+            logoUrl: branding.logoUrl,
+            primaryColor: branding.primaryColor,
+            accentColor: branding.accentColor
+        }),
+        support: compact({ ...partner.support })
+    });
+}
+
+/**
+ * Add a partner's email branding to the customer data for a notification email.
+ * Lookup failures are logged and the default branding is used.
+ * @param {Object} customerData - From toCustomerData
+ * @param {string} [partnerId] - The policy's partner, if any
+ * @returns {Promise<Object>} customerData, with `branding` when the partner has any
+ */
+async function withPartnerBranding(customerData, partnerId) {
+    if (!partnerId) {
+        return customerData;
+    }
+    try {
+        const partner = await getPartner(partnerId);
+        return partner ? { ...customerData, branding: toEmailBranding(partner) } : customerData;
+    } catch (error) {
+        logger.error('Failed to load partner branding', { error: error.message, partnerId });
+        return customerData;
+    }
+}
+
+/**
+ * Parse `startDate` and `endDate` (YYYY-MM-DD) from a sales query. Without them
+ * the range covers every sale.
+ * @returns {{ error?: string, dateRange?: { startDate: string, endDate: string } }}
+ */
+function parseSalesDateRange(query) {
+    if (!query.startDate && !query.endDate) {
+        return { dateRange: { startDate: '1970-01-01T00:00:00.000Z', endDate: new Date().toISOString() } };
+    }
+    const startDate = parseDate(query.startDate);
+    const endDate = parseDate(query.endDate);
+    if (!startDate || !endDate || startDate > endDate) {
+        return { error: 'startDate and endDate must both be valid dates (YYYY-MM-DD), startDate first' };
+    }
+    // Timestamps are full ISO strings, so make the end date inclusive
+    return { dateRange: { startDate: `${startDate}T00:00:00.000Z`, endDate: `${endDate}T23:59:59.999Z` } };
+}
+
+// What a partner may see of a policy it sold: no contact details or identity numbers
+function toPartnerSale(policy) {
+    return {
+        policyId: policy.policyId,
+        status: getPolicyStatus(policy),
+        planType: policy.planType,
+        planName: getPlanName(policy.planType),
+        amount: policy.amount,
+        commission: policy.commission,
+        couponCode: policy.coupon?.couponCode,
+        createdAt: policy.timestamp,
+        customer: {
+            name: maskName(policy.userData?.name),
+            city: policy.userData?.city,
+            state: policy.userData?.state
+        }
+    };
+}
+
+/**
+ * Policies sold through a partner, newest first, one page at a time
+ * @param {string} partnerId
+ * @param {{ startDate: string, endDate: string }} dateRange
+ * @param {{ limit?: number, lastEvaluatedKey?: Object }} options
+ * @returns {Promise<{ items: Object[], lastEvaluatedKey?: Object }>}
+ */
+async function listPartnerSales(partnerId, dateRange, options) {
+    const page = await getPoliciesByPartner(partnerId, dateRange, options);
+    return { items: page.items.map(toPartnerSale), lastEvaluatedKey: page.lastEvaluatedKey };
+}
+
+/**
+ * Totals of a partner's sales in a date range, overall and per plan.
+ * Amounts are in paise; commission on cancelled and refunded policies is
+ * reported separately, since it is not earned.
+ * @param {string} partnerId
+ * @param {{ startDate: string, endDate: string }} dateRange
+ */
+async function summarizePartnerSales(partnerId, dateRange) {
+    const summary = { policies: 0, amount: 0, commission: 0, cancelled: { policies: 0, amount: 0, commission: 0 }, byPlan: {} };
+
+    let lastEvaluatedKey;
+    do {
+        const page = await getPoliciesByPartner(partnerId, dateRange, { limit: SUMMARY_PAGE_SIZE, lastEvaluatedKey });
+        page.items.forEach((policy) => {
+            const commission = policy.commission?.amount || 0;
+            const status = getPolicyStatus(policy);
+            const bucket = status === POLICY_STATUS.CANCELLED || status === POLICY_STATUS.REFUNDED ? summary.cancelled : summary;
+            bucket.policies += 1;
+            bucket.amount += policy.amount || 0;
+            bucket.commission += commission;
+
+            const plan = summary.byPlan[policy.planType] || { planName: getPlanName(policy.planType), policies: 0, amount: 0 };
+            plan.policies += 1;
+            plan.amount += policy.amount || 0;
+            summary.byPlan[policy.planType] = plan;
+        });
+        lastEvaluatedKey = page.lastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    return summary;
+}
+
+module.exports = {
+    normalizeReferralCode,
+    validatePartnerInput,
+    createPartnerAccount,
+    rotatePartnerApiKey,
+    authenticatePartnerApiKey,
+    resolveReferral,
+    getPartnerPrice,
+    getPartnerPremium,
+    partnerPolicyAttributes,
+    toEmailBranding,
+    withPartnerBranding,
+    parseSalesDateRange,
+    listPartnerSales,
+    summarizePartnerSales
+};
@@ -0,0 +1,120 @@
+const { setPolicyDocument, POLICY_STATUS } = require('../models/Policy');
+const { getPlan, getPlanName } = require('../config/plans');
+const { emailConfig } = require('../config/email');
+const { getDocumentStorage } = require('../utils/documentStorage');
+const { encryptBuffer, decryptBuffer } = require('../utils/fieldEncryption');
+const { renderPolicyDocumentPdf } = require('../utils/policyDocumentPdf');
+const { createVerificationToken } = require('../utils/verificationToken');
+const { sendPolicyDocumentEmail } = require('../utils/emailService');
+const { withPartnerBranding } = require('./partnerService');
+const logger = require('../utils/logger');
+
+const VERIFY_BASE_URL = process.env.POLICY_VERIFY_BASE_URL || `${emailConfig.brand.websiteUrl}/verify`;
+
+/**
+ * Signed link the QR code on the policy document points to. The page at
+ * POLICY_VERIFY_BASE_URL checks it with GET /api/verify/:policyId/:token.
+ * @param {string} policyId
+ */
+function getVerificationUrl(policyId) {
+    const token = createVerificationToken(policyId);
+    return `${VERIFY_BASE_URL.replace(/\/$/, '')}/${encodeURIComponent(policyId)}/${token}`;
+}
+
+// When the policy was last moved to issued, or now if it has not been yet
+function issuedAt(policy) {
+    const issued = (policy.statusHistory || []).filter((entry) => entry.to === POLICY_STATUS.ISSUED).pop();
+    return issued?.at || new Date().toISOString();
+}
+
+const documentFilename = (policyId) => `policy-${policyId}.pdf`;
+
+/**
+ * Render the policy schedule, store it and record its location on the policy.
+ * The schedule lists the customer's and nominee's details, so it is stored
+ * encrypted with the PII keys. Regenerating replaces the stored document.
+ * @param {Object} policy - Stored policy with decrypted userData
+ * @returns {Promise<{ document: Object, pdf: Buffer, filename: string }>}
+ */
+async function generatePolicyDocument(policy) {
+    const pdf = await renderPolicyDocumentPdf(policy, {
+        plan: getPlan(policy.planType),
+        verificationUrl: getVerificationUrl(policy.policyId),
+        issuedAt: issuedAt(policy)
+    });
+
+    const storage = getDocumentStorage();
+    const key = `policies/${policy.policyId}/${documentFilename(policy.policyId)}`;
+    const { body, envelope } = await encryptBuffer(pdf, key);
+    await storage.put(key, body, { contentType: 'application/octet-stream' });
+
+    const document = { storage: storage.name, key, encryption: envelope, generatedAt: new Date().toISOString() };
+    await setPolicyDocument(policy.policyId, document);
+
+    logger.info('Policy document generated', { policyId: policy.policyId, storage: storage.name, key });
+    return { document, pdf, filename: documentFilename(policy.policyId) };
+}
+
+/**
+ * The stored policy document, generated first if it is missing
+ * @param {Object} policy - Stored policy with decrypted userData
+ * @returns {Promise<{ pdf: Buffer, filename: string }>}
+ */
+async function getPolicyDocumentPdf(policy) {
+    const storage = getDocumentStorage();
+    if (policy.document && policy.document.storage === storage.name) {
+        const stored = await storage.get(policy.document.key);
+        if (stored) {
+            // Documents generated before encryption was introduced have no envelope
+            const pdf = policy.document.encryption
+                ? await decryptBuffer(stored, policy.document.encryption, policy.document.key)
+                : stored;
+            return { pdf, filename: documentFilename(policy.policyId) };
+        }
+        logger.warn('Stored policy document missing, regenerating', { policyId: policy.policyId, key: policy.document.key });
+    }
+
+    const { pdf, filename } = await generatePolicyDocument(policy);
+    return { pdf, filename };
+}
+
+/**
+ * Generate the policy document and email it to the customer. Runs when a
+ * policy moves to issued. Never throws: the status change has happened and
+ * the document can be regenerated from the admin API.
+ * @param {Object} policy - Stored policy with decrypted userData
+ * @returns {Promise<boolean>} Whether the document was generated and queued for sending
+ */
+async function issuePolicyDocument(policy) {
+    try {
+        const { pdf, filename } = await generatePolicyDocument(policy);
+        const userData = policy.userData || {};
+
+        const customerData = await withPartnerBranding(
+            { name: userData.name, email: userData.email, preferredLanguage: userData.preferredLanguage },
+            policy.partnerId
+        );
+
+        await sendPolicyDocumentEmail(
+            customerData,
+            {
+                policyNumber: policy.policyId,
+                planName: getPlanName(policy.planType),
+                insurerPolicyNumber: policy.insurerPolicyNumber,
+                verificationUrl: getVerificationUrl(policy.policyId)
+            },
+            { attachments: [{ name: filename, content: pdf }] }
+        );
+        return true;
+    } catch (error) {
+        logger.error('Failed to issue policy document', { error: error.message, policyId: policy.policyId });
+        return false;
+    }
+}
+
+module.exports = {
+    getVerificationUrl,
+    generatePolicyDocument,
+    getPolicyDocumentPdf,
+    issuePolicyDocument
+};
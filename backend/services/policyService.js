@@ -0,0 +1,281 @@
+const {
+    savePolicy,
+    getPolicyIdForPayment,
+    getPolicyIdForOrder,
+    toCreatedMonth,
+    getPolicyById,
+    getPolicyStatus,
+    transitionPolicyStatus,
+    setPolicyRenewedBy,
+    POLICY_STATUS
+} = require('../models/Policy');
+const { markOrderPaid } = require('../models/Order');
+const { markApplicationPaid } = require('../models/Application');
+const { generatePolicyNumber } = require('../utils/policyNumber');
+const { maskAadhaar, maskEmail, maskName, maskPhone } = require('../utils/redaction');
+const { sendCustomerConfirmationEmail, sendCompanyAcknowledgmentEmail } = require('../utils/emailService');
+const { getPlanName } = require('../config/plans');
+const { recordCouponRedemption } = require('./couponService');
+const { partnerPolicyAttributes, withPartnerBranding } = require('./partnerService');
+const { getInvoicePdf } = require('./invoiceService');
+const { issuePolicyDocument } = require('./policyDocumentService');
+const { formatRupees } = require('../utils/money');
+const logger = require('../utils/logger');
+
+/**
+ * Build the customer fields used by the notification emails
+ * @param {Object} userData - Customer data captured at checkout
+ */
+function toCustomerData(userData) {
+    return {
+        name: userData.name,
+        email: userData.email,
+        phone: userData.phone,
+        dateOfBirth: userData.dateOfBirth,
+        aadharNumber: userData.aadharNumber,
+        address: userData.address,
+        city: userData.city,
+        state: userData.state,
+        pincode: userData.pincode,
+        gender: userData.gender,
+        nomineeFullName: userData.nomineeFullName,
+        nomineeRelationship: userData.nomineeRelationship,
+        nomineeGender: userData.nomineeGender,
+        nomineeDateOfBirth: userData.nomineeDateOfBirth,
+        preferredLanguage: userData.preferredLanguage
+    };
+}
+
+/**
+ * Issue the tax invoice for a new policy and render it for the confirmation email.
+ * Failures are logged and swallowed - the invoice can be issued later from the admin API.
+ * @returns {Promise<Array<{ name: string, content: Buffer }>>} Email attachments
+ */
+async function invoiceAttachments(policyItem) {
+    try {
+        const { pdf, filename } = await getInvoicePdf(policyItem);
+        return [{ name: filename, content: pdf }];
+    } catch (error) {
+        logger.error('Failed to issue invoice', { error: error.message, policyNumber: policyItem.policyId });
+        return [];
+    }
+}
+
+/**
+ * Send customer and company emails for a newly created policy.
+ * Failures are logged and swallowed - emails are not critical for policy creation.
+ */
+async function sendPolicyEmails(policyNumber, order, userData, paymentId, attachments) {
+    try {
+        const customerData = await withPartnerBranding(toCustomerData(userData), order.partnerId);
+
+        // Plan and amount come from the order, which was priced from the plan catalog or a partner's prices
+        const policyData = {
+            policyNumber,
+            planName: getPlanName(order.planType),
+            amount: formatRupees(order.amount),
+            paymentId,
+            timestamp: new Date().toLocaleString()
+        };
+
+        await sendCustomerConfirmationEmail(customerData, policyData, { attachments });
+        await sendCompanyAcknowledgmentEmail(customerData, policyData);
+
+        logger.info('Email notifications sent successfully', {
+            policyNumber,
+            customerEmail: customerData.email
+        });
+    } catch (emailError) {
+        logger.error('Failed to send email notifications', {
+            error: emailError.message,
+            policyNumber,
+            customerEmail: userData?.email
+        });
+    }
+}
+
+/**
+ * Continuity details for a policy bought to renew `renewalOf`: the new cover
+ * should start the day after the old cover ends
+ * @param {string} renewalOf - The policy being renewed
+ */
+async function renewalAttributes(renewalOf) {
+    const previous = await getPolicyById(renewalOf);
+    if (!previous?.coverageEndDate) {
+        return { renewalOf };
+    }
+    const continuityStart = new Date(`${previous.coverageEndDate}T00:00:00Z`);
+    continuityStart.setUTCDate(continuityStart.getUTCDate() + 1);
+    return { renewalOf, continuityStartDate: continuityStart.toISOString().slice(0, 10) };
+}
+
+// Record the payment and policy on the order, or on the application for assisted sales
+async function markPaid(order, orderId, paymentId, policyId) {
+    if (order.applicationId) {
+        await markApplicationPaid(order.applicationId, { paymentId, policyId });
+    } else {
+        await markOrderPaid(orderId, { paymentId, policyId });
+    }
+}
+
+// A payment that already has its policy: make sure the order shows it, and send nothing
+async function recordAlreadyIssued({ order, orderId, paymentId, source }, policyId) {
+    await markPaid(order, orderId, paymentId, policyId);
+    logger.info('Policy already issued for payment', {
+        policyNumber: policyId,
+        orderId,
+        paymentId,
+        source
+    });
+    return { policyNumber: policyId, created: false };
+}
+
+/**
+ * Create a policy for a verified payment and notify the customer and company.
+ * Both `/api/verify-payment` and the Razorpay webhook go through here. Issuance
+ * is idempotent on the payment and order IDs: when a policy already exists,
+ * its number is returned and no emails are sent. Renewal orders link the new
+ * policy and the one it renews to each other. Assisted sales pass their
+ * application as the order, with the application ID as `orderId`. Orders
+ * placed with a partner's referral code tag the policy with the partner and
+ * its commission.
+ * @param {{ order: Object, orderId: string, paymentId: string, userData: Object, source: string }} params
+ * @returns {Promise<{ policyNumber: string, created: boolean }>}
+ */
+async function issuePolicy({ order, orderId, paymentId, userData, source }) {
+    // Cheap shortcut only - the lock items written by savePolicy are the real guarantee
+    if (order.policyId) {
+        return { policyNumber: order.policyId, created: false };
+    }
+
+    // A redelivered webhook or repeated verify-payment finds the lock before a policy
+    // number is drawn, so duplicates do not use up numbers in the sequence
+    const existingPolicyId = await getPolicyIdForPayment(paymentId) || await getPolicyIdForOrder(orderId);
+    if (existingPolicyId) {
+        return recordAlreadyIssued({ order, orderId, paymentId, source }, existingPolicyId);
+    }
+
+    const policyNumber = await generatePolicyNumber(order.planType);
+
+    const timestamp = new Date().toISOString();
+    const policyItem = {
+        policyId: policyNumber,
+        orderId,
+        paymentId,
+        planType: order.planType,
+        amount: order.amount,
+        currency: order.currency,
+        ...(order.coupon && { coupon: order.coupon, baseAmount: order.baseAmount }),
+        ...(order.renewalOf && await renewalAttributes(order.renewalOf)),
+        ...(order.applicationId && {
+            applicationId: order.applicationId,
+            salesChannel: order.channel,
+            soldBy: order.createdBy
+        }),
+        ...(order.partnerId && partnerPolicyAttributes(order)),
+        userData,
+        timestamp,
+        // Partition key of the GSI used for date-range listing
+        createdMonth: toCreatedMonth(timestamp),
+        status: POLICY_STATUS.PENDING_ISSUANCE,
+        statusUpdatedAt: timestamp,
+        statusHistory: [{ from: null, to: POLICY_STATUS.PENDING_ISSUANCE, actor: source, at: timestamp }]
+    };
+
+    const { created, policyId } = await savePolicy(policyItem);
+    if (!created) {
+        return recordAlreadyIssued({ order, orderId, paymentId, source }, policyId);
+    }
+    await markPaid(order, orderId, paymentId, policyId);
+
+    logger.info('Policy saved successfully', {
+        policyNumber,
+        orderId,
+        paymentId,
+        source,
+        userEmail: userData?.email || 'unknown'
+    });
+
+    if (order.renewalOf && !await setPolicyRenewedBy(order.renewalOf, policyNumber)) {
+        // Paid twice for the same renewal: both policies stand, support sorts out a refund
+        logger.warn('Renewed policy was already renewed by another policy', {
+            policyNumber,
+            renewalOf: order.renewalOf,
+            orderId
+        });
+    }
+
+    await recordCouponRedemption(order, paymentId);
+    const attachments = await invoiceAttachments(policyItem);
+    await sendPolicyEmails(policyNumber, order, userData, paymentId, attachments);
+    return { policyNumber, created: true };
+}
+
+/**
+ * Move a policy to a new status, starting from whatever status it is in now.
+ * Moving to issued also generates the policy document and emails it.
+ * @param {string} policyId
+ * @param {string} toStatus
+ * @param {{ actor: string, reason?: string, attributes?: Object }} options
+ * @returns {Promise<Object|null>} The updated policy, or null if it does not exist
+ */
+async function changePolicyStatus(policyId, toStatus, { actor, reason, attributes }) {
+    const policy = await getPolicyById(policyId);
+    if (!policy) {
+        return null;
+    }
+
+    const fromStatus = getPolicyStatus(policy);
+    const updated = await transitionPolicyStatus(policyId, toStatus, { fromStatus, actor, reason, attributes });
+
+    logger.info('Policy status changed', { policyId, from: fromStatus, to: toStatus, actor });
+
+    if (toStatus === POLICY_STATUS.ISSUED) {
+        await issuePolicyDocument(updated);
+    }
+    return updated;
+}
+
+/**
+ * Customer-facing view of a stored policy with sensitive fields masked
+ * @param {Object} policy - Policy item from DynamoDB
+ */
+function toMaskedPolicy(policy) {
+    const userData = policy.userData || {};
+    return {
+        policyId: policy.policyId,
+        status: getPolicyStatus(policy),
+        plan: {
+            planType: policy.planType || userData.planType,
+            name: getPlanName(policy.planType || userData.planType),
+            // Policies issued before amounts were stored only have the client-sent value
+            amount: policy.amount !== undefined ? formatRupees(policy.amount) : userData.amount
+        },
+        createdAt: policy.timestamp,
+        coverage: {
+            startDate: policy.coverageStartDate,
+            endDate: policy.coverageEndDate
+        },
+        renewalOf: policy.renewalOf,
+        renewedBy: policy.renewedByPolicyId,
+        insured: {
+            name: maskName(userData.name),
+            email: maskEmail(userData.email),
+            phone: maskPhone(userData.phone),
+            aadharNumber: maskAadhaar(userData.aadharNumber),
+            city: userData.city,
+            state: userData.state
+        },
+        nominee: {
+            name: maskName(userData.nomineeFullName),
+            relationship: userData.nomineeRelationship
+        }
+    };
+}
+
+module.exports = {
+    issuePolicy,
+    changePolicyStatus,
+    toCustomerData,
+    toMaskedPolicy
+};
@@ -0,0 +1,256 @@
+const {
+    getPolicyById,
+    getPoliciesExpiringOn,
+    getPolicyStatus,
+    claimRenewalReminder,
+    POLICY_STATUS
+} = require('../models/Policy');
+const { createOrder } = require('../models/Order');
+const { getActivePlan, getPlanName } = require('../config/plans');
+const { emailConfig } = require('../config/email');
+const { toCustomerData } = require('./policyService');
+const { withPartnerBranding } = require('./partnerService');
+const { razorpay } = require('../utils/razorpayClient');
+const { createRenewalToken, isValidRenewalToken } = require('../utils/verificationToken');
+const { validateCustomerData } = require('../utils/validation');
+const { sendRenewalReminderEmail } = require('../utils/emailService');
+const { formatRupees } = require('../utils/money');
+const logger = require('../utils/logger');
+
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Reminders go out this many days before cover ends, e.g. "30,7,1"
+const REMINDER_DAYS = (process.env.RENEWAL_REMINDER_DAYS || '30,7,1')
+    .split(',')
+    .map((days) => parseInt(days, 10))
+    .filter((days) => days > 0);
+// A lapsed policy can still be renewed for this many days after cover ends
+const GRACE_DAYS = parseInt(process.env.RENEWAL_GRACE_DAYS, 10) || 30;
+const REMINDER_INTERVAL_MS = parseInt(process.env.RENEWAL_REMINDER_INTERVAL_MS, 10) || 60 * 60 * 1000;
+const RENEWAL_BASE_URL = process.env.RENEWAL_BASE_URL || `${emailConfig.brand.websiteUrl}/renew`;
+
+const RENEWABLE_STATUSES = [POLICY_STATUS.ACTIVE, POLICY_STATUS.EXPIRED];
+
+function renewalError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+const todayInIndia = () => new Date(Date.now() + IST_OFFSET_MS).toISOString().slice(0, 10);
+
+// Add days to a YYYY-MM-DD date
+function addDays(date, days) {
+    return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Signed renewal link for the reminder emails. The page at RENEWAL_BASE_URL
+ * passes `expires` and `token` on to the /api/renewals endpoints. Links work
+ * until the end of the grace period.
+ * @param {Object} policy - Policy with a coverageEndDate
+ * @returns {{ url: string, expires: string }}
+ */
+function getRenewalLink(policy) {
+    const expires = addDays(policy.coverageEndDate, GRACE_DAYS);
+    const token = createRenewalToken(policy.policyId, expires);
+    const url = `${RENEWAL_BASE_URL.replace(/\/$/, '')}/${encodeURIComponent(policy.policyId)}`
+        + `?expires=${expires}&token=${encodeURIComponent(token)}`;
+    return { url, expires };
+}
+
+/**
+ * Load the policy a renewal link is for and check it can be renewed now
+ * @param {string} policyId - Normalized policy number
+ * @param {{ expires: string, token: string }} link - From the renewal link
+ * @returns {Promise<{ policy: Object, plan: Object, startDate: string }>}
+ * @throws {Error} With a `code` such as RENEWAL_LINK_EXPIRED when it cannot be renewed
+ */
+async function loadRenewablePolicy(policyId, { expires, token }) {
+    // Checked before the lookup, so a bad link says nothing about the policy
+    if (!isValidRenewalToken(policyId, expires, token)) {
+        throw renewalError('RENEWAL_LINK_INVALID', 'This renewal link is not valid');
+    }
+    const today = todayInIndia();
+    if (expires < today) {
+        throw renewalError('RENEWAL_LINK_EXPIRED', 'This renewal link has expired. Please buy a new policy instead.');
+    }
+
+    const policy = await getPolicyById(policyId);
+    if (!policy) {
+        throw renewalError('RENEWAL_LINK_INVALID', 'This renewal link is not valid');
+    }
+    if (policy.renewedByPolicyId) {
+        throw renewalError('RENEWAL_ALREADY_RENEWED', `This policy has already been renewed as ${policy.renewedByPolicyId}`);
+    }
+    if (!RENEWABLE_STATUSES.includes(getPolicyStatus(policy)) || !policy.coverageEndDate) {
+        throw renewalError('RENEWAL_NOT_ELIGIBLE', 'This policy cannot be renewed');
+    }
+
+    const plan = getActivePlan(policy.planType);
+    if (!plan) {
+        throw renewalError('RENEWAL_NOT_ELIGIBLE', 'This plan is no longer offered. Please choose a new plan.');
+    }
+
+    // New cover follows on from the old, or starts today if the old has lapsed
+    const continuityStart = addDays(policy.coverageEndDate, 1);
+    const startDate = continuityStart > today ? continuityStart : today;
+
+    // The insured must still be in the plan's age range when the new cover starts
+    const validation = validateCustomerData(policy.userData, {
+        eligibility: plan.eligibility,
+        now: new Date(`${startDate}T00:00:00Z`)
+    });
+    if (!validation.valid) {
+        throw renewalError('RENEWAL_NOT_ELIGIBLE', 'The insured is no longer eligible for this plan. Please contact support.');
+    }
+
+    return { policy, plan, startDate };
+}
+
+/**
+ * What renewing a policy costs and when the new cover would start
+ * @param {string} policyId - Normalized policy number
+ * @param {{ expires: string, token: string }} link - From the renewal link
+ */
+async function getRenewalQuote(policyId, link) {
+    const { policy, plan, startDate } = await loadRenewablePolicy(policyId, link);
+    return {
+        policy,
+        planType: plan.planId,
+        planName: plan.name,
+        amount: plan.premium.total,
+        currency: 'INR',
+        coverageEndDate: policy.coverageEndDate,
+        renewalStartDate: startDate
+    };
+}
+
+/**
+ * Create a Razorpay order for renewing a policy at the current catalog price.
+ * The order carries the previous policy's customer and nominee details, so
+ * the renewal is issued from those and linked back to the old policy.
+ * @param {string} policyId - Normalized policy number
+ * @param {{ expires: string, token: string }} link - From the renewal link
+ * @returns {Promise<{ id: string, amount: number, currency: string, renewalOf: string }>}
+ */
+async function createRenewalOrder(policyId, link) {
+    const { policy, plan } = await loadRenewablePolicy(policyId, link);
+
+    if (!razorpay) {
+        throw renewalError('PAYMENTS_UNAVAILABLE', 'Payment service not available - Razorpay not configured');
+    }
+
+    const amount = plan.premium.total;
+    const currency = 'INR';
+    const order = await razorpay.orders.create({ amount, currency, notes: { renewalOf: policyId } });
+
+    await createOrder({
+        orderId: order.id,
+        planType: plan.planId,
+        amount,
+        currency,
+        userData: { ...policy.userData, planType: plan.planId },
+        renewalOf: policyId
+    });
+
+    logger.info('Renewal order created', { orderId: order.id, renewalOf: policyId, amount });
+    return { id: order.id, amount, currency, renewalOf: policyId };
+}
+
+/**
+ * Email a renewal reminder to every policy whose cover ends in one of the
+ * REMINDER_DAYS. Each reminder is claimed on the policy first, so it is sent
+ * once however often the job runs.
+ * @returns {Promise<number>} Number of reminders sent
+ */
+async function sendRenewalReminders() {
+    const today = todayInIndia();
+    let sent = 0;
+
+    for (const daysBefore of REMINDER_DAYS) {
+        const expiryDate = addDays(today, daysBefore);
+        const policies = await getPoliciesExpiringOn(expiryDate);
+
+        for (const policy of policies) {
+            const plan = getActivePlan(policy.planType);
+            if (getPolicyStatus(policy) !== POLICY_STATUS.ACTIVE || policy.renewedByPolicyId || !plan || !policy.userData?.email) {
+                continue;
+            }
+
+            try {
+                if (!await claimRenewalReminder(policy.policyId, daysBefore)) {
+                    continue;
+                }
+
+                const { url, expires } = getRenewalLink(policy);
+                const customerData = await withPartnerBranding(toCustomerData(policy.userData), policy.partnerId);
+                await sendRenewalReminderEmail(customerData, {
+                    policyNumber: policy.policyId,
+                    planName: getPlanName(policy.planType),
+                    expiryDate: policy.coverageEndDate,
+                    daysLeft: daysBefore,
+                    amount: formatRupees(plan.premium.total),
+                    renewalUrl: url,
+                    linkExpiresOn: expires
+                });
+                sent += 1;
+            } catch (error) {
+                logger.error('Failed to send renewal reminder', {
+                    error: error.message,
+                    policyId: policy.policyId,
+                    daysBefore
+                });
+            }
+        }
+    }
+
+    return sent;
+}
+
+let jobTimer = null;
+let jobRunning = false;
+
+/**
+ * Check for policies due a renewal reminder in the background
+ */
+function startRenewalReminderJob() {
+    if (jobTimer) {
+        return;
+    }
+
+    jobTimer = setInterval(async () => {
+        if (jobRunning) {
+            return;
+        }
+        jobRunning = true;
+        try {
+            const sent = await sendRenewalReminders();
+            if (sent > 0) {
+                logger.info('Renewal reminders sent', { sent });
+            }
+        } catch (error) {
+            logger.error('Renewal reminder run failed', { error: error.message });
+        } finally {
+            jobRunning = false;
+        }
+    }, REMINDER_INTERVAL_MS);
+
+    // Do not keep the process alive just for the job
+    jobTimer.unref();
+}
+
+function stopRenewalReminderJob() {
+    clearInterval(jobTimer);
+    jobTimer = null;
+}
+
+module.exports = {
+    getRenewalLink,
+    getRenewalQuote,
+    createRenewalOrder,
+    sendRenewalReminders,
+    startRenewalReminderJob,
+    stopRenewalReminderJob
+};
@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+
+const { saveSecurityEvent, countSecurityEventsByIp, claimAlertGroup } = require('../models/SecurityEvent');
+const { sendSecurityAlertEmail } = require('../utils/emailService');
+const logger = require('../utils/logger');
+
+const SECURITY_EVENT = {
+    PAYMENT_TAMPERED: 'payment_amount_tampered',
+    INVALID_PAYMENT_SIGNATURE: 'invalid_payment_signature',
+    INVALID_WEBHOOK_SIGNATURE: 'invalid_webhook_signature',
+    VERIFICATION_FAILED: 'payment_verification_failed',
+    PAID_ORDER_MISSING: 'paid_order_missing',
+    REPEATED_FAILURES: 'repeated_failures'
+};
+
+const EVENT_DEFINITIONS = {
+    [SECURITY_EVENT.PAYMENT_TAMPERED]: { title: 'Payment amount tampering', severity: 'high', alert: true },
+    [SECURITY_EVENT.INVALID_PAYMENT_SIGNATURE]: { title: 'Invalid payment signature', severity: 'medium', alert: true },
+    [SECURITY_EVENT.INVALID_WEBHOOK_SIGNATURE]: { title: 'Invalid webhook signature', severity: 'medium', alert: true },
+    // Unknown orders without a genuine payment: usually a confused customer, only alarming in bulk
+    [SECURITY_EVENT.VERIFICATION_FAILED]: { title: 'Payment verification failed', severity: 'low', alert: false },
+    // A genuine payment whose order is gone: the customer was charged without a policy
+    [SECURITY_EVENT.PAID_ORDER_MISSING]: { title: 'Payment captured for unknown order', severity: 'high', alert: true },
+    [SECURITY_EVENT.REPEATED_FAILURES]: { title: 'Repeated payment failures', severity: 'high', alert: true }
+};
+
+const FAILURE_TYPES = Object.keys(EVENT_DEFINITIONS)
+    .filter((type) => type !== SECURITY_EVENT.REPEATED_FAILURES && type !== SECURITY_EVENT.PAID_ORDER_MISSING);
+
+// Alerts for the same IP are grouped into one per window
+const ALERT_WINDOW_MS = (parseInt(process.env.SECURITY_ALERT_WINDOW_MINUTES, 10) || 15) * 60 * 1000;
+// Failures from one IP within the window that count as a repeated-failure pattern
+const FAILURE_THRESHOLD = parseInt(process.env.SECURITY_FAILURE_THRESHOLD, 10) || 5;
+const WEBHOOK_TIMEOUT_MS = 5000;
+
+// POST the alert to SECURITY_ALERT_WEBHOOK_URL, signed when a secret is configured
+async function postAlertWebhook(alert) {
+    const url = process.env.SECURITY_ALERT_WEBHOOK_URL;
+    if (!url) {
+        return;
+    }
+
+    const body = JSON.stringify(alert);
+    const headers = { 'Content-Type': 'application/json' };
+    if (process.env.SECURITY_ALERT_WEBHOOK_SECRET) {
+        headers['X-Signature'] = crypto
+            .createHmac('sha256', process.env.SECURITY_ALERT_WEBHOOK_SECRET)
+            .update(body)
+            .digest('hex');
+    }
+
+    const response = await fetch(url, {
+        method: 'POST',
+        headers,
+        body,
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    });
+    if (!response.ok) {
+        throw new Error(`Security alert webhook returned ${response.status}`);
+    }
+}
+
+async function sendAlert(event) {
+    // Escalations get their own group, so they are not swallowed by the alert that preceded them.
+    // Each paid order without a record needs its own follow-up, so those are grouped per order.
+    let groupKey = event.ip;
+    if (event.type === SECURITY_EVENT.REPEATED_FAILURES) {
+        groupKey = `${event.ip}#${event.type}`;
+    } else if (event.type === SECURITY_EVENT.PAID_ORDER_MISSING) {
+        groupKey = `order#${event.orderId}`;
+    }
+    const { claimed, groupedCount } = await claimAlertGroup(groupKey, ALERT_WINDOW_MS);
+    if (!claimed) {
+        logger.info('Security alert grouped with earlier alert for IP', { eventId: event.eventId, type: event.type, ip: event.ip });
+        return;
+    }
+
+    const alert = {
+        ...event,
+        title: EVENT_DEFINITIONS[event.type].title,
+        groupedCount,
+        windowMinutes: ALERT_WINDOW_MS / 60000
+    };
+
+    // Email and webhook are independent: one failing should not stop the other
+    const results = await Promise.allSettled([sendSecurityAlertEmail(alert), postAlertWebhook(alert)]);
+    results.forEach((result, i) => {
+        if (result.status === 'rejected') {
+            logger.error('Failed to deliver security alert', {
+                channel: i === 0 ? 'email' : 'webhook',
+                eventId: event.eventId,
+                error: result.reason.message
+            });
+        }
+    });
+}
+
+/**
+ * Record a security event, alert on it and watch for repeated failures from
+ * the same IP. Never throws: security logging must not break the request it
+ * is observing.
+ * @param {string} type - One of SECURITY_EVENT
+ * @param {{ ip?: string, userAgent?: string, orderId?: string, paymentId?: string, source?: string, details?: Object }} context
+ * @returns {Promise<Object|null>} The stored event, or null if it could not be stored
+ */
+async function recordSecurityEvent(type, context = {}) {
+    const definition = EVENT_DEFINITIONS[type];
+    if (!definition) {
+        throw new Error(`Unknown security event type: ${type}`);
+    }
+
+    let event;
+    try {
+        event = await saveSecurityEvent({ type, severity: definition.severity, ...context });
+    } catch (error) {
+        logger.error('Failed to record security event', { type, ip: context.ip, orderId: context.orderId, error: error.message });
+        return null;
+    }
+
+    logger.warn('Security event recorded', {
+        eventId: event.eventId,
+        type,
+        severity: event.severity,
+        ip: event.ip,
+        orderId: event.orderId,
+        paymentId: event.paymentId
+    });
+
+    try {
+        if (definition.alert) {
+            await sendAlert(event);
+        }
+
+        if (FAILURE_TYPES.includes(type)) {
+            const since = new Date(Date.now() - ALERT_WINDOW_MS).toISOString();
+            const failures = await countSecurityEventsByIp(event.ip, since, FAILURE_TYPES);
+            // Fires once as the threshold is crossed, not on every failure after it
+            if (failures === FAILURE_THRESHOLD) {
+                await recordSecurityEvent(SECURITY_EVENT.REPEATED_FAILURES, {
+                    ip: event.ip,
+                    userAgent: event.userAgent,
+                    source: event.source,
+                    details: { failures, windowMinutes: ALERT_WINDOW_MS / 60000, lastEventType: type }
+                });
+            }
+        }
+    } catch (error) {
+        logger.error('Security event follow-up failed', { eventId: event.eventId, type, error: error.message });
+    }
+
+    return event;
+}
+
+module.exports = {
+    SECURITY_EVENT,
+    recordSecurityEvent
+};
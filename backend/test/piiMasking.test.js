@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { renderEmail, listEmailTemplates, getSampleData } = require('../utils/emailTemplates');
+const { redact } = require('../utils/redaction');
+const logger = require('../utils/logger');
+
+const AADHAAR = '234567890124';
+// Any 12 digits in a row, or grouped 4-4-4 as customers often type them
+const FULL_AADHAAR = /\d{12}|\d{4}[ -]\d{4}[ -]\d{4}/;
+
+// Put an Aadhaar number into every string of the sample data, the way a
+// customer might type it into a free-text field such as a claim description
+function withAadhaarEverywhere(value) {
+    if (typeof value === 'string') {
+        return `${value} ${AADHAAR}`;
+    }
+    if (Array.isArray(value)) {
+        return value.map(withAadhaarEverywhere);
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, withAadhaarEverywhere(item)]));
+    }
+    return value;
+}
+
+// Console output of `fn`, as the logger writes it
+function captureConsole(fn) {
+    const methods = ['debug', 'info', 'log', 'warn', 'error'];
+    const original = Object.fromEntries(methods.map((method) => [method, console[method]]));
+    const lines = [];
+    methods.forEach((method) => {
+        console[method] = (...args) => lines.push(args.map((arg) => (typeof arg === 'string' ? arg : JSON.stringify(arg))).join(' '));
+    });
+    try {
+        fn();
+    } finally {
+        Object.assign(console, original);
+    }
+    return lines;
+}
+
+test('sample data has a full Aadhaar number to mask', () => {
+    const [{ name }] = listEmailTemplates();
+    assert.match(getSampleData(name).customer.aadharNumber, /^\d{12}$/);
+});
+
+listEmailTemplates().forEach(({ name, languages }) => {
+    languages.forEach((language) => {
+        test(`${name} (${language}) renders without a full Aadhaar number`, () => {
+            const samples = [getSampleData(name), withAadhaarEverywhere(getSampleData(name))];
+            samples.forEach((data) => {
+                const { subject, htmlContent, textContent } = renderEmail(name, data, { language });
+                [subject, htmlContent, textContent].forEach((content) => {
+                    assert.doesNotMatch(content, FULL_AADHAAR);
+                });
+            });
+        });
+    });
+});
+
+test('redact masks Aadhaar numbers in fields, free text and errors', () => {
+    const redacted = redact({
+        body: { user_data: { aadharNumber: AADHAAR, name: 'Priya' } },
+        note: `Customer gave 2345 6789 0124 and ${AADHAAR}`,
+        list: [AADHAAR, { aadhaarNumber: AADHAAR }],
+        error: new Error(`Duplicate Aadhaar ${AADHAAR}`)
+    });
+    assert.doesNotMatch(JSON.stringify(redacted), FULL_AADHAAR);
+    assert.match(JSON.stringify(redacted), /0124/);
+});
+
+test('no logger method writes a full Aadhaar number', () => {
+    const lines = captureConsole(() => {
+        ['debug', 'info', 'log', 'warn', 'error'].forEach((method) => {
+            logger[method](`Order for ${AADHAAR}`, {
+                body: { planType: 'student-shield', user_data: { aadharNumber: AADHAAR, phone: '9876543210' } },
+                message: `Aadhaar 2345-6789-0124 rejected`
+            });
+            logger[method](new Error(`Validation failed for ${AADHAAR}`));
+        });
+    });
+
+    assert.strictEqual(lines.length, 10);
+    lines.forEach((line) => assert.doesNotMatch(line, FULL_AADHAAR));
+});
@@ -0,0 +1,88 @@
+/**
+ * Calls to the Brevo marketing API: contact lists, contacts and campaigns.
+ * Transactional email goes through emailTransports/brevoTransport.js instead.
+ */
+
+const BREVO_API_URL = 'https://api.brevo.com/v3';
+
+/**
+ * Make a Brevo API request
+ * @param {string} method
+ * @param {string} path - e.g. /contacts/lists
+ * @param {Object} [body]
+ * @returns {Promise<Object|null>} The JSON response, or null for empty responses
+ */
+async function brevoRequest(method, path, body) {
+    const response = await fetch(`${BREVO_API_URL}${path}`, {
+        method,
+        headers: {
+            'Accept': 'application/json',
+            'Content-Type': 'application/json',
+            'api-key': process.env.BREVO_API_KEY
+        },
+        ...(body && { body: JSON.stringify(body) })
+    });
+
+    if (!response.ok) {
+        const errorData = await response.text();
+        const error = new Error(`Brevo API error: ${response.status} - ${errorData}`);
+        error.status = response.status;
+        throw error;
+    }
+
+    const text = await response.text();
+    return text ? JSON.parse(text) : null;
+}
+
+/**
+ * Create a contact list in the folder BREVO_CAMPAIGN_FOLDER_ID
+ * @param {string} name
+ * @returns {Promise<number>} The list ID
+ */
+async function createContactList(name) {
+    const result = await brevoRequest('POST', '/contacts/lists', {
+        name,
+        folderId: parseInt(process.env.BREVO_CAMPAIGN_FOLDER_ID, 10) || 1
+    });
+    return result.id;
+}
+
+/**
+ * Create or update a contact and add it to lists
+ * @param {string} email
+ * @param {{ attributes?: Object, listIds?: number[] }} options
+ */
+async function upsertContact(email, { attributes = {}, listIds = [] } = {}) {
+    await brevoRequest('POST', '/contacts', { email, attributes, listIds, updateEnabled: true });
+}
+
+/**
+ * Stop all campaign email to a contact in Brevo, e.g. after they unsubscribe
+ * with us. Contacts Brevo does not know are ignored.
+ * @param {string} email
+ */
+async function blocklistContact(email) {
+    try {
+        await brevoRequest('PUT', `/contacts/${encodeURIComponent(email)}`, { emailBlacklisted: true });
+    } catch (error) {
+        if (error.status !== 404) {
+            throw error;
+        }
+    }
+}
+
+/**
+ * Send a created email campaign straight away
+ * @param {number} campaignId - Brevo campaign ID
+ */
+async function sendCampaignNow(campaignId) {
+    await brevoRequest('POST', `/emailCampaigns/${campaignId}/sendNow`);
+}
+
+module.exports = {
+    brevoRequest,
+    createContactList,
+    upsertContact,
+    blocklistContact,
+    sendCampaignNow
+};
@@ -0,0 +1,72 @@
+/**
+ * Parse CSV text (RFC 4180): quoted fields may contain commas, line breaks and
+ * doubled quotes. Accepts LF or CRLF line endings and a leading byte order
+ * mark, as spreadsheet exports often have. Blank lines are skipped.
+ * @param {string} text
+ * @returns {{ rows: Array<{ line: number, values: string[] }>, error?: string }} `line` is where each row starts
+ */
+function parseCsv(text) {
+    const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+    const rows = [];
+
+    let values = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+
+    const endField = () => {
+        values.push(field);
+        field = '';
+    };
+    const endRow = () => {
+        endField();
+        if (values.length > 1 || values[0].trim() !== '') {
+            rows.push({ line: rowLine, values });
+        }
+        values = [];
+    };
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') {
+                    line++;
+                }
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === ',') {
+            endField();
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') {
+                i++;
+            }
+            endRow();
+            line++;
+            rowLine = line;
+        } else {
+            field += char;
+        }
+    }
+
+    if (quoted) {
+        return { rows, error: `Unterminated quoted field starting on line ${rowLine}` };
+    }
+    if (field !== '' || values.length > 0) {
+        endRow();
+    }
+    return { rows };
+}
+
+module.exports = {
+    parseCsv
+};
@@ -0,0 +1,19 @@
+/**
+ * Opaque pagination cursors wrapping DynamoDB's LastEvaluatedKey
+ */
+
+const encodeCursor = (key) => (key ? Buffer.from(JSON.stringify(key)).toString('base64url') : null);
+
+/**
+ * @param {string} cursor
+ * @returns {Object|undefined} The key, or undefined if the cursor is malformed
+ */
+function decodeCursor(cursor) {
+    try {
+        return JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch (error) {
+        return undefined;
+    }
+}
+
+module.exports = { encodeCursor, decodeCursor };
@@ -0,0 +1,45 @@
+const { createLocalStorage } = require('./localStorage');
+
+// The S3 client is only loaded when S3 storage is used, so local deployments never load the AWS S3 SDK
+function createS3Storage(options) {
+    return require('./s3Storage').createS3Storage(options);
+}
+
+/**
+ * Document stores all share one interface:
+ *   { name: string, put(key, body, { contentType }): Promise<{ key }>, get(key): Promise<Buffer|null> }
+ * DOCUMENT_STORAGE picks one: local (default) or s3.
+ */
+const factories = {
+    local: createLocalStorage,
+    s3: createS3Storage
+};
+
+let storage = null;
+
+function getDocumentStorage() {
+    if (!storage) {
+        const name = process.env.DOCUMENT_STORAGE || 'local';
+        const factory = factories[name];
+        if (!factory) {
+            throw new Error(`Unknown DOCUMENT_STORAGE: ${name}`);
+        }
+        storage = factory();
+    }
+    return storage;
+}
+
+/**
+ * Replace the active store, e.g. with an in-memory one in tests
+ * @param {{ name: string, put: Function, get: Function }} customStorage
+ */
+function setDocumentStorage(customStorage) {
+    storage = customStorage;
+}
+
+module.exports = {
+    getDocumentStorage,
+    setDocumentStorage,
+    createLocalStorage,
+    createS3Storage
+};
@@ -0,0 +1,40 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Document storage on the local disk, for development and single-server setups
+ */
+function createLocalStorage({ directory = process.env.DOCUMENT_DIR || path.resolve(__dirname, '../../../storage/documents') } = {}) {
+    // Keys are generated by the backend, but never let one escape the directory
+    const resolve = (key) => {
+        const filePath = path.resolve(directory, key);
+        if (!filePath.startsWith(path.resolve(directory) + path.sep)) {
+            throw new Error(`Invalid document key: ${key}`);
+        }
+        return filePath;
+    };
+
+    return {
+        name: 'local',
+
+        async put(key, body) {
+            const filePath = resolve(key);
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.writeFile(filePath, body);
+            return { key };
+        },
+
+        async get(key) {
+            try {
+                return await fs.readFile(resolve(key));
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    return null;
+                }
+                throw error;
+            }
+        }
+    };
+}
+
+module.exports = { createLocalStorage };
@@ -0,0 +1,57 @@
+const { S3Client, PutObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
+
+/**
+ * Document storage in an S3 bucket. DOCUMENT_S3_ENDPOINT points it at an
+ * S3-compatible service instead (MinIO, Cloudflare R2, DigitalOcean Spaces).
+ */
+function createS3Storage({
+    bucket = process.env.DOCUMENT_S3_BUCKET,
+    region = process.env.DOCUMENT_S3_REGION || process.env.AWS_REGION,
+    endpoint = process.env.DOCUMENT_S3_ENDPOINT,
+    forcePathStyle = process.env.DOCUMENT_S3_FORCE_PATH_STYLE === 'true'
+} = {}) {
+    if (!bucket) {
+        throw new Error('DOCUMENT_S3_BUCKET environment variable is not set');
+    }
+
+    // Without explicit keys the default AWS credential chain is used
+    const credentials = process.env.DOCUMENT_S3_ACCESS_KEY_ID
+        ? {
+            accessKeyId: process.env.DOCUMENT_S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.DOCUMENT_S3_SECRET_ACCESS_KEY
+        }
+        : undefined;
+
+    const client = new S3Client({ region, endpoint: endpoint || undefined, forcePathStyle, credentials });
+
+    return {
+        name: 's3',
+
+        async put(key, body, { contentType } = {}) {
+            await client.send(new PutObjectCommand({
+                Bucket: bucket,
+                Key: key,
+                Body: body,
+                ContentType: contentType,
+                ServerSideEncryption: endpoint ? undefined : 'AES256'
+            }));
+            return { key, bucket };
+        },
+
+        async get(key) {
+            try {
+                const result = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+                return Buffer.from(await result.Body.transformToByteArray());
+            } catch (error) {
+                if (error.name === 'NoSuchKey') {
+                    return null;
+                }
+                error.bucket = bucket;
+                error.key = key;
+                throw error;
+            }
+        }
+    };
+}
+
+module.exports = { createS3Storage };
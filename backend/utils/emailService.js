@@ -1,338 +1,418 @@
+const logger = require('./logger');
+const { sendEmail } = require('../services/emailOutbox');
+const { renderEmail } = require('./emailTemplates');
+const { emailConfig } = require('../config/email');
+const { brevoRequest } = require('./brevoApi');
+
+// Brevo's attachment format, which the other transports also accept
+const toEmailAttachments = (attachments) => attachments.map((file) => ({
+    name: file.name,
+    content: file.content.toString('base64')
+}));
+
+// Customers who bought through a partner carry its email branding in `customerData.branding`,
+// which replaces the sender name here and the brand and support details in the templates
+const customerSenderName = (customerData) => customerData.branding?.senderName || emailConfig.sender.customerName;
+
 /**
- * Send email using Brevo API directly with HTTP requests
- * @param {Object} emailData - Email configuration object
+ * Send customer policy confirmation email
+ * @param {Object} customerData - Customer information
+ * @param {Object} policyData - Policy details
+ * @param {{ attachments?: Array<{ name: string, content: Buffer }> }} options - Files to attach, e.g. the tax invoice
  */
-async function sendBrevoEmail(emailData) {
+async function sendCustomerConfirmationEmail(customerData, policyData, { attachments = [] } = {}) {
     try {
-        const response = await fetch('https://api.brevo.com/v3/smtp/email', {
-            method: 'POST',
-            headers: {
-                'Accept': 'application/json',
-                'Content-Type': 'application/json',
-                'api-key': process.env.BREVO_API_KEY
+        const { template, ...content } = renderEmail(
+            'customer-confirmation',
+            { customer: customerData, policy: policyData },
+            { language: customerData.preferredLanguage, branding: customerData.branding }
+        );
+        const emailData = {
+            sender: {
+                name: customerSenderName(customerData),
+                email: process.env.SENDER_EMAIL
             },
-            body: JSON.stringify(emailData)
-        });
-
-        if (!response.ok) {
-            const errorData = await response.text();
-            throw new Error(`Brevo API error: ${response.status} - ${errorData}`);
+            to: [{
+                email: customerData.email,
+                name: customerData.name
+            }],
+            ...content
+        };
+        if (attachments.length) {
+            emailData.attachment = toEmailAttachments(attachments);
         }
 
-        const result = await response.json();
-        return result;
+        const result = await sendEmail(emailData, { type: 'customer-confirmation', template });
+
+        logger.info('Customer confirmation email queued', result);
+
+        return { success: true, ...result };
     } catch (error) {
-        console.error('Brevo API request failed', error);
+        logger.error('Failed to send customer confirmation email', error);
         throw error;
     }
 }
 
 /**
- * Send customer policy confirmation email
+ * Send company acknowledgment email
  * @param {Object} customerData - Customer information
  * @param {Object} policyData - Policy details
  */
-async function sendCustomerConfirmationEmail(customerData, policyData) {
+async function sendCompanyAcknowledgmentEmail(customerData, policyData) {
     try {
+        const { template, ...content } = renderEmail('company-acknowledgment', { customer: customerData, policy: policyData });
         const emailData = {
             sender: {
-                name: "Student Shield",
+                name: emailConfig.sender.systemName,
+                email: process.env.SENDER_EMAIL
+            },
+            to: [{
+                email: process.env.COMPANY_EMAIL,
+                name: emailConfig.sender.teamName
+            }],
+            ...content
+        };
+
+        const result = await sendEmail(emailData, { type: 'company-acknowledgment', template });
+
+        logger.info('Company acknowledgment email queued', result);
+
+        return { success: true, ...result };
+    } catch (error) {
+        logger.error('Failed to send company acknowledgment email', error);
+        throw error;
+    }
+}
+
+/**
+ * Send the issued policy document to the customer
+ * @param {Object} customerData - Customer name, email and preferred language
+ * @param {Object} policyData - Policy number, plan and verification link
+ * @param {{ attachments: Array<{ name: string, content: Buffer }> }} options - The policy document PDF
+ */
+async function sendPolicyDocumentEmail(customerData, policyData, { attachments }) {
+    try {
+        const { template, ...content } = renderEmail(
+            'policy-document',
+            { customer: customerData, policy: policyData },
+            { language: customerData.preferredLanguage, branding: customerData.branding }
+        );
+        const emailData = {
+            sender: {
+                name: customerSenderName(customerData),
                 email: process.env.SENDER_EMAIL
             },
             to: [{
                 email: customerData.email,
                 name: customerData.name
             }],
-            subject: `Policy Confirmation - ${policyData.policyNumber}`,
-            htmlContent: generateCustomerEmailTemplate(customerData, policyData),
-            textContent: generateCustomerTextContent(customerData, policyData)
+            ...content,
+            attachment: toEmailAttachments(attachments)
         };
 
-        const result = await sendBrevoEmail(emailData);
-        
-        console.info('Customer confirmation email sent successfully', result);
+        const result = await sendEmail(emailData, { type: 'policy-document', template });
+
+        logger.info('Policy document email queued', result);
 
-        return { success: true, messageId: result.messageId };
+        return { success: true, ...result };
     } catch (error) {
-        console.error('Failed to send customer confirmation email', error);
+        logger.error('Failed to send policy document email', error);
         throw error;
     }
 }
 
 /**
- * Send company acknowledgment email
+ * Confirm a new claim to the customer
  * @param {Object} customerData - Customer information
- * @param {Object} policyData - Policy details
+ * @param {Object} claimData - Claim details
  */
-async function sendCompanyAcknowledgmentEmail(customerData, policyData) {
+async function sendCustomerClaimSubmittedEmail(customerData, claimData) {
     try {
+        const { template, ...content } = renderEmail(
+            'customer-claim-submitted',
+            { customer: customerData, claim: claimData },
+            { language: customerData.preferredLanguage, branding: customerData.branding }
+        );
         const emailData = {
             sender: {
-                name: "Student Shield System",
+                name: customerSenderName(customerData),
                 email: process.env.SENDER_EMAIL
             },
             to: [{
-                email: process.env.COMPANY_EMAIL,
-                name: "Student Shield Team"
+                email: customerData.email,
+                name: customerData.name
             }],
-            subject: `New Policy Created - ${policyData.policyNumber}`,
-            htmlContent: generateCompanyEmailTemplate(customerData, policyData),
-            textContent: generateCompanyTextContent(customerData, policyData)
+            ...content
         };
 
-        const result = await sendBrevoEmail(emailData);
-        
-        console.info('Company acknowledgment email sent successfully', result);
+        const result = await sendEmail(emailData, { type: 'customer-claim-submitted', template });
 
-        return { success: true, messageId: result.messageId };
+        logger.info('Customer claim submitted email queued', result);
+
+        return { success: true, ...result };
     } catch (error) {
-        console.error('Failed to send company acknowledgment email', error);
+        logger.error('Failed to send customer claim submitted email', error);
         throw error;
     }
 }
 
 /**
- * Send email campaign using Brevo API directly (similar to your curl example)
- * @param {Object} campaignData - Campaign configuration object
+ * Notify the claims team of a new claim
+ * @param {Object} customerData - Customer information
+ * @param {Object} claimData - Claim details
  */
-async function sendEmailCampaign(campaignData) {
+async function sendCompanyClaimSubmittedEmail(customerData, claimData) {
     try {
-        const response = await fetch('https://api.brevo.com/v3/emailCampaigns', {
-            method: 'POST',
-            headers: {
-                'Accept': 'application/json',
-                'Content-Type': 'application/json',
-                'api-key': process.env.BREVO_API_KEY
+        const { template, ...content } = renderEmail('company-claim-submitted', { customer: customerData, claim: claimData });
+        const emailData = {
+            sender: {
+                name: emailConfig.sender.systemName,
+                email: process.env.SENDER_EMAIL
             },
-            body: JSON.stringify(campaignData)
-        });
+            to: [{
+                email: process.env.CLAIMS_EMAIL || process.env.COMPANY_EMAIL,
+                name: emailConfig.sender.teamName
+            }],
+            ...content
+        };
 
-        if (!response.ok) {
-            const errorData = await response.text();
-            throw new Error(`Brevo Campaign API error: ${response.status} - ${errorData}`);
-        }
+        const result = await sendEmail(emailData, { type: 'company-claim-submitted', template });
+
+        logger.info('Company claim submitted email queued', result);
+
+        return { success: true, ...result };
+    } catch (error) {
+        logger.error('Failed to send company claim submitted email', error);
+        throw error;
+    }
+}
+
+/**
+ * Tell the customer their claim has moved on (under review, approved, rejected, paid)
+ * @param {Object} customerData - Customer information
+ * @param {Object} claimData - Claim details with the new status
+ */
+async function sendCustomerClaimStatusEmail(customerData, claimData) {
+    try {
+        const { template, ...content } = renderEmail(
+            'customer-claim-status',
+            { customer: customerData, claim: claimData },
+            { language: customerData.preferredLanguage, branding: customerData.branding }
+        );
+        const emailData = {
+            sender: {
+                name: customerSenderName(customerData),
+                email: process.env.SENDER_EMAIL
+            },
+            to: [{
+                email: customerData.email,
+                name: customerData.name
+            }],
+            ...content
+        };
+
+        const result = await sendEmail(emailData, { type: 'customer-claim-status', template });
+
+        logger.info('Customer claim status email queued', result);
+
+        return { success: true, ...result };
+    } catch (error) {
+        logger.error('Failed to send customer claim status email', error);
+        throw error;
+    }
+}
+
+/**
+ * Remind the customer that their cover is ending, with a link to renew it
+ * @param {Object} customerData - Customer information
+ * @param {Object} renewalData - Expiring policy, renewal premium and signed renewal link
+ */
+async function sendRenewalReminderEmail(customerData, renewalData) {
+    try {
+        const { template, ...content } = renderEmail(
+            'renewal-reminder',
+            { customer: customerData, renewal: renewalData },
+            { language: customerData.preferredLanguage, branding: customerData.branding }
+        );
+        const emailData = {
+            sender: {
+                name: customerSenderName(customerData),
+                email: process.env.SENDER_EMAIL
+            },
+            to: [{
+                email: customerData.email,
+                name: customerData.name
+            }],
+            ...content
+        };
 
-        const result = await response.json();
-        return result;
+        const result = await sendEmail(emailData, { type: 'renewal-reminder', template });
+
+        logger.info('Renewal reminder email queued', result);
+
+        return { success: true, ...result };
     } catch (error) {
-        console.error('Brevo Campaign API request failed', error);
+        logger.error('Failed to send renewal reminder email', error);
         throw error;
     }
 }
 
 /**
- * Generate HTML email template for customer
+ * Ask the customer of an assisted sale to pay, by payment link or UPI QR code
+ * @param {Object} customerData - Customer information
+ * @param {Object} paymentData - Application, premium and where to pay
  */
-function generateCustomerEmailTemplate(customerData, policyData) {
-    return `
-<!DOCTYPE html>
-<html>
-<head>
-    <meta charset="utf-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Policy Confirmation</title>
-    <style>
-        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-        .header { background: linear-gradient(135deg, #DC2626, #EF4444); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
-        .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
-        .details { background: white; padding: 20px; border-radius: 8px; margin: 20px 0; }
-        .footer { text-align: center; margin-top: 30px; padding: 20px; color: #666; }
-        .help { background: #DC2626; color: white; padding: 15px; border-radius: 8px; margin: 20px 0; }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <div class="header">
-            <h1>🎉 Welcome to Student Shield!</h1>
-            <p>Your policy will be issued soon!</p>
-        </div>
-        <div class="content">
-            <p>Dear ${customerData.name},</p>
-            <p>Congratulations! Your Student Shield policy has been successfully created. You're now protected with comprehensive coverage designed specifically for students in collaboration with MicroNsure.</p>
-            <div class="details">
-                <h3>Details:</h3>
-                <p><strong>Reference Number:</strong> ${policyData.policyNumber}</p>
-                <p><strong>Plan:</strong> ${policyData.planName}</p>
-                <p><strong>Premium Paid:</strong> ₹${policyData.amount}</p>
-                <p><strong>Policy Holder:</strong> ${customerData.name}</p>
-                <p><strong>Email:</strong> ${customerData.email}</p>
-                <p><strong>Phone:</strong> ${customerData.phone}</p>
-                <p><strong>Gender:</strong> ${customerData.gender}</p>
-                <p><strong>Date of Birth:</strong> ${customerData.dateOfBirth}</p>
-                <p><strong>Aadhar:</strong> ${customerData.aadharNumber}</p>
-                <p><strong>Address:</strong> ${customerData.address}, ${customerData.city}, ${customerData.state} - ${customerData.pincode}</p>
-                <p><strong>Nominee Name:</strong> ${customerData.nomineeFullName}</p>
-                <p><strong>Nominee Relationship:</strong> ${customerData.nomineeRelationship}</p>
-                <p><strong>Nominee Gender:</strong> ${customerData.nomineeGender}</p>
-                <p><strong>Nominee DOB:</strong> ${customerData.nomineeDateOfBirth}</p>
-            </div>
-            <div class="help">
-                <h3>📞 Need Help?</h3>
-                <p><strong>Email:</strong> support@studentshield.in</p>
-                <p><strong>Phone:</strong> 1800-123-4567</p>
-                <p><strong>Support Hours:</strong> Mon-Fri, 9 AM - 6 PM</p>
-            </div>
-            <p>Note: Your policy copy will be sent to your email id within 24-48 hours.</p>
-            <h3>🎯 What's Next?</h3>
-            <ul>
-                <li>✅ Your coverage will start after policy is active</li>
-                <li>✅ Policy document will be sent separately</li>
-                <li>✅ Keep this policy reference number for future reference</li>
-            </ul>
-            <p>Thank you for choosing Student Shield.</p>
-            <p>We're committed to protecting your educational & Health journey!</p>
-        </div>
-        <div class="footer">
-            <p>This is an automated email. Please do not reply.</p>
-        </div>
-    </div>
-</body>
-</html>`;
+async function sendPaymentRequestEmail(customerData, paymentData) {
+    try {
+        const { template, ...content } = renderEmail(
+            'payment-request',
+            { customer: customerData, payment: paymentData },
+            { language: customerData.preferredLanguage, branding: customerData.branding }
+        );
+        const emailData = {
+            sender: {
+                name: customerSenderName(customerData),
+                email: process.env.SENDER_EMAIL
+            },
+            to: [{
+                email: customerData.email,
+                name: customerData.name
+            }],
+            ...content
+        };
+
+        const result = await sendEmail(emailData, { type: 'payment-request', template });
+
+        logger.info('Payment request email queued', result);
+
+        return { success: true, ...result };
+    } catch (error) {
+        logger.error('Failed to send payment request email', error);
+        throw error;
+    }
+}
+
+/**
+ * Send policy cancellation notice to the customer
+ * @param {Object} customerData - Customer information
+ * @param {Object} cancellationData - Cancellation and refund details
+ */
+async function sendCustomerCancellationEmail(customerData, cancellationData) {
+    try {
+        const { template, ...content } = renderEmail(
+            'customer-cancellation',
+            { customer: customerData, cancellation: cancellationData },
+            { language: customerData.preferredLanguage, branding: customerData.branding }
+        );
+        const emailData = {
+            sender: {
+                name: customerSenderName(customerData),
+                email: process.env.SENDER_EMAIL
+            },
+            to: [{
+                email: customerData.email,
+                name: customerData.name
+            }],
+            ...content
+        };
+
+        const result = await sendEmail(emailData, { type: 'customer-cancellation', template });
+
+        logger.info('Customer cancellation email queued', result);
+
+        return { success: true, ...result };
+    } catch (error) {
+        logger.error('Failed to send customer cancellation email', error);
+        throw error;
+    }
 }
 
 /**
- * Generate text content for customer email
+ * Send policy cancellation notice to the company
+ * @param {Object} customerData - Customer information
+ * @param {Object} cancellationData - Cancellation and refund details
  */
-function generateCustomerTextContent(customerData, policyData) {
-    return `
-🎉 Welcome to Student Shield!
-
-Your policy will be issued soon!
-
-Dear ${customerData.name},
-
-Congratulations! Your Student Shield policy has been successfully created. You're now protected with comprehensive coverage designed specifically for students in collaboration with MicroNsure.
-
-Details:
-Reference Number: ${policyData.policyNumber}
-Plan: ${policyData.planName}
-Premium Paid: ₹${policyData.amount}
-Policy Holder: ${customerData.name}
-Email: ${customerData.email}
-Phone: ${customerData.phone}
-Gender: ${customerData.gender}
-Date of Birth: ${customerData.dateOfBirth}
-Aadhar: ${customerData.aadharNumber}
-Address: ${customerData.address}, ${customerData.city}, ${customerData.state} - ${customerData.pincode}
-Nominee Name: ${customerData.nomineeFullName}
-Nominee Relationship: ${customerData.nomineeRelationship}
-Nominee Gender: ${customerData.nomineeGender}
-Nominee DOB: ${customerData.nomineeDateOfBirth}
-
-📞 Need Help?
-Email: support@studentshield.in
-Phone: 1800-123-4567
-Support Hours: Mon-Fri, 9 AM - 6 PM
-
-Note: Your policy copy will be sent to your email id within 24-48 hours.
-
-🎯 What's Next?
-✅ Your coverage will start after policy is active
-✅ Policy document will be sent separately
-✅ Keep this policy reference number for future reference
-
-Thank you for choosing Student Shield.
-
-We're committed to protecting your educational & Health journey!
-`;
+async function sendCompanyCancellationEmail(customerData, cancellationData) {
+    try {
+        const { template, ...content } = renderEmail('company-cancellation', { customer: customerData, cancellation: cancellationData });
+        const emailData = {
+            sender: {
+                name: emailConfig.sender.systemName,
+                email: process.env.SENDER_EMAIL
+            },
+            to: [{
+                email: process.env.COMPANY_EMAIL,
+                name: emailConfig.sender.teamName
+            }],
+            ...content
+        };
+
+        const result = await sendEmail(emailData, { type: 'company-cancellation', template });
+
+        logger.info('Company cancellation email queued', result);
+
+        return { success: true, ...result };
+    } catch (error) {
+        logger.error('Failed to send company cancellation email', error);
+        throw error;
+    }
 }
 
 /**
- * Generate HTML email template for company
+ * Send a security alert (e.g. payment tampering) to the security contact
+ * @param {Object} alert - Security event with its title and grouping details
  */
-function generateCompanyEmailTemplate(customerData, policyData) {
-    return `
-<!DOCTYPE html>
-<html>
-<head>
-    <meta charset="utf-8">
-    <title>New Policy Alert</title>
-    <style>
-        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-        .header { background: #1f2937; color: white; padding: 20px; text-align: center; }
-        .content { background: #f9f9f9; padding: 20px; }
-        .details { background: white; padding: 15px; margin: 10px 0; border-left: 3px solid #DC2626; }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <div class="header">
-            <h2>🔔 New Policy Created</h2>
-        </div>
-        
-        <div class="content">
-            <div class="details">
-                <h3>Policy Information</h3>
-                <p><strong>Policy Number:</strong> ${policyData.policyNumber}</p>
-                <p><strong>Plan:</strong> ${policyData.planName}</p>
-                <p><strong>Premium:</strong> ₹${policyData.amount}</p>
-                <p><strong>Date:</strong> ${new Date().toLocaleString()}</p>
-                <p><strong>Payment ID:</strong> ${policyData.paymentId}</p>
-            </div>
-            
-            <div class="details">
-                <h3>Customer Information</h3>
-                <p><strong>Name:</strong> ${customerData.name}</p>
-                <p><strong>Email:</strong> ${customerData.email}</p>
-                <p><strong>Phone:</strong> ${customerData.phone}</p>
-                <p><strong>Date of Birth:</strong> ${customerData.dateOfBirth}</p>
-                <p><strong>Aadhar:</strong> ${customerData.aadharNumber}</p>
-                <p><strong>Gender:</strong> ${customerData.gender}</p>
-            </div>
-            
-            <div class="details">
-                <h3>Address</h3>
-                <p>${customerData.address}</p>
-                <p>${customerData.city}, ${customerData.state} - ${customerData.pincode}</p>
-            </div>
-            
-            <div class="details">
-                <h3>Nominee Information</h3>
-                <p><strong>Name:</strong> ${customerData.nomineeFullName}</p>
-                <p><strong>Relationship:</strong> ${customerData.nomineeRelationship}</p>
-                <p><strong>Nominee Gender:</strong> ${customerData.nomineeGender}</p>
-                <p><strong>Nominee DOB:</strong> ${customerData.nomineeDateOfBirth}</p>
-            </div>
-        </div>
-    </div>
-</body>
-</html>`;
+async function sendSecurityAlertEmail(alert) {
+    try {
+        const { template, ...content } = renderEmail('security-alert', { alert });
+        const emailData = {
+            sender: {
+                name: emailConfig.sender.systemName,
+                email: process.env.SENDER_EMAIL
+            },
+            to: [{
+                email: process.env.SECURITY_ALERT_EMAIL || process.env.COMPANY_EMAIL,
+                name: emailConfig.sender.teamName
+            }],
+            ...content
+        };
+
+        const result = await sendEmail(emailData, { type: 'security-alert', template });
+
+        logger.info('Security alert email queued', result);
+
+        return { success: true, ...result };
+    } catch (error) {
+        logger.error('Failed to send security alert email', error);
+        throw error;
+    }
 }
 
 /**
- * Generate text content for company email
+ * Create an email campaign in Brevo. It is sent separately, see brevoApi.sendCampaignNow.
+ * @param {Object} campaignData - Campaign in Brevo's format (name, subject, sender, htmlContent, recipients)
+ * @returns {Promise<{ id: number }>} The Brevo campaign
  */
-function generateCompanyTextContent(customerData, policyData) {
-    return `
-New Policy Created - ${policyData.policyNumber}
-
-Policy Information:
-- Policy Number: ${policyData.policyNumber}
-- Plan: ${policyData.planName}
-- Premium: ₹${policyData.amount}
-- Date: ${new Date().toLocaleString()}
-- Payment ID: ${policyData.paymentId}
-
-Customer Information:
-- Name: ${customerData.name}
-- Email: ${customerData.email}
-- Phone: ${customerData.phone}
-- Date of Birth: ${customerData.dateOfBirth}
-- Aadhar: ${customerData.aadharNumber}
-- Gender: ${customerData.gender}
-
-Address: ${customerData.address}, ${customerData.city}, ${customerData.state} - ${customerData.pincode}
-
-Nominee: ${customerData.nomineeFullName} (${customerData.nomineeRelationship})
-Nominee Gender: ${customerData.nomineeGender}
-Nominee DOB: ${customerData.nomineeDateOfBirth}
-`;
+async function sendEmailCampaign(campaignData) {
+    try {
+        return await brevoRequest('POST', '/emailCampaigns', campaignData);
+    } catch (error) {
+        logger.error('Brevo Campaign API request failed', error);
+        throw error;
+    }
 }
 
 module.exports = {
     sendCustomerConfirmationEmail,
     sendCompanyAcknowledgmentEmail,
+    sendPolicyDocumentEmail,
+    sendCustomerClaimSubmittedEmail,
+    sendCompanyClaimSubmittedEmail,
+    sendCustomerClaimStatusEmail,
+    sendRenewalReminderEmail,
+    sendPaymentRequestEmail,
+    sendCustomerCancellationEmail,
+    sendCompanyCancellationEmail,
+    sendSecurityAlertEmail,
     sendEmailCampaign
 };
\ No newline at end of file
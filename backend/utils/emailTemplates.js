@@ -0,0 +1,163 @@
+const fs = require('fs');
+const path = require('path');
+const Handlebars = require('handlebars');
+
+const { DEFAULT_LANGUAGE, emailConfig } = require('../config/email');
+const { maskAadhaar, maskEmail, maskPhone, redactText } = require('./redaction');
+
+/**
+ * Email templates live in backend/templates/emails:
+ *   manifest.json                 version, layout and languages of each template
+ *   <template>/<lang>/subject.hbs
+ *   <template>/<lang>/html.hbs    body, wrapped in layouts/<layout>.html.hbs
+ *   <template>/<lang>/text.hbs
+ *   partials/<lang>/*.hbs         shared help box and footer
+ *
+ * HTML is escaped automatically; subjects and plain text are not, since
+ * they are never interpreted as markup.
+ */
+
+const TEMPLATES_DIR = path.join(__dirname, '..', 'templates', 'emails');
+
+const manifest = JSON.parse(fs.readFileSync(path.join(TEMPLATES_DIR, 'manifest.json'), 'utf8'));
+
+const engine = Handlebars.create();
+engine.registerHelper('maskAadhaar', (value) => maskAadhaar(value));
+engine.registerHelper('maskEmail', (value) => maskEmail(value));
+engine.registerHelper('maskPhone', (value) => maskPhone(value));
+engine.registerHelper('eq', (value, other) => value === other);
+engine.registerHelper('or', (value, fallback) => (value === undefined || value === null || value === '' ? fallback : value));
+
+// Compiled templates, keyed by file path
+const compiled = new Map();
+
+function compileFile(filePath, { escape }) {
+    if (!compiled.has(filePath)) {
+        const source = fs.readFileSync(filePath, 'utf8');
+        compiled.set(filePath, engine.compile(source, { noEscape: !escape }));
+    }
+    return compiled.get(filePath);
+}
+
+// Partials for one language and format, e.g. `help` -> partials/hi/help.html.hbs
+function loadPartials(language, format) {
+    const dir = path.join(TEMPLATES_DIR, 'partials', language);
+    const suffix = `.${format}.hbs`;
+    const partials = {};
+
+    fs.readdirSync(dir).filter((file) => file.endsWith(suffix)).forEach((file) => {
+        partials[file.slice(0, -suffix.length)] = compileFile(path.join(dir, file), { escape: format === 'html' });
+    });
+
+    return partials;
+}
+
+// Links carry signed tokens that may happen to contain 12 digits in a row, so they are left alone
+const URL_PATTERN = /^https?:\/\/\S+$/;
+
+// Copy of the template data with Aadhaar-like numbers masked in every string,
+// so one typed into a free-text field (a claim description, a reason) is never sent in full
+function maskFreeText(value) {
+    if (typeof value === 'string') {
+        return URL_PATTERN.test(value) ? value : redactText(value);
+    }
+    if (Array.isArray(value)) {
+        return value.map(maskFreeText);
+    }
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, maskFreeText(item)]));
+    }
+    return value;
+}
+
+function templateError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+function getDefinition(templateName) {
+    if (!Object.prototype.hasOwnProperty.call(manifest, templateName)) {
+        throw templateError('UNKNOWN_TEMPLATE', `Unknown email template: ${templateName}`);
+    }
+    return manifest[templateName];
+}
+
+/**
+ * Pick the language to render a template in, falling back to the default
+ * @param {string} templateName
+ * @param {string} [requested] - e.g. the customer's `preferredLanguage`
+ */
+function resolveLanguage(templateName, requested) {
+    const { languages } = getDefinition(templateName);
+    return languages.includes(requested) ? requested : DEFAULT_LANGUAGE;
+}
+
+/**
+ * Render an email template
+ * @param {string} templateName - Key in manifest.json, e.g. `customer-confirmation`
+ * @param {Object} data - Template data, e.g. `{ customer, policy }`
+ * @param {{ language?: string, branding?: { brand?: Object, support?: Object } }} options - `branding`
+ *   replaces individual brand and support fields, e.g. for customers who bought through a partner
+ * @returns {{ subject: string, htmlContent: string, textContent: string, template: { name: string, version: number, language: string } }}
+ */
+function renderEmail(templateName, data, options = {}) {
+    const definition = getDefinition(templateName);
+
+    const language = resolveLanguage(templateName, options.language);
+    const dir = path.join(TEMPLATES_DIR, templateName, language);
+
+    const branding = options.branding || {};
+    const context = {
+        ...maskFreeText(data),
+        language,
+        brand: { ...emailConfig.brand, ...branding.brand },
+        support: {
+            email: emailConfig.support.email,
+            phone: emailConfig.support.phone,
+            hours: emailConfig.support.hours[language] || emailConfig.support.hours[DEFAULT_LANGUAGE],
+            ...branding.support
+        },
+        sentAt: new Date().toLocaleString()
+    };
+
+    const subject = compileFile(path.join(dir, 'subject.hbs'), { escape: false })(context).trim();
+
+    const htmlPartials = loadPartials(language, 'html');
+    const body = compileFile(path.join(dir, 'html.hbs'), { escape: true })(context, { partials: htmlPartials });
+    const layout = compileFile(path.join(TEMPLATES_DIR, 'layouts', `${definition.layout}.html.hbs`), { escape: true });
+    const htmlContent = layout({ ...context, title: subject, body }, { partials: htmlPartials });
+
+    const textContent = compileFile(path.join(dir, 'text.hbs'), { escape: false })(context, {
+        partials: loadPartials(language, 'text')
+    });
+
+    return {
+        subject,
+        htmlContent,
+        textContent,
+        template: { name: templateName, version: definition.version, language }
+    };
+}
+
+/**
+ * Templates available for rendering, with their versions and languages
+ */
+function listEmailTemplates() {
+    return Object.entries(manifest).map(([name, { version, languages }]) => ({ name, version, languages }));
+}
+
+/**
+ * Sample data for previewing a template
+ * @param {string} templateName
+ */
+function getSampleData(templateName) {
+    getDefinition(templateName);
+    return JSON.parse(fs.readFileSync(path.join(TEMPLATES_DIR, 'samples.json'), 'utf8'));
+}
+
+module.exports = {
+    renderEmail,
+    listEmailTemplates,
+    getSampleData
+};
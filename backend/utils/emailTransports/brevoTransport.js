@@ -0,0 +1,34 @@
+/**
+ * Email transport using the Brevo transactional email API
+ */
+function createBrevoTransport({ apiKey = process.env.BREVO_API_KEY } = {}) {
+    return {
+        name: 'brevo',
+
+        /**
+         * Send email using Brevo API directly with HTTP requests
+         * @param {Object} emailData - Email in Brevo's format (sender, to, subject, htmlContent, textContent)
+         */
+        async send(emailData) {
+            const response = await fetch('https://api.brevo.com/v3/smtp/email', {
+                method: 'POST',
+                headers: {
+                    'Accept': 'application/json',
+                    'Content-Type': 'application/json',
+                    'api-key': apiKey
+                },
+                body: JSON.stringify(emailData)
+            });
+
+            if (!response.ok) {
+                const errorData = await response.text();
+                throw new Error(`Brevo API error: ${response.status} - ${errorData}`);
+            }
+
+            const result = await response.json();
+            return { messageId: result.messageId };
+        }
+    };
+}
+
+module.exports = { createBrevoTransport };
@@ -0,0 +1,48 @@
+const { createBrevoTransport } = require('./brevoTransport');
+const { createSmtpTransport } = require('./smtpTransport');
+const { createMemoryTransport, createFileTransport } = require('./localTransports');
+
+/**
+ * Email transports all share one interface:
+ *   { name: string, send(emailData): Promise<{ messageId: string }> }
+ * where emailData uses Brevo's shape (sender, to, subject, htmlContent,
+ * textContent, attachment). EMAIL_TRANSPORT picks one: brevo (default),
+ * smtp, file or memory.
+ */
+const factories = {
+    brevo: createBrevoTransport,
+    smtp: createSmtpTransport,
+    file: createFileTransport,
+    memory: createMemoryTransport
+};
+
+let transport = null;
+
+function getEmailTransport() {
+    if (!transport) {
+        const name = process.env.EMAIL_TRANSPORT || 'brevo';
+        const factory = factories[name];
+        if (!factory) {
+            throw new Error(`Unknown EMAIL_TRANSPORT: ${name}`);
+        }
+        transport = factory();
+    }
+    return transport;
+}
+
+/**
+ * Replace the active transport, e.g. with a memory transport in tests
+ * @param {{ name: string, send: Function }} customTransport
+ */
+function setEmailTransport(customTransport) {
+    transport = customTransport;
+}
+
+module.exports = {
+    getEmailTransport,
+    setEmailTransport,
+    createBrevoTransport,
+    createSmtpTransport,
+    createFileTransport,
+    createMemoryTransport
+};
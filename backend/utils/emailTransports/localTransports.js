@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Email transport for tests: keeps sent emails in memory
+ */
+function createMemoryTransport() {
+    const sent = [];
+
+    return {
+        name: 'memory',
+        sent,
+
+        async send(emailData) {
+            const messageId = `<memory-${crypto.randomUUID()}@localhost>`;
+            sent.push({ messageId, ...emailData });
+            return { messageId };
+        }
+    };
+}
+
+/**
+ * Email transport for local development: writes each email to a JSON file
+ * and its HTML body alongside it, so it can be opened in a browser
+ */
+function createFileTransport({ directory = process.env.EMAIL_FILE_DIR || path.resolve(__dirname, '../../../logs/emails') } = {}) {
+    return {
+        name: 'file',
+
+        async send(emailData) {
+            const id = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}`;
+            await fs.mkdir(directory, { recursive: true });
+            await fs.writeFile(path.join(directory, `${id}.json`), JSON.stringify(emailData, null, 2));
+            if (emailData.htmlContent) {
+                await fs.writeFile(path.join(directory, `${id}.html`), emailData.htmlContent);
+            }
+            return { messageId: `<file-${id}@localhost>` };
+        }
+    };
+}
+
+module.exports = { createMemoryTransport, createFileTransport };
@@ -0,0 +1,40 @@
+const nodemailer = require('nodemailer');
+
+const formatAddress = ({ name, email }) => (name ? { name, address: email } : email);
+
+/**
+ * Email transport over SMTP, configured with SMTP_HOST, SMTP_PORT,
+ * SMTP_SECURE, SMTP_USER and SMTP_PASS
+ */
+function createSmtpTransport(env = process.env) {
+    const transporter = nodemailer.createTransport({
+        host: env.SMTP_HOST,
+        port: parseInt(env.SMTP_PORT, 10) || 587,
+        secure: env.SMTP_SECURE === 'true',
+        ...(env.SMTP_USER && { auth: { user: env.SMTP_USER, pass: env.SMTP_PASS } })
+    });
+
+    return {
+        name: 'smtp',
+
+        /**
+         * @param {Object} emailData - Email in Brevo's format (sender, to, subject, htmlContent, textContent)
+         */
+        async send(emailData) {
+            const info = await transporter.sendMail({
+                from: formatAddress(emailData.sender),
+                to: emailData.to.map(formatAddress),
+                subject: emailData.subject,
+                html: emailData.htmlContent,
+                text: emailData.textContent,
+                attachments: (emailData.attachment || []).map((file) => ({
+                    filename: file.name,
+                    content: Buffer.from(file.content, 'base64')
+                }))
+            });
+            return { messageId: info.messageId };
+        }
+    };
+}
+
+module.exports = { createSmtpTransport };
@@ -0,0 +1,257 @@
+const crypto = require('crypto');
+
+/**
+ * Envelope encryption for sensitive fields stored in DynamoDB.
+ *
+ * Each record gets a fresh random data key. Every designated field is sealed
+ * with AES-256-GCM under that data key, and the data key itself is sealed
+ * under a versioned master key from the key provider. The record carries the
+ * master key version, so old records stay readable after a key rotation.
+ */
+
+const ALGORITHM = 'aes-256-gcm';
+const ENVELOPE_ATTRIBUTE = '_encryption';
+
+// Customer data fields encrypted at rest; the rest (plan, gender, city, state) stay queryable
+const SENSITIVE_USER_FIELDS = [
+    'name',
+    'email',
+    'phone',
+    'dateOfBirth',
+    'aadharNumber',
+    'address',
+    'pincode',
+    'nomineeFullName',
+    'nomineeRelationship',
+    'nomineeGender',
+    'nomineeDateOfBirth'
+];
+
+/**
+ * Key provider reading master keys from the environment:
+ *   PII_ENCRYPTION_KEYS=v1:<base64 32-byte key>,v2:<base64 32-byte key>
+ *   PII_ACTIVE_KEY_VERSION=v2 (defaults to the last key listed)
+ */
+function createEnvKeyProvider(env = process.env) {
+    const keys = new Map();
+    (env.PII_ENCRYPTION_KEYS || '').split(',').filter(Boolean).forEach((entry) => {
+        const [version, encoded] = entry.trim().split(':');
+        const key = Buffer.from(encoded || '', 'base64');
+        if (key.length !== 32) {
+            throw new Error(`PII encryption key ${version} must be 32 bytes, base64 encoded`);
+        }
+        keys.set(version, key);
+    });
+
+    const activeVersion = env.PII_ACTIVE_KEY_VERSION || Array.from(keys.keys()).pop();
+
+    return {
+        async getActiveKey() {
+            if (!activeVersion || !keys.has(activeVersion)) {
+                throw new Error('PII_ENCRYPTION_KEYS environment variable is not set');
+            }
+            return { version: activeVersion, key: keys.get(activeVersion) };
+        },
+
+        async getKey(version) {
+            if (!keys.has(version)) {
+                throw new Error(`PII encryption key version ${version} is not configured`);
+            }
+            return keys.get(version);
+        }
+    };
+}
+
+// Built on first use, so a missing or malformed key only fails the calls that need it
+let keyProvider = null;
+
+function getKeyProvider() {
+    if (!keyProvider) {
+        keyProvider = createEnvKeyProvider();
+    }
+    return keyProvider;
+}
+
+/**
+ * Replace the key provider, e.g. with one backed by AWS KMS.
+ * A provider has `getActiveKey(): Promise<{ version, key }>` and `getKey(version): Promise<Buffer>`.
+ * @param {Object} provider
+ */
+function setKeyProvider(provider) {
+    keyProvider = provider;
+}
+
+// iv.tag.ciphertext, each base64url
+function seal(key, plaintext, aad) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    cipher.setAAD(Buffer.from(aad));
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return [iv, cipher.getAuthTag(), ciphertext].map((part) => part.toString('base64url')).join('.');
+}
+
+function open(key, sealed, aad) {
+    const [iv, tag, ciphertext] = sealed.split('.').map((part) => Buffer.from(part, 'base64url'));
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+    decipher.setAAD(Buffer.from(aad));
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+/**
+ * Encrypt the given fields of a record
+ * @param {Object} record - Plain object, e.g. `userData`
+ * @param {string[]} fields - Fields to encrypt
+ * @returns {Promise<Object>} A copy with the fields sealed and an envelope attribute added
+ */
+async function encryptFields(record, fields = SENSITIVE_USER_FIELDS) {
+    if (!record || record[ENVELOPE_ATTRIBUTE]) {
+        return record;
+    }
+
+    const present = fields.filter((field) => record[field] !== undefined && record[field] !== null);
+    if (present.length === 0) {
+        return { ...record };
+    }
+
+    const { version, key } = await getKeyProvider().getActiveKey();
+    const dataKey = crypto.randomBytes(32);
+    const encrypted = { ...record };
+
+    present.forEach((field) => {
+        encrypted[field] = seal(dataKey, Buffer.from(JSON.stringify(record[field])), field);
+    });
+    encrypted[ENVELOPE_ATTRIBUTE] = {
+        keyVersion: version,
+        wrappedKey: seal(key, dataKey, version),
+        fields: present
+    };
+
+    return encrypted;
+}
+
+/**
+ * Decrypt a record produced by encryptFields. Records without an envelope
+ * (written before encryption was introduced) are returned unchanged.
+ * @param {Object} record
+ * @returns {Promise<Object>}
+ */
+async function decryptFields(record) {
+    if (!record || !record[ENVELOPE_ATTRIBUTE]) {
+        return record;
+    }
+
+    const { keyVersion, wrappedKey, fields } = record[ENVELOPE_ATTRIBUTE];
+    const masterKey = await getKeyProvider().getKey(keyVersion);
+    const dataKey = open(masterKey, wrappedKey, keyVersion);
+
+    const decrypted = { ...record };
+    delete decrypted[ENVELOPE_ATTRIBUTE];
+    fields.forEach((field) => {
+        decrypted[field] = JSON.parse(open(dataKey, record[field], field).toString('utf8'));
+    });
+
+    return decrypted;
+}
+
+/**
+ * Re-wrap a record's data key under the active master key.
+ * Rotation only touches the envelope; the field ciphertexts stay as they are.
+ * @param {Object} record - Encrypted record
+ * @returns {Promise<Object>}
+ */
+async function rewrapFields(record) {
+    if (!record || !record[ENVELOPE_ATTRIBUTE]) {
+        return record;
+    }
+
+    const envelope = await rewrapEnvelope(record[ENVELOPE_ATTRIBUTE]);
+    return envelope === record[ENVELOPE_ATTRIBUTE] ? record : { ...record, [ENVELOPE_ATTRIBUTE]: envelope };
+}
+
+/**
+ * Re-wrap the data key of an envelope (from encryptFields or encryptBuffer)
+ * under the active master key
+ * @param {{ keyVersion: string, wrappedKey: string }} envelope
+ * @returns {Promise<Object>} The same envelope if it already uses the active key
+ */
+async function rewrapEnvelope(envelope) {
+    const { version, key } = await getKeyProvider().getActiveKey();
+    if (envelope.keyVersion === version) {
+        return envelope;
+    }
+
+    const oldKey = await getKeyProvider().getKey(envelope.keyVersion);
+    const dataKey = open(oldKey, envelope.wrappedKey, envelope.keyVersion);
+    return { ...envelope, keyVersion: version, wrappedKey: seal(key, dataKey, version) };
+}
+
+/**
+ * Encrypt a file body (e.g. an uploaded document) under a fresh data key
+ * @param {Buffer} body
+ * @param {string} aad - Bound to the ciphertext, e.g. the storage key, so it cannot be swapped for another file
+ * @returns {Promise<{ body: Buffer, envelope: { keyVersion: string, wrappedKey: string } }>}
+ */
+async function encryptBuffer(body, aad) {
+    const { version, key } = await getKeyProvider().getActiveKey();
+    const dataKey = crypto.randomBytes(32);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, dataKey, iv);
+    cipher.setAAD(Buffer.from(aad));
+    const ciphertext = Buffer.concat([cipher.update(body), cipher.final()]);
+
+    return {
+        // iv (12 bytes), tag (16 bytes), then the ciphertext
+        body: Buffer.concat([iv, cipher.getAuthTag(), ciphertext]),
+        envelope: { keyVersion: version, wrappedKey: seal(key, dataKey, version) }
+    };
+}
+
+/**
+ * Decrypt a file body produced by encryptBuffer
+ * @param {Buffer} body
+ * @param {{ keyVersion: string, wrappedKey: string }} envelope
+ * @param {string} aad - Same value given to encryptBuffer
+ * @returns {Promise<Buffer>}
+ */
+async function decryptBuffer(body, { keyVersion, wrappedKey }, aad) {
+    const masterKey = await getKeyProvider().getKey(keyVersion);
+    const dataKey = open(masterKey, wrappedKey, keyVersion);
+    const decipher = crypto.createDecipheriv(ALGORITHM, dataKey, body.subarray(0, 12));
+    decipher.setAAD(Buffer.from(aad));
+    decipher.setAuthTag(body.subarray(12, 28));
+    return Buffer.concat([decipher.update(body.subarray(28)), decipher.final()]);
+}
+
+/**
+ * Keyed hash (blind index) of a value, so records can be looked up by it
+ * without storing the plaintext. Uses PII_BLIND_INDEX_KEY (base64).
+ * @param {string} purpose - Namespace, so equal values in different fields hash differently
+ * @param {string} value - Already normalized value
+ */
+function blindIndex(purpose, value) {
+    if (!process.env.PII_BLIND_INDEX_KEY) {
+        throw new Error('PII_BLIND_INDEX_KEY environment variable is not set');
+    }
+    return crypto
+        .createHmac('sha256', Buffer.from(process.env.PII_BLIND_INDEX_KEY, 'base64'))
+        .update(`${purpose}:${value}`)
+        .digest('hex');
+}
+
+const emailBlindIndex = (email) => blindIndex('email', String(email).trim().toLowerCase());
+const phoneBlindIndex = (phone) => blindIndex('phone', String(phone).replace(/\D/g, '').slice(-10));
+
+module.exports = {
+    SENSITIVE_USER_FIELDS,
+    createEnvKeyProvider,
+    setKeyProvider,
+    encryptFields,
+    decryptFields,
+    rewrapFields,
+    rewrapEnvelope,
+    encryptBuffer,
+    decryptBuffer,
+    emailBlindIndex,
+    phoneBlindIndex
+};
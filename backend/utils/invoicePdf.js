@@ -0,0 +1,107 @@
+const PDFDocument = require('pdfkit');
+
+const { formatPdfAmount, formatPdfDate, pdfToBuffer } = require('./pdf');
+
+function drawRow(doc, y, cells, { bold = false } = {}) {
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    cells.forEach(({ text, x, width, align = 'left' }) => {
+        doc.text(text, x, y, { width, align });
+    });
+}
+
+/**
+ * Render a GST tax invoice
+ * @param {Object} invoice - Invoice stored on the policy (see invoiceService)
+ * @param {Object} customer - Decrypted customer data (name, address, city, state, pincode)
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+function renderInvoicePdf(invoice, customer) {
+    const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `Tax Invoice ${invoice.invoiceNumber}` } });
+    const left = 50;
+    const right = 545;
+
+    doc.font('Helvetica-Bold').fontSize(18).text('TAX INVOICE', left, 50, { align: 'center' });
+
+    // Seller
+    doc.moveDown(1.5).font('Helvetica-Bold').fontSize(11).text(invoice.seller.name, left);
+    doc.font('Helvetica').fontSize(9);
+    if (invoice.seller.address) {
+        doc.text(invoice.seller.address);
+    }
+    doc.text(`GSTIN: ${invoice.seller.gstin || 'N/A'}`);
+    doc.text(`State: ${invoice.seller.state} (${invoice.seller.stateCode})`);
+
+    // Invoice details, top right
+    const detailsTop = 90;
+    doc.font('Helvetica').fontSize(9);
+    doc.text(`Invoice No: ${invoice.invoiceNumber}`, 350, detailsTop, { width: right - 350, align: 'right' });
+    doc.text(`Invoice Date: ${formatPdfDate(invoice.invoiceDate)}`, { width: right - 350, align: 'right' });
+    doc.text(`Place of Supply: ${invoice.placeOfSupply.state} (${invoice.placeOfSupply.stateCode})`, { width: right - 350, align: 'right' });
+
+    // Buyer
+    doc.moveDown(3);
+    doc.font('Helvetica-Bold').fontSize(10).text('Bill To', left);
+    doc.font('Helvetica').fontSize(9);
+    doc.text(customer.name || '');
+    if (customer.address) {
+        doc.text(customer.address);
+    }
+    doc.text([customer.city, customer.state].filter(Boolean).join(', ') + (customer.pincode ? ` - ${customer.pincode}` : ''));
+
+    // Line item
+    const columns = {
+        description: { x: left, width: 230 },
+        sac: { x: 285, width: 60 },
+        rate: { x: 345, width: 60, align: 'right' },
+        amount: { x: 405, width: right - 405, align: 'right' }
+    };
+    let y = doc.y + 25;
+    doc.moveTo(left, y - 5).lineTo(right, y - 5).stroke();
+    drawRow(doc, y, [
+        { text: 'Description', ...columns.description },
+        { text: 'SAC', ...columns.sac },
+        { text: 'GST Rate', ...columns.rate },
+        { text: 'Taxable Value', ...columns.amount }
+    ], { bold: true });
+    y += 18;
+    doc.moveTo(left, y - 5).lineTo(right, y - 5).stroke();
+    drawRow(doc, y, [
+        { text: invoice.description, ...columns.description },
+        { text: invoice.sacCode, ...columns.sac },
+        { text: `${invoice.gstRate}%`, ...columns.rate },
+        { text: formatPdfAmount(invoice.taxableValue), ...columns.amount }
+    ]);
+    y = Math.max(doc.y, y + 12) + 10;
+    doc.moveTo(left, y - 5).lineTo(right, y - 5).stroke();
+
+    // Tax split and total
+    const taxLines = invoice.intraState
+        ? [[`CGST @ ${invoice.gstRate / 2}%`, invoice.cgst], [`SGST @ ${invoice.gstRate / 2}%`, invoice.sgst]]
+        : [[`IGST @ ${invoice.gstRate}%`, invoice.igst]];
+    [['Taxable Value', invoice.taxableValue], ...taxLines].forEach(([label, value]) => {
+        drawRow(doc, y, [
+            { text: label, x: 285, width: 120 },
+            { text: formatPdfAmount(value), ...columns.amount }
+        ]);
+        y += 15;
+    });
+    doc.moveTo(285, y - 3).lineTo(right, y - 3).stroke();
+    drawRow(doc, y + 2, [
+        { text: 'Total (GST inclusive)', x: 285, width: 120 },
+        { text: formatPdfAmount(invoice.total), ...columns.amount }
+    ], { bold: true });
+
+    // Payment reference
+    doc.font('Helvetica').fontSize(9).text(`Payment Reference: ${invoice.paymentId}`, left, y + 40);
+    if (invoice.orderId) {
+        doc.text(`Order Reference: ${invoice.orderId}`);
+    }
+    doc.text('Payment Status: Paid');
+
+    doc.moveDown(3).fontSize(8).fillColor('#666666')
+        .text('This is a computer-generated invoice and does not require a signature.', left, doc.y, { align: 'center' });
+
+    return pdfToBuffer(doc);
+}
+
+module.exports = { renderInvoicePdf };
@@ -0,0 +1,17 @@
+const { redact } = require('./redaction');
+
+/**
+ * Console logger that runs every argument through redact(), so customer
+ * PII (Aadhaar, phone, email, ...) never reaches the log output in full
+ */
+const wrap = (method) => (...args) => console[method](...args.map(redact));
+
+const logger = {
+    debug: wrap('debug'),
+    info: wrap('info'),
+    log: wrap('log'),
+    warn: wrap('warn'),
+    error: wrap('error')
+};
+
+module.exports = logger;
@@ -0,0 +1,12 @@
+/**
+ * Amounts are handled in paise throughout, as Razorpay does; these helpers
+ * are only for display.
+ */
+
+/**
+ * @param {number} paise
+ * @returns {string} Rupees with two decimals, e.g. `999.00`
+ */
+const formatRupees = (paise) => (paise / 100).toFixed(2);
+
+module.exports = { formatRupees };
@@ -0,0 +1,40 @@
+/**
+ * Helpers shared by the PDFKit document renderers
+ */
+
+const { formatRupees } = require('./money');
+
+// The standard PDF fonts have no rupee glyph, so amounts are labelled INR
+const formatPdfAmount = (paise) => `INR ${formatRupees(paise)}`;
+
+/**
+ * Date as printed on documents, e.g. 19 Oct 2026, in Indian time
+ * @param {string} isoDate
+ */
+const formatPdfDate = (isoDate) => new Date(isoDate).toLocaleDateString('en-IN', {
+    timeZone: 'Asia/Kolkata',
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric'
+});
+
+/**
+ * End a PDFKit document and collect it into a buffer
+ * @param {PDFDocument} doc
+ * @returns {Promise<Buffer>}
+ */
+function pdfToBuffer(doc) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        doc.on('data', (chunk) => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+        doc.end();
+    });
+}
+
+module.exports = {
+    formatPdfAmount,
+    formatPdfDate,
+    pdfToBuffer
+};
@@ -0,0 +1,127 @@
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+
+const { emailConfig } = require('../config/email');
+const { maskAadhaar } = require('./redaction');
+const { formatPdfAmount, formatPdfDate, pdfToBuffer } = require('./pdf');
+
+const LEFT = 50;
+const RIGHT = 545;
+const QR_SIZE = 90;
+
+function drawSectionTitle(doc, title) {
+    doc.moveDown(1.2);
+    doc.font('Helvetica-Bold').fontSize(11).fillColor(emailConfig.brand.primaryColor).text(title, LEFT);
+    doc.moveTo(LEFT, doc.y + 2).lineTo(RIGHT, doc.y + 2).strokeColor('#DDDDDD').stroke();
+    doc.moveDown(0.5).fillColor('#000000');
+}
+
+// Label/value pairs, two per line
+function drawFields(doc, fields) {
+    const columnWidth = (RIGHT - LEFT) / 2;
+    const shown = fields.filter(([, value]) => value);
+
+    for (let i = 0; i < shown.length; i += 2) {
+        const y = doc.y;
+        let bottom = y;
+        shown.slice(i, i + 2).forEach(([label, value], column) => {
+            const x = LEFT + column * columnWidth;
+            doc.font('Helvetica').fontSize(8).fillColor('#666666').text(label, x, y, { width: columnWidth - 10 });
+            doc.font('Helvetica').fontSize(10).fillColor('#000000').text(String(value), x, doc.y, { width: columnWidth - 10 });
+            bottom = Math.max(bottom, doc.y);
+        });
+        doc.y = bottom + 6;
+    }
+}
+
+function policyPeriod(policy, plan) {
+    if (policy.coverageStartDate && policy.coverageEndDate) {
+        return `${formatPdfDate(policy.coverageStartDate)} to ${formatPdfDate(policy.coverageEndDate)} (both days inclusive)`;
+    }
+    const months = plan?.validityMonths || 12;
+    return `${months} months from the date of activation`;
+}
+
+/**
+ * Render the policy schedule sent to the customer when a policy is issued
+ * @param {Object} policy - Stored policy with decrypted userData
+ * @param {{ plan?: Object, verificationUrl: string, issuedAt: string }} options
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+async function renderPolicyDocumentPdf(policy, { plan, verificationUrl, issuedAt }) {
+    const { brand, support } = emailConfig;
+    const userData = policy.userData || {};
+    const qrCode = await QRCode.toBuffer(verificationUrl, { type: 'png', margin: 1, width: QR_SIZE * 3 });
+
+    const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `Policy Schedule ${policy.policyId}` } });
+
+    // Header band
+    doc.rect(0, 0, doc.page.width, 110).fill(brand.primaryColor);
+    doc.fillColor('#FFFFFF').font('Helvetica-Bold').fontSize(22).text(brand.name, LEFT, 35);
+    doc.font('Helvetica').fontSize(10).text(`In partnership with ${brand.partner}`, LEFT, doc.y + 2);
+    doc.font('Helvetica-Bold').fontSize(14).text('POLICY SCHEDULE', LEFT, 40, { width: RIGHT - LEFT, align: 'right' });
+
+    // Verification QR code, top right below the band
+    doc.image(qrCode, RIGHT - QR_SIZE, 125, { width: QR_SIZE });
+    doc.fillColor('#666666').font('Helvetica').fontSize(7)
+        .text('Scan to verify this policy', RIGHT - QR_SIZE - 10, 125 + QR_SIZE + 3, { width: QR_SIZE + 20, align: 'center' });
+
+    doc.fillColor('#000000').font('Helvetica-Bold').fontSize(12).text(`Policy Number: ${policy.policyId}`, LEFT, 130);
+    doc.font('Helvetica').fontSize(10);
+    if (policy.insurerPolicyNumber) {
+        doc.text(`Insurer Policy Number: ${policy.insurerPolicyNumber}`);
+    }
+    doc.text(`Plan: ${plan?.name || policy.planType}`);
+    doc.text(`Date of Issue: ${formatPdfDate(issuedAt)}`);
+    doc.text(`Policy Period: ${policyPeriod(policy, plan)}`, { width: RIGHT - LEFT - QR_SIZE - 20 });
+    if (policy.amount !== undefined) {
+        doc.text(`Premium Paid: ${formatPdfAmount(policy.amount)} (inclusive of GST)`);
+    }
+    doc.y = Math.max(doc.y, 125 + QR_SIZE + 15);
+
+    drawSectionTitle(doc, 'Insured Person');
+    drawFields(doc, [
+        ['Name', userData.name],
+        ['Date of Birth', userData.dateOfBirth],
+        ['Gender', userData.gender],
+        ['Aadhaar', maskAadhaar(userData.aadharNumber)],
+        ['Email', userData.email],
+        ['Phone', userData.phone],
+        ['Address', [userData.address, userData.city, userData.state].filter(Boolean).join(', ') + (userData.pincode ? ` - ${userData.pincode}` : '')]
+    ]);
+
+    drawSectionTitle(doc, 'Nominee');
+    drawFields(doc, [
+        ['Name', userData.nomineeFullName],
+        ['Relationship', userData.nomineeRelationship],
+        ['Gender', userData.nomineeGender],
+        ['Date of Birth', userData.nomineeDateOfBirth]
+    ]);
+
+    if (plan?.coverage?.length) {
+        drawSectionTitle(doc, 'Coverage');
+        doc.font('Helvetica-Bold').fontSize(9);
+        let y = doc.y;
+        doc.text('Benefit', LEFT, y);
+        doc.text('Sum Insured', 350, y, { width: RIGHT - 350, align: 'right' });
+        doc.font('Helvetica').fontSize(10);
+        plan.coverage.forEach((benefit) => {
+            y = doc.y + 4;
+            doc.text(benefit.name, LEFT, y, { width: 290 });
+            doc.text(formatPdfAmount(benefit.sumInsured), 350, y, { width: RIGHT - 350, align: 'right' });
+        });
+    }
+
+    // Footer
+    doc.fillColor('#666666').font('Helvetica').fontSize(8);
+    doc.text(
+        'This schedule forms part of the policy and must be read together with the policy wording. '
+        + `For claims or questions contact ${support.email} or ${support.phone} (${support.hours.en}).`,
+        LEFT, 740, { width: RIGHT - LEFT, align: 'center' }
+    );
+    doc.text(`${brand.name} · ${brand.websiteUrl}`, { width: RIGHT - LEFT, align: 'center' });
+
+    return pdfToBuffer(doc);
+}
+
+module.exports = { renderPolicyDocumentPdf };
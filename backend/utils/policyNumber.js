@@ -0,0 +1,93 @@
+const { nextCounterValue } = require('../models/Counter');
+const { getPlan } = require('../config/plans');
+
+/**
+ * Policy numbers look like `SSST260000042K`:
+ *   SS      - Student Shield
+ *   ST      - plan code (`policyCode` in the plan catalog)
+ *   26      - two-digit year of issue
+ *   0000042 - per plan, per year sequence from an atomic DynamoDB counter
+ *   K       - Luhn mod 36 check character over everything before it
+ * The check character lets support reject a mistyped number without a lookup.
+ */
+const PREFIX = 'SS';
+const SEQUENCE_DIGITS = 7;
+const ALPHABET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+const POLICY_NUMBER_PATTERN = /^SS[A-Z]{2}\d{2}\d{7,}[0-9A-Z]$/;
+// Numbers issued before check characters were introduced, e.g. SSST12345678
+const LEGACY_POLICY_NUMBER_PATTERN = /^SSST\d{8}$/;
+
+/**
+ * Compute the Luhn mod 36 check character for a string of [0-9A-Z]
+ * @param {string} body
+ * @returns {string}
+ */
+function computeCheckCharacter(body) {
+    const n = ALPHABET.length;
+    let factor = 2;
+    let sum = 0;
+
+    for (let i = body.length - 1; i >= 0; i--) {
+        const codePoint = ALPHABET.indexOf(body[i]);
+        let addend = factor * codePoint;
+        factor = factor === 2 ? 1 : 2;
+        addend = Math.floor(addend / n) + (addend % n);
+        sum += addend;
+    }
+
+    return ALPHABET[(n - (sum % n)) % n];
+}
+
+/**
+ * Uppercase and strip spaces/dashes so numbers read over the phone still match
+ * @param {string} policyNumber
+ */
+function normalizePolicyNumber(policyNumber) {
+    return String(policyNumber || '').toUpperCase().replace(/[\s-]/g, '');
+}
+
+/**
+ * Check that a policy number is well formed and its check character matches
+ * @param {string} policyNumber
+ * @param {{ allowLegacy?: boolean }} options
+ * @returns {boolean}
+ */
+function isValidPolicyNumber(policyNumber, options = {}) {
+    const normalized = normalizePolicyNumber(policyNumber);
+
+    if (options.allowLegacy && LEGACY_POLICY_NUMBER_PATTERN.test(normalized)) {
+        return true;
+    }
+    if (!POLICY_NUMBER_PATTERN.test(normalized)) {
+        return false;
+    }
+
+    const body = normalized.slice(0, -1);
+    return computeCheckCharacter(body) === normalized.slice(-1);
+}
+
+/**
+ * Generate the next policy number for a plan
+ * @param {string} planType - Plan ID, e.g. `student-shield`
+ * @param {Date} date - Issue date, used for the year segment
+ * @returns {Promise<string>}
+ */
+async function generatePolicyNumber(planType, date = new Date()) {
+    const planCode = getPlan(planType)?.policyCode;
+    if (!planCode) {
+        throw new Error(`No policy number prefix configured for plan type: ${planType}`);
+    }
+
+    const year = String(date.getUTCFullYear()).slice(-2);
+    const sequence = await nextCounterValue(`policy#${planCode}#${year}`);
+
+    const body = `${PREFIX}${planCode}${year}${String(sequence).padStart(SEQUENCE_DIGITS, '0')}`;
+    return body + computeCheckCharacter(body);
+}
+
+module.exports = {
+    generatePolicyNumber,
+    isValidPolicyNumber,
+    normalizePolicyNumber
+};
@@ -0,0 +1,179 @@
+/**
+ * Masking helpers for showing customer data without exposing it in full,
+ * and redaction of sensitive fields in anything that gets logged
+ */
+
+// Field names (matched at any depth) or dotted paths (matched from the root)
+// that are masked by redact(). Extend with REDACT_FIELDS=field,a.b.path
+const DEFAULT_SENSITIVE_PATHS = [
+    'aadharNumber',
+    'aadhaarNumber',
+    'phone',
+    'email',
+    'customerEmail',
+    'userEmail',
+    'dateOfBirth',
+    'address',
+    'pincode',
+    'nomineeFullName',
+    'nomineeDateOfBirth',
+    'razorpay_signature'
+];
+
+// 12 digits, optionally grouped 4-4-4, not part of a longer number
+const AADHAAR_PATTERN = /(?<!\d)\d{4}[ -]?\d{4}[ -]?\d{4}(?!\d)/g;
+
+/**
+ * Mask an Aadhaar number down to its last 4 digits, e.g. XXXX XXXX 1234
+ * @param {string} aadharNumber
+ */
+function maskAadhaar(aadharNumber) {
+    if (!aadharNumber) {
+        return aadharNumber;
+    }
+    const digits = String(aadharNumber).replace(/\D/g, '');
+    return `XXXX XXXX ${digits.slice(-4)}`;
+}
+
+/**
+ * Mask a phone number, keeping the first 2 and last 2 digits, e.g. 98XXXXXX10
+ * @param {string} phone
+ */
+function maskPhone(phone) {
+    if (!phone) {
+        return phone;
+    }
+    const digits = String(phone).replace(/\D/g, '');
+    if (digits.length < 6) {
+        return 'X'.repeat(digits.length);
+    }
+    return digits.slice(0, 2) + 'X'.repeat(digits.length - 4) + digits.slice(-2);
+}
+
+/**
+ * Mask the local part of an email address, e.g. r***i@example.com
+ * @param {string} email
+ */
+function maskEmail(email) {
+    if (!email) {
+        return email;
+    }
+    const [local, domain] = String(email).split('@');
+    if (!domain) {
+        return '***';
+    }
+    const masked = local.length <= 2 ? `${local[0]}***` : `${local[0]}***${local.slice(-1)}`;
+    return `${masked}@${domain}`;
+}
+
+/**
+ * Mask a person's name to initials after the first name, e.g. Ravi K.
+ * @param {string} name
+ */
+function maskName(name) {
+    if (!name) {
+        return name;
+    }
+    const [first, ...rest] = String(name).trim().split(/\s+/);
+    return [first, ...rest.map((part) => `${part[0]}.`)].join(' ');
+}
+
+/**
+ * Mask any Aadhaar-like 12-digit number inside free text
+ * @param {string} text
+ */
+function redactText(text) {
+    return String(text).replace(AADHAAR_PATTERN, (match) => maskAadhaar(match));
+}
+
+let sensitivePaths = [
+    ...DEFAULT_SENSITIVE_PATHS,
+    ...(process.env.REDACT_FIELDS || '').split(',').map((path) => path.trim()).filter(Boolean)
+];
+
+/**
+ * Replace the list of sensitive field names/paths used by redact()
+ * @param {string[]} paths
+ */
+function setSensitivePaths(paths) {
+    sensitivePaths = [...paths];
+}
+
+function isSensitive(key, path) {
+    return sensitivePaths.some((entry) => (entry.includes('.') ? entry === path : entry === key));
+}
+
+// Mask a sensitive value in the way that still helps when reading logs
+function maskValue(key, value) {
+    if (value === undefined || value === null || value === '') {
+        return value;
+    }
+    const lowerKey = key.toLowerCase();
+    if (lowerKey.includes('aadha')) return maskAadhaar(value);
+    if (lowerKey.includes('phone')) return maskPhone(value);
+    if (lowerKey.includes('email')) return maskEmail(value);
+    return '[REDACTED]';
+}
+
+/**
+ * Deep-copy a value with sensitive fields masked and Aadhaar-like numbers
+ * removed from all strings. Safe to call on anything passed to a logger.
+ * @param {*} value
+ * @returns {*}
+ */
+function redact(value) {
+    const seen = new WeakSet();
+
+    const walk = (current, key, path) => {
+        if (key && isSensitive(key, path) && (current === null || typeof current !== 'object')) {
+            return maskValue(key, current);
+        }
+        if (typeof current === 'string') {
+            return redactText(current);
+        }
+        if (typeof current === 'number' && Number.isInteger(current) && String(current).length === 12) {
+            return maskAadhaar(current);
+        }
+        if (current === null || typeof current !== 'object') {
+            return current;
+        }
+        if (Buffer.isBuffer(current)) {
+            return `[Buffer ${current.length} bytes]`;
+        }
+        if (seen.has(current)) {
+            return '[Circular]';
+        }
+        seen.add(current);
+
+        if (current instanceof Error) {
+            return {
+                name: current.name,
+                message: redactText(current.message),
+                ...(current.code && { code: current.code }),
+                ...(current.stack && { stack: redactText(current.stack) })
+            };
+        }
+        if (Array.isArray(current)) {
+            return current.map((item) => walk(item, key, path));
+        }
+
+        const result = {};
+        Object.entries(current).forEach(([childKey, childValue]) => {
+            const childPath = path ? `${path}.${childKey}` : childKey;
+            result[childKey] = walk(childValue, childKey, childPath);
+        });
+        return result;
+    };
+
+    return walk(value, '', '');
+}
+
+module.exports = {
+    redact,
+    redactText,
+    setSensitivePaths,
+    maskAadhaar,
+    maskPhone,
+    maskEmail,
+    maskName
+};
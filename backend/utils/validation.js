@@ -0,0 +1,316 @@
+/**
+ * Validation for customer data (`user_data`) submitted with a purchase.
+ * Returns per-field errors instead of throwing, so any endpoint that accepts
+ * customer data can reuse it and answer with a structured 400.
+ */
+
+const { SUPPORTED_LANGUAGES } = require('../config/email');
+
+const INDIAN_STATES_AND_UTS = [
+    // States
+    'Andhra Pradesh', 'Arunachal Pradesh', 'Assam', 'Bihar', 'Chhattisgarh', 'Goa', 'Gujarat',
+    'Haryana', 'Himachal Pradesh', 'Jharkhand', 'Karnataka', 'Kerala', 'Madhya Pradesh',
+    'Maharashtra', 'Manipur', 'Meghalaya', 'Mizoram', 'Nagaland', 'Odisha', 'Punjab',
+    'Rajasthan', 'Sikkim', 'Tamil Nadu', 'Telangana', 'Tripura', 'Uttar Pradesh',
+    'Uttarakhand', 'West Bengal',
+    // Union territories
+    'Andaman and Nicobar Islands', 'Chandigarh', 'Dadra and Nagar Haveli and Daman and Diu',
+    'Delhi', 'Jammu and Kashmir', 'Ladakh', 'Lakshadweep', 'Puducherry'
+];
+
+const NOMINEE_RELATIONSHIPS = [
+    'Father', 'Mother', 'Spouse', 'Brother', 'Sister', 'Son', 'Daughter',
+    'Guardian', 'Grandfather', 'Grandmother'
+];
+
+const GENDERS = ['Male', 'Female', 'Other'];
+
+// Verhoeff checksum tables, used by UIDAI for the last digit of an Aadhaar number
+const VERHOEFF_D = [
+    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+    [1, 2, 3, 4, 0, 6, 7, 8, 9, 5],
+    [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+    [3, 4, 0, 1, 2, 8, 9, 5, 6, 7],
+    [4, 0, 1, 2, 3, 9, 5, 6, 7, 8],
+    [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+    [6, 5, 9, 8, 7, 1, 0, 4, 3, 2],
+    [7, 6, 5, 9, 8, 2, 1, 0, 4, 3],
+    [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+    [9, 8, 7, 6, 5, 4, 3, 2, 1, 0]
+];
+const VERHOEFF_P = [
+    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+    [1, 5, 7, 6, 2, 8, 3, 0, 9, 4],
+    [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+    [8, 9, 1, 6, 0, 4, 3, 5, 2, 7],
+    [9, 4, 5, 3, 1, 2, 6, 8, 7, 0],
+    [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+    [2, 7, 9, 3, 8, 0, 6, 4, 1, 5],
+    [7, 0, 4, 6, 9, 1, 3, 2, 5, 8]
+];
+
+const EMAIL_PATTERN = /^[A-Za-z0-9.!#$%&'*+/=?^_`{|}~-]+@[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?(?:\.[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?)+$/;
+const NAME_PATTERN = /^[A-Za-z][A-Za-z .'-]*$/;
+
+/**
+ * Validate a number string with the Verhoeff algorithm
+ * @param {string} digits
+ * @returns {boolean}
+ */
+function verhoeffCheck(digits) {
+    let c = 0;
+    const reversed = digits.split('').reverse();
+    for (let i = 0; i < reversed.length; i++) {
+        c = VERHOEFF_D[c][VERHOEFF_P[i % 8][parseInt(reversed[i], 10)]];
+    }
+    return c === 0;
+}
+
+const normalizeKey = (value) => value.toLowerCase().replace(/&/g, 'and').replace(/\s+/g, ' ').trim();
+
+const STATE_LOOKUP = new Map(INDIAN_STATES_AND_UTS.map((state) => [normalizeKey(state), state]));
+const RELATIONSHIP_LOOKUP = new Map(NOMINEE_RELATIONSHIPS.map((rel) => [rel.toLowerCase(), rel]));
+const GENDER_LOOKUP = new Map(GENDERS.map((gender) => [gender.toLowerCase(), gender]));
+
+/**
+ * Parse a date given as YYYY-MM-DD, DD-MM-YYYY or DD/MM/YYYY
+ * @param {string} value
+ * @returns {string|null} ISO date (YYYY-MM-DD), or null when invalid
+ */
+function parseDate(value) {
+    if (typeof value !== 'string') {
+        return null;
+    }
+
+    let match = value.trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    let year, month, day;
+    if (match) {
+        [, year, month, day] = match;
+    } else {
+        match = value.trim().match(/^(\d{2})[-/](\d{2})[-/](\d{4})$/);
+        if (!match) {
+            return null;
+        }
+        [, day, month, year] = match;
+    }
+
+    const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+    if (date.getUTCFullYear() !== Number(year) || date.getUTCMonth() !== Number(month) - 1 || date.getUTCDate() !== Number(day)) {
+        return null;
+    }
+    return `${year}-${month}-${day}`;
+}
+
+/**
+ * Age in completed years on a given date
+ * @param {string} isoDate - Date of birth (YYYY-MM-DD)
+ * @param {Date} onDate
+ */
+function ageOn(isoDate, onDate = new Date()) {
+    const [year, month, day] = isoDate.split('-').map(Number);
+    let age = onDate.getUTCFullYear() - year;
+    const beforeBirthday = onDate.getUTCMonth() + 1 < month
+        || (onDate.getUTCMonth() + 1 === month && onDate.getUTCDate() < day);
+    if (beforeBirthday) {
+        age--;
+    }
+    return age;
+}
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+/**
+ * Validate and normalize customer data.
+ * Unknown fields are dropped so only validated values are stored or emailed.
+ * @param {Object} data - Raw `user_data` from the request
+ * @param {{ eligibility?: { minAge: number, maxAge: number }, now?: Date }} options
+ *   `eligibility` is the age range of the plan being bought, from the plan catalog
+ * @returns {{ valid: boolean, errors: Array<{ field: string, message: string }>, value: Object }}
+ */
+function validateCustomerData(data, options = {}) {
+    const errors = [];
+    const value = {};
+    const now = options.now || new Date();
+    const addError = (field, message) => errors.push({ field, message });
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { valid: false, errors: [{ field: 'user_data', message: 'Customer data must be an object' }], value };
+    }
+
+    const requireString = (field, label) => {
+        if (isBlank(data[field])) {
+            addError(field, `${label} is required`);
+            return null;
+        }
+        if (typeof data[field] !== 'string') {
+            addError(field, `${label} must be a string`);
+            return null;
+        }
+        return data[field].trim().replace(/\s+/g, ' ');
+    };
+
+    const validateName = (field, label) => {
+        const name = requireString(field, label);
+        if (name === null) return;
+        if (name.length < 2 || name.length > 100 || !NAME_PATTERN.test(name)) {
+            addError(field, `${label} must be 2-100 letters`);
+            return;
+        }
+        value[field] = name;
+    };
+
+    const validateGender = (field, label) => {
+        const gender = requireString(field, label);
+        if (gender === null) return;
+        const canonical = GENDER_LOOKUP.get(gender.toLowerCase());
+        if (!canonical) {
+            addError(field, `${label} must be one of: ${GENDERS.join(', ')}`);
+            return;
+        }
+        value[field] = canonical;
+    };
+
+    const validatePastDate = (field, label) => {
+        const raw = requireString(field, label);
+        if (raw === null) return null;
+        const isoDate = parseDate(raw);
+        if (!isoDate) {
+            addError(field, `${label} must be a valid date (YYYY-MM-DD)`);
+            return null;
+        }
+        if (new Date(`${isoDate}T00:00:00Z`) > now) {
+            addError(field, `${label} cannot be in the future`);
+            return null;
+        }
+        value[field] = isoDate;
+        return isoDate;
+    };
+
+    // Insured person
+    validateName('name', 'Name');
+
+    const email = requireString('email', 'Email');
+    if (email !== null) {
+        if (email.length > 254 || !EMAIL_PATTERN.test(email)) {
+            addError('email', 'Email must be a valid email address');
+        } else {
+            value.email = email.toLowerCase();
+        }
+    }
+
+    const phone = requireString('phone', 'Phone');
+    if (phone !== null) {
+        const digits = phone.replace(/[\s-]/g, '').replace(/^(\+91|91|0)(?=\d{10}$)/, '');
+        if (!/^[6-9]\d{9}$/.test(digits)) {
+            addError('phone', 'Phone must be a 10-digit Indian mobile number');
+        } else {
+            value.phone = digits;
+        }
+    }
+
+    validateGender('gender', 'Gender');
+
+    const dateOfBirth = validatePastDate('dateOfBirth', 'Date of birth');
+    if (dateOfBirth) {
+        const limits = options.eligibility;
+        if (limits) {
+            const age = ageOn(dateOfBirth, now);
+            if (age < limits.minAge || age > limits.maxAge) {
+                addError('dateOfBirth', `Insured must be between ${limits.minAge} and ${limits.maxAge} years old for this plan`);
+                delete value.dateOfBirth;
+            }
+        }
+    }
+
+    const aadharNumber = requireString('aadharNumber', 'Aadhaar number');
+    if (aadharNumber !== null) {
+        const digits = aadharNumber.replace(/[\s-]/g, '');
+        // Aadhaar numbers are 12 digits, never start with 0 or 1, and end in a Verhoeff check digit
+        if (!/^[2-9]\d{11}$/.test(digits) || !verhoeffCheck(digits)) {
+            addError('aadharNumber', 'Aadhaar number must be a valid 12-digit number');
+        } else {
+            value.aadharNumber = digits;
+        }
+    }
+
+    // Address
+    const address = requireString('address', 'Address');
+    if (address !== null) {
+        if (address.length < 5 || address.length > 300) {
+            addError('address', 'Address must be 5-300 characters');
+        } else {
+            value.address = address;
+        }
+    }
+
+    const city = requireString('city', 'City');
+    if (city !== null) {
+        if (city.length < 2 || city.length > 100) {
+            addError('city', 'City must be 2-100 characters');
+        } else {
+            value.city = city;
+        }
+    }
+
+    const state = requireString('state', 'State');
+    if (state !== null) {
+        const canonical = STATE_LOOKUP.get(normalizeKey(state));
+        if (!canonical) {
+            addError('state', 'State must be an Indian state or union territory');
+        } else {
+            value.state = canonical;
+        }
+    }
+
+    const pincode = requireString('pincode', 'PIN code');
+    if (pincode !== null) {
+        const digits = pincode.replace(/\s/g, '');
+        if (!/^[1-9]\d{5}$/.test(digits)) {
+            addError('pincode', 'PIN code must be a 6-digit number');
+        } else {
+            value.pincode = digits;
+        }
+    }
+
+    // Nominee
+    validateName('nomineeFullName', 'Nominee name');
+
+    const relationship = requireString('nomineeRelationship', 'Nominee relationship');
+    if (relationship !== null) {
+        const canonical = RELATIONSHIP_LOOKUP.get(relationship.toLowerCase());
+        if (!canonical) {
+            addError('nomineeRelationship', `Nominee relationship must be one of: ${NOMINEE_RELATIONSHIPS.join(', ')}`);
+        } else {
+            value.nomineeRelationship = canonical;
+        }
+    }
+
+    validateGender('nomineeGender', 'Nominee gender');
+    validatePastDate('nomineeDateOfBirth', 'Nominee date of birth');
+
+    // Language for customer emails; optional, English by default
+    if (!isBlank(data.preferredLanguage)) {
+        const language = String(data.preferredLanguage).trim().toLowerCase();
+        if (!SUPPORTED_LANGUAGES.includes(language)) {
+            addError('preferredLanguage', `Preferred language must be one of: ${SUPPORTED_LANGUAGES.join(', ')}`);
+        } else {
+            value.preferredLanguage = language;
+        }
+    }
+
+    // Plan selection is echoed back; the price always comes from the order
+    if (!isBlank(data.planType)) {
+        value.planType = String(data.planType);
+    }
+
+    return { valid: errors.length === 0, errors, value };
+}
+
+module.exports = {
+    INDIAN_STATES_AND_UTS,
+    NOMINEE_RELATIONSHIPS,
+    validateCustomerData,
+    verhoeffCheck,
+    parseDate,
+    ageOn
+};
@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+
+// 128 bits of the HMAC, base64url encoded: short enough for a QR code or
+// link, far too long to guess
+const TOKEN_BYTES = 16;
+
+function sign(secretName, message) {
+    if (!process.env[secretName]) {
+        throw new Error(`${secretName} environment variable is not set`);
+    }
+    return crypto
+        .createHmac('sha256', process.env[secretName])
+        .update(message)
+        .digest()
+        .subarray(0, TOKEN_BYTES)
+        .toString('base64url');
+}
+
+// Constant-time comparison of a received token with the expected one
+function tokensMatch(expectedToken, token) {
+    if (typeof token !== 'string') {
+        return false;
+    }
+    const expected = Buffer.from(expectedToken);
+    const received = Buffer.from(token);
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Token that proves a verification link was issued by us for this policy.
+ * Knowing a policy number is not enough to verify it without the token.
+ * @param {string} policyId - Normalized policy number
+ * @returns {string}
+ */
+function createVerificationToken(policyId) {
+    return sign('POLICY_VERIFY_SECRET', `policy-verify:${policyId}`);
+}
+
+/**
+ * Check a token from a verification link in constant time
+ * @param {string} policyId - Normalized policy number
+ * @param {string} token
+ * @returns {boolean}
+ */
+function isValidVerificationToken(policyId, token) {
+    return tokensMatch(createVerificationToken(policyId), token);
+}
+
+/**
+ * Token for the renewal link in reminder emails. The link's last valid day
+ * is signed with it, so it cannot be extended.
+ * @param {string} policyId - Normalized policy number
+ * @param {string} expires - Last day the link works (YYYY-MM-DD)
+ * @returns {string}
+ */
+function createRenewalToken(policyId, expires) {
+    return sign('RENEWAL_LINK_SECRET', `policy-renew:${policyId}:${expires}`);
+}
+
+/**
+ * Check a renewal link token in constant time. Expiry is checked by the caller.
+ * @param {string} policyId - Normalized policy number
+ * @param {string} expires - Last day the link works (YYYY-MM-DD), as given in the link
+ * @param {string} token
+ * @returns {boolean}
+ */
+function isValidRenewalToken(policyId, expires, token) {
+    return typeof expires === 'string' && tokensMatch(createRenewalToken(policyId, expires), token);
+}
+
+/**
+ * Token for the unsubscribe link in marketing email, tied to one address
+ * @param {string} email - Lowercased email address
+ * @returns {string}
+ */
+function createUnsubscribeToken(email) {
+    return sign('UNSUBSCRIBE_LINK_SECRET', `marketing-unsubscribe:${email}`);
+}
+
+/**
+ * Check an unsubscribe link token in constant time
+ * @param {string} email - Lowercased email address
+ * @param {string} token
+ * @returns {boolean}
+ */
+function isValidUnsubscribeToken(email, token) {
+    return tokensMatch(createUnsubscribeToken(email), token);
+}
+
+module.exports = {
+    createVerificationToken,
+    isValidVerificationToken,
+    createRenewalToken,
+    isValidRenewalToken,
+    createUnsubscribeToken,
+    isValidUnsubscribeToken
+};